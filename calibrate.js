@@ -0,0 +1,124 @@
+/**
+ * MAHASHAKTI V7 - CONFIDENCE WEIGHT CALIBRATION
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Offline job: fits confidence factor weights + a calibration curve on the
+ * journaled outcomes and registers a PROPOSED version. Nothing changes in
+ * the engine until a version is approved (Elite Lock: applied on next boot).
+ *
+ * USAGE:
+ *   node calibrate.js [run] [--days 20] [--out report.json]
+ *   node calibrate.js list
+ *   node calibrate.js show <version>
+ *   node calibrate.js approve <version> --by <name> [--note "..."]
+ *   node calibrate.js reject <version> [--by <name>] [--note "..."]
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const confidenceCalibrationService = require('./services/confidenceCalibration.service');
+
+function parseArgs(argv) {
+    const args = { command: 'run', version: null, days: 20, out: null, by: null, note: null };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--days') {
+            args.days = parseInt(argv[++i]) || args.days;
+        } else if (argv[i] === '--out') {
+            args.out = argv[++i];
+        } else if (argv[i] === '--by') {
+            args.by = argv[++i];
+        } else if (argv[i] === '--note') {
+            args.note = argv[++i];
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    if (positional[0]) args.command = positional[0];
+    if (positional[1]) args.version = positional[1];
+    return args;
+}
+
+function printProposal(proposal) {
+    const { diff, evaluation } = proposal;
+
+    console.log('');
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log(`  CALIBRATION ${proposal.version} (${proposal.status})`);
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log(`  Samples: ${proposal.sampleSize} | Days: ${proposal.tradingDays} (${proposal.period.from} → ${proposal.period.to}) | Win rate: ${(proposal.winRate * 100).toFixed(1)}%`);
+    console.log(`  Based on: ${proposal.basedOn.version}`);
+    console.log('');
+    console.log('  Factor             Current  Proposed  Change   Coef     n');
+    diff.factors.forEach(f => {
+        console.log(`  ${f.factor.padEnd(18)} ${String(f.current).padEnd(8)} ${String(f.proposed).padEnd(9)} ${String((f.change > 0 ? '+' : '') + f.change).padEnd(8)} ${String(f.coefficient).padEnd(8)} ${f.samples}`);
+    });
+    console.log('');
+    console.log(`  Minimum threshold: ${diff.minimumThreshold.current} → ${diff.minimumThreshold.proposed}`);
+    console.log('');
+    console.log(`  HOLDOUT (${evaluation.samples})   Current    Proposed`);
+    console.log(`  Brier            ${String(evaluation.current.brier).padEnd(10)} ${evaluation.proposed.brier}`);
+    console.log(`  Log loss         ${String(evaluation.current.logLoss).padEnd(10)} ${evaluation.proposed.logLoss}`);
+    console.log(`  Passed           ${String(evaluation.current.passed).padEnd(10)} ${evaluation.proposed.passed}`);
+    console.log(`  Pass win rate    ${String(evaluation.current.passWinRate).padEnd(10)} ${evaluation.proposed.passWinRate}`);
+    console.log(`  Pass +1% hit     ${String(evaluation.current.passPlusOneHitRate).padEnd(10)} ${evaluation.proposed.passPlusOneHitRate}`);
+    console.log('');
+    console.log(`  ${evaluation.improves ? '✅ Beats current on holdout' : '❌ Does not beat current - cannot be approved'}`);
+    console.log('═══════════════════════════════════════════════════════════════');
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    confidenceCalibrationService.loadRegistry();
+
+    try {
+        switch (args.command) {
+            case 'run': {
+                const records = confidenceCalibrationService.loadJournalRecords(args.days);
+                console.log(`[CALIBRATION] ${records.length} exited signals in the last ${args.days} journal days`);
+
+                const proposal = confidenceCalibrationService.run({ records, source: `journal:${args.days}d` });
+                printProposal(proposal);
+
+                if (args.out) {
+                    fs.writeFileSync(args.out, JSON.stringify(proposal, null, 2));
+                    console.log(`[CALIBRATION] Report saved to: ${args.out}`);
+                }
+                console.log(`[CALIBRATION] Review, then: node calibrate.js approve ${proposal.version} --by <name>`);
+                break;
+            }
+
+            case 'list':
+                confidenceCalibrationService.getStatus().versions.forEach(v => {
+                    console.log(`${v.version.padEnd(6)} ${v.status.padEnd(11)} n=${v.sampleSize} days=${v.tradingDays} min=${v.minimumThreshold} brier ${v.evaluation.current.brier} → ${v.evaluation.proposed.brier}${v.approvedBy ? ` | approved by ${v.approvedBy}` : ''}`);
+                });
+                break;
+
+            case 'show':
+                printProposal(confidenceCalibrationService.getProposal(args.version));
+                break;
+
+            case 'approve': {
+                const entry = confidenceCalibrationService.approve(args.version, { approvedBy: args.by, note: args.note });
+                console.log(`[CALIBRATION] ${entry.version} ${entry.status}${entry.activation === 'NEXT_BOOT' ? ' - takes effect on next server start' : ''}`);
+                break;
+            }
+
+            case 'reject': {
+                const entry = confidenceCalibrationService.reject(args.version, { rejectedBy: args.by, note: args.note });
+                console.log(`[CALIBRATION] ${entry.version} ${entry.status}`);
+                break;
+            }
+
+            default:
+                console.log('Usage: node calibrate.js [run|list|show|approve|reject] [version] [--days N] [--by name] [--note text] [--out file]');
+                process.exit(1);
+        }
+    } catch (error) {
+        console.error('[CALIBRATION] Failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
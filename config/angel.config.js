@@ -12,8 +12,10 @@ module.exports = {
         profile: '/rest/secure/angelbroking/user/v1/getProfile',
         candle: '/rest/secure/angelbroking/historical/v1/getCandleData',
         ltp: '/rest/secure/angelbroking/market/v1/getLTPData',
-        optionChain: '/rest/secure/angelbroking/market/v1/optionChain',
-        wsUrl: 'wss://smartapisocket.angelone.in/smart-stream'
+        optionChain: '/rest/secure/angelbroking/market/v1/optionchain',
+        quote: '/rest/secure/angelbroking/market/v1/quote/',
+        wsUrl: 'wss://smartapisocket.angelone.in/smart-stream',
+        scripMaster: 'https://margincalculator.angelbroking.com/OpenAPI_File/files/OpenAPIScripMaster.json'
     },
     
     exchanges: {
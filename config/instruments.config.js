@@ -1,4 +1,33 @@
+const sectorTaxonomyService = require('../services/sectorTaxonomy.service');
+
+// Sector is resolved live so taxonomy reloads / overrides apply without a restart
+const withSector = (stock) => Object.defineProperty(stock, 'sector', {
+    get() { return sectorTaxonomyService.getSector(this.symbol); },
+    enumerable: true
+});
+
+// Front-month contract is resolved live so MCX expiries roll without a restart
+// (universeLoader is required lazily - it reads this file for the commodity list)
+const withContract = (commodity) => {
+    const fallback = { token: commodity.token, expiry: null };
+    ['token', 'expiry'].forEach(field => Object.defineProperty(commodity, field, {
+        get() {
+            const contract = require('../services/universeLoader.service').getCommodityFuture?.(this.symbol);
+            return contract ? contract[field] : fallback[field];
+        },
+        enumerable: true
+    }));
+    commodity.segment = 'COMMODITY';
+    commodity.instrumentType = 'FUTCOM';
+    return commodity;
+};
+
 module.exports = {
+    SEGMENTS: {
+        EQUITY: 'EQUITY',
+        COMMODITY: 'COMMODITY'
+    },
+
     indices: [
         { symbol: 'NIFTY', token: '99926000', exchange: 1, name: 'NIFTY 50', lotSize: 25 },
         { symbol: 'BANKNIFTY', token: '99926009', exchange: 1, name: 'BANK NIFTY', lotSize: 15 },
@@ -7,72 +36,63 @@ module.exports = {
     ],
     
     fnoStocks: [
-        { symbol: 'RELIANCE', token: '2885', exchange: 1, name: 'Reliance Industries', sector: 'OIL_GAS', lotSize: 250 },
-        { symbol: 'TCS', token: '11536', exchange: 1, name: 'Tata Consultancy', sector: 'IT', lotSize: 150 },
-        { symbol: 'HDFCBANK', token: '1333', exchange: 1, name: 'HDFC Bank', sector: 'BANKING', lotSize: 550 },
-        { symbol: 'INFY', token: '1594', exchange: 1, name: 'Infosys', sector: 'IT', lotSize: 300 },
-        { symbol: 'ICICIBANK', token: '4963', exchange: 1, name: 'ICICI Bank', sector: 'BANKING', lotSize: 700 },
-        { symbol: 'SBIN', token: '3045', exchange: 1, name: 'State Bank India', sector: 'BANKING', lotSize: 750 },
-        { symbol: 'BHARTIARTL', token: '10604', exchange: 1, name: 'Bharti Airtel', sector: 'TELECOM', lotSize: 475 },
-        { symbol: 'ITC', token: '1660', exchange: 1, name: 'ITC Ltd', sector: 'FMCG', lotSize: 1600 },
-        { symbol: 'KOTAKBANK', token: '1922', exchange: 1, name: 'Kotak Mahindra', sector: 'BANKING', lotSize: 400 },
-        { symbol: 'LT', token: '11483', exchange: 1, name: 'Larsen & Toubro', sector: 'INFRA', lotSize: 150 },
-        { symbol: 'AXISBANK', token: '5900', exchange: 1, name: 'Axis Bank', sector: 'BANKING', lotSize: 600 },
-        { symbol: 'BAJFINANCE', token: '317', exchange: 1, name: 'Bajaj Finance', sector: 'NBFC', lotSize: 125 },
-        { symbol: 'TATAMOTORS', token: '3456', exchange: 1, name: 'Tata Motors', sector: 'AUTO', lotSize: 575 },
-        { symbol: 'MARUTI', token: '10999', exchange: 1, name: 'Maruti Suzuki', sector: 'AUTO', lotSize: 50 },
-        { symbol: 'SUNPHARMA', token: '3351', exchange: 1, name: 'Sun Pharma', sector: 'PHARMA', lotSize: 350 },
-        { symbol: 'TITAN', token: '3506', exchange: 1, name: 'Titan Company', sector: 'CONSUMER', lotSize: 175 },
-        { symbol: 'ASIANPAINT', token: '236', exchange: 1, name: 'Asian Paints', sector: 'CONSUMER', lotSize: 200 },
-        { symbol: 'ULTRACEMCO', token: '11532', exchange: 1, name: 'UltraTech Cement', sector: 'CEMENT', lotSize: 50 },
-        { symbol: 'WIPRO', token: '3787', exchange: 1, name: 'Wipro', sector: 'IT', lotSize: 1500 },
-        { symbol: 'POWERGRID', token: '14977', exchange: 1, name: 'Power Grid Corp', sector: 'POWER', lotSize: 2700 },
-        { symbol: 'NTPC', token: '11630', exchange: 1, name: 'NTPC Ltd', sector: 'POWER', lotSize: 2475 },
-        { symbol: 'HINDALCO', token: '1363', exchange: 1, name: 'Hindalco', sector: 'METALS', lotSize: 1075 },
-        { symbol: 'TATASTEEL', token: '3499', exchange: 1, name: 'Tata Steel', sector: 'METALS', lotSize: 5500 },
-        { symbol: 'JSWSTEEL', token: '11723', exchange: 1, name: 'JSW Steel', sector: 'METALS', lotSize: 675 },
-        { symbol: 'ADANIENT', token: '25', exchange: 1, name: 'Adani Enterprises', sector: 'CONGLOMERATE', lotSize: 250 },
-        { symbol: 'ADANIPORTS', token: '15083', exchange: 1, name: 'Adani Ports', sector: 'INFRA', lotSize: 625 },
-        { symbol: 'ONGC', token: '2475', exchange: 1, name: 'ONGC', sector: 'OIL_GAS', lotSize: 3575 },
-        { symbol: 'COALINDIA', token: '20374', exchange: 1, name: 'Coal India', sector: 'MINING', lotSize: 2100 },
-        { symbol: 'DRREDDY', token: '881', exchange: 1, name: 'Dr Reddys', sector: 'PHARMA', lotSize: 125 },
-        { symbol: 'CIPLA', token: '694', exchange: 1, name: 'Cipla', sector: 'PHARMA', lotSize: 325 },
-        { symbol: 'APOLLOHOSP', token: '157', exchange: 1, name: 'Apollo Hospitals', sector: 'HEALTHCARE', lotSize: 125 },
-        { symbol: 'DIVISLAB', token: '10940', exchange: 1, name: 'Divis Labs', sector: 'PHARMA', lotSize: 125 },
-        { symbol: 'EICHERMOT', token: '910', exchange: 1, name: 'Eicher Motors', sector: 'AUTO', lotSize: 175 },
-        { symbol: 'BAJAJ-AUTO', token: '16669', exchange: 1, name: 'Bajaj Auto', sector: 'AUTO', lotSize: 75 },
-        { symbol: 'HEROMOTOCO', token: '1348', exchange: 1, name: 'Hero MotoCorp', sector: 'AUTO', lotSize: 150 },
-        { symbol: 'M&M', token: '2031', exchange: 1, name: 'Mahindra & Mahindra', sector: 'AUTO', lotSize: 350 },
-        { symbol: 'TECHM', token: '13538', exchange: 1, name: 'Tech Mahindra', sector: 'IT', lotSize: 300 },
-        { symbol: 'HCLTECH', token: '7229', exchange: 1, name: 'HCL Technologies', sector: 'IT', lotSize: 350 },
-        { symbol: 'LTIM', token: '17818', exchange: 1, name: 'LTIMindtree', sector: 'IT', lotSize: 150 },
-        { symbol: 'INDUSINDBK', token: '5258', exchange: 1, name: 'IndusInd Bank', sector: 'BANKING', lotSize: 450 }
-    ],
+        { symbol: 'RELIANCE', token: '2885', exchange: 1, name: 'Reliance Industries', lotSize: 250 },
+        { symbol: 'TCS', token: '11536', exchange: 1, name: 'Tata Consultancy', lotSize: 150 },
+        { symbol: 'HDFCBANK', token: '1333', exchange: 1, name: 'HDFC Bank', lotSize: 550 },
+        { symbol: 'INFY', token: '1594', exchange: 1, name: 'Infosys', lotSize: 300 },
+        { symbol: 'ICICIBANK', token: '4963', exchange: 1, name: 'ICICI Bank', lotSize: 700 },
+        { symbol: 'SBIN', token: '3045', exchange: 1, name: 'State Bank India', lotSize: 750 },
+        { symbol: 'BHARTIARTL', token: '10604', exchange: 1, name: 'Bharti Airtel', lotSize: 475 },
+        { symbol: 'ITC', token: '1660', exchange: 1, name: 'ITC Ltd', lotSize: 1600 },
+        { symbol: 'KOTAKBANK', token: '1922', exchange: 1, name: 'Kotak Mahindra', lotSize: 400 },
+        { symbol: 'LT', token: '11483', exchange: 1, name: 'Larsen & Toubro', lotSize: 150 },
+        { symbol: 'AXISBANK', token: '5900', exchange: 1, name: 'Axis Bank', lotSize: 600 },
+        { symbol: 'BAJFINANCE', token: '317', exchange: 1, name: 'Bajaj Finance', lotSize: 125 },
+        { symbol: 'TATAMOTORS', token: '3456', exchange: 1, name: 'Tata Motors', lotSize: 575 },
+        { symbol: 'MARUTI', token: '10999', exchange: 1, name: 'Maruti Suzuki', lotSize: 50 },
+        { symbol: 'SUNPHARMA', token: '3351', exchange: 1, name: 'Sun Pharma', lotSize: 350 },
+        { symbol: 'TITAN', token: '3506', exchange: 1, name: 'Titan Company', lotSize: 175 },
+        { symbol: 'ASIANPAINT', token: '236', exchange: 1, name: 'Asian Paints', lotSize: 200 },
+        { symbol: 'ULTRACEMCO', token: '11532', exchange: 1, name: 'UltraTech Cement', lotSize: 50 },
+        { symbol: 'WIPRO', token: '3787', exchange: 1, name: 'Wipro', lotSize: 1500 },
+        { symbol: 'POWERGRID', token: '14977', exchange: 1, name: 'Power Grid Corp', lotSize: 2700 },
+        { symbol: 'NTPC', token: '11630', exchange: 1, name: 'NTPC Ltd', lotSize: 2475 },
+        { symbol: 'HINDALCO', token: '1363', exchange: 1, name: 'Hindalco', lotSize: 1075 },
+        { symbol: 'TATASTEEL', token: '3499', exchange: 1, name: 'Tata Steel', lotSize: 5500 },
+        { symbol: 'JSWSTEEL', token: '11723', exchange: 1, name: 'JSW Steel', lotSize: 675 },
+        { symbol: 'ADANIENT', token: '25', exchange: 1, name: 'Adani Enterprises', lotSize: 250 },
+        { symbol: 'ADANIPORTS', token: '15083', exchange: 1, name: 'Adani Ports', lotSize: 625 },
+        { symbol: 'ONGC', token: '2475', exchange: 1, name: 'ONGC', lotSize: 3575 },
+        { symbol: 'COALINDIA', token: '20374', exchange: 1, name: 'Coal India', lotSize: 2100 },
+        { symbol: 'DRREDDY', token: '881', exchange: 1, name: 'Dr Reddys', lotSize: 125 },
+        { symbol: 'CIPLA', token: '694', exchange: 1, name: 'Cipla', lotSize: 325 },
+        { symbol: 'APOLLOHOSP', token: '157', exchange: 1, name: 'Apollo Hospitals', lotSize: 125 },
+        { symbol: 'DIVISLAB', token: '10940', exchange: 1, name: 'Divis Labs', lotSize: 125 },
+        { symbol: 'EICHERMOT', token: '910', exchange: 1, name: 'Eicher Motors', lotSize: 175 },
+        { symbol: 'BAJAJ-AUTO', token: '16669', exchange: 1, name: 'Bajaj Auto', lotSize: 75 },
+        { symbol: 'HEROMOTOCO', token: '1348', exchange: 1, name: 'Hero MotoCorp', lotSize: 150 },
+        { symbol: 'M&M', token: '2031', exchange: 1, name: 'Mahindra & Mahindra', lotSize: 350 },
+        { symbol: 'TECHM', token: '13538', exchange: 1, name: 'Tech Mahindra', lotSize: 300 },
+        { symbol: 'HCLTECH', token: '7229', exchange: 1, name: 'HCL Technologies', lotSize: 350 },
+        { symbol: 'LTIM', token: '17818', exchange: 1, name: 'LTIMindtree', lotSize: 150 },
+        { symbol: 'INDUSINDBK', token: '5258', exchange: 1, name: 'IndusInd Bank', lotSize: 450 }
+    ].map(withSector),
     
+    // MCX futures. lotSize is in quotation units so P&L = points × lotSize
+    // (GOLDM: 100 g lot quoted per 10 g → 10). circuit = MCX daily price limit:
+    // base band from the previous close, relaxed in steps up to maxPercent.
+    // token / expiry are the static fallback - the universe loader resolves the
+    // current front-month contract from the instrument master.
     commodities: [
-        { symbol: 'GOLDM', token: '252917', exchange: 5, name: 'Gold Mini', lotSize: 100 },
-        { symbol: 'SILVERM', token: '253017', exchange: 5, name: 'Silver Mini', lotSize: 5 },
-        { symbol: 'CRUDEOIL', token: '255217', exchange: 5, name: 'Crude Oil', lotSize: 100 },
-        { symbol: 'NATURALGAS', token: '255717', exchange: 5, name: 'Natural Gas', lotSize: 1250 }
-    ],
+        { symbol: 'GOLDM', token: '252917', exchange: 5, name: 'Gold Mini', lotSize: 10, lotUnit: '100 g', circuit: { basePercent: 3, stepPercent: 3, maxPercent: 9 } },
+        { symbol: 'SILVERM', token: '253017', exchange: 5, name: 'Silver Mini', lotSize: 5, lotUnit: '5 kg', circuit: { basePercent: 4, stepPercent: 2, maxPercent: 8 } },
+        { symbol: 'CRUDEOIL', token: '255217', exchange: 5, name: 'Crude Oil', lotSize: 100, lotUnit: '100 bbl', circuit: { basePercent: 4, stepPercent: 2, maxPercent: 8 } },
+        { symbol: 'NATURALGAS', token: '255717', exchange: 5, name: 'Natural Gas', lotSize: 1250, lotUnit: '1250 mmBtu', circuit: { basePercent: 5, stepPercent: 2.5, maxPercent: 10 } }
+    ].map(withContract),
     
-    sectors: {
-        BANKING: ['HDFCBANK', 'ICICIBANK', 'SBIN', 'KOTAKBANK', 'AXISBANK', 'INDUSINDBK'],
-        IT: ['TCS', 'INFY', 'WIPRO', 'TECHM', 'HCLTECH', 'LTIM'],
-        AUTO: ['TATAMOTORS', 'MARUTI', 'EICHERMOT', 'BAJAJ-AUTO', 'HEROMOTOCO', 'M&M'],
-        PHARMA: ['SUNPHARMA', 'DRREDDY', 'CIPLA', 'DIVISLAB'],
-        METALS: ['HINDALCO', 'TATASTEEL', 'JSWSTEEL'],
-        OIL_GAS: ['RELIANCE', 'ONGC'],
-        FMCG: ['ITC'],
-        NBFC: ['BAJFINANCE'],
-        INFRA: ['LT', 'ADANIPORTS'],
-        POWER: ['POWERGRID', 'NTPC'],
-        TELECOM: ['BHARTIARTL'],
-        CEMENT: ['ULTRACEMCO'],
-        CONSUMER: ['TITAN', 'ASIANPAINT'],
-        HEALTHCARE: ['APOLLOHOSP'],
-        MINING: ['COALINDIA'],
-        CONGLOMERATE: ['ADANIENT']
+    // Sectors are data-driven - see config/sectors and services/sectorTaxonomy.service.js
+    get sectors() {
+        return sectorTaxonomyService.getSectorMap();
     },
     
     getAll() {
@@ -91,6 +111,38 @@ module.exports = {
         return this.commodities;
     },
     
+    getBySegment(segment) {
+        return this.getAll().filter(i => this.getSegment(i) === segment);
+    },
+    
+    /**
+     * Segment of an instrument object or token - NSE/NFO unless marked COMMODITY
+     */
+    getSegment(instrumentOrToken) {
+        const instrument = typeof instrumentOrToken === 'object'
+            ? instrumentOrToken
+            : this.getByToken(instrumentOrToken);
+        if (!instrument) return this.SEGMENTS.EQUITY;
+        if (instrument.segment) return instrument.segment;
+        return instrument.exchange === 5 || instrument.exchange === 'MCX' ? this.SEGMENTS.COMMODITY : this.SEGMENTS.EQUITY;
+    },
+    
+    /**
+     * MCX daily price limit around a reference price (previous close / open)
+     * @returns {object|null} { upper, lower, percent } or null if no commodity rule
+     */
+    getCircuitLimits(instrument, referencePrice, stage = 0) {
+        const rule = instrument?.circuit || this.getBySymbol(instrument?.underlying || instrument?.symbol)?.circuit;
+        if (!rule || !referencePrice) return null;
+
+        const percent = Math.min(rule.maxPercent, rule.basePercent + stage * rule.stepPercent);
+        return {
+            upper: referencePrice * (1 + percent / 100),
+            lower: referencePrice * (1 - percent / 100),
+            percent
+        };
+    },
+    
     getByToken(token) {
         return this.getAll().find(i => i.token === token);
     },
@@ -100,14 +152,11 @@ module.exports = {
     },
     
     getBySector(sector) {
-        const symbols = this.sectors[sector] || [];
+        const symbols = sectorTaxonomyService.getSymbols(sector);
         return this.fnoStocks.filter(s => symbols.includes(s.symbol));
     },
     
     getSectorForSymbol(symbol) {
-        for (const [sector, symbols] of Object.entries(this.sectors)) {
-            if (symbols.includes(symbol)) return sector;
-        }
-        return null;
+        return sectorTaxonomyService.getSector(symbol);
     }
 };
@@ -165,5 +165,126 @@ module.exports = {
         cacheExpiryMs: 5000,
         maxSignalsPerCategory: 20,
         maxExplosionsDisplay: 20
+    },
+
+    journal: {
+        enabled: process.env.SIGNAL_JOURNAL_ENABLED !== 'false',
+        store: process.env.SIGNAL_JOURNAL_STORE || 'jsonl',
+        dir: process.env.SIGNAL_JOURNAL_DIR || './data/journal',
+        rehydrateDays: 5
+    },
+
+    candleStore: {
+        enabled: process.env.CANDLE_STORE_ENABLED !== 'false',
+        dir: process.env.CANDLE_STORE_DIR || './data/candles'
+    },
+
+    optionPricing: {
+        riskFreeRate: parseFloat(process.env.RISK_FREE_RATE) || 0.065
+    },
+
+    tickRecorder: {
+        enabled: process.env.TICK_RECORDER_ENABLED === 'true',
+        dir: process.env.TICK_RECORDER_DIR || './data/ticks',
+        maxFiles: 10
+    },
+
+    paperBroker: {
+        enabled: process.env.PAPER_BROKER_ENABLED === 'true',
+        lotsPerTrade: parseInt(process.env.PAPER_LOTS_PER_TRADE) || 1,
+        capitalPerTrade: parseFloat(process.env.PAPER_CAPITAL_PER_TRADE) || 100000,
+        slippageBpsPerRiskPoint: 1,
+        maxOpenPositions: 10,
+        squareOffTimeIST: { hour: 15, minute: 20 }
+    },
+
+    pushFeed: {
+        bufferSize: parseInt(process.env.PUSH_FEED_BUFFER) || 1000,
+        heartbeatMs: 15000,
+        maxClients: parseInt(process.env.PUSH_FEED_MAX_CLIENTS) || 100
+    },
+
+    alerts: {
+        enabled: process.env.ALERTS_ENABLED === 'true',
+        maxRetries: 3,
+        retryBaseMs: 1000,
+        sinks: [
+            process.env.ALERT_WEBHOOK_URL && {
+                name: 'webhook',
+                type: 'webhook',
+                url: process.env.ALERT_WEBHOOK_URL,
+                filters: { signalTypes: ['STRONG_BUY', 'STRONG_SELL'], exitPriorities: ['CRITICAL'] }
+            },
+            process.env.ALERT_TELEGRAM_BOT_TOKEN && {
+                name: 'telegram',
+                type: 'telegram',
+                botToken: process.env.ALERT_TELEGRAM_BOT_TOKEN,
+                chatId: process.env.ALERT_TELEGRAM_CHAT_ID,
+                filters: { signalTypes: ['STRONG_BUY', 'STRONG_SELL'], minGrade: 'B', exitPriorities: ['CRITICAL'] }
+            },
+            process.env.ALERT_STUB_SINK === 'true' && {
+                name: 'stub',
+                type: 'stub',
+                port: parseInt(process.env.ALERT_STUB_PORT) || 0,
+                filters: {}
+            }
+        ].filter(Boolean)
+    },
+
+    // MARKET_DATA_PROVIDER=angel | local, MARKET_DATA_FALLBACK=local to fail over to files
+    marketData: {
+        provider: process.env.MARKET_DATA_PROVIDER || 'angel',
+        fallback: process.env.MARKET_DATA_FALLBACK || null,
+        local: {
+            dir: process.env.MARKET_DATA_LOCAL_DIR || './data/local',
+            tickDir: process.env.TICK_RECORDER_DIR || './data/ticks',
+            tickDay: process.env.MARKET_DATA_LOCAL_TICK_DAY || null,
+            tickSpeed: process.env.MARKET_DATA_LOCAL_TICK_SPEED ? parseFloat(process.env.MARKET_DATA_LOCAL_TICK_SPEED) : 1
+        }
+    },
+
+    // API_KEYS="dashboard:<key>:read,ops:<key>:operator:30" (id:key:role[:requests per minute])
+    apiAuth: {
+        enabled: process.env.API_AUTH_ENABLED
+            ? process.env.API_AUTH_ENABLED === 'true'
+            : Boolean(process.env.API_KEYS || process.env.API_JWT_SECRET),
+        // Only an explicit API_AUTH_ENABLED=false opens operator routes without credentials
+        openOperatorRoutes: process.env.API_AUTH_ENABLED === 'false',
+        keys: (process.env.API_KEYS || '').split(',').filter(Boolean).map(entry => {
+            const [id, key, role, rateLimitPerMinute] = entry.trim().split(':');
+            return { id, key, role, rateLimitPerMinute: parseInt(rateLimitPerMinute) || null };
+        }),
+        jwtSecret: process.env.API_JWT_SECRET || null,
+        defaultRateLimitPerMinute: parseInt(process.env.API_RATE_LIMIT_PER_MINUTE) || 120,
+        corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()) : null,
+        auditDir: process.env.API_AUDIT_DIR || './data/audit'
+    },
+    sectorTaxonomy: {
+        file: process.env.SECTOR_TAXONOMY_FILE || './config/sectors/nse_sector_constituents.csv',
+        overridesFile: process.env.SECTOR_OVERRIDES_FILE || './data/sectors/overrides.json',
+        watch: process.env.SECTOR_TAXONOMY_WATCH !== 'false'
+    },
+    calibration: {
+        dir: process.env.CALIBRATION_DIR || './data/calibration',
+        minSamples: parseInt(process.env.CALIBRATION_MIN_SAMPLES) || 50,
+        minTradingDays: 3,
+        targetWinRate: parseFloat(process.env.CALIBRATION_TARGET_WIN_RATE) || 0.55
+    },
+    thresholdProfiles: {
+        dir: process.env.THRESHOLD_PROFILES_DIR || './data/thresholds',
+        minValidationDays: 3
+    },
+    clock: {
+        debugEndpoint: process.env.CLOCK_DEBUG === 'true'     // Opt-in: HTTP control of the engine clock
+    },
+    shadow: {
+        enabled: process.env.SHADOW_ENABLED === 'true',
+        challenger: {
+            name: process.env.SHADOW_CHALLENGER_NAME || 'challenger',
+            profile: process.env.SHADOW_CHALLENGER_PROFILE || null,
+            guard: process.env.SHADOW_CHALLENGER_MIN_CONFIDENCE
+                ? { minConfidenceScore: parseInt(process.env.SHADOW_CHALLENGER_MIN_CONFIDENCE) }
+                : {}
+        }
     }
 };
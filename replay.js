@@ -0,0 +1,101 @@
+/**
+ * MAHASHAKTI V7 - HISTORICAL REPLAY RUNNER
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Feeds a recorded session through the LOCKED guard pipeline and exit
+ * commander with a simulated clock, then prints the outcome report.
+ *
+ * USAGE:
+ *   node replay.js <session.json> [--out report.json] [--verbose] [--profile <name@vN>]
+ *
+ * Report: +1% hit rate, fake-break rate, MAE, MFE per signal and per zone,
+ * checked against the Elite Lock hard conditions.
+ *
+ * --profile runs a registered threshold profile instead of the active one and,
+ * if the profile is locked, records the run as its validation (see thresholds.js).
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const replayEngineService = require('./services/replayEngine.service');
+const thresholdProfilesService = require('./services/thresholdProfiles.service');
+
+function parseArgs(argv) {
+    const args = { sessionPath: null, out: null, verbose: false, profile: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') {
+            args.out = argv[++i];
+        } else if (argv[i] === '--profile') {
+            args.profile = argv[++i];
+        } else if (argv[i] === '--verbose') {
+            args.verbose = true;
+        } else if (!args.sessionPath) {
+            args.sessionPath = argv[i];
+        }
+    }
+
+    return args;
+}
+
+function printReport(report) {
+    const { summary, pipeline, hardConditions, lockedBaseline } = report;
+
+    console.log('');
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log(`  REPLAY REPORT: ${report.session}`);
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log(`  Run: ${report.runId} | Days: ${report.period.days.length} (${report.period.from} → ${report.period.to})`);
+    console.log(`  Thresholds: ${report.thresholdProfile.id || 'unregistered'} (${report.thresholdProfile.hash.slice(0, 12)})`);
+    console.log(`  Instruments: ${report.instruments} | Evaluated: ${pipeline.evaluated} | Passed: ${pipeline.passed}`);
+    console.log('');
+    console.log('  Metric        Replay     Locked Baseline');
+    console.log(`  +1% Hit       ${String(summary.plusOneHitRate + '%').padEnd(10)} ${lockedBaseline.plusOneHit}%`);
+    console.log(`  Fake Break    ${String(summary.fakeBreakRate + '%').padEnd(10)} ${lockedBaseline.fakeBreak}%`);
+    console.log(`  Avg MAE       ${String(summary.avgMAE + '%').padEnd(10)} ${lockedBaseline.mae}%`);
+    console.log(`  Avg MFE       ${summary.avgMFE}%`);
+    console.log('');
+    console.log('  HARD CONDITIONS:');
+    console.log(`  Fake Break ≤15%: ${hardConditions.fakeBreak.passed ? '✅' : '❌'}`);
+    console.log(`  MAE ≤0.5%:       ${hardConditions.mae.passed ? '✅' : '❌'}`);
+    console.log(`  +1% Hit ≥75%:    ${hardConditions.plusOneHit.passed ? '✅' : '❌'}`);
+    console.log('');
+    console.log('  TOP BLOCK REASONS:');
+    Object.entries(pipeline.blockReasons).slice(0, 10).forEach(([reason, count]) => {
+        console.log(`  ${reason}: ${count}`);
+    });
+    console.log('═══════════════════════════════════════════════════════════════');
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.sessionPath) {
+        console.log('Usage: node replay.js <session.json> [--out report.json] [--verbose] [--profile name@vN]');
+        process.exit(1);
+    }
+
+    try {
+        thresholdProfilesService.loadRegistry();
+        const profileId = args.profile || thresholdProfilesService.registry.active;
+        if (profileId) {
+            thresholdProfilesService.apply(thresholdProfilesService.getProfile(profileId));
+        }
+
+        const session = replayEngineService.loadSession(args.sessionPath);
+        const report = replayEngineService.run(session, { quiet: !args.verbose });
+        printReport(report);
+
+        const savedTo = replayEngineService.saveReport(report, args.out);
+        console.log(`[REPLAY] Report saved to: ${savedTo}`);
+
+        const profile = report.thresholdProfile.id && thresholdProfilesService.getProfile(report.thresholdProfile.id);
+        if (profile && profile.status !== thresholdProfilesService.STATUS.DRAFT) {
+            thresholdProfilesService.recordValidation(report, savedTo);
+            console.log(`[REPLAY] Recorded as validation run ${report.runId} for ${profile.id}`);
+        }
+    } catch (error) {
+        console.error('[REPLAY] Failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
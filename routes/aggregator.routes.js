@@ -33,6 +33,15 @@ router.get('/combined', (req, res) => {
     });
 });
 
+router.get('/commodities', (req, res) => {
+    const data = marketAggregatorService.getCommodityScreen();
+    res.json({
+        success: true,
+        data,
+        timestamp: new Date().toISOString()
+    });
+});
+
 router.get('/top-signals', (req, res) => {
     const count = parseInt(req.query.count) || 10;
     const signals = marketAggregatorService.getTopSignals(count);
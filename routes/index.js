@@ -9,6 +9,11 @@ const aggregatorRoutes = require('./aggregator.routes');
 const systemRoutes = require('./system.routes');
 const marketRoutes = require('./market.routes');
 const institutionalRoutes = require('./institutional.routes');
+const streamRoutes = require('./stream.routes');
+const strategyRoutes = require('./strategy.routes');
+const apiAuthService = require('../services/apiAuth.service');
+
+router.use(apiAuthService.middleware());
 
 router.use('/status', statusRoutes);
 router.use('/scanner', scannerRoutes);
@@ -18,6 +23,8 @@ router.use('/aggregator', aggregatorRoutes);
 router.use('/system', systemRoutes);
 router.use('/market', marketRoutes);
 router.use('/institutional', institutionalRoutes);
+router.use('/stream', streamRoutes);
+router.use('/strategy', strategyRoutes);
 
 router.get('/', (req, res) => {
     res.json({
@@ -25,6 +32,7 @@ router.get('/', (req, res) => {
         version: '3.0.0',
         description: 'Full Market Radar + Explosion Engine',
         signalTypes: ['BUY', 'SELL', 'STRONG_BUY', 'STRONG_SELL'],
+        auth: 'x-api-key header or Authorization: Bearer <jwt> (read: GET, operator: state-changing)',
         endpoints: {
             status: {
                 info: 'GET /api/status',
@@ -41,11 +49,14 @@ router.get('/', (req, res) => {
             signal: {
                 active: 'GET /api/signal/active',
                 history: 'GET /api/signal/history',
-                analyze: 'GET /api/signal/analyze/:symbol'
+                journal: 'GET /api/signal/journal',
+                analyze: 'GET /api/signal/analyze/:symbol',
+                indicators: 'GET /api/signal/indicators/:symbol?timeframe=&from=&to='
             },
             regime: {
                 current: 'GET /api/regime/current',
-                history: 'GET /api/regime/history'
+                history: 'GET /api/regime/history',
+                analyze: 'GET /api/regime/analyze/:symbol?timeframe=&from=&to='
             },
             aggregator: {
                 screen1: 'GET /api/aggregator/screen1',
@@ -64,7 +75,8 @@ router.get('/', (req, res) => {
                 volumeSpikes: 'GET /api/aggregator/volume-spikes',
                 priorityBuckets: 'GET /api/aggregator/priority-buckets',
                 intradayTiers: 'GET /api/aggregator/intraday-tiers',
-                premiumTiers: 'GET /api/aggregator/premium-tiers'
+                premiumTiers: 'GET /api/aggregator/premium-tiers',
+                commodities: 'GET /api/aggregator/commodities'
             },
             market: {
                 fullOverview: 'GET /api/market/full-overview',
@@ -76,13 +88,48 @@ router.get('/', (req, res) => {
                 regime: 'GET /api/market/regime',
                 indices: 'GET /api/market/indices',
                 protection: 'GET /api/market/protection',
-                state: 'GET /api/market/state/:token'
+                state: 'GET /api/market/state/:token',
+                optionChain: 'GET /api/market/option-chain/:underlying/:expiry',
+                sectors: 'GET /api/market/sectors',
+                sector: 'GET /api/market/sectors/:sector',
+                sectorIndex: 'GET /api/market/sectors/index/:index',
+                sectorSymbol: 'GET /api/market/sectors/symbol/:symbol',
+                sectorOverride: 'POST /api/market/sectors/override',
+                sectorReload: 'POST /api/market/sectors/reload'
             },
             system: {
                 health: 'GET /api/system/health',
                 universe: 'GET /api/system/universe',
                 refreshUniverse: 'POST /api/system/refresh-universe',
-                instruments: 'GET /api/system/instruments'
+                instruments: 'GET /api/system/instruments',
+                tickRecorder: 'GET /api/system/tick-recorder',
+                tickRecorderStart: 'POST /api/system/tick-recorder/start',
+                tickRecorderStop: 'POST /api/system/tick-recorder/stop',
+                tickFiles: 'GET /api/system/tick-recorder/files',
+                tickPlay: 'POST /api/system/tick-recorder/play',
+                alerts: 'GET /api/system/alerts',
+                alertHistory: 'GET /api/system/alerts/history',
+                alertTest: 'POST /api/system/alerts/test',
+                alertStub: 'GET /api/system/alerts/stub',
+                auth: 'GET /api/system/auth',
+                authToken: 'POST /api/system/auth/token',
+                audit: 'GET /api/system/audit',
+                clock: 'GET /api/system/clock (non-production)',
+                clockSet: 'POST /api/system/clock/set { time }',
+                clockAdvance: 'POST /api/system/clock/advance { ms }',
+                clockFastForward: 'POST /api/system/clock/fast-forward { to, stepMs }',
+                clockReal: 'POST /api/system/clock/real'
+            },
+            stream: {
+                sse: 'GET /api/stream?topics=signals,exits,panic,regime&since=:seq',
+                websocket: 'WS /api/stream/ws?topics=...&since=:seq',
+                events: 'GET /api/stream/events?since=:seq',
+                status: 'GET /api/stream/status'
+            },
+            strategy: {
+                proposals: 'GET /api/strategy?days=1,3',
+                underlying: 'GET /api/strategy/:underlying?expiry=&days=',
+                analyze: 'POST /api/strategy/analyze'
             }
         }
     });
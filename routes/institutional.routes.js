@@ -29,10 +29,16 @@ const volatilityRegimeService = require('../services/volatilityRegime.service');
 const crowdingDetectorService = require('../services/crowdingDetector.service');
 const correlationEngineService = require('../services/correlationEngine.service');
 const confidenceScoringService = require('../services/confidenceScoring.service');
+const confidenceCalibrationService = require('../services/confidenceCalibration.service');
+const thresholdProfilesService = require('../services/thresholdProfiles.service');
+const shadowEvaluationService = require('../services/shadowEvaluation.service');
 const blockOrderDetectorService = require('../services/blockOrderDetector.service');
 const liquidityShockService = require('../services/liquidityShock.service');
 const ivSkewService = require('../services/ivSkew.service');
 const divergenceEngineService = require('../services/divergenceEngine.service');
+const futuresAnalyticsService = require('../services/futuresAnalytics.service');
+const greeksService = require('../services/greeks.service');
+const paperBrokerService = require('../services/paperBroker.service');
 
 // ============ MASTER GUARD ============
 
@@ -44,11 +50,12 @@ router.get('/guard/stats', (req, res) => {
     });
 });
 
-// POST /api/institutional/guard/validate - Validate a signal
-router.post('/guard/validate', async (req, res) => {
+// POST /api/institutional/guard/validate - Dry-run a signal through the guard
+// (shadow: no guard stats, no lifecycle record - open to the read role)
+router.post('/guard/validate', (req, res) => {
     try {
-        const { signal, candles } = req.body;
-        const result = await masterSignalGuardService.validateSignal(signal, candles || []);
+        const { signal, candles } = req.body || {};
+        const result = masterSignalGuardService.validateSignalSync(signal, candles || [], { shadow: true });
         res.json({ success: true, data: result });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -156,6 +163,28 @@ router.get('/theta', (req, res) => {
     });
 });
 
+// GET /api/institutional/greeks/:token - Delta/gamma/theta/vega for option token
+// Optional query overrides: premium, spot, iv
+router.get('/greeks/:token', (req, res) => {
+    const overrides = {};
+    if (req.query.premium) overrides.premium = parseFloat(req.query.premium);
+    if (req.query.spot) overrides.underlyingPrice = parseFloat(req.query.spot);
+    if (req.query.iv) overrides.iv = parseFloat(req.query.iv);
+
+    const greeks = greeksService.getGreeks(req.params.token, overrides);
+    if (!greeks) {
+        return res.status(404).json({
+            success: false,
+            error: 'Greeks unavailable - unknown option token or missing premium/spot/expiry'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: greeks
+    });
+});
+
 // GET /api/institutional/expiry - Expiry rollover status
 router.get('/expiry', (req, res) => {
     res.json({
@@ -253,12 +282,56 @@ router.get('/drawdown', (req, res) => {
 });
 
 // POST /api/institutional/drawdown/outcome - Register signal outcome
+// (paper broker registers outcomes automatically; kept for external fills)
 router.post('/drawdown/outcome', (req, res) => {
     const { signal, outcome, pnlPercent } = req.body;
     drawdownGuardService.registerOutcome(signal, outcome, pnlPercent);
     res.json({ success: true, data: drawdownGuardService.getStats() });
 });
 
+// GET /api/institutional/paper - Paper broker status and P&L
+router.get('/paper', (req, res) => {
+    res.json({
+        success: true,
+        data: paperBrokerService.getStatus()
+    });
+});
+
+// GET /api/institutional/paper/positions - Open paper positions
+router.get('/paper/positions', (req, res) => {
+    res.json({
+        success: true,
+        data: paperBrokerService.getPositions()
+    });
+});
+
+// GET /api/institutional/paper/trades - Closed paper trades
+router.get('/paper/trades', (req, res) => {
+    const limit = parseInt(req.query.limit) || 50;
+    res.json({
+        success: true,
+        data: paperBrokerService.getTrades(limit)
+    });
+});
+
+// GET /api/institutional/paper/orders - Simulated fills
+router.get('/paper/orders', (req, res) => {
+    const limit = parseInt(req.query.limit) || 100;
+    res.json({
+        success: true,
+        data: paperBrokerService.getOrders(limit)
+    });
+});
+
+// POST /api/institutional/paper/close/:token - Manually close a paper position
+router.post('/paper/close/:token', (req, res) => {
+    const trade = paperBrokerService.closePosition(req.params.token, 'MANUAL');
+    if (!trade) {
+        return res.status(404).json({ success: false, error: 'No open paper position for token' });
+    }
+    res.json({ success: true, data: trade });
+});
+
 // ============ ULTRA-ADVANCED ============
 
 // GET /api/institutional/regime - Volatility regime classification
@@ -317,6 +390,175 @@ router.post('/confidence/score', (req, res) => {
     res.json({ success: true, data: result });
 });
 
+// GET /api/institutional/confidence/calibration - Calibration versions + active weight set
+router.get('/confidence/calibration', (req, res) => {
+    res.json({
+        success: true,
+        data: confidenceCalibrationService.getStatus()
+    });
+});
+
+// POST /api/institutional/confidence/calibration/run - Fit a new proposal from completed signals
+router.post('/confidence/calibration/run', (req, res) => {
+    try {
+        const proposal = confidenceCalibrationService.run();
+        res.json({ success: true, data: proposal });
+    } catch (error) {
+        res.status(422).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/institutional/confidence/calibration/:version - Full proposal + diff report
+router.get('/confidence/calibration/:version', (req, res) => {
+    try {
+        res.json({ success: true, data: confidenceCalibrationService.getProposal(req.params.version) });
+    } catch (error) {
+        res.status(404).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/institutional/confidence/calibration/:version/approve - { note }
+router.post('/confidence/calibration/:version/approve', (req, res) => {
+    try {
+        const entry = confidenceCalibrationService.approve(req.params.version, {
+            approvedBy: req.principal?.id || req.body?.approvedBy,
+            note: req.body?.note
+        });
+        res.json({ success: true, data: entry });
+    } catch (error) {
+        res.status(409).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/institutional/confidence/calibration/:version/reject - { note }
+router.post('/confidence/calibration/:version/reject', (req, res) => {
+    try {
+        const entry = confidenceCalibrationService.reject(req.params.version, {
+            rejectedBy: req.principal?.id || req.body?.rejectedBy,
+            note: req.body?.note
+        });
+        res.json({ success: true, data: entry });
+    } catch (error) {
+        res.status(409).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/institutional/thresholds - Threshold profiles, active / pending, live drift
+router.get('/thresholds', (req, res) => {
+    res.json({
+        success: true,
+        data: thresholdProfilesService.getStatus()
+    });
+});
+
+// GET /api/institutional/thresholds/diff?from=<id|live>&to=<id|live> - Threshold-level diff (from defaults to active)
+router.get('/thresholds/diff', (req, res) => {
+    try {
+        res.json({ success: true, data: thresholdProfilesService.diff(req.query.from, req.query.to || 'live') });
+    } catch (error) {
+        res.status(404).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/institutional/thresholds - New DRAFT { name, from, changes, note }
+router.post('/thresholds', (req, res) => {
+    try {
+        const profile = thresholdProfilesService.create({
+            name: req.body?.name,
+            from: req.body?.from,
+            changes: req.body?.changes,
+            createdBy: req.principal?.id || req.body?.createdBy,
+            note: req.body?.note
+        });
+        res.json({ success: true, data: profile });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/institutional/thresholds/rollback - Back to a previously active profile { to, note }
+router.post('/thresholds/rollback', (req, res) => {
+    try {
+        const entry = thresholdProfilesService.rollback({
+            to: req.body?.to,
+            by: req.principal?.id || req.body?.by,
+            note: req.body?.note
+        });
+        res.json({ success: true, data: entry });
+    } catch (error) {
+        res.status(409).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/institutional/thresholds/:id - Full profile (params, validation runs, approval)
+router.get('/thresholds/:id', (req, res) => {
+    try {
+        res.json({ success: true, data: thresholdProfilesService.getProfile(req.params.id) });
+    } catch (error) {
+        res.status(404).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/institutional/thresholds/:id/lock - Freeze a DRAFT
+router.post('/thresholds/:id/lock', (req, res) => {
+    try {
+        const profile = thresholdProfilesService.lock(req.params.id, {
+            lockedBy: req.principal?.id || req.body?.lockedBy
+        });
+        res.json({ success: true, data: profile });
+    } catch (error) {
+        res.status(409).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/institutional/thresholds/:id/promote - { validationRuns: [runId], note }
+router.post('/thresholds/:id/promote', (req, res) => {
+    try {
+        const entry = thresholdProfilesService.promote(req.params.id, {
+            approvedBy: req.principal?.id || req.body?.approvedBy,
+            validationRuns: req.body?.validationRuns,
+            note: req.body?.note
+        });
+        res.json({ success: true, data: entry });
+    } catch (error) {
+        res.status(409).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/institutional/shadow - Champion vs challenger: +1% hit, fake break, MAE per zone
+router.get('/shadow', (req, res) => {
+    res.json({
+        success: true,
+        data: shadowEvaluationService.getReport()
+    });
+});
+
+// GET /api/institutional/shadow/trades?arm=challenger&limit=100 - Closed shadow trades
+router.get('/shadow/trades', (req, res) => {
+    try {
+        const trades = shadowEvaluationService.getTrades(req.query.arm || 'challenger', parseInt(req.query.limit) || 100);
+        res.json({ success: true, data: trades });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/institutional/shadow/challenger - { name, profile, guard: { minConfidenceScore } } (resets the comparison)
+router.post('/shadow/challenger', (req, res) => {
+    try {
+        const challenger = shadowEvaluationService.setChallenger(req.body || {});
+        res.json({ success: true, data: challenger });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/institutional/shadow/reset - Restart the comparison
+router.post('/shadow/reset', (req, res) => {
+    shadowEvaluationService.reset();
+    res.json({ success: true, data: shadowEvaluationService.getReport() });
+});
+
 // GET /api/institutional/block-orders - Block order detector stats
 router.get('/block-orders', (req, res) => {
     res.json({
@@ -358,6 +600,33 @@ router.get('/divergence', (req, res) => {
     });
 });
 
+// GET /api/institutional/futures - Basis, cost of carry, rollover for all tracked underlyings
+router.get('/futures', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            ...futuresAnalyticsService.getStats(),
+            underlyings: futuresAnalyticsService.getAll()
+        }
+    });
+});
+
+// GET /api/institutional/futures/:underlying - Futures analytics + history for underlying
+router.get('/futures/:underlying', (req, res) => {
+    const analytics = futuresAnalyticsService.getAnalytics(req.params.underlying.toUpperCase());
+    if (!analytics) {
+        return res.status(404).json({
+            success: false,
+            error: 'No futures analytics for underlying'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: analytics
+    });
+});
+
 // ============ UNIFIED DASHBOARD ============
 
 // GET /api/institutional/dashboard - Full institutional dashboard
@@ -372,9 +641,11 @@ router.get('/dashboard', (req, res) => {
             panic: panicKillSwitchService.getStatus(),
             circuit: circuitBreakerService.getStats(),
             drawdown: drawdownGuardService.getStats(),
+            paper: paperBrokerService.getStatus(),
             gamma: gammaClusterService.getAllClusters(),
             crowding: crowdingDetectorService.getAllCrowding(),
             ivSkew: ivSkewService.getAllSkew(),
+            futures: futuresAnalyticsService.getSignals(),
             liquidity: {
                 tier: liquidityTierService.getSnapshot(),
                 shock: liquidityShockService.getStats()
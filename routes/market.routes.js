@@ -12,6 +12,8 @@ const regimeService = require('../services/regime.service');
 const safetyService = require('../services/safety.service');
 const runnerEngineService = require('../services/runnerEngine.service');
 const capitalGuardService = require('../services/capitalGuard.service');
+const sectorTaxonomyService = require('../services/sectorTaxonomy.service');
+const optionChainService = require('../services/optionChain.service');
 
 // 🔴 GET /api/market/full-overview - Primary Dashboard Feed
 router.get('/full-overview', (req, res) => {
@@ -227,4 +229,124 @@ router.get('/stats', (req, res) => {
     }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTOR TAXONOMY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// 🔴 GET /api/market/sectors - Registry version + sector summary
+router.get('/sectors', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                status: sectorTaxonomyService.getStatus(),
+                sectors: sectorTaxonomyService.getSectorSummary()
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 🔴 GET /api/market/sectors/overrides - Operator overrides on top of the file
+router.get('/sectors/overrides', (req, res) => {
+    res.json({ success: true, data: sectorTaxonomyService.getOverrides() });
+});
+
+// 🔴 GET /api/market/sectors/index/:index - Index constituents with weights
+router.get('/sectors/index/:index', (req, res) => {
+    const constituents = sectorTaxonomyService.getIndexConstituents(req.params.index);
+    if (constituents.length === 0) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown index ${req.params.index}`,
+            indices: sectorTaxonomyService.getIndices()
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            index: req.params.index.toUpperCase(),
+            count: constituents.length,
+            constituents
+        }
+    });
+});
+
+// 🔴 GET /api/market/sectors/symbol/:symbol - Sector / industry / weights for a symbol
+router.get('/sectors/symbol/:symbol', (req, res) => {
+    const record = sectorTaxonomyService.getRecord(req.params.symbol);
+    if (!record) {
+        return res.status(404).json({ success: false, error: `${req.params.symbol} not in sector taxonomy` });
+    }
+    res.json({ success: true, data: record });
+});
+
+// 🔴 GET /api/market/sectors/:sector - Sector members, heaviest first
+router.get('/sectors/:sector', (req, res) => {
+    const symbols = sectorTaxonomyService.getSymbols(req.params.sector);
+    if (symbols.length === 0) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown sector ${req.params.sector}`,
+            sectors: sectorTaxonomyService.getSectors()
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            sector: req.params.sector.toUpperCase(),
+            count: symbols.length,
+            constituents: symbols.map(symbol => sectorTaxonomyService.getRecord(symbol))
+        }
+    });
+});
+
+// 🔴 POST /api/market/sectors/override - Re-tag a symbol { symbol, sector, industry }
+router.post('/sectors/override', (req, res) => {
+    try {
+        const { symbol, sector, industry } = req.body || {};
+        const record = sectorTaxonomyService.setOverride(symbol, { sector, industry });
+        res.json({ success: true, data: record });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// 🔴 DELETE /api/market/sectors/override/:symbol - Drop an override
+router.delete('/sectors/override/:symbol', (req, res) => {
+    if (!sectorTaxonomyService.removeOverride(req.params.symbol)) {
+        return res.status(404).json({ success: false, error: `No override for ${req.params.symbol}` });
+    }
+    res.json({ success: true, data: sectorTaxonomyService.getRecord(req.params.symbol) });
+});
+
+// 🔴 POST /api/market/sectors/reload - Re-read the constituents file now
+router.post('/sectors/reload', (req, res) => {
+    const result = sectorTaxonomyService.reload();
+    if (!result.success) {
+        return res.status(422).json({ success: false, error: result.error, data: result });
+    }
+    res.json({ success: true, data: sectorTaxonomyService.getStatus() });
+});
+
+// 🔴 GET /api/market/option-chain/:underlying/:expiry - Full chain + Max Pain + OI walls
+// expiry: DDMMMYYYY (28OCT2026) or YYYY-MM-DD
+router.get('/option-chain/:underlying/:expiry', async (req, res) => {
+    try {
+        const chain = await optionChainService.getChain(req.params.underlying, req.params.expiry);
+        if (!chain) {
+            return res.status(404).json({
+                success: false,
+                error: `No listed options for ${req.params.underlying.toUpperCase()} expiring ${req.params.expiry}`
+            });
+        }
+        res.json({ success: true, data: chain });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 module.exports = router;
@@ -53,6 +53,7 @@ router.get('/trend', (req, res) => {
 
 router.get('/analyze/:symbol', async (req, res) => {
     const { symbol } = req.params;
+    const { timeframe, from, to } = req.query;
     
     const instrument = instruments.getBySymbol(symbol.toUpperCase());
 
@@ -64,12 +65,24 @@ router.get('/analyze/:symbol', async (req, res) => {
     }
 
     try {
-        const candles = await candleService.getRecentCandles(
-            instrument.token,
-            instrument.exchange,
-            'FIVE_MINUTE',
-            100
-        );
+        let candles;
+        if (from) {
+            try {
+                candles = await candleService.getCandleRange(instrument.token, instrument.exchange, timeframe || 'FIVE_MINUTE', from, to);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        } else {
+            candles = await candleService.getRecentCandles(
+                instrument.token,
+                instrument.exchange,
+                timeframe || 'FIVE_MINUTE',
+                100
+            );
+        }
 
         const indicators = indicatorService.getFullIndicators(candles);
         const regime = regimeService.analyzeRegime(candles, indicators);
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const orchestratorService = require('../services/orchestrator.service');
+const signalJournalService = require('../services/signalJournal.service');
 const candleService = require('../services/candle.service');
 const indicatorService = require('../services/indicator.service');
 const instruments = require('../config/instruments.config');
@@ -40,6 +41,25 @@ router.get('/history', (req, res) => {
     });
 });
 
+router.get('/journal', (req, res) => {
+    const { type, source, token, limit } = req.query;
+
+    const entries = signalJournalService.getRecent({
+        type: type ? type.toUpperCase() : undefined,
+        source: source ? source.toUpperCase() : undefined,
+        token,
+        limit: parseInt(limit) || 100
+    });
+
+    res.json({
+        success: true,
+        status: signalJournalService.getStatus(),
+        count: entries.length,
+        entries,
+        timestamp: new Date().toISOString()
+    });
+});
+
 router.get('/analyze/:symbol', async (req, res) => {
     const { symbol } = req.params;
     
@@ -88,7 +108,7 @@ router.get('/analyze/:symbol', async (req, res) => {
 
 router.get('/indicators/:symbol', async (req, res) => {
     const { symbol } = req.params;
-    const { timeframe } = req.query;
+    const { timeframe, from, to } = req.query;
     
     const instrument = instruments.getBySymbol(symbol.toUpperCase());
 
@@ -103,15 +123,26 @@ router.get('/indicators/:symbol', async (req, res) => {
         let candles;
         const interval = timeframe || 'FIVE_MINUTE';
         
-        switch (interval) {
-            case 'ONE_DAY':
-                candles = await candleService.getDailyCandles(instrument.token, instrument.exchange, 60);
-                break;
-            case 'ONE_HOUR':
-                candles = await candleService.getHourlyCandles(instrument.token, instrument.exchange, 30);
-                break;
-            default:
-                candles = await candleService.getRecentCandles(instrument.token, instrument.exchange, interval, 100);
+        if (from) {
+            try {
+                candles = await candleService.getCandleRange(instrument.token, instrument.exchange, interval, from, to);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        } else {
+            switch (interval) {
+                case 'ONE_DAY':
+                    candles = await candleService.getDailyCandles(instrument.token, instrument.exchange, 60);
+                    break;
+                case 'ONE_HOUR':
+                    candles = await candleService.getHourlyCandles(instrument.token, instrument.exchange, 30);
+                    break;
+                default:
+                    candles = await candleService.getRecentCandles(instrument.token, instrument.exchange, interval, 100);
+            }
         }
 
         const indicators = indicatorService.getFullIndicators(candles);
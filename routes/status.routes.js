@@ -2,12 +2,15 @@ const express = require('express');
 const router = express.Router();
 const authService = require('../services/auth.service');
 const wsService = require('../services/websocket.service');
+const marketDataService = require('../services/marketData.service');
 const scannerService = require('../services/scanner.service');
 const candleService = require('../services/candle.service');
 const regimeService = require('../services/regime.service');
+const eventBus = require('../services/eventBus.service');
+const clockService = require('../services/clock.service');
 
 function isMarketHours() {
-    const now = new Date();
+    const now = clockService.date();
     const day = now.getDay();
     if (day === 0 || day === 6) return false;
     
@@ -19,7 +22,7 @@ function isMarketHours() {
 }
 
 function getMarketSession() {
-    const now = new Date();
+    const now = clockService.date();
     const hours = now.getHours();
     const minutes = now.getMinutes();
     const time = hours * 60 + minutes;
@@ -45,6 +48,7 @@ router.get('/', (req, res) => {
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         auth: authStatus,
+        marketData: marketDataService.getStatus(),
         websocket: wsStatus,
         scanner: scannerStatus,
         regime: regime ? {
@@ -56,7 +60,9 @@ router.get('/', (req, res) => {
             isOpen: isMarketHours(),
             session: getMarketSession()
         },
-        cache: candleService.getCacheStats()
+        cache: candleService.getCacheStats(),
+        events: eventBus.getStats(),
+        clock: clockService.getStatus()
     });
 });
 
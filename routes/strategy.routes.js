@@ -0,0 +1,65 @@
+/**
+ * STRATEGY ROUTES
+ * Multi-leg option structures for emitted index signals + payoff analysis
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const strategyBuilderService = require('../services/strategyBuilder.service');
+
+// GET /api/strategy?days=1,3 - Proposals for every active index signal
+router.get('/', async (req, res) => {
+    try {
+        const proposals = await strategyBuilderService.proposeAll({
+            days: strategyBuilderService.parseDays(req.query.days)
+        });
+        res.json({
+            success: true,
+            data: {
+                count: proposals.length,
+                proposals,
+                stats: strategyBuilderService.getStats()
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/strategy/analyze - Payoff for custom legs
+// { underlying, expiry, legs: [{ action: BUY|SELL, optionType: CE|PE, strike, lots }], days: [1, 3] }
+router.post('/analyze', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const analysis = await strategyBuilderService.analyseCustom({
+            ...body,
+            days: strategyBuilderService.parseDays(Array.isArray(body.days) ? body.days.join(',') : body.days)
+        });
+        res.json({ success: true, data: analysis });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/strategy/:underlying?expiry=&days= - Proposals for the underlying's latest index signal
+router.get('/:underlying', async (req, res) => {
+    try {
+        const underlying = req.params.underlying.toUpperCase();
+        const proposal = await strategyBuilderService.proposeForUnderlying(underlying, {
+            expiry: req.query.expiry,
+            days: strategyBuilderService.parseDays(req.query.days)
+        });
+        if (!proposal) {
+            return res.status(404).json({
+                success: false,
+                error: `No active index signal with a live chain for ${underlying}`
+            });
+        }
+        res.json({ success: true, data: proposal });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const pushFeedService = require('../services/pushFeed.service');
+
+// GET /api/stream - Server-Sent Events feed
+// Query: topics=signals,exits,panic,regime (default all), since=<seq> (or Last-Event-ID)
+router.get('/', (req, res) => {
+    pushFeedService.handleSSE(req, res);
+});
+
+// GET /api/stream/status - Push feed clients and buffer
+router.get('/status', (req, res) => {
+    res.json({
+        success: true,
+        data: pushFeedService.getStatus()
+    });
+});
+
+// GET /api/stream/events - Buffered events after a sequence (polling fallback)
+router.get('/events', (req, res) => {
+    const since = pushFeedService.parseSince(req.query.since) ?? 0;
+
+    let topics;
+    try {
+        topics = pushFeedService.parseTopics(req.query.topics);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.json({
+        success: true,
+        data: pushFeedService.getEventsSince(since, topics)
+    });
+});
+
+module.exports = router;
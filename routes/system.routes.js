@@ -5,6 +5,11 @@ const systemMonitorService = require('../services/systemMonitor.service');
 const oiIntelligenceService = require('../services/oiIntelligence.service');
 const crossMarketContextService = require('../services/crossMarketContext.service');
 const safetyService = require('../services/safety.service');
+const tickRecorderService = require('../services/tickRecorder.service');
+const alertDispatcherService = require('../services/alertDispatcher.service');
+const apiAuthService = require('../services/apiAuth.service');
+const clockService = require('../services/clock.service');
+const settings = require('../config/settings.config');
 
 // GET /api/system/universe - Get universe stats
 router.get('/universe', (req, res) => {
@@ -315,6 +320,73 @@ router.get('/expiries', (req, res) => {
     }
 });
 
+// 🔴 TICK RECORDER ENDPOINTS
+
+// GET /api/system/tick-recorder - Recorder / playback status
+router.get('/tick-recorder', (req, res) => {
+    try {
+        res.json({ success: true, data: tickRecorderService.getStatus() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/system/tick-recorder/files - Recorded tick files
+router.get('/tick-recorder/files', (req, res) => {
+    try {
+        res.json({ success: true, data: tickRecorderService.listFiles() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/system/tick-recorder/start - Start capturing the WebSocket stream
+router.post('/tick-recorder/start', (req, res) => {
+    try {
+        const started = tickRecorderService.startRecording();
+        res.json({ success: started, data: tickRecorderService.getStatus() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/system/tick-recorder/stop - Stop capturing
+router.post('/tick-recorder/stop', (req, res) => {
+    try {
+        tickRecorderService.stopRecording();
+        res.json({ success: true, data: tickRecorderService.getStatus() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/system/tick-recorder/play - Play a recorded day { day, speed, tokens }
+router.post('/tick-recorder/play', (req, res) => {
+    try {
+        const { day, speed, tokens } = req.body || {};
+        if (!day || !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+            return res.status(400).json({ success: false, error: 'day (YYYY-MM-DD) required' });
+        }
+        const playback = tickRecorderService.play(day, {
+            speed: speed !== undefined ? parseFloat(speed) : 1,
+            tokens
+        });
+        res.json({ success: true, data: playback });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/system/tick-recorder/play/stop - Cancel running playback
+router.post('/tick-recorder/play/stop', (req, res) => {
+    try {
+        const stopped = tickRecorderService.stopPlayback();
+        res.json({ success: true, data: { stopped, playback: tickRecorderService.getPlaybackStatus() } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 function getDefaultSpot(index) {
     const defaults = {
         'NIFTY': 22000,
@@ -326,4 +398,137 @@ function getDefaultSpot(index) {
     return defaults[index.toUpperCase()] || 20000;
 }
 
+// GET /api/system/alerts - Alert dispatcher sinks and delivery stats
+router.get('/alerts', (req, res) => {
+    res.json({
+        success: true,
+        data: alertDispatcherService.getStatus()
+    });
+});
+
+// GET /api/system/alerts/history - Recently dispatched alerts
+router.get('/alerts/history', (req, res) => {
+    const limit = parseInt(req.query.limit) || 50;
+    res.json({
+        success: true,
+        data: alertDispatcherService.getHistory(limit)
+    });
+});
+
+// POST /api/system/alerts/test - Send a test alert to every sink
+router.post('/alerts/test', async (req, res) => {
+    try {
+        const results = await alertDispatcherService.sendTest(req.body?.text);
+        res.json({ success: true, data: results });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/system/alerts/stub - Payloads received by the local stub sink
+router.get('/alerts/stub', (req, res) => {
+    res.json({
+        success: true,
+        data: alertDispatcherService.getStubReceived()
+    });
+});
+
+// POST /api/system/alerts/stub/fail - Make the stub sink fail the next N requests
+router.post('/alerts/stub/fail', (req, res) => {
+    alertDispatcherService.setStubFailures(parseInt(req.body?.count) || 1);
+    res.json({ success: true, data: alertDispatcherService.getStatus() });
+});
+
+// GET /api/system/auth - API auth configuration and counters (no secrets)
+router.get('/auth', (req, res) => {
+    res.json({
+        success: true,
+        data: apiAuthService.getStatus()
+    });
+});
+
+// POST /api/system/auth/token - Issue a JWT { subject, role, ttlSeconds } (operator)
+router.post('/auth/token', (req, res) => {
+    const { subject, role, ttlSeconds } = req.body || {};
+    if (!subject) {
+        return res.status(400).json({ success: false, error: 'subject is required' });
+    }
+
+    try {
+        const token = apiAuthService.issueToken(subject, role, parseInt(ttlSeconds) || undefined);
+        res.json({ success: true, data: { token, subject, role: role || apiAuthService.ROLES.READ } });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/system/audit - Recent state-changing requests
+router.get('/audit', (req, res) => {
+    const limit = parseInt(req.query.limit) || 100;
+    res.json({
+        success: true,
+        data: apiAuthService.getAuditTrail(limit)
+    });
+});
+
+// 🔴 CLOCK ENDPOINTS (debug - 404 unless CLOCK_DEBUG=true)
+
+router.use('/clock', (req, res, next) => {
+    if (!settings.clock.debugEndpoint) {
+        return res.status(404).json({ success: false, error: 'Clock controls are disabled (set CLOCK_DEBUG=true to enable)' });
+    }
+    next();
+});
+
+// GET /api/system/clock - Clock mode and current time
+router.get('/clock', (req, res) => {
+    res.json({ success: true, data: clockService.getStatus() });
+});
+
+// POST /api/system/clock/set - Freeze the clock at { time } (epoch ms or ISO, e.g. 2026-10-19T09:20:00+05:30)
+router.post('/clock/set', (req, res) => {
+    const { time } = req.body || {};
+    if (time === undefined) {
+        return res.status(400).json({ success: false, error: 'time is required' });
+    }
+
+    try {
+        clockService.set(time);
+        res.json({ success: true, data: clockService.getStatus() });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/system/clock/advance - Jump the fake clock forward { ms }
+router.post('/clock/advance', (req, res) => {
+    try {
+        clockService.advance(Number(req.body?.ms));
+        res.json({ success: true, data: clockService.getStatus() });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/system/clock/fast-forward - Step the fake clock to { to, stepMs } firing bar closes on the way
+router.post('/clock/fast-forward', (req, res) => {
+    const { to, stepMs } = req.body || {};
+    if (to === undefined) {
+        return res.status(400).json({ success: false, error: 'to is required' });
+    }
+
+    try {
+        const result = clockService.fastForward(to, stepMs !== undefined ? Number(stepMs) : undefined);
+        res.json({ success: true, data: { ...result, clock: clockService.getStatus() } });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/system/clock/real - Back to the wall clock
+router.post('/clock/real', (req, res) => {
+    clockService.useReal();
+    res.json({ success: true, data: clockService.getStatus() });
+});
+
 module.exports = router;
@@ -3,6 +3,7 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const routes = require('./routes');
+const settings = require('./config/settings.config');
 const authService = require('./services/auth.service');
 const wsService = require('./services/websocket.service');
 const scannerService = require('./services/scanner.service');
@@ -10,6 +11,8 @@ const marketScannerLoopService = require('./services/marketScannerLoop.service')
 const explosionService = require('./services/explosion.service');
 const premiumMomentumService = require('./services/premiumMomentum.service');
 const candleService = require('./services/candle.service');
+const barBuilderService = require('./services/barBuilder.service');
+const candleStoreService = require('./services/candleStore.service');
 const marketAggregatorService = require('./services/marketAggregator.service');
 const strikeSweepService = require('./services/strikeSweep.service');
 const runnerEngineService = require('./services/runnerEngine.service');
@@ -22,6 +25,13 @@ const safetyService = require('./services/safety.service');
 const marketStateService = require('./services/marketState.service');
 const globalRankingService = require('./services/globalRanking.service');
 const capitalGuardService = require('./services/capitalGuard.service');
+const signalJournalService = require('./services/signalJournal.service');
+const apiAuthService = require('./services/apiAuth.service');
+const sectorTaxonomyService = require('./services/sectorTaxonomy.service');
+const confidenceCalibrationService = require('./services/confidenceCalibration.service');
+const thresholdProfilesService = require('./services/thresholdProfiles.service');
+const shadowEvaluationService = require('./services/shadowEvaluation.service');
+const tickRecorderService = require('./services/tickRecorder.service');
 
 // Phase 4: Institutional Grade Services
 const masterSignalGuardService = require('./services/masterSignalGuard.service');
@@ -35,6 +45,11 @@ const thetaEngineService = require('./services/thetaEngine.service');
 const expiryRolloverService = require('./services/expiryRollover.service');
 const panicKillSwitchService = require('./services/panicKillSwitch.service');
 const circuitBreakerService = require('./services/circuitBreaker.service');
+const orderbookDepthService = require('./services/orderbookDepth.service');
+const executionRealityService = require('./services/executionReality.service');
+const paperBrokerService = require('./services/paperBroker.service');
+const pushFeedService = require('./services/pushFeed.service');
+const alertDispatcherService = require('./services/alertDispatcher.service');
 const volatilityRegimeService = require('./services/volatilityRegime.service');
 const crowdingDetectorService = require('./services/crowdingDetector.service');
 const correlationEngineService = require('./services/correlationEngine.service');
@@ -42,11 +57,13 @@ const liquidityShockService = require('./services/liquidityShock.service');
 const drawdownGuardService = require('./services/drawdownGuard.service');
 const gapDayService = require('./services/gapDay.service');
 const ivSkewService = require('./services/ivSkew.service');
+const optionChainService = require('./services/optionChain.service');
+const futuresAnalyticsService = require('./services/futuresAnalytics.service');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-app.use(cors());
+app.use(cors(settings.apiAuth.corsOrigins ? { origin: settings.apiAuth.corsOrigins } : undefined));
 app.use(express.json());
 
 app.use('/api', routes);
@@ -130,190 +147,248 @@ async function startServer() {
         console.log('[BOOT SEQUENCE INITIATED]');
         console.log('');
 
-        console.log('[1/10] Authenticating with Angel One...');
+        const authWarning = apiAuthService.getBootWarning();
+        if (authWarning) {
+            console.log(`[API_AUTH] ⚠️ ${authWarning}`);
+            console.log('');
+        }
+
+        console.log('[1/29] Restoring Signal Journal...');
+        const journalRestore = signalJournalService.initialize();
+        console.log('[1/29] ✓ Signal Journal ready');
+        console.log(`      Entries Restored: ${journalRestore.restored}`);
+        console.log('');
+
+        console.log('[2/29] Opening Candle Store...');
+        candleStoreService.initialize();
+        console.log('[2/29] ✓ Candle Store ready');
+        console.log('');
+
+        console.log('[3/29] Loading Sector Taxonomy...');
+        sectorTaxonomyService.start();
+        const taxonomyStatus = sectorTaxonomyService.getStatus();
+        console.log('[3/29] ✓ Sector Taxonomy ready');
+        console.log(`      Version: ${taxonomyStatus.version} | Symbols: ${taxonomyStatus.symbols} | Sectors: ${taxonomyStatus.sectors} | Overrides: ${taxonomyStatus.overrides}`);
+        console.log('');
+
+        console.log('[4/29] Loading Confidence Calibration...');
+        const calibration = confidenceCalibrationService.initialize();
+        console.log('[4/29] ✓ Confidence weights ready');
+        console.log(`      Weight Set: ${calibration.active || 'V6_DEFAULT'}${calibration.activatedOnBoot ? ' (approved - activated this boot)' : ''}`);
+        console.log('');
+
+        console.log('[5/29] Loading Threshold Profiles...');
+        const thresholds = thresholdProfilesService.initialize();
+        console.log('[5/29] ✓ Thresholds locked');
+        console.log(`      Profile: ${thresholds.active}${thresholds.activatedOnBoot ? ' (promoted - activated this boot)' : ''}${thresholds.drift ? ' | ⚠️ running values differ from profile' : ''}`);
+        console.log('');
+
+        console.log(`[6/29] Authenticating with market data provider (${settings.marketData.provider})...`);
         await authService.login();
-        console.log('[1/10] ✓ Authentication successful');
-        console.log(`      JWT Token: ${authService.jwtToken ? 'Obtained' : 'Missing'}`);
-        console.log(`      Feed Token: ${authService.feedToken ? 'Obtained' : 'Missing'}`);
+        const authStatus = authService.getStatus();
+        console.log('[6/29] ✓ Authentication successful');
+        console.log(`      Provider: ${authStatus.provider}${settings.marketData.fallback ? ` (fallback: ${settings.marketData.fallback})` : ''}`);
+        console.log(`      JWT Token: ${authStatus.hasJwtToken ? 'Obtained' : 'Missing'}`);
+        console.log(`      Feed Token: ${authStatus.hasFeedToken ? 'Obtained' : 'Missing'}`);
         console.log('');
 
-        console.log('[2/10] Loading Universe (NSE EQ + F&O)...');
+        console.log('[7/29] Loading Universe (NSE EQ + F&O)...');
         await universeLoaderService.initialize();
         const universeStats = universeLoaderService.getStats();
-        console.log('[2/10] ✓ Universe loaded');
+        console.log('[7/29] ✓ Universe loaded');
         console.log(`      NSE Equity: ${universeStats.nseEquityCount}`);
         console.log(`      F&O Stocks: ${universeStats.fnoStocksCount}`);
         console.log(`      Total Instruments: ${universeStats.totalInstruments}`);
         console.log('');
 
-        console.log('[3/10] Starting System Monitor (CPU/Memory)...');
+        console.log('[8/29] Starting System Monitor (CPU/Memory)...');
         systemMonitorService.initialize();
         setupCPUProtection();
-        console.log('[3/10] ✓ System Monitor initialized');
+        console.log('[8/29] ✓ System Monitor initialized');
         console.log(`      CPU Warning: ${systemMonitorService.config.cpuWarningThreshold}%`);
         console.log(`      CPU Critical: ${systemMonitorService.config.cpuCriticalThreshold}%`);
         console.log(`      Memory Limit: ${systemMonitorService.config.memoryCriticalMB}MB`);
         console.log('');
 
-        console.log('[4/10] Starting WebSocket connection...');
+        console.log('[9/29] Starting WebSocket connection...');
+        const tickRecording = tickRecorderService.initialize();
         await wsService.connect();
-        console.log('[4/10] ✓ WebSocket initialized');
+        barBuilderService.start();
+        console.log('[9/29] ✓ WebSocket initialized');
         const wsStatus = wsService.getStatus();
         console.log(`      Max Subscriptions: ${wsStatus.maxSubscriptions}`);
+        console.log(`      Tick Recorder: ${tickRecording ? 'RECORDING' : 'OFF'}`);
+        console.log(`      Live Bars: 1m / 3m / 5m / 15m from ticks`);
         console.log(`      Buckets: CORE | ACTIVE | EXPLOSION | ROTATION`);
         console.log('');
 
-        console.log('[5/10] Initializing Scanner Loop Engine...');
+        console.log('[10/29] Initializing Scanner Loop Engine...');
         await marketScannerLoopService.initialize();
-        console.log('[5/10] ✓ Scanner Loop initialized');
+        console.log('[10/29] ✓ Scanner Loop initialized');
         const scannerStatus = marketScannerLoopService.getStatus();
         console.log(`      Core Tokens: ${scannerStatus.buckets.core}`);
         console.log(`      Batch Size: 20 tokens`);
         console.log('');
 
-        console.log('[6/10] Initializing Strike Sweep Engine...');
+        console.log('[11/29] Initializing Strike Sweep Engine...');
         await strikeSweepService.initialize();
         const premiumRange = strikeSweepService.getDynamicPremiumRange();
-        console.log('[6/10] ✓ Strike Sweep Engine initialized');
+        console.log('[11/29] ✓ Strike Sweep Engine initialized');
         console.log(`      ATM Window: ±20 strikes`);
         console.log(`      Premium Filter: ₹${premiumRange.minPremium}-₹${premiumRange.maxPremium} (${premiumRange.volatility})`);
         console.log('');
 
-        console.log('[7/10] Initializing Runner Engine...');
+        console.log('[12/29] Initializing Runner Engine...');
         runnerEngineService.initialize();
-        console.log('[7/10] ✓ Runner Engine initialized');
+        console.log('[12/29] ✓ Runner Engine initialized');
         console.log(`      Early Move Detection: 1.5%`);
         console.log(`      Volume Spike: 3x`);
         console.log(`      Strict Validation: 4/6 rules`);
         console.log(`      Tier Tracking: 8% | 12% | 15% | 20%`);
         console.log('');
 
-        console.log('[8/16] Initializing Market State Foundation...');
+        console.log('[13/29] Initializing Market State Foundation...');
         marketStateService.initialize();
-        console.log('[8/16] ✓ Market State initialized');
+        marketStateService.start();
+        console.log('[13/29] ✓ Market State initialized');
         console.log(`      Centralized State Store: Active`);
         console.log(`      VWAP/RelativeStrength: Active`);
         console.log('');
 
-        console.log('[9/16] Initializing Global Ranking Engine...');
+        console.log('[14/29] Initializing Global Ranking Engine...');
         globalRankingService.initialize();
-        console.log('[9/16] ✓ Global Ranking initialized');
+        console.log('[14/29] ✓ Global Ranking initialized');
         console.log(`      Update Interval: 5 seconds`);
         console.log(`      Rankings: Gainers | Losers | Momentum | Volume | RS`);
         console.log('');
 
-        console.log('[10/16] Initializing OI Intelligence Layer...');
+        console.log('[15/29] Initializing OI Intelligence Layer...');
         oiIntelligenceService.initialize();
-        console.log('[10/16] ✓ OI Intelligence initialized');
+        console.log('[15/29] ✓ OI Intelligence initialized');
         console.log(`      OI Delta Tracking: Active`);
         console.log(`      PCR Monitoring: NIFTY | BANKNIFTY | FINNIFTY`);
         console.log(`      Buildup Detection: LONG | SHORT | COVERING | UNWINDING`);
         console.log('');
 
-        console.log('[11/16] Initializing Cross-Market Context Engine...');
+        console.log('[16/29] Initializing Cross-Market Context Engine...');
         crossMarketContextService.initialize();
-        console.log('[11/16] ✓ Cross-Market Context initialized');
+        console.log('[16/29] ✓ Cross-Market Context initialized');
         console.log(`      Index Bias Tracking: Active`);
         console.log(`      Sector Leadership: Active`);
         console.log(`      Context Weight: 20% max influence`);
         console.log('');
 
-        console.log('[12/16] Initializing Capital Guard...');
+        console.log('[17/29] Initializing Capital Guard...');
         capitalGuardService.initialize();
-        console.log('[12/16] ✓ Capital Guard initialized');
+        console.log('[17/29] ✓ Capital Guard initialized');
         console.log(`      VIX Guard: Active`);
         console.log(`      Crash Guard: Active`);
         console.log(`      Spike Guard: Active`);
         console.log(`      Liquidity Guard: Active`);
         console.log('');
 
-        console.log('[13/16] Initializing VIX Safety Layer...');
+        console.log('[18/29] Initializing VIX Safety Layer...');
         safetyService.initializeVIXMonitoring();
         const vixData = safetyService.getVIXData();
-        console.log('[13/16] ✓ VIX Safety initialized');
+        console.log('[18/29] ✓ VIX Safety initialized');
         console.log(`      Current VIX: ${vixData.vix} (${vixData.level})`);
         console.log(`      Premium Band: ₹${vixData.premiumAdjustment.minPremium}-₹${vixData.premiumAdjustment.maxPremium}`);
         console.log('');
 
-        console.log('[14/16] Initializing Signal Cooldown System...');
+        console.log('[19/29] Initializing Signal Cooldown System...');
         signalCooldownService.initialize();
-        console.log('[14/16] ✓ Signal Cooldown initialized');
+        console.log('[19/29] ✓ Signal Cooldown initialized');
         console.log(`      Cooldown: 15 minutes`);
         console.log(`      Deduplication: Active`);
         console.log('');
 
-        console.log('[15/16] Starting Scanner Loop...');
+        console.log('[20/29] Starting Scanner Loop...');
         await marketScannerLoopService.start();
-        console.log('[15/16] ✓ Scanner Loop running');
+        console.log('[20/29] ✓ Scanner Loop running');
         console.log('');
 
-        console.log('[16/24] Warming Candle Cache...');
+        console.log('[21/29] Warming Candle Cache...');
         await warmCandleCache();
-        console.log('[16/24] ✓ Cache warmed');
+        console.log('[21/29] ✓ Cache warmed');
         console.log('');
 
         // ============ INSTITUTIONAL GRADE SERVICES ============
-        console.log('[17/24] Initializing Master Signal Guard...');
+        console.log('[22/29] Initializing Master Signal Guard...');
         await masterSignalGuardService.initialize();
-        console.log('[17/24] ✓ Master Signal Guard initialized');
+        console.log('[22/29] ✓ Master Signal Guard initialized');
         console.log(`      39+ validation layers: Active`);
         console.log('');
 
-        console.log('[18/24] Initializing Market Breadth Engine...');
+        console.log('[23/29] Initializing Market Breadth Engine...');
         breadthService.start();
-        console.log('[18/24] ✓ Market Breadth Engine started');
+        console.log('[23/29] ✓ Market Breadth Engine started');
         console.log('');
 
-        console.log('[19/24] Initializing Relative Strength Engine...');
+        console.log('[24/29] Initializing Relative Strength Engine...');
         relativeStrengthService.start();
-        console.log('[19/24] ✓ Relative Strength Engine started');
+        console.log('[24/29] ✓ Relative Strength Engine started');
         console.log('');
 
-        console.log('[20/24] Initializing Liquidity Tier Engine...');
+        console.log('[25/29] Initializing Liquidity Tier Engine...');
         liquidityTierService.start();
-        console.log('[20/24] ✓ Liquidity Tier Engine started');
+        console.log('[25/29] ✓ Liquidity Tier Engine started');
         console.log('');
 
-        console.log('[21/24] Initializing Options Intelligence...');
+        console.log('[26/29] Initializing Options Intelligence...');
         gammaClusterService.start();
         thetaEngineService.start();
         expiryRolloverService.initialize();
         ivSkewService.start();
-        console.log('[21/24] ✓ Options Intelligence started');
+        optionChainService.start();
+        futuresAnalyticsService.start();
+        console.log('[26/29] ✓ Options Intelligence started');
         console.log(`      Gamma Cluster: Active`);
         console.log(`      Theta Engine: Active`);
         console.log(`      IV Skew: Active`);
+        console.log(`      Option Chain Migration: Sampling every 5m`);
+        console.log(`      Futures Basis / Rollover: Active`);
         console.log(`      Expiry Rollover: Active`);
         console.log('');
 
-        console.log('[22/24] Initializing Risk Guards...');
+        console.log('[27/29] Initializing Risk Guards...');
         panicKillSwitchService.start();
         circuitBreakerService.start();
         liquidityShockService.start();
-        console.log('[22/24] ✓ Risk Guards started');
+        orderbookDepthService.start();
+        executionRealityService.start();
+        const paperTrading = paperBrokerService.start();
+        const shadowAB = shadowEvaluationService.start();
+        console.log('[27/29] ✓ Risk Guards started');
         console.log(`      Panic Kill Switch: Active`);
-        console.log(`      Circuit Breaker: Active`);
+        console.log(`      Circuit Breaker: Active (SnapQuote bands)`);
+        console.log(`      Orderbook Depth: Active (SnapQuote best five)`);
+        console.log(`      Execution Reality: Active (live spread/depth)`);
         console.log(`      Liquidity Shock: Active`);
+        console.log(`      Paper Broker: ${paperTrading ? 'ACTIVE' : 'OFF'}`);
+        console.log(`      Shadow A/B: ${shadowAB ? `ACTIVE (challenger ${shadowEvaluationService.config.challenger.name})` : 'OFF'}`);
         console.log('');
 
-        console.log('[23/24] Initializing Advanced Analytics...');
+        console.log('[28/29] Initializing Advanced Analytics...');
         volatilityRegimeService.start();
         crowdingDetectorService.start();
         correlationEngineService.start();
         gapDayService.detectGap();
-        console.log('[23/24] ✓ Advanced Analytics started');
+        console.log('[28/29] ✓ Advanced Analytics started');
         console.log(`      Volatility Regime: Active`);
         console.log(`      Crowding Detector: Active`);
         console.log(`      Correlation Engine: Active`);
         console.log(`      Gap Day Detection: Active`);
         console.log('');
 
-        console.log('[24/24] Initializing Clock Sync...');
+        console.log('[29/29] Initializing Clock Sync...');
         clockSyncService.start();
-        console.log('[24/24] ✓ Clock Sync started');
+        console.log('[29/29] ✓ Clock Sync started');
         console.log('');
 
-        app.listen(PORT, '0.0.0.0', () => {
+        pushFeedService.start();
+        await alertDispatcherService.start();
+
+        const server = app.listen(PORT, '0.0.0.0', () => {
             console.log('╔═══════════════════════════════════════════════════════════════╗');
             console.log('║                    BOOT SEQUENCE COMPLETE                     ║');
             console.log('╠═══════════════════════════════════════════════════════════════╣');
@@ -325,6 +400,7 @@ async function startServer() {
             console.log(`║   Explosions:   http://localhost:${PORT}/api/scanner/explosions║`);
             console.log(`║   Aggregator:   http://localhost:${PORT}/api/aggregator        ║`);
             console.log(`║   System:       http://localhost:${PORT}/api/system/health     ║`);
+            console.log(`║   Push Feed:    http://localhost:${PORT}/api/stream            ║`);
             console.log('║                                                               ║');
             console.log('╠═══════════════════════════════════════════════════════════════╣');
             console.log('║   ACTIVE MODULES:                                             ║');
@@ -369,6 +445,7 @@ async function startServer() {
             console.log('║   ✓ Block Order Detector                                      ║');
             console.log('║   ✓ Liquidity Shock Filter                                    ║');
             console.log('║   ✓ IV Skew Curve Engine                                      ║');
+            console.log('║   ✓ Futures Basis & Rollover                                  ║');
             console.log('║   ✓ Divergence Engine (Underlying vs Option)                  ║');
             console.log('║   ✓ Confidence Scoring (0-100)                                ║');
             console.log('╠═══════════════════════════════════════════════════════════════╣');
@@ -380,6 +457,8 @@ async function startServer() {
             logActiveBuckets();
         });
 
+        pushFeedService.attach(server);
+
     } catch (error) {
         console.error('[STARTUP ERROR]', error.message);
         
@@ -440,6 +519,17 @@ process.on('SIGINT', () => {
     crossMarketContextService.stop();
     globalRankingService.stop();
     safetyService.stop();
+    tickRecorderService.stopRecording();
+    barBuilderService.stop();
+    candleStoreService.stop();
+    paperBrokerService.stop();
+    shadowEvaluationService.stop();
+    futuresAnalyticsService.stop();
+    pushFeedService.stop();
+    alertDispatcherService.stop();
+    sectorTaxonomyService.stop();
+    apiAuthService.stop();
+    signalJournalService.stop();
     wsService.disconnect();
     process.exit(0);
 });
@@ -452,6 +542,17 @@ process.on('SIGTERM', () => {
     crossMarketContextService.stop();
     globalRankingService.stop();
     safetyService.stop();
+    tickRecorderService.stopRecording();
+    barBuilderService.stop();
+    candleStoreService.stop();
+    paperBrokerService.stop();
+    shadowEvaluationService.stop();
+    futuresAnalyticsService.stop();
+    pushFeedService.stop();
+    alertDispatcherService.stop();
+    sectorTaxonomyService.stop();
+    apiAuthService.stop();
+    signalJournalService.stop();
     wsService.disconnect();
     process.exit(0);
 });
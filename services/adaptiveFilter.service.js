@@ -1,4 +1,5 @@
 const settings = require('../config/settings.config');
+const clock = require('./clock.service');
 
 class AdaptiveFilterService {
     constructor() {
@@ -41,7 +42,7 @@ class AdaptiveFilterService {
             scanned: scannedCount,
             candidates: candidateCount,
             percent: candidatePercent,
-            timestamp: Date.now()
+            timestamp: clock.now()
         });
 
         if (this.scanHistory.length > this.config.historySize) {
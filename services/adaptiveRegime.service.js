@@ -25,6 +25,9 @@
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
+const calendarService = require('./calendar.service');
+const clock = require('./clock.service');
+
 class AdaptiveRegimeService {
     constructor() {
         this.config = {
@@ -279,12 +282,12 @@ class AdaptiveRegimeService {
         if (newRegime !== this.state.currentRegime) {
             this.state.previousRegime = this.state.currentRegime;
             this.state.currentRegime = newRegime;
-            this.state.regimeStartTime = Date.now();
+            this.state.regimeStartTime = clock.now();
             this.state.transitionCount++;
 
             this.state.regimeHistory.push({
                 regime: newRegime,
-                timestamp: Date.now(),
+                timestamp: clock.now(),
                 confidence: maxScore,
                 metrics: {
                     atrSlope: avgATRSlope,
@@ -352,18 +355,25 @@ class AdaptiveRegimeService {
     }
 
     /**
-     * Calculate opening range
+     * Calculate opening range - today's 5m candles inside the first
+     * openingRangeWindow minutes, once that window has closed
      */
-    calculateOpeningRange() {
+    calculateOpeningRange(now = clock.now()) {
         const candles = this.niftyData.candles5m;
-        if (!candles || candles.length < 3) {
+        if (!candles || candles.length === 0) {
             return;
         }
 
-        // First 15 minutes = 3 five-minute candles
-        const orCandles = candles.slice(0, Math.min(3, candles.length));
-        
-        if (orCandles.length === 0) return;
+        const openMs = calendarService.getSessionOpenTime('EQUITY', now);
+        const orEndMs = openMs + this.config.openingRangeWindow * 60 * 1000;
+
+        const orCandles = now < orEndMs ? [] : candles.filter(c => c.timestamp >= openMs && c.timestamp < orEndMs);
+
+        // Still forming, or today's open not in the feed - no opening range yet
+        if (orCandles.length === 0) {
+            this.state.openingRange = { high: 0, low: 0, percent: 0 };
+            return;
+        }
 
         const orHigh = Math.max(...orCandles.map(c => c.high));
         const orLow = Math.min(...orCandles.map(c => c.low));
@@ -517,7 +527,7 @@ class AdaptiveRegimeService {
             volatilityScore: this.state.volatilityScore,
             regimeConfidence: this.state.regimeConfidence,
             regimeDuration: this.state.regimeStartTime 
-                ? Math.round((Date.now() - this.state.regimeStartTime) / 60000) 
+                ? Math.round((clock.now() - this.state.regimeStartTime) / 60000) 
                 : 0,
             metrics: {
                 atrSlope5m: this.state.atrSlope5m,
@@ -0,0 +1,494 @@
+/**
+ * ALERT DISPATCHER SERVICE - OUTBOUND NOTIFICATIONS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Tell someone when a signal or exit matters, without them watching the API
+ *
+ * EVENTS:
+ * - SIGNAL : Guard-approved signal emitted (orchestrator.recordSignal)
+ * - EXIT   : New exit signal from exit commander (exitCommander.onExitSignal)
+ *
+ * SINKS (pluggable - send(alert) returns a promise):
+ * - webhook  : JSON POST { text, event, data } to any URL
+ * - telegram : Bot API sendMessage
+ * - stub     : Webhook into a local HTTP receiver started here (testing)
+ * - console  : Log line only
+ *
+ * PER-SINK FILTERS: events, signal types, min confidence grade,
+ * instrument class (EQUITY / FUTURES / OPTION / INDEX), exit priorities
+ *
+ * DELIVERY: {{path}} templates, retry with exponential backoff,
+ * dedup per token/type/direction inside the signalCooldown window
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const http = require('http');
+const axios = require('axios');
+const settings = require('../config/settings.config');
+const signalCooldownService = require('./signalCooldown.service');
+const exitCommanderService = require('./exitCommander.service');
+const universeLoader = require('./universeLoader.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
+
+const ALERT_EVENTS = {
+    SIGNAL: 'SIGNAL',
+    EXIT: 'EXIT'
+};
+
+const GRADE_ORDER = ['F', 'D', 'C', 'B', 'B+', 'A', 'A+'];
+
+const DEFAULT_TEMPLATES = {
+    SIGNAL: '{{signal}} {{instrument.symbol}} @ {{price}} | SL {{stopLoss}} | T1 {{target1}} | Grade {{guardValidation.confidenceGrade}}',
+    EXIT: 'EXIT {{symbol}} {{direction}} | {{exitType}}:{{exitSubtype}} ({{exitPriority}}) | PnL {{currentPnL}}% | {{exitReason}}'
+};
+
+/**
+ * Webhook sink - JSON POST
+ */
+class WebhookSink {
+    constructor(options) {
+        this.type = 'webhook';
+        this.url = options.url;
+        this.headers = options.headers || {};
+        this.timeoutMs = options.timeoutMs || 5000;
+    }
+
+    async send(alert) {
+        await axios.post(this.url, {
+            text: alert.text,
+            event: alert.event,
+            data: alert.data,
+            timestamp: alert.timestamp
+        }, { headers: this.headers, timeout: this.timeoutMs });
+    }
+}
+
+/**
+ * Telegram sink - Bot API sendMessage
+ */
+class TelegramSink {
+    constructor(options) {
+        this.type = 'telegram';
+        this.botToken = options.botToken;
+        this.chatId = options.chatId;
+        this.apiBase = options.apiBase || 'https://api.telegram.org';
+        this.timeoutMs = options.timeoutMs || 5000;
+    }
+
+    async send(alert) {
+        await axios.post(`${this.apiBase}/bot${this.botToken}/sendMessage`, {
+            chat_id: this.chatId,
+            text: alert.text,
+            disable_web_page_preview: true
+        }, { timeout: this.timeoutMs });
+    }
+}
+
+/**
+ * Console sink - log only
+ */
+class ConsoleSink {
+    constructor() {
+        this.type = 'console';
+    }
+
+    async send(alert) {
+        console.log(`[ALERT] ${alert.event} | ${alert.text}`);
+    }
+}
+
+/**
+ * Local HTTP receiver for the stub sink - records every POST it gets
+ */
+class StubAlertServer {
+    constructor(port) {
+        this.port = port;
+        this.server = null;
+        this.received = [];
+        this.failNext = 0;            // Respond 500 to the next N requests (retry testing)
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => { body += chunk; });
+                req.on('end', () => {
+                    if (this.failNext > 0) {
+                        this.failNext--;
+                        res.writeHead(500);
+                        return res.end('stub failure');
+                    }
+
+                    try {
+                        this.received.push({ ...JSON.parse(body), receivedAt: clock.now() });
+                    } catch (e) {
+                        this.received.push({ raw: body, receivedAt: clock.now() });
+                    }
+                    if (this.received.length > 100) this.received.shift();
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end('{"ok":true}');
+                });
+            });
+
+            this.server.once('error', reject);
+            this.server.listen(this.port, '127.0.0.1', () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    stop() {
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+}
+
+class AlertDispatcherService {
+    constructor() {
+        this.config = {
+            enabled: false,
+            maxRetries: 3,
+            retryBaseMs: 1000,            // 1s, 2s, 4s ...
+            historySize: 200,
+            sinks: []                     // [{ name, type, filters, template, ...options }]
+        };
+
+        this.sinks = new Map();           // name -> { sink, filters, templates, stats }
+        this.lastAlerted = new Map();     // dedup key -> timestamp
+        this.history = [];
+        this.retryTimers = new Set();
+        this.unsubscribeExits = null;
+        this.unsubscribeSignals = null;
+        this.stubServer = null;
+        this.running = false;
+
+        this.stats = {
+            received: 0,
+            dispatched: 0,
+            deduped: 0,
+            delivered: 0,
+            failed: 0,
+            retries: 0
+        };
+    }
+
+    loadConfig() {
+        const alertConfig = settings.alerts || {};
+        this.config = {
+            ...this.config,
+            ...alertConfig
+        };
+    }
+
+    /**
+     * Build sinks from config and subscribe to exits
+     */
+    async start() {
+        this.loadConfig();
+        if (!this.config.enabled) {
+            console.log('[ALERT_DISPATCHER] Disabled (ALERTS_ENABLED != true)');
+            return false;
+        }
+        if (this.running) return true;
+
+        for (const sinkConfig of this.config.sinks) {
+            try {
+                await this.addSink(sinkConfig);
+            } catch (error) {
+                console.error(`[ALERT_DISPATCHER] Sink ${sinkConfig.name} failed to start:`, error.message);
+            }
+        }
+
+        this.unsubscribeExits = exitCommanderService.onExitSignal(exit => this.onExitSignal(exit), 'ALERT_DISPATCHER');
+        this.unsubscribeSignals = eventBus.subscribe(eventBus.EVENTS.SIGNAL_EMITTED, signal => this.onSignalEmitted(signal), 'ALERT_DISPATCHER');
+        this.running = true;
+
+        console.log(`[ALERT_DISPATCHER] Started - sinks: ${Array.from(this.sinks.keys()).join(', ') || 'none'}`);
+        return true;
+    }
+
+    stop() {
+        if (this.unsubscribeExits) {
+            this.unsubscribeExits();
+            this.unsubscribeExits = null;
+        }
+        if (this.unsubscribeSignals) {
+            this.unsubscribeSignals();
+            this.unsubscribeSignals = null;
+        }
+        for (const timer of this.retryTimers) {
+            clearTimeout(timer);
+        }
+        this.retryTimers.clear();
+
+        if (this.stubServer) {
+            this.stubServer.stop();
+            this.stubServer = null;
+        }
+
+        this.sinks.clear();
+        if (this.running) {
+            this.running = false;
+            console.log('[ALERT_DISPATCHER] Stopped');
+        }
+    }
+
+    /**
+     * Register a sink
+     * @param {object} sinkConfig - { name, type, filters, templates, ...sink options }
+     */
+    async addSink(sinkConfig) {
+        const { name, type } = sinkConfig;
+        let sink;
+
+        switch (type) {
+            case 'webhook':
+                sink = new WebhookSink(sinkConfig);
+                break;
+            case 'telegram':
+                sink = new TelegramSink(sinkConfig);
+                break;
+            case 'console':
+                sink = new ConsoleSink();
+                break;
+            case 'stub': {
+                if (!this.stubServer) {
+                    this.stubServer = new StubAlertServer(sinkConfig.port || 0);
+                    await this.stubServer.start();
+                    console.log(`[ALERT_DISPATCHER] Stub receiver on http://127.0.0.1:${this.stubServer.port}`);
+                }
+                sink = new WebhookSink({ url: `http://127.0.0.1:${this.stubServer.port}/alerts` });
+                sink.type = 'stub';
+                break;
+            }
+            default:
+                throw new Error(`Unknown alert sink type: ${type}`);
+        }
+
+        this.sinks.set(name, {
+            name,
+            sink,
+            filters: sinkConfig.filters || {},
+            templates: { ...DEFAULT_TEMPLATES, ...(sinkConfig.templates || {}) },
+            stats: { delivered: 0, failed: 0, filtered: 0 }
+        });
+
+        return sink;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // EVENT INTAKE
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Orchestrator hook for emitted signals
+     */
+    onSignalEmitted(signal) {
+        if (!this.running || !signal?.instrument) return null;
+
+        const context = {
+            token: signal.instrument.token,
+            signalType: signal.signal,
+            grade: signal.guardValidation?.confidenceGrade || null,
+            instrumentClass: this.getInstrumentClass(signal.instrument.token),
+            dedupKey: `${signal.instrument.token}_${signal.signal}_${signal.direction}`
+        };
+
+        return this.dispatch(ALERT_EVENTS.SIGNAL, signal, context);
+    }
+
+    onExitSignal(exitSignal) {
+        if (!this.running) return null;
+
+        const context = {
+            token: exitSignal.token,
+            exitPriority: exitSignal.exitPriority,
+            instrumentClass: this.getInstrumentClass(exitSignal.token),
+            dedupKey: `${exitSignal.token}_EXIT_${exitSignal.exitType}_${exitSignal.exitSubtype}`
+        };
+
+        return this.dispatch(ALERT_EVENTS.EXIT, exitSignal, context);
+    }
+
+    /**
+     * Route one event to every sink whose filters match
+     * @returns {Promise<object>|null} null when deduped
+     */
+    dispatch(event, data, context) {
+        this.stats.received++;
+
+        if (this.isDuplicate(context.dedupKey)) {
+            this.stats.deduped++;
+            return null;
+        }
+
+        const targets = [];
+        for (const entry of this.sinks.values()) {
+            if (this.matchesFilters(entry.filters, event, context)) {
+                targets.push(entry);
+            } else {
+                entry.stats.filtered++;
+            }
+        }
+
+        if (targets.length === 0) return null;
+
+        this.lastAlerted.set(context.dedupKey, clock.now());
+        this.stats.dispatched++;
+
+        const record = {
+            event,
+            token: context.token,
+            sinks: targets.map(t => t.name),
+            text: targets[0] ? this.render(targets[0].templates[event], data) : null,
+            timestamp: clock.now()
+        };
+        this.history.push(record);
+        if (this.history.length > this.config.historySize) {
+            this.history.shift();
+        }
+
+        return Promise.all(targets.map(entry => this.deliver(entry, {
+            event,
+            text: this.render(entry.templates[event], data),
+            data,
+            timestamp: record.timestamp
+        })));
+    }
+
+    /**
+     * Same token/type/direction already alerted inside the cooldown window
+     */
+    isDuplicate(dedupKey) {
+        const last = this.lastAlerted.get(dedupKey);
+        if (!last) return false;
+
+        const windowMs = signalCooldownService.config.cooldownMinutes * 60 * 1000;
+        return clock.now() - last < windowMs;
+    }
+
+    matchesFilters(filters, event, context) {
+        if (filters.events && !filters.events.includes(event)) return false;
+
+        if (filters.instrumentClasses && !filters.instrumentClasses.includes(context.instrumentClass)) {
+            return false;
+        }
+
+        if (event === ALERT_EVENTS.SIGNAL) {
+            if (filters.signalTypes && !filters.signalTypes.includes(context.signalType)) return false;
+            if (filters.minGrade) {
+                const gradeIdx = GRADE_ORDER.indexOf(context.grade);
+                if (gradeIdx < GRADE_ORDER.indexOf(filters.minGrade)) return false;
+            }
+        }
+
+        if (event === ALERT_EVENTS.EXIT && filters.exitPriorities && !filters.exitPriorities.includes(context.exitPriority)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    getInstrumentClass(token) {
+        const instrument = universeLoader.getByToken(token);
+        if (!instrument) return 'EQUITY';
+        if (instrument.optionType) return 'OPTION';
+        if (instrument.type === 'INDEX') return 'INDEX';
+        if (String(instrument.instrumentType || '').startsWith('FUT')) return 'FUTURES';
+        return 'EQUITY';
+    }
+
+    /**
+     * Fill {{dotted.path}} placeholders from the event data
+     */
+    render(template, data) {
+        return String(template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+            const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), data);
+            if (value === undefined || value === null) return '-';
+            return typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value);
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // DELIVERY
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Send with exponential backoff; resolves { sink, delivered, attempts }
+     */
+    deliver(entry, alert, attempt = 0) {
+        return entry.sink.send(alert).then(() => {
+            entry.stats.delivered++;
+            this.stats.delivered++;
+            return { sink: entry.name, delivered: true, attempts: attempt + 1 };
+        }).catch(error => {
+            if (attempt >= this.config.maxRetries || !this.running) {
+                entry.stats.failed++;
+                this.stats.failed++;
+                console.error(`[ALERT_DISPATCHER] ${entry.name} failed after ${attempt + 1} attempts:`, error.message);
+                return { sink: entry.name, delivered: false, attempts: attempt + 1, error: error.message };
+            }
+
+            this.stats.retries++;
+            const delay = this.config.retryBaseMs * Math.pow(2, attempt);
+
+            return new Promise(resolve => {
+                const timer = setTimeout(() => {
+                    this.retryTimers.delete(timer);
+                    resolve(this.deliver(entry, alert, attempt + 1));
+                }, delay);
+                this.retryTimers.add(timer);
+            });
+        });
+    }
+
+    /**
+     * Push a test alert through every sink (bypasses filters and dedup)
+     */
+    sendTest(text = 'MAHASHAKTI alert test') {
+        const alert = { event: 'TEST', text, data: null, timestamp: clock.now() };
+        return Promise.all(Array.from(this.sinks.values()).map(entry => this.deliver(entry, alert)));
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // QUERIES
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    getHistory(limit = 50) {
+        return this.history.slice(-limit);
+    }
+
+    getStubReceived() {
+        return this.stubServer ? this.stubServer.received : [];
+    }
+
+    setStubFailures(count) {
+        if (this.stubServer) this.stubServer.failNext = count;
+    }
+
+    getStatus() {
+        return {
+            running: this.running,
+            ...this.stats,
+            sinks: Array.from(this.sinks.values()).map(entry => ({
+                name: entry.name,
+                type: entry.sink.type,
+                filters: entry.filters,
+                ...entry.stats
+            })),
+            stubPort: this.stubServer ? this.stubServer.port : null
+        };
+    }
+}
+
+const alertDispatcherService = new AlertDispatcherService();
+alertDispatcherService.EVENTS = ALERT_EVENTS;
+
+module.exports = alertDispatcherService;
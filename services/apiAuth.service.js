@@ -0,0 +1,462 @@
+/**
+ * API AUTH SERVICE - KEYS, ROLES, RATE LIMITS, AUDIT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Gate the Express API (not the Angel session - that is auth.service)
+ *
+ * CREDENTIALS:
+ * - API key : x-api-key header (or ?api_key= for EventSource / WebSocket)
+ * - JWT     : Authorization: Bearer <HS256 token> with { sub, role, exp }
+ *
+ * ROLES:
+ * - read     : GET / HEAD plus side-effect-free POSTs (guard/validate runs the
+ *              guard in shadow mode, confidence/score)
+ * - operator : Everything, including panic, rollover, scanner, VIX, tick recorder
+ *
+ * NO CREDENTIALS CONFIGURED: read routes stay open, operator routes fail closed
+ * (403) unless API_AUTH_ENABLED=false opens them explicitly - the boot log
+ * warns in both cases
+ *
+ * RATE LIMIT: Fixed one-minute window per key / JWT subject → 429 + Retry-After
+ *
+ * AUDIT: Every state-changing request (who, role, route, body, status) to an
+ * append-only JSONL file → data/audit/audit_YYYY-MM-DD.jsonl, recorded even
+ * when auth is disabled. Credential fields (api_key, access_token, secrets)
+ * are masked in params and body. Entries are buffered and appended
+ * asynchronously every flushIntervalMs (stop() flushes what is left)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const settings = require('../config/settings.config');
+const calendarService = require('./calendar.service');
+
+// Credential-looking fields never reach the audit trail
+const SECRET_FIELD = /api_?key|token|secret|password|passwd|otp|authorization/i;
+
+const ROLES = {
+    READ: 'read',
+    OPERATOR: 'operator'
+};
+
+class ApiAuthService {
+    constructor() {
+        this.config = {
+            enabled: false,
+            openOperatorRoutes: false,        // Auth disabled: operator routes open (true) or 403
+            keys: [],                         // [{ id, key, role, rateLimitPerMinute }]
+            jwtSecret: null,
+            defaultRateLimitPerMinute: 120,
+            publicPaths: ['/status/health'],
+            readOnlyPosts: ['/institutional/guard/validate', '/institutional/confidence/score', '/strategy/analyze'],
+            auditDir: './data/audit',
+            auditBufferSize: 500,
+            flushIntervalMs: 1000             // Buffered audit appends hit disk at most this often
+        };
+
+        this.keysByValue = new Map();         // api key -> principal template
+        this.rateWindows = new Map();         // principal id -> { windowStart, count }
+        this.lastRatePrune = 0;
+        this.auditTrail = [];
+
+        this.pending = new Map();             // audit file -> entries not on disk yet
+        this.flushTimer = null;
+        this.flushing = null;
+
+        this.stats = {
+            authenticated: 0,
+            rejected: 0,
+            forbidden: 0,
+            rateLimited: 0,
+            audited: 0,
+            auditWriteErrors: 0
+        };
+
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        const authConfig = settings.apiAuth || {};
+        this.config = {
+            ...this.config,
+            ...authConfig
+        };
+
+        this.keysByValue.clear();
+        for (const entry of this.config.keys) {
+            if (!entry.key) continue;
+            this.keysByValue.set(entry.key, {
+                id: entry.id,
+                role: entry.role === ROLES.OPERATOR ? ROLES.OPERATOR : ROLES.READ,
+                rateLimitPerMinute: entry.rateLimitPerMinute || this.config.defaultRateLimitPerMinute,
+                method: 'API_KEY'
+            });
+        }
+    }
+
+    /**
+     * Boot-log warning when the API runs without credentials (null when configured)
+     */
+    getBootWarning() {
+        if (this.config.enabled) {
+            return this.keysByValue.size === 0 && !this.config.jwtSecret
+                ? 'API auth enabled but no API_KEYS or API_JWT_SECRET - every request is rejected'
+                : null;
+        }
+        return this.config.openOperatorRoutes
+            ? 'API_AUTH_ENABLED=false - operator routes (panic, scanner, rollover, thresholds) are open to anyone who can reach this port'
+            : 'No API credentials configured - read routes are open, operator routes refuse every request (set API_KEYS or API_JWT_SECRET)';
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // CREDENTIALS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Resolve the caller from headers / query
+     * @param {object} headers - Lower-cased request headers
+     * @param {object} query - Parsed query string
+     * @returns {object} { principal } or { error }
+     */
+    authenticate(headers = {}, query = {}) {
+        const apiKey = headers['x-api-key'] || query.api_key;
+        if (apiKey) {
+            const principal = this.keysByValue.get(String(apiKey));
+            return principal ? { principal } : { error: 'Invalid API key' };
+        }
+
+        const authHeader = headers.authorization || '';
+        const bearer = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : query.access_token;
+        if (bearer) {
+            return this.verifyToken(String(bearer));
+        }
+
+        return { error: 'Missing credentials - send x-api-key or Authorization: Bearer <jwt>' };
+    }
+
+    /**
+     * Issue an HS256 JWT
+     * @param {string} subject - Caller id
+     * @param {string} role - 'read' | 'operator'
+     * @param {number} ttlSeconds
+     */
+    issueToken(subject, role = ROLES.READ, ttlSeconds = 12 * 60 * 60) {
+        if (!this.config.jwtSecret) {
+            throw new Error('JWT secret not configured (API_JWT_SECRET)');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const header = this.base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const payload = this.base64url(JSON.stringify({
+            sub: subject,
+            role: role === ROLES.OPERATOR ? ROLES.OPERATOR : ROLES.READ,
+            iat: now,
+            exp: now + ttlSeconds
+        }));
+
+        return `${header}.${payload}.${this.sign(`${header}.${payload}`)}`;
+    }
+
+    verifyToken(token) {
+        if (!this.config.jwtSecret) return { error: 'JWT auth not configured' };
+
+        const parts = token.split('.');
+        if (parts.length !== 3) return { error: 'Malformed token' };
+
+        const expected = Buffer.from(this.sign(`${parts[0]}.${parts[1]}`));
+        const actual = Buffer.from(parts[2]);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return { error: 'Invalid token signature' };
+        }
+
+        let header, payload;
+        try {
+            header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+            payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+        } catch (e) {
+            return { error: 'Malformed token' };
+        }
+
+        if (header.alg !== 'HS256') return { error: 'Unsupported token algorithm' };
+        if (!payload.sub) return { error: 'Token missing subject' };
+        if (!Number.isFinite(payload.exp)) return { error: 'Token missing expiry' };
+        if (payload.exp * 1000 < Date.now()) return { error: 'Token expired' };
+
+        return {
+            principal: {
+                id: `jwt:${payload.sub}`,
+                role: payload.role === ROLES.OPERATOR ? ROLES.OPERATOR : ROLES.READ,
+                rateLimitPerMinute: this.config.defaultRateLimitPerMinute,
+                method: 'JWT'
+            }
+        };
+    }
+
+    sign(data) {
+        return crypto.createHmac('sha256', this.config.jwtSecret).update(data).digest('base64url');
+    }
+
+    base64url(str) {
+        return Buffer.from(str).toString('base64url');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ROLES & RATE LIMIT
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Role a request needs (path is relative to /api)
+     */
+    requiredRole(method, routePath) {
+        if (['GET', 'HEAD', 'OPTIONS'].includes(method)) return ROLES.READ;
+        if (method === 'POST' && this.config.readOnlyPosts.includes(routePath)) return ROLES.READ;
+        return ROLES.OPERATOR;
+    }
+
+    hasRole(principal, role) {
+        return role === ROLES.READ || principal.role === ROLES.OPERATOR;
+    }
+
+    isStateChanging(method, routePath) {
+        return this.requiredRole(method, routePath) === ROLES.OPERATOR;
+    }
+
+    /**
+     * Count a request against the caller's one-minute window
+     * @returns {object} { allowed, remaining, retryAfterSec }
+     */
+    consumeRateLimit(principal, now = Date.now()) {
+        this.pruneRateWindows(now);
+
+        const limit = principal.rateLimitPerMinute;
+        let window = this.rateWindows.get(principal.id);
+
+        if (!window || now - window.windowStart >= 60000) {
+            window = { windowStart: now, count: 0 };
+            this.rateWindows.set(principal.id, window);
+        }
+
+        window.count++;
+        if (window.count > limit) {
+            return {
+                allowed: false,
+                remaining: 0,
+                retryAfterSec: Math.ceil((window.windowStart + 60000 - now) / 1000)
+            };
+        }
+
+        return { allowed: true, remaining: limit - window.count, retryAfterSec: 0 };
+    }
+
+    /**
+     * Drop expired windows (JWT subjects are unbounded) - at most once a minute
+     */
+    pruneRateWindows(now = Date.now()) {
+        if (now - this.lastRatePrune < 60000) return;
+        this.lastRatePrune = now;
+
+        for (const [id, window] of this.rateWindows) {
+            if (now - window.windowStart >= 60000) this.rateWindows.delete(id);
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // EXPRESS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Router-level middleware: authenticate → rate limit → role → audit
+     */
+    middleware() {
+        return (req, res, next) => {
+            const routePath = req.path;
+
+            if (this.isStateChanging(req.method, routePath)) {
+                this.attachAudit(req, res, routePath);
+            }
+
+            if (this.config.publicPaths.includes(routePath)) {
+                return next();
+            }
+
+            if (!this.config.enabled) {
+                if (this.isStateChanging(req.method, routePath) && !this.config.openOperatorRoutes) {
+                    this.stats.forbidden++;
+                    return res.status(403).json({
+                        success: false,
+                        error: 'Operator routes are locked - no API credentials configured (set API_KEYS or API_JWT_SECRET)'
+                    });
+                }
+                return next();
+            }
+
+            const { principal, error } = this.authenticate(req.headers, req.query);
+            if (!principal) {
+                this.stats.rejected++;
+                return res.status(401).json({ success: false, error });
+            }
+            req.principal = principal;
+
+            const rate = this.consumeRateLimit(principal);
+            res.set('X-RateLimit-Limit', String(principal.rateLimitPerMinute));
+            res.set('X-RateLimit-Remaining', String(rate.remaining));
+            if (!rate.allowed) {
+                this.stats.rateLimited++;
+                res.set('Retry-After', String(rate.retryAfterSec));
+                return res.status(429).json({
+                    success: false,
+                    error: `Rate limit exceeded - ${principal.rateLimitPerMinute} requests/minute`
+                });
+            }
+
+            const role = this.requiredRole(req.method, routePath);
+            if (!this.hasRole(principal, role)) {
+                this.stats.forbidden++;
+                return res.status(403).json({ success: false, error: `Requires ${role} role` });
+            }
+
+            this.stats.authenticated++;
+            next();
+        };
+    }
+
+    /**
+     * Record the request once the response status is known
+     */
+    attachAudit(req, res, routePath) {
+        const startedAt = Date.now();
+        res.on('finish', () => {
+            this.recordAudit({
+                timestamp: startedAt,
+                principal: req.principal ? req.principal.id : 'anonymous',
+                role: req.principal ? req.principal.role : null,
+                authMethod: req.principal ? req.principal.method : null,
+                method: req.method,
+                path: `/api${routePath}`,
+                params: this.redact(req.query),
+                body: this.redact(req.body),
+                status: res.statusCode,
+                ip: req.ip,
+                durationMs: Date.now() - startedAt
+            });
+        });
+    }
+
+    /**
+     * Copy with credential fields masked (api_key, access_token, secrets, ...)
+     */
+    redact(value, depth = 0) {
+        if (!value || typeof value !== 'object' || depth > 5) return value;
+        if (Array.isArray(value)) return value.map(item => this.redact(item, depth + 1));
+
+        const copy = {};
+        for (const [field, fieldValue] of Object.entries(value)) {
+            copy[field] = SECRET_FIELD.test(field) ? '[REDACTED]' : this.redact(fieldValue, depth + 1);
+        }
+        return copy;
+    }
+
+    recordAudit(entry) {
+        this.auditTrail.push(entry);
+        if (this.auditTrail.length > this.config.auditBufferSize) {
+            this.auditTrail.shift();
+        }
+        this.stats.audited++;
+
+        const day = calendarService.formatDate(calendarService.toIST(new Date(entry.timestamp)));
+        const file = path.join(path.resolve(this.config.auditDir), `audit_${day}.jsonl`);
+        const queue = this.pending.get(file) || [];
+        queue.push(entry);
+        this.pending.set(file, queue);
+
+        if (!this.flushTimer && !this.flushing) {
+            this.flushTimer = setTimeout(() => this.flush(), this.config.flushIntervalMs);
+            this.flushTimer.unref();
+        }
+
+        console.log(`[API_AUTH] AUDIT ${entry.principal} ${entry.method} ${entry.path} → ${entry.status}`);
+    }
+
+    /**
+     * Append every pending audit entry - one write per file
+     */
+    flush() {
+        if (this.flushing) return this.flushing;
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        this.flushing = (async () => {
+            for (const [file, queue] of [...this.pending]) {
+                const count = queue.length;
+                try {
+                    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                    await fs.promises.appendFile(file, this.serialize(queue.slice(0, count)));
+                } catch (error) {
+                    this.stats.auditWriteErrors++;
+                    console.error('[API_AUTH] Audit write failed:', error.message);
+                }
+                queue.splice(0, count);
+                if (queue.length === 0 && this.pending.get(file) === queue) this.pending.delete(file);
+            }
+        })().finally(() => {
+            this.flushing = null;
+            if (this.pending.size > 0) {
+                this.flushTimer = setTimeout(() => this.flush(), this.config.flushIntervalMs);
+                this.flushTimer.unref();
+            }
+        });
+
+        return this.flushing;
+    }
+
+    /**
+     * Shutdown - whatever is still buffered goes to disk synchronously
+     */
+    stop() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        this.pending.forEach((queue, file) => {
+            try {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.appendFileSync(file, this.serialize(queue));
+            } catch (error) {
+                this.stats.auditWriteErrors++;
+                console.error('[API_AUTH] Audit write failed:', error.message);
+            }
+        });
+        this.pending.clear();
+    }
+
+    serialize(entries) {
+        return entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    }
+
+    getAuditTrail(limit = 100) {
+        return this.auditTrail.slice(-limit);
+    }
+
+    getStatus() {
+        return {
+            enabled: this.config.enabled,
+            openOperatorRoutes: this.config.openOperatorRoutes,
+            apiKeys: Array.from(this.keysByValue.values()).map(p => ({
+                id: p.id,
+                role: p.role,
+                rateLimitPerMinute: p.rateLimitPerMinute
+            })),
+            jwtEnabled: Boolean(this.config.jwtSecret),
+            defaultRateLimitPerMinute: this.config.defaultRateLimitPerMinute,
+            publicPaths: this.config.publicPaths,
+            ...this.stats
+        };
+    }
+}
+
+const apiAuthService = new ApiAuthService();
+apiAuthService.ROLES = ROLES;
+
+module.exports = apiAuthService;
@@ -0,0 +1,377 @@
+/**
+ * BAR BUILDER SERVICE - LIVE TICK-TO-CANDLE AGGREGATION
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Intraday bars built in-process from WebSocket ticks, so scans read
+ * the forming bar instead of polling the historical endpoint (slow,
+ * rate-limited, one bar behind).
+ *
+ * BARS:
+ * - ONE_MINUTE / THREE_MINUTE / FIVE_MINUTE / FIFTEEN_MINUTE per ticking token
+ * - Bucketed on the exchange timestamp - IST (UTC+5:30) is a whole number of
+ *   minutes in every step, so buckets line up with the broker's candles
+ * - Only ticks inside the segment's session (calendarService) count
+ * - Volume = delta of the cumulative day volume carried by each tick
+ *
+ * STITCHING:
+ * - candleService seeds a series with REST history; live bars win on overlap
+ * - A bar whose start was missed (first tick mid-bar, or after a feed gap)
+ *   is `partial` - REST supplies its open and the larger volume
+ * - A feed gap unseeds the token, so the next request restitches from REST
+ *
+ * CLOSE: A sweep just after every minute boundary (closeGraceMs for late ticks)
+ * publishes the bars that ended as one BAR_CLOSED event per interval; a
+ * fast-forwarded fake clock (clockService) sweeps at every step
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const calendarService = require('./calendar.service');
+const wsService = require('./websocket.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const IST_OFFSET_MS = 330 * MINUTE_MS;
+const MCX_EXCHANGE_TYPE = 5;
+
+const INTERVALS = {
+    ONE_MINUTE: 1 * MINUTE_MS,
+    THREE_MINUTE: 3 * MINUTE_MS,
+    FIVE_MINUTE: 5 * MINUTE_MS,
+    FIFTEEN_MINUTE: 15 * MINUTE_MS
+};
+
+class BarBuilderService {
+    constructor() {
+        this.INTERVALS = INTERVALS;
+
+        this.config = {
+            keepBars: {                          // Bars kept per series (a seed can raise it)
+                ONE_MINUTE: 120,
+                THREE_MINUTE: 100,
+                FIVE_MINUTE: 100,
+                FIFTEEN_MINUTE: 60
+            },
+            staleAfterMs: 2 * MINUTE_MS,         // No tick for this long = feed gap, serve REST
+            idleEvictMs: 30 * MINUTE_MS,         // Tokens silent this long are dropped
+            evictIntervalMs: 60 * 1000,
+            closeGraceMs: 2000                   // Late ticks still land in the bar before it is published
+        };
+
+        this.tokens = new Map();                 // token -> { lastCumVolume, lastTickAt, series: Map(interval -> series) }
+        this.sessions = new Map();               // `${segment}_${dayStart}` -> { openMs, closeMs }
+        this.unsubscribe = null;
+        this.evictInterval = null;
+        this.closeTimer = null;
+        this.unsubscribeClock = null;
+
+        this.stats = {
+            ticks: 0,
+            outsideSession: 0,
+            lateTicks: 0,
+            barsClosed: 0,
+            closeEvents: 0,
+            seeds: 0,
+            gaps: 0,
+            served: 0,
+            evicted: 0
+        };
+
+        console.log('[BARS] Initializing bar builder...');
+        console.log('[BARS] Initialized');
+    }
+
+    start() {
+        if (this.unsubscribe) {
+            console.log('[BARS] Already running');
+            return;
+        }
+
+        this.unsubscribe = wsService.onPrice(tick => this.onTick(tick), 'BAR_BUILDER');
+        this.evictInterval = setInterval(() => this.evictIdle(), this.config.evictIntervalMs);
+        this.scheduleClose();
+        // A fast-forwarded fake clock crosses boundaries faster than the timer
+        this.unsubscribeClock = clock.onAdvance(now => this.closeBars(now));
+
+        console.log(`[BARS] Started - ${Object.keys(INTERVALS).join(' / ')} from live ticks`);
+    }
+
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        if (this.evictInterval) {
+            clearInterval(this.evictInterval);
+            this.evictInterval = null;
+        }
+        if (this.closeTimer) {
+            clearTimeout(this.closeTimer);
+            this.closeTimer = null;
+        }
+        if (this.unsubscribeClock) {
+            this.unsubscribeClock();
+            this.unsubscribeClock = null;
+        }
+        console.log('[BARS] Stopped');
+    }
+
+    supports(interval) {
+        return interval in INTERVALS;
+    }
+
+    /**
+     * One tick into every interval of its token
+     */
+    onTick(tick, now = clock.now()) {
+        if (!tick?.token || !(tick.ltp > 0)) return;
+
+        const ts = tick.exchangeTimestamp > 0 ? tick.exchangeTimestamp : (tick.timestamp || now);
+        const session = this.getSession(tick.exchange === MCX_EXCHANGE_TYPE ? 'COMMODITY' : 'EQUITY', ts);
+        if (ts < session.openMs || ts >= session.closeMs) {
+            this.stats.outsideSession++;
+            return;
+        }
+
+        this.stats.ticks++;
+
+        let state = this.tokens.get(tick.token);
+        if (!state) {
+            state = { exchange: tick.exchange, lastCumVolume: null, lastTickAt: null, series: new Map() };
+            this.tokens.set(tick.token, state);
+        }
+
+        // Silent feed (rotation, reconnect) - the bars since are holes, restitch from REST
+        if (state.lastTickAt && now - state.lastTickAt > this.config.staleAfterMs) {
+            state.lastCumVolume = null;
+            state.series.forEach(series => { series.seeded = false; });
+            this.stats.gaps++;
+        }
+
+        const cumVolume = tick.volume || 0;
+        let delta = null;                        // null = start of this token's volume unknown
+        if (state.lastCumVolume !== null) {
+            delta = cumVolume >= state.lastCumVolume ? cumVolume - state.lastCumVolume : cumVolume;
+        }
+        state.lastCumVolume = cumVolume;
+        state.lastTickAt = now;
+
+        for (const [interval, step] of Object.entries(INTERVALS)) {
+            const series = this.getSeries(state, interval);
+            const bucket = Math.floor(ts / step) * step;
+            const last = series.bars[series.bars.length - 1];
+
+            if (last && bucket < last.timestamp) {
+                // Out of order - its volume is real, its price is history
+                last.volume += delta || 0;
+                if (interval === 'ONE_MINUTE') this.stats.lateTicks++;
+                continue;
+            }
+
+            if (last && bucket === last.timestamp) {
+                last.high = Math.max(last.high, tick.ltp);
+                last.low = Math.min(last.low, tick.ltp);
+                last.close = tick.ltp;
+                last.volume += delta || 0;
+                if (delta === null) last.partial = true;
+                continue;
+            }
+
+            // First sight of the token: the bar holding the session open owns the
+            // whole day's volume, any later bar started before we were listening
+            const opening = delta === null && bucket <= session.openMs;
+            series.bars.push({
+                timestamp: bucket,
+                open: tick.ltp,
+                high: tick.ltp,
+                low: tick.ltp,
+                close: tick.ltp,
+                volume: delta !== null ? delta : (opening ? cumVolume : 0),
+                partial: delta === null && !opening
+            });
+            if (last) this.stats.barsClosed++;
+            this.trim(series, interval);
+        }
+    }
+
+    /**
+     * Next sweep just after the coming minute boundary - every interval's
+     * boundary is a minute boundary
+     */
+    scheduleClose() {
+        const step = INTERVALS.ONE_MINUTE;
+        const delay = step - (Date.now() % step) + this.config.closeGraceMs;
+
+        this.closeTimer = setTimeout(() => {
+            this.closeBars();
+            this.scheduleClose();
+        }, delay);
+    }
+
+    /**
+     * Publish every bar that ended by the last boundary and was not published yet
+     * @returns {Array} the BAR_CLOSED payloads published
+     */
+    closeBars(now = clock.now()) {
+        const published = [];
+
+        for (const [interval, step] of Object.entries(INTERVALS)) {
+            const boundary = Math.floor((now - this.config.closeGraceMs) / step) * step;
+            const bars = [];
+
+            this.tokens.forEach((state, token) => {
+                const series = state.series.get(interval);
+                if (!series) return;
+
+                // Newest first - stop at the first bar already published
+                for (let i = series.bars.length - 1; i >= 0; i--) {
+                    const bar = series.bars[i];
+                    if (bar.timestamp + step > boundary) continue;
+                    if (bar.closed) break;
+                    bar.closed = true;
+                    bars.push({
+                        token,
+                        exchange: state.exchange,
+                        timestamp: bar.timestamp,
+                        open: bar.open,
+                        high: bar.high,
+                        low: bar.low,
+                        close: bar.close,
+                        volume: bar.volume
+                    });
+                }
+            });
+
+            if (bars.length === 0) continue;
+
+            const event = { interval, timestamp: boundary, bars };
+            eventBus.publish(eventBus.EVENTS.BAR_CLOSED, event);
+            this.stats.closeEvents++;
+            published.push(event);
+        }
+
+        return published;
+    }
+
+    getSeries(state, interval) {
+        let series = state.series.get(interval);
+        if (!series) {
+            series = { bars: [], seeded: false, coverage: 0 };
+            state.series.set(interval, series);
+        }
+        return series;
+    }
+
+    trim(series, interval) {
+        const keep = Math.max(this.config.keepBars[interval], series.coverage);
+        if (series.bars.length > keep) series.bars.splice(0, series.bars.length - keep);
+    }
+
+    /**
+     * Session window of the IST day holding `ts` (epoch ms, close exclusive)
+     */
+    getSession(segment, ts) {
+        const dayStart = ts - ((ts + IST_OFFSET_MS) % DAY_MS);
+        const key = `${segment}_${dayStart}`;
+
+        let session = this.sessions.get(key);
+        if (!session) {
+            if (this.sessions.size > 8) this.sessions.clear();
+            const { open, close } = calendarService.getSessionBounds(segment, calendarService.toIST(new Date(ts)));
+            session = {
+                openMs: dayStart + (open.hour * 60 + open.minute) * MINUTE_MS,
+                closeMs: dayStart + (close.hour * 60 + close.minute) * MINUTE_MS
+            };
+            this.sessions.set(key, session);
+        }
+        return session;
+    }
+
+    /**
+     * Stitch REST history under the live bars of a ticking token
+     * @param {Array} candles - { timestamp, open, high, low, close, volume } from candleService
+     * @param {number} coverage - bars the caller asked for; later requests up to it are served live
+     * @returns {boolean} false when the token is not ticking (nothing to stitch onto)
+     */
+    seed(token, interval, candles, coverage = candles.length, now = clock.now()) {
+        const state = this.tokens.get(token);
+        if (!state || !this.supports(interval)) return false;
+
+        const series = this.getSeries(state, interval);
+        const step = INTERVALS[interval];
+        // History is not news - only bars still forming are published when they close
+        const merged = new Map(candles.map(c => [c.timestamp, { ...c, partial: false, closed: c.timestamp + step <= now }]));
+
+        for (const bar of series.bars) {
+            const rest = merged.get(bar.timestamp);
+            if (bar.partial && rest) {
+                merged.set(bar.timestamp, {
+                    timestamp: bar.timestamp,
+                    open: rest.open,
+                    high: Math.max(rest.high, bar.high),
+                    low: Math.min(rest.low, bar.low),
+                    close: bar.close,
+                    volume: Math.max(rest.volume, bar.volume),
+                    partial: false,
+                    closed: bar.closed
+                });
+            } else {
+                merged.set(bar.timestamp, bar);
+            }
+        }
+
+        series.bars = [...merged.values()].sort((a, b) => a.timestamp - b.timestamp);
+        series.coverage = Math.max(series.coverage, coverage);
+        series.seeded = true;
+        this.trim(series, interval);
+        this.stats.seeds++;
+        return true;
+    }
+
+    /**
+     * Live bars are served only when stitched, deep enough and still ticking
+     */
+    canServe(token, interval, count, now = clock.now()) {
+        const state = this.tokens.get(token);
+        const series = state?.series.get(interval);
+        if (!series || !series.seeded || series.coverage < count) return false;
+        return now - state.lastTickAt <= this.config.staleAfterMs;
+    }
+
+    /**
+     * Last `count` bars, oldest first - the forming bar included, as the broker does
+     */
+    getBars(token, interval, count) {
+        const series = this.tokens.get(token)?.series.get(interval);
+        if (!series) return [];
+
+        this.stats.served++;
+        return series.bars.slice(-count).map(({ timestamp, open, high, low, close, volume }) =>
+            ({ timestamp, open, high, low, close, volume }));
+    }
+
+    evictIdle(now = clock.now()) {
+        this.tokens.forEach((state, token) => {
+            if (now - state.lastTickAt > this.config.idleEvictMs) {
+                this.tokens.delete(token);
+                this.stats.evicted++;
+            }
+        });
+    }
+
+    getStats() {
+        let seeded = 0;
+        this.tokens.forEach(state => state.series.forEach(series => { if (series.seeded) seeded++; }));
+
+        return {
+            ...this.stats,
+            running: !!this.unsubscribe,
+            tokens: this.tokens.size,
+            seededSeries: seeded
+        };
+    }
+}
+
+module.exports = new BarBuilderService();
@@ -5,6 +5,7 @@
  */
 
 const marketStateService = require('./marketState.service');
+const clock = require('./clock.service');
 
 class BlockOrderDetectorService {
     constructor() {
@@ -34,7 +35,7 @@ class BlockOrderDetectorService {
 
         // Track volume history
         const history = this.volumeHistory.get(token) || [];
-        history.push({ timestamp: Date.now(), volume: candle.volume });
+        history.push({ timestamp: clock.now(), volume: candle.volume });
         if (history.length > 50) history.shift();
         this.volumeHistory.set(token, history);
 
@@ -48,13 +49,13 @@ class BlockOrderDetectorService {
                 ...isBlockOrder,
                 candle,
                 volumeMultiple: Math.round(volumeMultiple * 100) / 100,
-                timestamp: Date.now()
+                timestamp: clock.now()
             });
 
             console.log(`[BLOCK_ORDER] 📦 BLOCK ORDER: ${symbol} | Volume ${volumeMultiple.toFixed(1)}x | Direction: ${isBlockOrder.direction}`);
         }
 
-        this.state.lastUpdate = Date.now();
+        this.state.lastUpdate = clock.now();
         return isBlockOrder;
     }
 
@@ -111,7 +112,7 @@ class BlockOrderDetectorService {
         const block = this.state.blockOrders.get(token);
         if (!block) return null;
 
-        if (Date.now() - block.timestamp > maxAgeMs) {
+        if (clock.now() - block.timestamp > maxAgeMs) {
             return null;
         }
 
@@ -159,7 +160,7 @@ class BlockOrderDetectorService {
      */
     getRecentBlockOrders(maxAgeMs = 600000) {
         const recent = [];
-        const cutoff = Date.now() - maxAgeMs;
+        const cutoff = clock.now() - maxAgeMs;
 
         for (const [token, block] of this.state.blockOrders) {
             if (block.timestamp > cutoff) {
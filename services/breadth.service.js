@@ -5,6 +5,9 @@
  */
 
 const marketStateService = require('./marketState.service');
+const sectorTaxonomyService = require('./sectorTaxonomy.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
 
 class BreadthService {
     constructor() {
@@ -22,25 +25,14 @@ class BreadthService {
         };
 
         this.config = {
-            updateIntervalMs: 5000,
+            barInterval: 'ONE_MINUTE',
             weakBreadthThreshold: 35,    // Below this = downgrade longs
-            strongBreadthThreshold: 70,  // Above this = upgrade
-            sectors: ['BANKING', 'IT', 'PHARMA', 'AUTO', 'METAL', 'ENERGY', 'FMCG', 'REALTY', 'INFRA']
+            strongBreadthThreshold: 70   // Above this = upgrade
         };
 
-        this.sectorStocks = new Map([
-            ['BANKING', ['HDFCBANK', 'ICICIBANK', 'SBIN', 'KOTAKBANK', 'AXISBANK', 'INDUSINDBK', 'BANKBARODA', 'PNB']],
-            ['IT', ['TCS', 'INFY', 'WIPRO', 'HCLTECH', 'TECHM', 'LTIM', 'MPHASIS', 'COFORGE']],
-            ['PHARMA', ['SUNPHARMA', 'DRREDDY', 'CIPLA', 'DIVISLAB', 'APOLLOHOSP', 'BIOCON', 'LUPIN']],
-            ['AUTO', ['TATAMOTORS', 'MARUTI', 'M&M', 'BAJAJ-AUTO', 'HEROMOTOCO', 'EICHERMOT', 'ASHOKLEY']],
-            ['METAL', ['TATASTEEL', 'JSWSTEEL', 'HINDALCO', 'VEDL', 'COALINDIA', 'NMDC', 'SAIL']],
-            ['ENERGY', ['RELIANCE', 'ONGC', 'BPCL', 'IOC', 'GAIL', 'NTPC', 'POWERGRID', 'ADANIGREEN']],
-            ['FMCG', ['HINDUNILVR', 'ITC', 'NESTLEIND', 'BRITANNIA', 'DABUR', 'MARICO', 'COLPAL']],
-            ['REALTY', ['DLF', 'GODREJPROP', 'OBEROIRLTY', 'PRESTIGE', 'SOBHA', 'BRIGADE']],
-            ['INFRA', ['LT', 'ADANIENT', 'ADANIPORTS', 'SIEMENS', 'ABB', 'HAVELLS']]
-        ]);
+        // Sector membership comes from sectorTaxonomyService (reload-aware)
 
-        this.updateInterval = null;
+        this.unsubscribeBars = null;
 
         console.log('[BREADTH] Initializing market breadth engine...');
         console.log('[BREADTH] Initialized');
@@ -50,26 +42,26 @@ class BreadthService {
      * Start periodic breadth calculation
      */
     start() {
-        if (this.updateInterval) {
+        if (this.unsubscribeBars) {
             console.log('[BREADTH] Already running');
             return;
         }
 
         this.calculate();
-        this.updateInterval = setInterval(() => {
+        this.unsubscribeBars = eventBus.onBarClose(this.config.barInterval, () => {
             this.calculate();
-        }, this.config.updateIntervalMs);
+        }, 'BREADTH');
 
-        console.log('[BREADTH] Started - updating every 5 seconds');
+        console.log('[BREADTH] Started - updating on every 1m bar close');
     }
 
     /**
      * Stop breadth calculation
      */
     stop() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+        if (this.unsubscribeBars) {
+            this.unsubscribeBars();
+            this.unsubscribeBars = null;
             console.log('[BREADTH] Stopped');
         }
     }
@@ -89,7 +81,7 @@ class BreadthService {
 
         // Reset sector tracking
         this.state.sectorParticipation = new Map();
-        for (const sector of this.config.sectors) {
+        for (const sector of sectorTaxonomyService.getSectors()) {
             this.state.sectorParticipation.set(sector, {
                 advancers: 0,
                 decliners: 0,
@@ -123,20 +115,17 @@ class BreadthService {
             }
 
             // Sector tracking
-            const symbol = state.symbol || '';
-            for (const [sector, stocks] of this.sectorStocks) {
-                if (stocks.includes(symbol)) {
-                    const sectorData = this.state.sectorParticipation.get(sector);
-                    sectorData.total++;
-                    if (change > 0.1) {
-                        sectorData.advancers++;
-                    } else if (change < -0.1) {
-                        sectorData.decliners++;
-                    }
-                    sectorData.participation = sectorData.total > 0 
-                        ? (sectorData.advancers / sectorData.total) * 100 
-                        : 0;
+            const sectorData = this.state.sectorParticipation.get(sectorTaxonomyService.getSector(state.symbol));
+            if (sectorData) {
+                sectorData.total++;
+                if (change > 0.1) {
+                    sectorData.advancers++;
+                } else if (change < -0.1) {
+                    sectorData.decliners++;
                 }
+                sectorData.participation = sectorData.total > 0 
+                    ? (sectorData.advancers / sectorData.total) * 100 
+                    : 0;
             }
         }
 
@@ -151,7 +140,7 @@ class BreadthService {
         this.state.vwapPercent = (aboveVWAP + belowVWAP) > 0 
             ? (aboveVWAP / (aboveVWAP + belowVWAP)) * 100 
             : 50;
-        this.state.lastUpdate = Date.now();
+        this.state.lastUpdate = clock.now();
 
         return this.state;
     }
@@ -234,6 +223,7 @@ class BreadthService {
     getLeadingSectors() {
         const sectors = Array.from(this.state.sectorParticipation.entries())
             .map(([name, data]) => ({ name, ...data }))
+            .filter(sector => sector.total > 0)
             .sort((a, b) => b.participation - a.participation);
 
         return {
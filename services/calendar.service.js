@@ -1,9 +1,12 @@
 /**
- * NSE CALENDAR SERVICE
+ * NSE / MCX CALENDAR SERVICE
  * Handles holidays, special sessions, trading hours validation
  * HARD BLOCK - No signals outside valid trading windows
+ * Segments: EQUITY (NSE/NFO, default) and COMMODITY (MCX, 09:00 to 23:30/23:55 IST)
  */
 
+const clock = require('./clock.service');
+
 class CalendarService {
     constructor() {
         // NSE Official Holidays 2024-2025
@@ -61,6 +64,21 @@ class CalendarService {
             postCloseEnd: { hour: 15, minute: 40 }
         };
 
+        // MCX session (IST). Closes 23:30 while US daylight saving is on, 23:55 otherwise;
+        // the evening session starts 17:00 and is the only session on most NSE holidays
+        this.commodityHours = {
+            normalOpen: { hour: 9, minute: 0 },
+            eveningOpen: { hour: 17, minute: 0 },
+            summerClose: { hour: 23, minute: 30 },
+            winterClose: { hour: 23, minute: 55 }
+        };
+
+        // NSE holidays on which MCX is shut all day (others: evening session only)
+        this.commodityFullClosures = new Set([
+            '2024-01-26', '2024-03-29', '2024-08-15', '2024-10-02', '2024-12-25',
+            '2025-01-26', '2025-04-18', '2025-08-15', '2025-10-02', '2025-12-25'
+        ]);
+
         console.log('[CALENDAR] Initializing NSE calendar service...');
         console.log(`[CALENDAR] Loaded ${this.holidays.size} holidays`);
         console.log('[CALENDAR] Initialized');
@@ -68,9 +86,14 @@ class CalendarService {
 
     /**
      * MAIN: Check if current time is valid for trading
+     * @param {string} segment - 'EQUITY' (default) or 'COMMODITY'
      * @returns {object} { valid: boolean, reason: string }
      */
-    isValidTradingTime(timestamp = Date.now()) {
+    isValidTradingTime(timestamp = clock.now(), segment = 'EQUITY') {
+        if (segment === 'COMMODITY') {
+            return this.isValidCommodityTime(timestamp);
+        }
+
         const date = new Date(timestamp);
         const dateStr = this.formatDate(date);
 
@@ -167,17 +190,114 @@ class CalendarService {
     }
 
     /**
-     * Check if a date is a holiday
+     * MCX hours: 09:00 to 23:30/23:55 IST, evening session only on NSE holidays
+     */
+    isValidCommodityTime(timestamp = clock.now()) {
+        const istDate = this.toIST(new Date(timestamp));
+        const dateStr = this.formatDate(istDate);
+        const hours = istDate.getHours();
+        const minutes = istDate.getMinutes();
+        const now = `${hours}:${minutes.toString().padStart(2, '0')}`;
+        const timeMinutes = hours * 60 + minutes;
+
+        if (istDate.getDay() === 0 || istDate.getDay() === 6) {
+            return { valid: false, reason: 'MARKET_HOLIDAY_BLOCKED', detail: 'Weekend - MCX Closed', session: null };
+        }
+
+        if (this.commodityFullClosures.has(dateStr)) {
+            return { valid: false, reason: 'MARKET_HOLIDAY_BLOCKED', detail: `MCX Holiday: ${dateStr}`, session: null };
+        }
+
+        const eveningOnly = this.holidays.has(dateStr);
+        const { open, close } = this.getSessionBounds('COMMODITY', istDate);
+        const openMinutes = open.hour * 60 + open.minute;
+        const closeMinutes = close.hour * 60 + close.minute;
+        const eveningMinutes = this.commodityHours.eveningOpen.hour * 60 + this.commodityHours.eveningOpen.minute;
+
+        if (timeMinutes < openMinutes) {
+            return {
+                valid: false,
+                reason: 'TRADING_HOURS_BLOCKED',
+                detail: eveningOnly
+                    ? `MCX evening session only (NSE holiday). Opens at 17:00 IST. Current: ${now}`
+                    : `MCX not open yet. Opens at 9:00 IST. Current: ${now}`,
+                session: null
+            };
+        }
+
+        if (timeMinutes > closeMinutes) {
+            return {
+                valid: false,
+                reason: 'TRADING_HOURS_BLOCKED',
+                detail: `MCX closed. Closed at ${close.hour}:${close.minute} IST. Current: ${now}`,
+                session: null
+            };
+        }
+
+        const session = timeMinutes >= eveningMinutes ? 'EVENING' : 'MORNING';
+        return {
+            valid: true,
+            reason: 'TRADING_HOURS_OK',
+            detail: `MCX open (${session.toLowerCase()} session): ${now} IST`,
+            session
+        };
+    }
+
+    /**
+     * Session open/close (IST) for a segment on the given IST date
+     * @returns {object} { open: { hour, minute }, close: { hour, minute } }
      */
-    isHoliday(date = new Date()) {
+    getSessionBounds(segment = 'EQUITY', istDate = this.toIST(clock.date())) {
+        if (segment !== 'COMMODITY') {
+            return { open: this.tradingHours.normalOpen, close: this.tradingHours.normalClose };
+        }
+
+        const eveningOnly = this.holidays.has(this.formatDate(istDate));
+        return {
+            open: eveningOnly ? this.commodityHours.eveningOpen : this.commodityHours.normalOpen,
+            close: this.getCommodityClose(istDate)
+        };
+    }
+
+    /**
+     * Session open (epoch ms) of the IST day holding `timestamp`
+     */
+    getSessionOpenTime(segment = 'EQUITY', timestamp = clock.now()) {
+        const istOffsetMs = 5.5 * 60 * 60 * 1000;
+        const dayStart = timestamp - ((timestamp + istOffsetMs) % (24 * 60 * 60 * 1000));
+        const { open } = this.getSessionBounds(segment, this.toIST(new Date(timestamp)));
+        return dayStart + (open.hour * 60 + open.minute) * 60 * 1000;
+    }
+
+    /**
+     * MCX close follows US daylight saving (2nd Sunday of March → 1st Sunday of November)
+     */
+    getCommodityClose(istDate) {
+        const year = istDate.getFullYear();
+        const nthSunday = (month, n) => {
+            const first = new Date(year, month, 1);
+            return new Date(year, month, 1 + ((7 - first.getDay()) % 7) + (n - 1) * 7);
+        };
+        const usSummer = istDate >= nthSunday(2, 2) && istDate < nthSunday(10, 1);
+
+        return usSummer ? this.commodityHours.summerClose : this.commodityHours.winterClose;
+    }
+
+    /**
+     * Check if a date is a holiday (COMMODITY: only full MCX closures)
+     */
+    isHoliday(date = clock.date(), segment = 'EQUITY') {
         const dateStr = this.formatDate(date);
+        if (segment === 'COMMODITY') {
+            return this.commodityFullClosures.has(dateStr);
+        }
         return this.holidays.has(dateStr);
     }
 
     /**
      * Check if today is expiry day
      */
-    isExpiryDay(date = new Date()) {
+    isExpiryDay(date = clock.date()) {
         const dayOfWeek = date.getDay();
         // Thursday is weekly expiry
         return dayOfWeek === 4;
@@ -186,7 +306,7 @@ class CalendarService {
     /**
      * Check if it's monthly expiry
      */
-    isMonthlyExpiry(date = new Date()) {
+    isMonthlyExpiry(date = clock.date()) {
         if (!this.isExpiryDay(date)) return false;
         
         // Last Thursday of month
@@ -203,7 +323,7 @@ class CalendarService {
     /**
      * Get next trading day
      */
-    getNextTradingDay(date = new Date()) {
+    getNextTradingDay(date = clock.date()) {
         const next = new Date(date);
         next.setDate(next.getDate() + 1);
 
@@ -217,7 +337,7 @@ class CalendarService {
     /**
      * Get minutes until market open
      */
-    getMinutesUntilOpen(date = new Date()) {
+    getMinutesUntilOpen(date = clock.date()) {
         const istDate = this.toIST(date);
         const openMinutes = this.tradingHours.normalOpen.hour * 60 + this.tradingHours.normalOpen.minute;
         const currentMinutes = istDate.getHours() * 60 + istDate.getMinutes();
@@ -232,9 +352,10 @@ class CalendarService {
     /**
      * Get minutes until market close
      */
-    getMinutesUntilClose(date = new Date()) {
+    getMinutesUntilClose(date = clock.date(), segment = 'EQUITY') {
         const istDate = this.toIST(date);
-        const closeMinutes = this.tradingHours.normalClose.hour * 60 + this.tradingHours.normalClose.minute;
+        const { close } = this.getSessionBounds(segment, istDate);
+        const closeMinutes = close.hour * 60 + close.minute;
         const currentMinutes = istDate.getHours() * 60 + istDate.getMinutes();
 
         if (currentMinutes >= closeMinutes) {
@@ -293,7 +414,7 @@ class CalendarService {
      * Get service stats
      */
     getStats() {
-        const now = new Date();
+        const now = clock.date();
         const tradingStatus = this.isValidTradingTime();
 
         return {
@@ -303,6 +424,11 @@ class CalendarService {
             isExpiryDay: this.isExpiryDay(),
             isMonthlyExpiry: this.isMonthlyExpiry(),
             minutesUntilClose: this.getMinutesUntilClose(),
+            commodity: {
+                tradingStatus: this.isValidTradingTime(now.getTime(), 'COMMODITY'),
+                minutesUntilClose: this.getMinutesUntilClose(now, 'COMMODITY'),
+                close: this.getCommodityClose(this.toIST(now))
+            },
             totalHolidays: this.holidays.size,
             specialSessions: this.specialSessions.size,
             halfDays: this.halfDays.size,
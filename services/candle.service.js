@@ -1,7 +1,8 @@
-const axios = require('axios');
-const config = require('../config/angel.config');
 const settings = require('../config/settings.config');
-const authService = require('./auth.service');
+const marketDataService = require('./marketData.service');
+const barBuilderService = require('./barBuilder.service');
+const candleStoreService = require('./candleStore.service');
+const clock = require('./clock.service');
 
 class CandleService {
     constructor() {
@@ -17,7 +18,7 @@ class CandleService {
     isCacheValid(key) {
         const timestamp = this.cacheTimestamps.get(key);
         if (!timestamp) return false;
-        return (Date.now() - timestamp) < settings.candles.cacheExpiryMs;
+        return (clock.now() - timestamp) < settings.candles.cacheExpiryMs;
     }
 
     async getCandles(token, exchange, interval, fromDate, toDate) {
@@ -43,45 +44,16 @@ class CandleService {
     }
 
     async fetchCandles(token, exchange, interval, fromDate, toDate, cacheKey) {
-        await authService.ensureAuthenticated();
-
         try {
-            const exchangeName = config.exchangeNames[exchange] || 'NSE';
-            
-            const response = await axios.post(
-                `${config.endpoints.base}${config.endpoints.candle}`,
-                {
-                    exchange: exchangeName,
-                    symboltoken: token,
-                    interval: interval,
-                    fromdate: fromDate,
-                    todate: toDate
-                },
-                { 
-                    headers: authService.getAuthHeaders(),
-                    timeout: 15000
-                }
-            );
-
-            if (response.data.status && response.data.data) {
-                const candles = response.data.data.map(c => ({
-                    timestamp: new Date(c[0]).getTime(),
-                    open: parseFloat(c[1]),
-                    high: parseFloat(c[2]),
-                    low: parseFloat(c[3]),
-                    close: parseFloat(c[4]),
-                    volume: parseInt(c[5])
-                }));
-
-                this.cache.set(cacheKey, candles);
-                this.cacheTimestamps.set(cacheKey, Date.now());
-
-                this.enforceMaxCacheSize();
-
-                return candles;
-            }
+            const candles = await marketDataService.getCandles({ token, exchange, interval, fromDate, toDate });
 
-            return [];
+            this.cache.set(cacheKey, candles);
+            candleStoreService.record(token, interval, candles);
+            this.cacheTimestamps.set(cacheKey, clock.now());
+
+            this.enforceMaxCacheSize();
+
+            return candles;
         } catch (error) {
             console.error(`[CANDLE] Error fetching ${token} ${interval}:`, error.message);
             return [];
@@ -112,7 +84,12 @@ class CandleService {
     }
 
     async getRecentCandles(token, exchange, interval = 'FIVE_MINUTE', count = 100) {
-        const now = new Date();
+        // Ticking tokens are served from the live bars - REST only seeds them
+        if (barBuilderService.canServe(token, interval, count)) {
+            return barBuilderService.getBars(token, interval, count);
+        }
+
+        const now = clock.date();
         let minutesBack;
         
         switch (interval) {
@@ -143,17 +120,22 @@ class CandleService {
         
         const from = new Date(now.getTime() - minutesBack * 60 * 1000);
         
-        return this.getCandles(
+        const candles = await this.getCandles(
             token, 
             exchange, 
             interval, 
             this.formatDate(from), 
             this.formatDate(now)
         );
+
+        if (candles.length > 0 && barBuilderService.seed(token, interval, candles, count)) {
+            return barBuilderService.getBars(token, interval, count);
+        }
+        return candles;
     }
 
     async getDailyCandles(token, exchange, days = 60) {
-        const now = new Date();
+        const now = clock.date();
         const from = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
         
         return this.getCandles(
@@ -166,7 +148,7 @@ class CandleService {
     }
 
     async getHourlyCandles(token, exchange, hours = 30) {
-        const now = new Date();
+        const now = clock.date();
         const from = new Date(now.getTime() - hours * 60 * 60 * 1000);
         
         return this.getCandles(
@@ -178,6 +160,21 @@ class CandleService {
         );
     }
 
+    /**
+     * Any historical range - served from the on-disk candle store, which backfills
+     * and repairs from the provider as needed. from / to: epoch ms, ISO time or an
+     * IST date (YYYY-MM-DD, `to` = end of that day); to defaults to now.
+     */
+    async getCandleRange(token, exchange, interval, from, to = null) {
+        return candleStoreService.getRange(
+            token,
+            exchange,
+            interval,
+            candleStoreService.parseTime(from),
+            candleStoreService.parseTime(to, true)
+        );
+    }
+
     async getMultiTimeframeCandles(token, exchange) {
         const [m5, m15, h1, d1] = await Promise.all([
             this.getRecentCandles(token, exchange, 'FIVE_MINUTE', 100),
@@ -198,7 +195,9 @@ class CandleService {
         return {
             size: this.cache.size,
             maxSize: settings.candles.maxCacheSize,
-            pendingRequests: this.pendingRequests.size
+            pendingRequests: this.pendingRequests.size,
+            liveBars: barBuilderService.getStats(),
+            store: candleStoreService.getStats()
         };
     }
 
@@ -4,6 +4,8 @@
  * Blocks signals if data integrity fails
  */
 
+const clock = require('./clock.service');
+
 class CandleIntegrityService {
     constructor() {
         this.config = {
@@ -111,7 +113,7 @@ class CandleIntegrityService {
         // All checks passed
         this.blockReasons.delete(token);
         this.validationCache.set(token, {
-            timestamp: Date.now(),
+            timestamp: clock.now(),
             result: result
         });
 
@@ -132,13 +134,12 @@ class CandleIntegrityService {
         };
     }
 
-    // CHECK 2: Timestamp gaps
-    checkTimestampGaps(candles) {
+    // CHECK 2: Timestamp gaps (maxGap defaults to the 5m setting - pass the bar size for other intervals)
+    checkTimestampGaps(candles, maxGap = this.config.maxTimestampGapMs) {
         if (!candles || candles.length < 2) {
             return { name: 'TIMESTAMP_GAP', pass: true, reason: null };
         }
 
-        const maxGap = this.config.maxTimestampGapMs;
         let maxFoundGap = 0;
         let gapIndex = -1;
 
@@ -160,7 +161,8 @@ class CandleIntegrityService {
             name: 'TIMESTAMP_GAP',
             pass: !hasGap,
             reason: hasGap ? `Timestamp gap at index ${gapIndex}: ${Math.round(maxFoundGap / 60000)}min` : null,
-            maxGapMs: maxFoundGap
+            maxGapMs: maxFoundGap,
+            gapIndex: hasGap ? gapIndex : null
         };
     }
 
@@ -0,0 +1,505 @@
+/**
+ * CANDLE STORE SERVICE - PERSISTENT CANDLE HISTORY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Closed candles kept on disk per token + interval, so history survives
+ * restarts and any range can be queried without refetching what we already have.
+ *
+ * FILES: data/candles/<token>_<INTERVAL>.jsonl - append-only, one record per line
+ * - { timestamp, open, high, low, close, volume } : closed candle (deduped by timestamp)
+ * - { fetched: [from, to] }                       : range already pulled from the provider
+ * - { gap: [from, to] }                           : gap refetched with nothing to fill it
+ *                                                   (halt, no trades) - not retried
+ *
+ * getRange():
+ * 1. Backfill - parts of [from, to] never fetched are pulled from marketDataService
+ *    (chunked to the provider's max days per request)
+ * 2. Repair  - candleIntegrityService.checkTimestampGaps on the stored range; each
+ *    gap is refetched once, and recorded as a known gap if it stays empty
+ *
+ * The forming candle is never stored - live bars are barBuilderService's job.
+ *
+ * WRITES: Buffered per file and appended asynchronously every flushIntervalMs
+ * (stop() flushes what is left). load() reads a file asynchronously and merges
+ * its still-pending records. record() - the scan path's write-through - never
+ * touches disk: candles closed before its last call are skipped, and a series
+ * that is not in memory is not loaded for it.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('../config/settings.config');
+const calendarService = require('./calendar.service');
+const marketDataService = require('./marketData.service');
+const candleIntegrityService = require('./candleIntegrity.service');
+const clock = require('./clock.service');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const IST_OFFSET_MS = 330 * MINUTE_MS;
+
+const INTERVAL_MS = {
+    ONE_MINUTE: MINUTE_MS,
+    THREE_MINUTE: 3 * MINUTE_MS,
+    FIVE_MINUTE: 5 * MINUTE_MS,
+    TEN_MINUTE: 10 * MINUTE_MS,
+    FIFTEEN_MINUTE: 15 * MINUTE_MS,
+    THIRTY_MINUTE: 30 * MINUTE_MS,
+    ONE_HOUR: 60 * MINUTE_MS,
+    ONE_DAY: DAY_MS
+};
+
+class CandleStoreService {
+    constructor() {
+        this.config = {
+            enabled: true,
+            dir: './data/candles',
+            maxOpenSeries: 200,              // Series held in memory (files stay on disk)
+            maxFetchesPerQuery: 10,          // Provider calls per getRange - the rest waits for the next query
+            maxRepairsPerQuery: 3,
+            flushIntervalMs: 1000,           // Buffered appends hit disk at most this often
+            maxDaysPerRequest: {             // SmartAPI historical limits
+                ONE_MINUTE: 30,
+                THREE_MINUTE: 60,
+                FIVE_MINUTE: 100,
+                TEN_MINUTE: 100,
+                FIFTEEN_MINUTE: 200,
+                THIRTY_MINUTE: 200,
+                ONE_HOUR: 400,
+                ONE_DAY: 2000
+            }
+        };
+
+        this.series = new Map();             // `${token}_${interval}` -> { candles, timestamps, fetched, gaps }
+        this.locks = new Map();              // `${token}_${interval}` -> tail of the query chain
+        this.recordedUntil = new Map();      // `${token}_${interval}` -> newest candle record() has taken
+        this.pending = new Map();            // file -> records not on disk yet
+        this.flushTimer = null;
+        this.flushing = null;
+        this.initialized = false;
+
+        this.stats = {
+            queries: 0,
+            fetches: 0,
+            fetchErrors: 0,
+            written: 0,
+            writeErrors: 0,
+            gapsRepaired: 0,
+            knownGaps: 0,
+            lastError: null
+        };
+    }
+
+    initialize() {
+        console.log('[CANDLE_STORE] Initializing candle store...');
+        this.config = { ...this.config, ...(settings.candleStore || {}) };
+
+        if (!this.config.enabled) {
+            console.log('[CANDLE_STORE] Disabled by config - ranges are fetched from the provider every time');
+        } else if (!fs.existsSync(this.config.dir)) {
+            fs.mkdirSync(this.config.dir, { recursive: true });
+        }
+
+        this.initialized = true;
+        console.log(`[CANDLE_STORE] Initialized | Dir: ${this.config.dir}`);
+    }
+
+    supports(interval) {
+        return interval in INTERVAL_MS;
+    }
+
+    /**
+     * Candles of [from, to] (epoch ms, to defaults to now), oldest first
+     * @throws {Error} unknown interval or an empty range
+     */
+    async getRange(token, exchange, interval, from, to = null) {
+        const now = clock.now();
+        to = Math.min(to ?? now, now);
+
+        if (!this.supports(interval)) throw new Error(`Unknown interval: ${interval}`);
+        if (!Number.isFinite(from) || !(from < to)) throw new Error('from must be a time before to');
+
+        this.stats.queries++;
+
+        if (!this.initialized) this.initialize();
+        if (!this.config.enabled) {
+            return (await this.fetch(token, exchange, interval, from, to)) || [];
+        }
+
+        return this.withLock(`${token}_${interval}`, async () => {
+            const series = await this.load(token, interval);
+            const budget = { fetches: this.config.maxFetchesPerQuery };
+
+            for (const [a, b] of this.findMissing(series, from, to)) {
+                await this.backfill(series, token, exchange, interval, a, b, now, budget);
+            }
+            await this.repairGaps(series, token, exchange, interval, from, to, now, budget);
+
+            return this.slice(series, from, to);
+        });
+    }
+
+    /**
+     * Write-through for candles fetched elsewhere (candleService) - closed ones only.
+     * Runs on every scan, so it stays in memory: nothing newly closed, no work.
+     */
+    record(token, interval, candles, now = clock.now()) {
+        if (!this.config.enabled || !this.initialized || !this.supports(interval) || !candles?.length) return 0;
+
+        const key = `${token}_${interval}`;
+        const step = INTERVAL_MS[interval];
+        const after = this.recordedUntil.get(key) ?? -Infinity;
+        const closed = candles.filter(c => Number.isFinite(c.timestamp) && c.timestamp > after && c.timestamp + step <= now);
+        if (closed.length === 0) return 0;
+
+        try {
+            // Not in memory: append blind - load() drops duplicate timestamps
+            const series = this.series.get(key) || { file: this.fileFor(token, interval), candles: [], timestamps: new Set() };
+            const written = this.append(series, interval, closed, now);
+            this.recordedUntil.set(key, Math.max(...closed.map(c => c.timestamp)));
+            return written;
+        } catch (error) {
+            this.stats.writeErrors++;
+            this.stats.lastError = error.message;
+            return 0;
+        }
+    }
+
+    /**
+     * Queries on one series run one after another - no double fetches, no torn appends
+     */
+    withLock(key, task) {
+        const run = (this.locks.get(key) || Promise.resolve()).then(task);
+        const tail = run.catch(() => {});
+        this.locks.set(key, tail);
+        tail.then(() => {
+            if (this.locks.get(key) === tail) this.locks.delete(key);
+        });
+        return run;
+    }
+
+    // ─── Backfill / repair ─────────────────────────────────────────────────────
+
+    /**
+     * Parts of [from, to] not covered by any fetched range
+     */
+    findMissing(series, from, to) {
+        const missing = [];
+        let cursor = from;
+
+        for (const [a, b] of series.fetched) {
+            if (b < cursor) continue;
+            if (a > to) break;
+            if (a > cursor) missing.push([cursor, a]);
+            cursor = Math.max(cursor, b);
+        }
+        if (cursor < to) missing.push([cursor, to]);
+
+        return missing;
+    }
+
+    async backfill(series, token, exchange, interval, from, to, now, budget) {
+        const chunkMs = this.config.maxDaysPerRequest[interval] * DAY_MS;
+
+        for (let start = from; start < to; start += chunkMs) {
+            if (budget.fetches <= 0) return;
+            budget.fetches--;
+
+            const end = Math.min(start + chunkMs, to);
+            const candles = await this.fetch(token, exchange, interval, start, end);
+            if (!candles) return;                      // Provider down - retried on the next query
+
+            this.append(series, interval, candles, now);
+            // Coverage stops short of the forming candle, so it is fetched again once closed
+            const closedUntil = Math.min(end, this.formingStart(interval, now) - 1);
+            if (closedUntil > start) this.addFetched(series, start, closedUntil);
+        }
+    }
+
+    /**
+     * Walk the stored range with checkTimestampGaps, one IST day at a time (the
+     * overnight break is a session, not a gap). Every unknown gap is refetched
+     * once; a known gap splits the day so the gaps beside it are still found.
+     */
+    async repairGaps(series, token, exchange, interval, from, to, now, budget) {
+        const maxGapMs = INTERVAL_MS[interval];
+        const segments = this.splitByDay(this.slice(series, from, to));
+        let repairs = 0;
+
+        while (segments.length > 0 && repairs < this.config.maxRepairsPerQuery && budget.fetches > 0) {
+            const segment = segments.pop();
+            const check = candleIntegrityService.checkTimestampGaps(segment, maxGapMs);
+            if (check.pass) continue;
+
+            const index = check.gapIndex;
+            const gap = [segment[index - 1].timestamp, segment[index].timestamp];
+
+            if (!series.gaps.has(gap.join('_'))) {
+                repairs++;
+                budget.fetches--;
+                const fetched = await this.fetch(token, exchange, interval, gap[0], gap[1]);
+                if (!fetched) return;
+
+                if (this.append(series, interval, fetched, now) > 0) {
+                    this.stats.gapsRepaired++;
+                    segments.push(this.slice(series, segment[0].timestamp, segment[segment.length - 1].timestamp));
+                    continue;
+                }
+                this.addGap(series, gap);
+            }
+
+            segments.push(segment.slice(0, index), segment.slice(index));
+        }
+    }
+
+    splitByDay(candles) {
+        const days = new Map();
+        for (const candle of candles) {
+            const day = this.istDay(candle.timestamp);
+            if (!days.has(day)) days.set(day, []);
+            days.get(day).push(candle);
+        }
+        return [...days.values()];
+    }
+
+    /**
+     * One provider call - null when it fails
+     */
+    async fetch(token, exchange, interval, from, to) {
+        this.stats.fetches++;
+        try {
+            return await marketDataService.getCandles({
+                token,
+                exchange,
+                interval,
+                fromDate: this.formatIST(from),
+                toDate: this.formatIST(to)
+            }) || [];
+        } catch (error) {
+            this.stats.fetchErrors++;
+            this.stats.lastError = error.message;
+            console.error(`[CANDLE_STORE] Fetch failed ${token} ${interval}:`, error.message);
+            return null;
+        }
+    }
+
+    // ─── Series on disk ────────────────────────────────────────────────────────
+
+    fileFor(token, interval) {
+        return path.join(this.config.dir, `${String(token).replace(/[^\w.-]/g, '_')}_${interval}.jsonl`);
+    }
+
+    async load(token, interval) {
+        const key = `${token}_${interval}`;
+        let series = this.series.get(key);
+
+        if (series) {
+            // Most recently used last - the oldest is evicted first
+            this.series.delete(key);
+            this.series.set(key, series);
+            return series;
+        }
+
+        series = { file: this.fileFor(token, interval), candles: [], timestamps: new Set(), fetched: [], gaps: new Set() };
+
+        const records = [];
+        let text = '';
+        try {
+            text = await fs.promises.readFile(series.file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch (e) {
+                // Torn write from a crash - keep the rest
+            }
+        }
+        records.push(...(this.pending.get(series.file) || []));
+
+        for (const record of records) {
+            if (record.fetched) series.fetched.push(record.fetched);
+            else if (record.gap) series.gaps.add(record.gap.join('_'));
+            else if (!series.timestamps.has(record.timestamp)) {
+                series.timestamps.add(record.timestamp);
+                series.candles.push(record);
+            }
+        }
+        series.candles.sort((a, b) => a.timestamp - b.timestamp);
+        series.fetched = this.mergeRanges(series.fetched);
+
+        this.series.set(key, series);
+        if (this.series.size > this.config.maxOpenSeries) {
+            this.series.delete(this.series.keys().next().value);
+        }
+        return series;
+    }
+
+    /**
+     * Append closed, valid candles not stored yet - returns how many were new
+     */
+    append(series, interval, candles, now) {
+        const step = INTERVAL_MS[interval];
+        const fresh = candles.filter(c =>
+            Number.isFinite(c.timestamp) &&
+            c.timestamp + step <= now &&
+            !series.timestamps.has(c.timestamp) &&
+            c.close > 0
+        ).map(({ timestamp, open, high, low, close, volume }) => ({ timestamp, open, high, low, close, volume }));
+
+        if (fresh.length === 0) return 0;
+
+        this.write(series, fresh);
+        fresh.forEach(c => series.timestamps.add(c.timestamp));
+        series.candles = series.candles.concat(fresh).sort((a, b) => a.timestamp - b.timestamp);
+        this.stats.written += fresh.length;
+        return fresh.length;
+    }
+
+    addFetched(series, from, to) {
+        this.write(series, [{ fetched: [from, to] }]);
+        series.fetched = this.mergeRanges([...series.fetched, [from, to]]);
+    }
+
+    addGap(series, gap) {
+        this.write(series, [{ gap }]);
+        series.gaps.add(gap.join('_'));
+        this.stats.knownGaps++;
+    }
+
+    write(series, records) {
+        const queue = this.pending.get(series.file) || [];
+        queue.push(...records);
+        this.pending.set(series.file, queue);
+
+        if (!this.flushTimer && !this.flushing) {
+            this.flushTimer = setTimeout(() => this.flush(), this.config.flushIntervalMs);
+            this.flushTimer.unref();
+        }
+    }
+
+    /**
+     * Append every pending record - one write per file. Records stay pending
+     * (visible to load) until their write returns.
+     */
+    flush() {
+        if (this.flushing) return this.flushing;
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        this.flushing = (async () => {
+            for (const [file, queue] of [...this.pending]) {
+                const count = queue.length;
+                try {
+                    await fs.promises.appendFile(file, this.serialize(queue.slice(0, count)));
+                } catch (error) {
+                    this.stats.writeErrors++;
+                    this.stats.lastError = error.message;
+                    console.error('[CANDLE_STORE] Write failed:', error.message);
+                }
+                queue.splice(0, count);
+                if (queue.length === 0 && this.pending.get(file) === queue) this.pending.delete(file);
+            }
+        })().finally(() => {
+            this.flushing = null;
+            if (this.pending.size > 0) {
+                this.flushTimer = setTimeout(() => this.flush(), this.config.flushIntervalMs);
+                this.flushTimer.unref();
+            }
+        });
+
+        return this.flushing;
+    }
+
+    /**
+     * Shutdown - whatever is still buffered goes to disk synchronously
+     */
+    stop() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        this.pending.forEach((queue, file) => {
+            try {
+                fs.appendFileSync(file, this.serialize(queue));
+            } catch (error) {
+                this.stats.writeErrors++;
+                this.stats.lastError = error.message;
+                console.error('[CANDLE_STORE] Write failed:', error.message);
+            }
+        });
+        this.pending.clear();
+    }
+
+    serialize(records) {
+        return records.map(r => JSON.stringify(r)).join('\n') + '\n';
+    }
+
+    // ─── Helpers ───────────────────────────────────────────────────────────────
+
+    slice(series, from, to) {
+        return series.candles.filter(c => c.timestamp >= from && c.timestamp <= to).map(c => ({ ...c }));
+    }
+
+    mergeRanges(ranges) {
+        const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        for (const [a, b] of sorted) {
+            const last = merged[merged.length - 1];
+            if (last && a <= last[1]) last[1] = Math.max(last[1], b);
+            else merged.push([a, b]);
+        }
+        return merged;
+    }
+
+    /**
+     * Open time of the candle forming at `now` - buckets are aligned to IST
+     */
+    formingStart(interval, now) {
+        const step = INTERVAL_MS[interval];
+        return Math.floor((now + IST_OFFSET_MS) / step) * step - IST_OFFSET_MS;
+    }
+
+    istDay(ts) {
+        return Math.floor((ts + IST_OFFSET_MS) / DAY_MS);
+    }
+
+    /**
+     * 'YYYY-MM-DD HH:mm' in IST - the provider's historical date format
+     */
+    formatIST(ts) {
+        const ist = calendarService.toIST(new Date(ts));
+        const hours = String(ist.getHours()).padStart(2, '0');
+        const minutes = String(ist.getMinutes()).padStart(2, '0');
+        return `${calendarService.formatDate(ist)} ${hours}:${minutes}`;
+    }
+
+    /**
+     * Query bound -> epoch ms. Plain dates are IST days (`to` = end of that day).
+     */
+    parseTime(value, endOfDay = false) {
+        if (value === undefined || value === null || value === '') return null;
+        if (/^\d+$/.test(String(value))) return parseInt(value);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            const start = Date.parse(`${value}T00:00:00+05:30`);
+            return endOfDay ? start + DAY_MS - 1 : start;
+        }
+        const parsed = Date.parse(value);
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            enabled: this.config.enabled,
+            dir: this.config.dir,
+            openSeries: this.series.size,
+            pendingWrites: [...this.pending.values()].reduce((sum, queue) => sum + queue.length, 0)
+        };
+    }
+}
+
+module.exports = new CandleStoreService();
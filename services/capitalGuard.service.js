@@ -5,6 +5,7 @@
 
 const safetyService = require('./safety.service');
 const marketStateService = require('./marketState.service');
+const clock = require('./clock.service');
 
 class CapitalGuardService {
     constructor() {
@@ -97,7 +98,7 @@ class CapitalGuardService {
             finalSignal,
             guards,
             protectionLevel: this.protectionState.protectionLevel,
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
     }
 
@@ -168,7 +169,7 @@ class CapitalGuardService {
         // Record current state
         const history = this.spikeHistory.get(token) || [];
         history.push({
-            time: Date.now(),
+            time: clock.now(),
             ltp: state.ltp,
             change: state.percentChangeFromOpen
         });
@@ -179,7 +180,7 @@ class CapitalGuardService {
         
         // Check for sudden spike (1.5% in last minute)
         if (history.length >= 2) {
-            const now = Date.now();
+            const now = clock.now();
             const oneMinAgo = now - 60000;
             const recentHistory = history.filter(h => h.time > oneMinAgo);
             
@@ -231,7 +232,7 @@ class CapitalGuardService {
         const isStrong = signal.signal === 'STRONG_BUY' || signal.signal === 'STRONG_SELL';
         
         this.recentSignals.push({
-            time: Date.now(),
+            time: clock.now(),
             isStrong,
             score: signal.score || 50
         });
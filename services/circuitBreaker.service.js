@@ -2,9 +2,12 @@
  * CIRCUIT BREAKER DETECTION SERVICE
  * Detects upper/lower circuit and near-freeze conditions
  * Blocks signals for circuit-hit stocks
+ * Uses the exchange's own price band from SnapQuote when available
  */
 
 const marketStateService = require('./marketState.service');
+const wsService = require('./websocket.service');
+const clock = require('./clock.service');
 
 class CircuitBreakerService {
     constructor() {
@@ -30,7 +33,11 @@ class CircuitBreakerService {
             FNO: { upper: 20, lower: -20 }         // F&O stocks
         };
 
+        // Live exchange bands (SnapQuote upper/lower circuit) as % of prev close
+        this.bandLimits = new Map();     // token -> { upper, lower, upperPrice, lowerPrice }
+
         this.checkInterval = null;
+        this.unsubscribeFeed = null;
 
         console.log('[CIRCUIT_BREAKER] Initializing circuit breaker detection...');
         console.log('[CIRCUIT_BREAKER] Initialized');
@@ -50,6 +57,13 @@ class CircuitBreakerService {
             this.scan();
         }, this.config.checkIntervalMs);
 
+        this.unsubscribeFeed = wsService.onPrice((data) => {
+            if (data.upperCircuit > 0 && data.lowerCircuit > 0) {
+                const symbol = marketStateService.getState(data.token)?.symbol || data.token;
+                this.registerCircuitBand(data.token, symbol, data);
+            }
+        }, 'CIRCUIT_BREAKER');
+
         console.log('[CIRCUIT_BREAKER] Started monitoring');
     }
 
@@ -57,6 +71,10 @@ class CircuitBreakerService {
      * Stop circuit monitoring
      */
     stop() {
+        if (this.unsubscribeFeed) {
+            this.unsubscribeFeed();
+            this.unsubscribeFeed = null;
+        }
         if (this.checkInterval) {
             clearInterval(this.checkInterval);
             this.checkInterval = null;
@@ -74,35 +92,66 @@ class CircuitBreakerService {
             if (!state || !state.ltp || !state.prevClose) continue;
 
             const changePercent = ((state.ltp - state.prevClose) / state.prevClose) * 100;
-            const circuitCheck = this.checkCircuit(token, state.symbol, changePercent);
-
-            if (circuitCheck.isCircuit) {
-                this.state.circuitHits.set(token, {
-                    ...circuitCheck,
-                    timestamp: Date.now()
-                });
-            } else {
-                this.state.circuitHits.delete(token);
-            }
+            this.applyCircuitCheck(this.checkCircuit(token, state.symbol, changePercent));
+        }
 
-            if (circuitCheck.isNearCircuit) {
-                this.state.nearCircuit.set(token, {
-                    ...circuitCheck,
-                    timestamp: Date.now()
-                });
-            } else {
-                this.state.nearCircuit.delete(token);
-            }
+        this.state.lastUpdate = clock.now();
+    }
+
+    /**
+     * Record circuit check outcome in hit / near-circuit maps
+     */
+    applyCircuitCheck(circuitCheck) {
+        const token = circuitCheck.token;
+
+        if (circuitCheck.isCircuit) {
+            this.state.circuitHits.set(token, {
+                ...circuitCheck,
+                timestamp: clock.now()
+            });
+        } else {
+            this.state.circuitHits.delete(token);
         }
 
-        this.state.lastUpdate = Date.now();
+        if (circuitCheck.isNearCircuit) {
+            this.state.nearCircuit.set(token, {
+                ...circuitCheck,
+                timestamp: clock.now()
+            });
+        } else {
+            this.state.nearCircuit.delete(token);
+        }
+    }
+
+    /**
+     * Register the exchange price band for a token and re-check immediately
+     * @param {object} quote - { upperCircuit, lowerCircuit, close (prev close), ltp }
+     */
+    registerCircuitBand(token, symbol, quote) {
+        const { upperCircuit, lowerCircuit, close, ltp } = quote;
+        if (!close || close <= 0) return null;
+
+        this.bandLimits.set(token, {
+            upper: ((upperCircuit - close) / close) * 100,
+            lower: ((lowerCircuit - close) / close) * 100,
+            upperPrice: upperCircuit,
+            lowerPrice: lowerCircuit
+        });
+
+        if (!ltp) return null;
+
+        const circuitCheck = this.checkCircuit(token, symbol, ((ltp - close) / close) * 100);
+        this.applyCircuitCheck(circuitCheck);
+        this.state.lastUpdate = clock.now();
+        return circuitCheck;
     }
 
     /**
      * Check circuit status for an instrument
      */
     checkCircuit(token, symbol, changePercent) {
-        const limits = this.circuitLimits.FNO; // Default to F&O limits
+        const band = this.bandLimits.get(token);
+        const limits = band || this.circuitLimits.FNO; // Default to F&O limits
         
         const distanceToUpper = limits.upper - changePercent;
         const distanceToLower = changePercent - limits.lower;
@@ -111,8 +160,9 @@ class CircuitBreakerService {
             token,
             symbol,
             changePercent: Math.round(changePercent * 100) / 100,
-            upperLimit: limits.upper,
-            lowerLimit: limits.lower,
+            upperLimit: Math.round(limits.upper * 100) / 100,
+            lowerLimit: Math.round(limits.lower * 100) / 100,
+            limitSource: band ? 'EXCHANGE_BAND' : 'DEFAULT',
             distanceToUpper: Math.round(distanceToUpper * 100) / 100,
             distanceToLower: Math.round(distanceToLower * 100) / 100,
             isCircuit: false,
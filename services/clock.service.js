@@ -0,0 +1,182 @@
+/**
+ * CLOCK SERVICE - INJECTABLE TIME SOURCE
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: One source of "now" for every service, so session, time-of-day,
+ * gap-day and opening-range logic can be driven outside market hours.
+ *
+ * MODES:
+ * - REAL : wall clock (Date.now)
+ * - FAKE : frozen at a set instant; moves only on set / advance / fastForward
+ *
+ * USE: clock.now() instead of Date.now(), clock.date() instead of new Date().
+ * Connection, rate-limit and auth timing stay on the wall clock.
+ *
+ * FAST-FORWARD: steps the fake clock and calls the onAdvance listeners at every
+ * step (barBuilder publishes its bar closes from there), so timer-driven
+ * behaviour can be replayed without waiting.
+ *
+ * The HTTP controls (/api/system/clock) exist only with CLOCK_DEBUG=true
+ * (settings.clock.debugEndpoint); replay.js drives the fake clock directly.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const MODES = {
+    REAL: 'REAL',
+    FAKE: 'FAKE'
+};
+
+class ClockService {
+    constructor() {
+        this.MODES = MODES;
+
+        this.config = {
+            defaultStepMs: 60 * 1000,
+            maxSteps: 7 * 24 * 60                // One week of 1-minute steps per fastForward
+        };
+
+        this.mode = MODES.REAL;
+        this.fakeNow = null;
+        this.listeners = [];
+
+        this.stats = {
+            sets: 0,
+            advances: 0,
+            fastForwards: 0,
+            steps: 0,
+            listenerErrors: 0
+        };
+    }
+
+    now() {
+        return this.mode === MODES.FAKE ? this.fakeNow : Date.now();
+    }
+
+    date() {
+        return new Date(this.now());
+    }
+
+    isFake() {
+        return this.mode === MODES.FAKE;
+    }
+
+    /**
+     * Freeze the clock at `start` (default: the current instant)
+     */
+    useFake(start = this.now()) {
+        this.fakeNow = this.toMs(start);
+        this.mode = MODES.FAKE;
+        console.log(`[CLOCK] Fake clock at ${this.format(this.fakeNow)}`);
+    }
+
+    useReal() {
+        this.mode = MODES.REAL;
+        this.fakeNow = null;
+        console.log('[CLOCK] Back on the wall clock');
+    }
+
+    /**
+     * Jump to an instant - switches to the fake clock
+     * @param {number|string|Date} time - epoch ms, ISO string or Date
+     */
+    set(time) {
+        const ts = this.toMs(time);
+        if (!this.isFake()) this.useFake(ts);
+        this.fakeNow = ts;
+        this.stats.sets++;
+        return this.fakeNow;
+    }
+
+    /**
+     * Move forward by `ms` in one jump - listeners are not called
+     */
+    advance(ms) {
+        if (!Number.isFinite(ms) || ms < 0) throw new Error(`Invalid advance: ${ms}`);
+        if (!this.isFake()) this.useFake();
+
+        this.fakeNow += ms;
+        this.stats.advances++;
+        return this.fakeNow;
+    }
+
+    /**
+     * Walk forward to `to` in `stepMs` steps, calling the onAdvance listeners at each
+     * @returns {{ from: number, to: number, steps: number }}
+     */
+    fastForward(to, stepMs = this.config.defaultStepMs) {
+        if (!Number.isFinite(stepMs) || stepMs <= 0) throw new Error(`Invalid step: ${stepMs}`);
+        if (!this.isFake()) this.useFake();
+
+        const from = this.fakeNow;
+        const target = this.toMs(to);
+        if (target < from) throw new Error('Cannot fast-forward into the past');
+
+        const steps = Math.ceil((target - from) / stepMs);
+        if (steps > this.config.maxSteps) {
+            throw new Error(`Fast-forward of ${steps} steps exceeds ${this.config.maxSteps} - use a larger step`);
+        }
+
+        for (let i = 0; i < steps; i++) {
+            this.fakeNow = Math.min(this.fakeNow + stepMs, target);
+            this.notify();
+        }
+
+        this.stats.fastForwards++;
+        this.stats.steps += steps;
+        return { from, to: this.fakeNow, steps };
+    }
+
+    /**
+     * @param {function} listener - (now) called at every fastForward step
+     * @returns {function} unsubscribe
+     */
+    onAdvance(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const idx = this.listeners.indexOf(listener);
+            if (idx > -1) this.listeners.splice(idx, 1);
+        };
+    }
+
+    notify() {
+        for (const listener of [...this.listeners]) {
+            try {
+                listener(this.fakeNow);
+            } catch (error) {
+                this.stats.listenerErrors++;
+                console.error('[CLOCK] Advance listener error:', error.message);
+            }
+        }
+    }
+
+    toMs(time) {
+        const ts = time instanceof Date ? time.getTime()
+            : (typeof time === 'string' && !/^\d+$/.test(time)) ? Date.parse(time)
+            : Number(time);
+        if (!Number.isFinite(ts)) throw new Error(`Invalid time: ${time}`);
+        return ts;
+    }
+
+    format(ts) {
+        return new Date(ts + IST_OFFSET_MS).toISOString().replace('T', ' ').slice(0, 19) + ' IST';
+    }
+
+    getStatus() {
+        const now = this.now();
+        return {
+            mode: this.mode,
+            now,
+            iso: new Date(now).toISOString(),
+            ist: this.format(now),
+            offsetMs: this.isFake() ? now - Date.now() : 0,
+            listeners: this.listeners.length,
+            stats: { ...this.stats }
+        };
+    }
+}
+
+module.exports = new ClockService();
+module.exports.ClockService = ClockService;
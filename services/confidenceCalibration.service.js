@@ -0,0 +1,630 @@
+/**
+ * CONFIDENCE CALIBRATION SERVICE - OFFLINE WEIGHT FITTING + VERSIONED APPROVAL
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Replace the hand-picked confidenceScoring weights / minimumThreshold
+ * with values fitted on realised outcomes - without touching the live engine
+ * until a human approves a specific version
+ *
+ * JOB (node calibrate.js, or POST /api/institutional/confidence/calibration/run):
+ * - Samples  : EXITED lifecycle records (signalLifecycle / journal) with the
+ *              CONFIDENCE_SCORE check's 0-1 factor scores; win = pnl% > 0
+ * - Split    : Chronological - first 70% fits, last 30% evaluates
+ * - Weights  : L2 logistic regression on factor scores → positive coefficients
+ *              rescaled to the current total, shrunk toward the current set
+ *              (n / (n + priorStrength)) and capped at ±50% per factor
+ * - Curve    : Isotonic (PAV) score → win probability, per weight set
+ * - Threshold: Lowest score whose calibrated probability reaches targetWinRate
+ * - Report   : Per-factor diff, threshold diff, holdout Brier / log loss and
+ *              pass-set win rate for current vs proposed
+ *
+ * APPROVAL (ELITE LOCK):
+ * PROPOSED → APPROVED (named approver, ≥3 trading days of outcomes, must beat
+ * current on holdout) → ACTIVE. While ELITE_LOCKED an approved set is only
+ * activated on the next boot - never swapped into a running engine.
+ *
+ * STORAGE: data/calibration/registry.json + proposal_<version>.json
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('../config/settings.config');
+const calendarService = require('./calendar.service');
+const productionConfig = require('./production.config');
+const confidenceScoringService = require('./confidenceScoring.service');
+const signalLifecycleService = require('./signalLifecycle.service');
+const signalJournalService = require('./signalJournal.service');
+const clock = require('./clock.service');
+
+const STATUS = {
+    PROPOSED: 'PROPOSED',
+    APPROVED: 'APPROVED',
+    ACTIVE: 'ACTIVE',
+    REJECTED: 'REJECTED',
+    SUPERSEDED: 'SUPERSEDED'
+};
+
+class ConfidenceCalibrationService {
+    constructor() {
+        this.config = {
+            dir: './data/calibration',
+            minSamples: 50,             // Completed signals with factor scores
+            minFactorSamples: 20,       // Below this a factor keeps its current weight
+            minTradingDays: 3,          // Elite Lock: 3-day data validation
+            holdoutFraction: 0.3,
+            priorStrength: 200,         // Shrinkage toward current weights
+            maxFactorChange: 0.5,       // ±50% per factor per version
+            targetWinRate: 0.55,        // Calibrated probability the threshold must reach
+            maxThresholdShift: 8,       // Points either side of the current threshold
+            winThresholdPct: 0,
+            l2: 0.01,
+            iterations: 1500,
+            learningRate: 0.5
+        };
+
+        // Weights in force at require time - normalises journal records that
+        // predate factorScores
+        this.defaultWeights = { ...confidenceScoringService.weights };
+        this.factors = Object.keys(this.defaultWeights);
+
+        this.registry = { seq: 0, active: null, versions: {} };
+        this.initialized = false;
+
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        const calibrationConfig = settings.calibration || {};
+        this.config = {
+            ...this.config,
+            ...calibrationConfig
+        };
+    }
+
+    /**
+     * Load the registry and activate the approved / active weight set (boot only)
+     * @returns {object} { active, activatedOnBoot }
+     */
+    initialize() {
+        this.loadRegistry();
+
+        const approved = Object.values(this.registry.versions)
+            .filter(v => v.status === STATUS.APPROVED)
+            .sort((a, b) => b.approvedAt - a.approvedAt)[0];
+
+        let activatedOnBoot = null;
+        if (approved) {
+            this.activate(approved.version);
+            activatedOnBoot = approved.version;
+        } else if (this.registry.active && this.registry.versions[this.registry.active]) {
+            confidenceScoringService.applyCalibration(this.registry.versions[this.registry.active]);
+        }
+
+        this.initialized = true;
+        console.log(`[CALIBRATION] Initialized | Active: ${this.registry.active || 'V6_DEFAULT'} | Versions: ${Object.keys(this.registry.versions).length}`);
+
+        return { active: this.registry.active, activatedOnBoot };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // SAMPLES
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Completed lifecycle records straight from the journal (offline job)
+     * @param {number} days - Trading days to read
+     */
+    loadJournalRecords(days) {
+        signalJournalService.loadConfig();
+        const store = signalJournalService.createStore(signalJournalService.config.store);
+        store.open();
+
+        return store.readDays(days)
+            .filter(e => e.source === 'LIFECYCLE' && e.type === signalJournalService.EVENTS.EXITED)
+            .map(e => e.data);
+    }
+
+    /**
+     * Lifecycle record → { day, factors (0-1), win, pnlPercent } or null
+     */
+    extractSample(record) {
+        if (!record || record.finalStatus !== 'EXITED' || typeof record.pnlPercent !== 'number') return null;
+
+        const check = (record.guardsExecuted || []).find(c => c.name === 'CONFIDENCE_SCORE');
+        if (!check || !check.breakdown) return null;
+
+        const weightsAtEntry = this.registry.versions[check.weightsVersion]?.weights || this.defaultWeights;
+        const factors = {};
+
+        for (const factor of this.factors) {
+            if (check.factorScores && typeof check.factorScores[factor] === 'number') {
+                factors[factor] = check.factorScores[factor];
+            } else if (typeof check.breakdown[factor] === 'number' && weightsAtEntry[factor] > 0) {
+                factors[factor] = Math.min(1, Math.max(0, check.breakdown[factor] / weightsAtEntry[factor]));
+            }
+        }
+
+        const time = record.entryTime || record.completedTime;
+        return {
+            signalId: record.signalId,
+            symbol: record.symbol,
+            time,
+            day: calendarService.formatDate(calendarService.toIST(new Date(time))),
+            factors,
+            pnlPercent: record.pnlPercent,
+            plusOneHit: (record.maxPnL || 0) >= 1,
+            win: record.pnlPercent > this.config.winThresholdPct ? 1 : 0
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // JOB
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Fit a proposal from completed signals and register it as PROPOSED
+     * @param {object} options - { records, source }
+     * @returns {object} Full proposal report
+     */
+    run({ records, source } = {}) {
+        const input = records || signalLifecycleService.getCompletedSignals(Infinity);
+        const samples = input.map(r => this.extractSample(r)).filter(Boolean).sort((a, b) => a.time - b.time);
+
+        if (samples.length < this.config.minSamples) {
+            throw new Error(`Need ${this.config.minSamples} completed signals with factor scores, have ${samples.length}`);
+        }
+
+        const split = Math.floor(samples.length * (1 - this.config.holdoutFraction));
+        const train = samples.slice(0, split);
+        const holdout = samples.slice(split);
+
+        const { means, counts } = this.factorStats(train);
+        const X = train.map(s => this.factors.map(f => s.factors[f] ?? means[f]));
+        const y = train.map(s => s.win);
+        const model = this.fitLogistic(X, y);
+
+        const current = {
+            version: confidenceScoringService.weightsVersion,
+            weights: { ...confidenceScoringService.weights },
+            minimumThreshold: confidenceScoringService.minimumThreshold
+        };
+        const proposedWeights = this.deriveWeights(model.coefficients, counts, current.weights, train.length);
+
+        const curves = {
+            current: this.fitIsotonic(train.map(s => [this.score(s, current.weights), s.win])),
+            proposed: this.fitIsotonic(train.map(s => [this.score(s, proposedWeights), s.win]))
+        };
+        const proposedThreshold = this.proposeThreshold(curves.proposed, current.minimumThreshold);
+
+        const evaluation = {
+            samples: holdout.length,
+            current: this.evaluate(holdout, current.weights, current.minimumThreshold, curves.current),
+            proposed: this.evaluate(holdout, proposedWeights, proposedThreshold, curves.proposed)
+        };
+        evaluation.improves = evaluation.proposed.brier <= evaluation.current.brier;
+
+        const days = [...new Set(samples.map(s => s.day))].sort();
+        const version = `v${++this.registry.seq}`;
+
+        const proposal = {
+            version,
+            status: STATUS.PROPOSED,
+            createdAt: clock.now(),
+            source: source || (records ? 'records' : 'signalLifecycle'),
+            sampleSize: samples.length,
+            trainSize: train.length,
+            tradingDays: days.length,
+            period: { from: days[0], to: days[days.length - 1] },
+            winRate: this.round(samples.reduce((sum, s) => sum + s.win, 0) / samples.length, 3),
+            weights: proposedWeights,
+            minimumThreshold: proposedThreshold,
+            basedOn: current,
+            diff: this.buildDiff(current, proposedWeights, proposedThreshold, model, counts),
+            calibration: {
+                current: this.curveBins(train, current.weights, curves.current),
+                proposed: this.curveBins(train, proposedWeights, curves.proposed)
+            },
+            evaluation,
+            model: {
+                intercept: this.round(model.intercept, 4),
+                coefficients: Object.fromEntries(this.factors.map((f, i) => [f, this.round(model.coefficients[i], 4)])),
+                l2: this.config.l2,
+                iterations: this.config.iterations
+            }
+        };
+
+        this.saveProposal(proposal);
+        this.registry.versions[version] = this.summarise(proposal);
+        this.saveRegistry();
+
+        console.log(`[CALIBRATION] ${version} proposed | ${samples.length} samples over ${days.length} days | Brier ${evaluation.current.brier} → ${evaluation.proposed.brier} | min ${current.minimumThreshold} → ${proposedThreshold}`);
+        return proposal;
+    }
+
+    factorStats(samples) {
+        const means = {};
+        const counts = {};
+
+        for (const factor of this.factors) {
+            const values = samples.map(s => s.factors[factor]).filter(v => typeof v === 'number');
+            counts[factor] = values.length;
+            means[factor] = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0.5;
+        }
+
+        return { means, counts };
+    }
+
+    /**
+     * L2-regularised logistic regression by batch gradient descent
+     */
+    fitLogistic(X, y) {
+        const n = X.length;
+        const d = this.factors.length;
+        const coefficients = new Array(d).fill(0);
+        const baseRate = Math.min(0.99, Math.max(0.01, y.reduce((a, b) => a + b, 0) / n));
+        let intercept = Math.log(baseRate / (1 - baseRate));
+
+        for (let iter = 0; iter < this.config.iterations; iter++) {
+            const grad = new Array(d).fill(0);
+            let gradIntercept = 0;
+
+            for (let i = 0; i < n; i++) {
+                let z = intercept;
+                for (let j = 0; j < d; j++) z += coefficients[j] * X[i][j];
+                const error = 1 / (1 + Math.exp(-z)) - y[i];
+
+                gradIntercept += error;
+                for (let j = 0; j < d; j++) grad[j] += error * X[i][j];
+            }
+
+            intercept -= this.config.learningRate * gradIntercept / n;
+            for (let j = 0; j < d; j++) {
+                coefficients[j] -= this.config.learningRate * (grad[j] / n + this.config.l2 * coefficients[j]);
+            }
+        }
+
+        return { intercept, coefficients };
+    }
+
+    /**
+     * Coefficients → weight set on the current scale, shrunk and capped
+     */
+    deriveWeights(coefficients, counts, currentWeights, sampleSize) {
+        const total = Object.values(currentWeights).reduce((a, b) => a + b, 0);
+        const positive = coefficients.map(c => Math.max(0, c));
+        const positiveSum = positive.reduce((a, b) => a + b, 0);
+        if (positiveSum === 0) return { ...currentWeights };
+
+        const alpha = sampleSize / (sampleSize + this.config.priorStrength);
+        const weights = {};
+
+        this.factors.forEach((factor, i) => {
+            const cur = currentWeights[factor] || 0;
+            if (counts[factor] < this.config.minFactorSamples) {
+                weights[factor] = cur;
+                return;
+            }
+
+            const fitted = (positive[i] / positiveSum) * total;
+            const blended = (1 - alpha) * cur + alpha * fitted;
+            weights[factor] = Math.min(cur * (1 + this.config.maxFactorChange), Math.max(cur * (1 - this.config.maxFactorChange), blended));
+        });
+
+        const blendedTotal = Object.values(weights).reduce((a, b) => a + b, 0);
+        for (const factor of this.factors) {
+            weights[factor] = Math.round((weights[factor] / blendedTotal) * total * 2) / 2;
+        }
+
+        return weights;
+    }
+
+    /**
+     * Live-equivalent score: absent factors contribute nothing
+     */
+    score(sample, weights) {
+        let total = 0;
+        for (const [factor, value] of Object.entries(sample.factors)) {
+            total += (weights[factor] || 0) * value;
+        }
+        return total;
+    }
+
+    /**
+     * Pool-adjacent-violators fit of win rate against score
+     * @param {Array} points - [[score, win], ...]
+     * @returns {Array} Monotone blocks { min, max, value, count }
+     */
+    fitIsotonic(points) {
+        const sorted = [...points].sort((a, b) => a[0] - b[0]);
+        const blocks = [];
+
+        for (const [score, win] of sorted) {
+            blocks.push({ min: score, max: score, sum: win, count: 1 });
+
+            while (blocks.length > 1) {
+                const last = blocks[blocks.length - 1];
+                const prev = blocks[blocks.length - 2];
+                if (prev.sum / prev.count <= last.sum / last.count) break;
+
+                blocks.splice(blocks.length - 2, 2, {
+                    min: prev.min,
+                    max: last.max,
+                    sum: prev.sum + last.sum,
+                    count: prev.count + last.count
+                });
+            }
+        }
+
+        return blocks.map(b => ({ min: b.min, max: b.max, value: b.sum / b.count, count: b.count }));
+    }
+
+    predict(curve, score) {
+        if (curve.length === 0) return 0.5;
+        let value = curve[0].value;
+        for (const block of curve) {
+            if (score >= block.min) value = block.value;
+        }
+        return value;
+    }
+
+    proposeThreshold(curve, currentThreshold) {
+        const block = curve.find(b => b.value >= this.config.targetWinRate);
+        if (!block) return currentThreshold;
+
+        const shift = this.config.maxThresholdShift;
+        return Math.round(Math.min(currentThreshold + shift, Math.max(currentThreshold - shift, block.min)));
+    }
+
+    evaluate(samples, weights, threshold, curve) {
+        if (samples.length === 0) {
+            return { brier: null, logLoss: null, passed: 0, passWinRate: null, passPlusOneHitRate: null, passAvgPnL: null };
+        }
+
+        let brier = 0;
+        let logLoss = 0;
+        const passed = [];
+
+        for (const sample of samples) {
+            const score = this.score(sample, weights);
+            const p = Math.min(0.999, Math.max(0.001, this.predict(curve, score)));
+
+            brier += (p - sample.win) ** 2;
+            logLoss -= sample.win ? Math.log(p) : Math.log(1 - p);
+            if (score >= threshold) passed.push(sample);
+        }
+
+        const rate = (list, fn) => list.length > 0 ? this.round(list.filter(fn).length / list.length, 3) : null;
+
+        return {
+            brier: this.round(brier / samples.length, 4),
+            logLoss: this.round(logLoss / samples.length, 4),
+            passed: passed.length,
+            passWinRate: rate(passed, s => s.win),
+            passPlusOneHitRate: rate(passed, s => s.plusOneHit),
+            passAvgPnL: passed.length > 0 ? this.round(passed.reduce((sum, s) => sum + s.pnlPercent, 0) / passed.length, 3) : null
+        };
+    }
+
+    /**
+     * 10-point score buckets: observed vs calibrated win rate
+     */
+    curveBins(samples, weights, curve) {
+        const bins = [];
+        for (let low = 0; low < 100; low += 10) {
+            const inBin = samples.filter(s => {
+                const score = this.score(s, weights);
+                return score >= low && (score < low + 10 || (low === 90 && score <= 100));
+            });
+            if (inBin.length === 0) continue;
+
+            bins.push({
+                range: `${low}-${low + 10}`,
+                count: inBin.length,
+                observedWinRate: this.round(inBin.reduce((sum, s) => sum + s.win, 0) / inBin.length, 3),
+                calibrated: this.round(inBin.reduce((sum, s) => sum + this.predict(curve, this.score(s, weights)), 0) / inBin.length, 3)
+            });
+        }
+        return bins;
+    }
+
+    buildDiff(current, proposedWeights, proposedThreshold, model, counts) {
+        const factors = this.factors.map((factor, i) => {
+            const cur = current.weights[factor] || 0;
+            const next = proposedWeights[factor];
+            return {
+                factor,
+                current: cur,
+                proposed: next,
+                change: this.round(next - cur, 2),
+                changePct: cur > 0 ? this.round(((next - cur) / cur) * 100, 1) : null,
+                coefficient: this.round(model.coefficients[i], 4),
+                samples: counts[factor]
+            };
+        }).sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+        return {
+            factors,
+            minimumThreshold: {
+                current: current.minimumThreshold,
+                proposed: proposedThreshold,
+                change: proposedThreshold - current.minimumThreshold
+            }
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // APPROVAL
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Approve a PROPOSED version. Activates immediately only when the Elite Lock
+     * allows scoring adjustment; otherwise it is activated on the next boot.
+     * @param {string} version
+     * @param {object} options - { approvedBy, note }
+     */
+    approve(version, { approvedBy, note } = {}) {
+        const entry = this.getVersion(version);
+
+        if (entry.status !== STATUS.PROPOSED) {
+            throw new Error(`${version} is ${entry.status} - only ${STATUS.PROPOSED} versions can be approved`);
+        }
+        if (!approvedBy) {
+            throw new Error('approvedBy required');
+        }
+        if (entry.tradingDays < this.config.minTradingDays) {
+            throw new Error(`Elite Lock: ${version} covers ${entry.tradingDays} trading days, ${this.config.minTradingDays} required`);
+        }
+        if (!entry.evaluation.improves) {
+            throw new Error(`${version} does not beat the current weights on holdout (Brier ${entry.evaluation.current.brier} → ${entry.evaluation.proposed.brier})`);
+        }
+        // The diff and holdout were measured against the weights it was fitted on
+        if (entry.basedOn !== confidenceScoringService.weightsVersion) {
+            throw new Error(`${version} was fitted against ${entry.basedOn}, but ${confidenceScoringService.weightsVersion} is live - run the calibration again`);
+        }
+
+        // Only one approved-but-inactive set at a time
+        for (const other of Object.values(this.registry.versions)) {
+            if (other.status === STATUS.APPROVED) other.status = STATUS.SUPERSEDED;
+        }
+
+        entry.status = STATUS.APPROVED;
+        entry.approvedBy = approvedBy;
+        entry.approvedAt = clock.now();
+        entry.note = note || null;
+
+        if (this.canActivateLive()) {
+            this.activate(version);
+        } else {
+            entry.activation = 'NEXT_BOOT';
+            this.saveRegistry();
+            console.log(`[CALIBRATION] ${version} approved by ${approvedBy} - Elite Lock active, applies on next boot`);
+        }
+
+        return entry;
+    }
+
+    reject(version, { rejectedBy, note } = {}) {
+        const entry = this.getVersion(version);
+
+        if (entry.status !== STATUS.PROPOSED && entry.status !== STATUS.APPROVED) {
+            throw new Error(`${version} is ${entry.status} - cannot reject`);
+        }
+
+        entry.status = STATUS.REJECTED;
+        entry.rejectedBy = rejectedBy || null;
+        entry.rejectedAt = clock.now();
+        entry.note = note || null;
+        this.saveRegistry();
+
+        console.log(`[CALIBRATION] ${version} rejected${rejectedBy ? ` by ${rejectedBy}` : ''}`);
+        return entry;
+    }
+
+    activate(version) {
+        const entry = this.getVersion(version);
+        const previous = this.registry.active && this.registry.versions[this.registry.active];
+        if (previous && previous.version !== version) {
+            previous.status = STATUS.SUPERSEDED;
+        }
+
+        entry.status = STATUS.ACTIVE;
+        entry.activatedAt = clock.now();
+        delete entry.activation;
+        this.registry.active = version;
+        this.saveRegistry();
+
+        confidenceScoringService.applyCalibration(entry);
+        console.log(`[CALIBRATION] ${version} ACTIVE (approved by ${entry.approvedBy})`);
+    }
+
+    canActivateLive() {
+        return !productionConfig.ELITE_LOCKED && productionConfig.ALLOW_SCORING_ADJUSTMENT;
+    }
+
+    getVersion(version) {
+        const entry = this.registry.versions[version];
+        if (!entry) throw new Error(`Unknown calibration version ${version}`);
+        return entry;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // STORAGE
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    summarise(proposal) {
+        return {
+            version: proposal.version,
+            status: proposal.status,
+            createdAt: proposal.createdAt,
+            source: proposal.source,
+            sampleSize: proposal.sampleSize,
+            tradingDays: proposal.tradingDays,
+            period: proposal.period,
+            basedOn: proposal.basedOn.version,
+            weights: proposal.weights,
+            minimumThreshold: proposal.minimumThreshold,
+            evaluation: {
+                improves: proposal.evaluation.improves,
+                current: { brier: proposal.evaluation.current.brier, passWinRate: proposal.evaluation.current.passWinRate },
+                proposed: { brier: proposal.evaluation.proposed.brier, passWinRate: proposal.evaluation.proposed.passWinRate }
+            }
+        };
+    }
+
+    getProposal(version) {
+        this.getVersion(version);
+        const file = path.join(path.resolve(this.config.dir), `proposal_${version}.json`);
+        const proposal = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return { ...proposal, ...this.registry.versions[version] };
+    }
+
+    saveProposal(proposal) {
+        const dir = path.resolve(this.config.dir);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, `proposal_${proposal.version}.json`), JSON.stringify(proposal, null, 2));
+    }
+
+    loadRegistry() {
+        const file = path.join(path.resolve(this.config.dir), 'registry.json');
+        try {
+            if (fs.existsSync(file)) {
+                this.registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+            }
+        } catch (error) {
+            console.error('[CALIBRATION] Registry read failed:', error.message);
+        }
+    }
+
+    saveRegistry() {
+        const dir = path.resolve(this.config.dir);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'registry.json'), JSON.stringify(this.registry, null, 2));
+    }
+
+    round(value, digits = 2) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    getStatus() {
+        const versions = Object.values(this.registry.versions).sort((a, b) => b.createdAt - a.createdAt);
+        return {
+            initialized: this.initialized,
+            active: this.registry.active,
+            weightsVersion: confidenceScoringService.weightsVersion,
+            pendingActivation: versions.filter(v => v.status === STATUS.APPROVED).map(v => v.version),
+            eliteLocked: productionConfig.ELITE_LOCKED,
+            liveActivation: this.canActivateLive(),
+            minSamples: this.config.minSamples,
+            minTradingDays: this.config.minTradingDays,
+            versions
+        };
+    }
+}
+
+const confidenceCalibrationService = new ConfidenceCalibrationService();
+confidenceCalibrationService.STATUS = STATUS;
+
+module.exports = confidenceCalibrationService;
@@ -5,6 +5,9 @@
  * MINIMUM EMIT SCORE: 60
  */
 
+const productionConfig = require('./production.config');
+const clock = require('./clock.service');
+
 class ConfidenceScoringService {
     constructor() {
         // V6: Updated weights with new factors
@@ -34,6 +37,9 @@ class ConfidenceScoringService {
 
         this.scoreHistory = new Map();  // token -> score history
 
+        // Weight set in force - 'V6_DEFAULT' until an approved calibration is activated
+        this.weightsVersion = 'V6_DEFAULT';
+
         console.log('[CONFIDENCE_SCORING] Initializing V6 confidence scoring...');
         console.log('[CONFIDENCE_SCORING] Minimum emit threshold: ' + this.minimumThreshold);
         console.log('[CONFIDENCE_SCORING] Initialized');
@@ -158,20 +164,30 @@ class ConfidenceScoringService {
             totalScore += exitScore;
         }
 
+        // Weight-independent 0-1 factor scores (inputs for offline calibration)
+        const factorScores = {};
+        for (const [factor, points] of Object.entries(breakdown)) {
+            factorScores[factor] = this.weights[factor] > 0
+                ? Math.round((points / this.weights[factor]) * 1000) / 1000
+                : 0;
+        }
+
         const result = {
             score: Math.round(totalScore),
             breakdown,
+            factorScores,
+            weightsVersion: this.weightsVersion,
             grade: this.getGrade(totalScore),
             maxPossible: 100,
             meetsMinimum: totalScore >= this.minimumThreshold,
             minimumRequired: this.minimumThreshold,
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
 
         // Store in history
         if (factors.token) {
             const history = this.scoreHistory.get(factors.token) || [];
-            history.push({ timestamp: Date.now(), score: result.score });
+            history.push({ timestamp: clock.now(), score: result.score });
             if (history.length > 20) history.shift();
             this.scoreHistory.set(factors.token, history);
         }
@@ -395,6 +411,7 @@ class ConfidenceScoringService {
 
         return {
             version: 'V6',
+            weightsVersion: this.weightsVersion,
             minimumThreshold: this.minimumThreshold,
             strongSignalThreshold: this.strongSignalThreshold,
             weights: this.weights,
@@ -420,17 +437,30 @@ class ConfidenceScoringService {
     }
 
     /**
-     * Update weights
+     * Update weights (rejected under ELITE LOCK - use an approved calibration)
      */
     updateWeights(newWeights) {
+        productionConfig.assertUnlocked('CONFIDENCE_SCORING.updateWeights', 'ALLOW_SCORING_ADJUSTMENT');
         this.weights = { ...this.weights, ...newWeights };
         console.log('[CONFIDENCE_SCORING] V6 weights updated:', this.weights);
     }
 
     /**
-     * V6: Update thresholds
+     * Activate an approved calibration (confidenceCalibration.service)
+     * @param {object} calibration - { version, weights, minimumThreshold }
+     */
+    applyCalibration(calibration) {
+        this.weights = { ...this.weights, ...calibration.weights };
+        if (calibration.minimumThreshold) this.minimumThreshold = calibration.minimumThreshold;
+        this.weightsVersion = calibration.version;
+        console.log(`[CONFIDENCE_SCORING] Calibrated weights ${calibration.version} active | min=${this.minimumThreshold}`);
+    }
+
+    /**
+     * V6: Update thresholds (rejected under ELITE LOCK)
      */
     updateThresholds(minimum, strong) {
+        productionConfig.assertUnlocked('CONFIDENCE_SCORING.updateThresholds', 'ALLOW_SCORING_ADJUSTMENT');
         if (minimum) this.minimumThreshold = minimum;
         if (strong) this.strongSignalThreshold = strong;
         console.log(`[CONFIDENCE_SCORING] Thresholds updated: min=${this.minimumThreshold}, strong=${this.strongSignalThreshold}`);
@@ -6,6 +6,8 @@
  */
 
 const marketStateService = require('./marketState.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
 
 class CorrelationEngineService {
     constructor() {
@@ -19,12 +21,12 @@ class CorrelationEngineService {
             highCorrelationThreshold: 0.7,
             lowCorrelationThreshold: 0.3,
             divergenceThreshold: 1,      // 1% divergence
-            updateIntervalMs: 30000
+            barInterval: 'ONE_MINUTE'
         };
 
         this.priceHistory = new Map();   // token -> price history
         this.indexHistory = [];
-        this.updateInterval = null;
+        this.unsubscribeBars = null;
 
         console.log('[CORRELATION_ENGINE] Initializing correlation engine...');
         console.log('[CORRELATION_ENGINE] Initialized');
@@ -34,26 +36,26 @@ class CorrelationEngineService {
      * Start correlation tracking
      */
     start() {
-        if (this.updateInterval) {
+        if (this.unsubscribeBars) {
             console.log('[CORRELATION_ENGINE] Already running');
             return;
         }
 
         this.calculate();
-        this.updateInterval = setInterval(() => {
+        this.unsubscribeBars = eventBus.onBarClose(this.config.barInterval, () => {
             this.calculate();
-        }, this.config.updateIntervalMs);
+        }, 'CORRELATION_ENGINE');
 
-        console.log('[CORRELATION_ENGINE] Started - calculating every 30 seconds');
+        console.log('[CORRELATION_ENGINE] Started - calculating on every 1m bar close');
     }
 
     /**
      * Stop correlation tracking
      */
     stop() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+        if (this.unsubscribeBars) {
+            this.unsubscribeBars();
+            this.unsubscribeBars = null;
             console.log('[CORRELATION_ENGINE] Stopped');
         }
     }
@@ -68,7 +70,7 @@ class CorrelationEngineService {
 
         // Update index history
         this.indexHistory.push({
-            timestamp: Date.now(),
+            timestamp: clock.now(),
             price: niftyState.ltp,
             change: niftyState.change || 0
         });
@@ -85,7 +87,7 @@ class CorrelationEngineService {
             // Update price history
             const history = this.priceHistory.get(token) || [];
             history.push({
-                timestamp: Date.now(),
+                timestamp: clock.now(),
                 price: state.ltp,
                 change: state.change || 0
             });
@@ -115,12 +117,12 @@ class CorrelationEngineService {
                     divergence: Math.round(divergence * 100) / 100,
                     correlationType: this.classifyCorrelation(correlation),
                     signalStrength: this.calculateSignalStrength(correlation, divergence),
-                    timestamp: Date.now()
+                    timestamp: clock.now()
                 });
             }
         }
 
-        this.state.lastUpdate = Date.now();
+        this.state.lastUpdate = clock.now();
     }
 
     /**
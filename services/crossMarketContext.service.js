@@ -1,6 +1,8 @@
 const wsService = require('./websocket.service');
 const universeLoader = require('./universeLoader.service');
 const indicatorService = require('./indicator.service');
+const sectorTaxonomyService = require('./sectorTaxonomy.service');
+const clock = require('./clock.service');
 
 class CrossMarketContextService {
     constructor() {
@@ -43,7 +45,7 @@ class CrossMarketContextService {
         // Subscribe to index price updates
         wsService.onPrice((data) => {
             this.processIndexUpdate(data);
-        });
+        }, 'CROSS_MARKET');
         
         // Periodic sector calculation
         this.startPeriodicUpdates();
@@ -73,7 +75,7 @@ class CrossMarketContextService {
         }
     }
 
-    updateIndexData(indexName, price, timestamp = Date.now()) {
+    updateIndexData(indexName, price, timestamp = clock.now()) {
         const existing = this.indexData.get(indexName);
         const prevPrice = existing?.price || price;
         const change = ((price - prevPrice) / prevPrice) * 100;
@@ -142,14 +144,16 @@ class CrossMarketContextService {
     }
 
     // 🔴 CALCULATE SECTOR LEADERSHIP
+    // Sector move is weighted by each stock's weight in the sector index (1 when unlisted)
     calculateSectorLeadership() {
-        const sectors = ['IT', 'BANKING', 'FINANCE', 'AUTO', 'PHARMA', 'METAL', 'ENERGY', 'POWER', 'FMCG', 'INFRA', 'TELECOM', 'REALTY', 'CHEMICAL'];
+        const sectors = sectorTaxonomyService.getSectors();
         
         sectors.forEach(sector => {
             const stocks = universeLoader.getBySector(sector);
             if (stocks.length === 0) return;
             
-            let totalChange = 0;
+            let weightedChange = 0;
+            let totalWeight = 0;
             let validStocks = 0;
             const stockChanges = [];
             
@@ -157,14 +161,16 @@ class CrossMarketContextService {
                 const livePrice = wsService.getLivePrice(stock.token);
                 if (livePrice && livePrice.open > 0) {
                     const change = ((livePrice.ltp - livePrice.open) / livePrice.open) * 100;
-                    totalChange += change;
+                    const weight = sectorTaxonomyService.getSectorWeight(stock.symbol) || 1;
+                    weightedChange += change * weight;
+                    totalWeight += weight;
                     validStocks++;
                     stockChanges.push({ symbol: stock.symbol, change });
                 }
             });
             
             if (validStocks > 0) {
-                const avgChange = totalChange / validStocks;
+                const avgChange = weightedChange / totalWeight;
                 
                 this.sectorData.set(sector, {
                     sector,
@@ -172,7 +178,7 @@ class CrossMarketContextService {
                     stockCount: validStocks,
                     topGainers: stockChanges.sort((a, b) => b.change - a.change).slice(0, 3),
                     topLosers: stockChanges.sort((a, b) => a.change - b.change).slice(0, 3),
-                    timestamp: Date.now()
+                    timestamp: clock.now()
                 });
             }
         });
@@ -239,7 +245,7 @@ class CrossMarketContextService {
             reasons,
             indexBias: this.marketBias,
             marketStrength: this.marketStrength,
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
     }
 
@@ -351,7 +357,7 @@ class CrossMarketContextService {
 
     // Manual update for testing
     setIndexPrice(indexName, price) {
-        this.updateIndexData(indexName, price, Date.now());
+        this.updateIndexData(indexName, price, clock.now());
         this.calculateMarketBias();
     }
 
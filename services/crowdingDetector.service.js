@@ -5,6 +5,8 @@
  */
 
 const oiIntelligenceService = require('./oiIntelligence.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
 
 class CrowdingDetectorService {
     constructor() {
@@ -17,11 +19,11 @@ class CrowdingDetectorService {
             pcrBullishExtreme: 0.5,      // PCR < 0.5 = extreme bullish
             pcrBearishExtreme: 1.5,      // PCR > 1.5 = extreme bearish
             oiConcentrationThreshold: 50, // >50% OI in single direction
-            updateIntervalMs: 30000
+            barInterval: 'ONE_MINUTE'
         };
 
         this.pcrHistory = new Map();     // underlying -> PCR history
-        this.updateInterval = null;
+        this.unsubscribeBars = null;
 
         console.log('[CROWDING_DETECTOR] Initializing crowding detection...');
         console.log('[CROWDING_DETECTOR] Initialized');
@@ -31,26 +33,26 @@ class CrowdingDetectorService {
      * Start crowding detection
      */
     start() {
-        if (this.updateInterval) {
+        if (this.unsubscribeBars) {
             console.log('[CROWDING_DETECTOR] Already running');
             return;
         }
 
         this.detect();
-        this.updateInterval = setInterval(() => {
+        this.unsubscribeBars = eventBus.onBarClose(this.config.barInterval, () => {
             this.detect();
-        }, this.config.updateIntervalMs);
+        }, 'CROWDING_DETECTOR');
 
-        console.log('[CROWDING_DETECTOR] Started - detecting every 30 seconds');
+        console.log('[CROWDING_DETECTOR] Started - detecting on every 1m bar close');
     }
 
     /**
      * Stop crowding detection
      */
     stop() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+        if (this.unsubscribeBars) {
+            this.unsubscribeBars();
+            this.unsubscribeBars = null;
             console.log('[CROWDING_DETECTOR] Stopped');
         }
     }
@@ -68,7 +70,7 @@ class CrowdingDetectorService {
             }
         }
 
-        this.state.lastUpdate = Date.now();
+        this.state.lastUpdate = clock.now();
     }
 
     /**
@@ -81,7 +83,7 @@ class CrowdingDetectorService {
 
         // Track PCR history
         const history = this.pcrHistory.get(underlying) || [];
-        history.push({ timestamp: Date.now(), pcr: pcr.pcr });
+        history.push({ timestamp: clock.now(), pcr: pcr.pcr });
         if (history.length > 60) history.shift();
         this.pcrHistory.set(underlying, history);
 
@@ -97,7 +99,7 @@ class CrowdingDetectorService {
             direction: pcr.pcr < 1 ? 'CALL_HEAVY' : 'PUT_HEAVY',
             extremeLevel: this.classifyExtreme(pcr.pcr),
             pcrChange: this.calculatePCRChange(history),
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
 
         // Log if extreme
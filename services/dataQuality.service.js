@@ -0,0 +1,104 @@
+/**
+ * DATA QUALITY SERVICE - PROVENANCE FLAGS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Every instrument record (signal, strike, chain leg, screen row)
+ * says where its numbers came from, so degraded data is never mistaken for
+ * a live market.
+ *
+ * PROVENANCE:
+ * - LIVE      : Observed within liveMaxAgeMs (tick or fresh broker response)
+ * - CACHED    : Observed, but older - last tick, stale chain, candle close
+ * - ESTIMATED : Not observed at all (modelled / filled in) - the guard refuses it
+ *
+ * Records carry { provenance, dataAsOf } - dataAsOf is when the value was
+ * observed (null when unknown).
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const wsService = require('./websocket.service');
+const clock = require('./clock.service');
+
+const PROVENANCE = {
+    LIVE: 'LIVE',
+    CACHED: 'CACHED',
+    ESTIMATED: 'ESTIMATED'
+};
+
+// Worst first - a record is only as good as its weakest input
+const RANK = [PROVENANCE.ESTIMATED, PROVENANCE.CACHED, PROVENANCE.LIVE];
+
+class DataQualityService {
+    constructor() {
+        this.PROVENANCE = PROVENANCE;
+
+        this.config = {
+            liveMaxAgeMs: 60 * 1000
+        };
+    }
+
+    /**
+     * LIVE when observed recently, else CACHED (unknown time = CACHED)
+     */
+    classify(asOf, now = clock.now()) {
+        return asOf && now - asOf <= this.config.liveMaxAgeMs ? PROVENANCE.LIVE : PROVENANCE.CACHED;
+    }
+
+    /**
+     * Provenance of a token's price - last WebSocket tick, else the caller's
+     * own observation time (candle close, REST snapshot)
+     */
+    forToken(token, fallbackAsOf = null, now = clock.now()) {
+        const asOf = wsService.lastUpdateTime.get(token) || fallbackAsOf || null;
+        return this.describe(this.classify(asOf, now), asOf, now);
+    }
+
+    describe(provenance, asOf, now = clock.now()) {
+        return {
+            provenance,
+            dataAsOf: asOf || null,
+            ageSeconds: asOf ? Math.round((now - asOf) / 1000) : null
+        };
+    }
+
+    stamp(record, provenance, asOf = null) {
+        return { ...record, provenance, dataAsOf: asOf };
+    }
+
+    worst(...provenances) {
+        const present = provenances.filter(Boolean);
+        if (present.length === 0) return null;
+        return RANK.find(p => present.includes(p));
+    }
+
+    isEstimated(record) {
+        return record?.provenance === PROVENANCE.ESTIMATED;
+    }
+
+    /**
+     * Screen summary - counts per provenance and the oldest observation
+     */
+    summarize(records, now = clock.now()) {
+        const summary = { live: 0, cached: 0, estimated: 0, unknown: 0, oldestAsOf: null, maxAgeSeconds: null };
+
+        for (const record of records) {
+            if (record.provenance === PROVENANCE.LIVE) summary.live++;
+            else if (record.provenance === PROVENANCE.CACHED) summary.cached++;
+            else if (record.provenance === PROVENANCE.ESTIMATED) summary.estimated++;
+            else summary.unknown++;
+
+            const asOf = record.dataAsOf ? new Date(record.dataAsOf).getTime() : null;
+            if (asOf && (!summary.oldestAsOf || asOf < summary.oldestAsOf)) summary.oldestAsOf = asOf;
+        }
+
+        if (summary.oldestAsOf) {
+            summary.maxAgeSeconds = Math.round((now - summary.oldestAsOf) / 1000);
+            summary.oldestAsOf = new Date(summary.oldestAsOf).toISOString();
+        }
+
+        return summary;
+    }
+}
+
+module.exports = new DataQualityService();
@@ -5,6 +5,7 @@
  */
 
 const marketStateService = require('./marketState.service');
+const clock = require('./clock.service');
 
 class DivergenceEngineService {
     constructor() {
@@ -32,13 +33,13 @@ class DivergenceEngineService {
     registerPair(optionToken, optionSymbol, underlyingToken, premiumPrice, underlyingPrice) {
         // Track underlying history
         const underlyingHist = this.underlyingHistory.get(underlyingToken) || [];
-        underlyingHist.push({ timestamp: Date.now(), price: underlyingPrice });
+        underlyingHist.push({ timestamp: clock.now(), price: underlyingPrice });
         if (underlyingHist.length > 30) underlyingHist.shift();
         this.underlyingHistory.set(underlyingToken, underlyingHist);
 
         // Track premium history
         const premiumHist = this.premiumHistory.get(optionToken) || [];
-        premiumHist.push({ timestamp: Date.now(), price: premiumPrice });
+        premiumHist.push({ timestamp: clock.now(), price: premiumPrice });
         if (premiumHist.length > 30) premiumHist.shift();
         this.premiumHistory.set(optionToken, premiumHist);
 
@@ -56,7 +57,7 @@ class DivergenceEngineService {
             this.state.divergences.delete(optionToken);
         }
 
-        this.state.lastUpdate = Date.now();
+        this.state.lastUpdate = clock.now();
         return divergence;
     }
 
@@ -92,7 +93,7 @@ class DivergenceEngineService {
                 premiumMove: Math.round(premiumMove * 100) / 100,
                 divergenceType,
                 trapRisk: this.assessTrapRisk(premiumMove, divergenceType),
-                timestamp: Date.now()
+                timestamp: clock.now()
             };
         }
 
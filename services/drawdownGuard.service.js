@@ -4,6 +4,8 @@
  * Locks signals if failed signal count or loss threshold breached
  */
 
+const clock = require('./clock.service');
+
 class DrawdownGuardService {
     constructor() {
         this.state = {
@@ -45,7 +47,7 @@ class DrawdownGuardService {
         }
 
         this.state.signalLog.push({
-            timestamp: Date.now(),
+            timestamp: clock.now(),
             symbol: signal.symbol,
             type: signal.type,
             outcome,
@@ -71,7 +73,7 @@ class DrawdownGuardService {
         if (this.state.dailyLocked) {
             // Check if lockout period has passed
             if (this.state.lockedAt) {
-                const lockDuration = Date.now() - this.state.lockedAt;
+                const lockDuration = clock.now() - this.state.lockedAt;
                 const lockoutMs = this.config.lockoutMinutes * 60 * 1000;
                 
                 if (lockDuration >= lockoutMs) {
@@ -105,7 +107,7 @@ class DrawdownGuardService {
     triggerLock(reason) {
         this.state.dailyLocked = true;
         this.state.lockReason = reason;
-        this.state.lockedAt = Date.now();
+        this.state.lockedAt = clock.now();
 
         console.log(`[DRAWDOWN_GUARD] 🔒 DAILY_LOCK_TRIGGERED: ${reason}`);
         console.log(`[DRAWDOWN_GUARD] Locked for ${this.config.lockoutMinutes} minutes`);
@@ -129,7 +131,7 @@ class DrawdownGuardService {
 
         if (this.state.dailyLocked) {
             const lockRemaining = this.state.lockedAt 
-                ? Math.max(0, (this.config.lockoutMinutes * 60 * 1000) - (Date.now() - this.state.lockedAt))
+                ? Math.max(0, (this.config.lockoutMinutes * 60 * 1000) - (clock.now() - this.state.lockedAt))
                 : 0;
 
             return {
@@ -192,7 +194,7 @@ class DrawdownGuardService {
             dailyLocked: this.state.dailyLocked,
             lockReason: this.state.lockReason,
             lockRemaining: this.state.lockedAt
-                ? Math.max(0, Math.round(((this.config.lockoutMinutes * 60 * 1000) - (Date.now() - this.state.lockedAt)) / 60000))
+                ? Math.max(0, Math.round(((this.config.lockoutMinutes * 60 * 1000) - (clock.now() - this.state.lockedAt)) / 60000))
                 : 0,
             signalsGenerated: this.state.signalsGenerated,
             signalsFailed: this.state.signalsFailed,
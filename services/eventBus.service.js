@@ -0,0 +1,275 @@
+/**
+ * EVENT BUS SERVICE - TYPED IN-PROCESS EVENTS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: One fan-out for market and engine events, so services react to the
+ * same bar close instead of each polling on its own timer.
+ *
+ * EVENTS (payload - required fields checked on publish):
+ * - TICK           : parsed WebSocket tick { token, ltp, ... }        (websocketService)
+ * - BAR_CLOSED     : { interval, timestamp, bars: [{ token, ... }] }  (barBuilderService)
+ *                    one event per interval boundary, timestamp = bar close time
+ * - SIGNAL_EMITTED : emitted signal                                   (orchestrator.recordSignal)
+ * - EXIT           : new exit signal                                  (exitCommander)
+ * - REGIME_CHANGED : { from, to, ... } volatility regime change       (volatilityRegime)
+ * - PANIC          : { event: TRIGGERED | RELEASED, reason }          (panicKillSwitch)
+ *
+ * DELIVERY:
+ * - Synchronous: publish() returns once every subscriber has run, so the
+ *   publisher (the socket callback for TICK) pays for its handlers
+ * - Ordered: events go out in publish order; an event published from inside a
+ *   handler is queued behind the one being delivered, never interleaved
+ * - Subscribers of a type are called in subscription order
+ * - Isolated: a throwing (or rejecting) handler is counted and logged, the
+ *   other subscribers still get the event
+ * - Cost: there is no buffer to shed, so time is measured instead - per event
+ *   type (all subscribers of one event) and per subscriber (handler time, slow
+ *   handlers, async handlers still in flight)
+ *
+ * TESTING: capture() records events for assertions; new EventBus() gives an
+ * isolated bus.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const { performance } = require('perf_hooks');
+
+const EVENTS = {
+    TICK: 'TICK',
+    BAR_CLOSED: 'BAR_CLOSED',
+    SIGNAL_EMITTED: 'SIGNAL_EMITTED',
+    EXIT: 'EXIT',
+    REGIME_CHANGED: 'REGIME_CHANGED',
+    PANIC: 'PANIC'
+};
+
+const REQUIRED_FIELDS = {
+    TICK: ['token'],
+    BAR_CLOSED: ['interval', 'timestamp', 'bars'],
+    SIGNAL_EMITTED: ['instrument', 'signal'],
+    EXIT: ['token', 'exitType'],
+    REGIME_CHANGED: ['from', 'to'],
+    PANIC: ['event']
+};
+
+class EventBus {
+    constructor() {
+        this.EVENTS = EVENTS;
+
+        this.config = {
+            slowHandlerMs: 50,
+            errorLogEvery: 100           // Log the 1st error of a subscriber, then every Nth
+        };
+
+        this.subscribers = new Map(Object.values(EVENTS).map(type => [type, []]));
+        this.queue = [];                 // Published from inside a handler, waiting for the current event
+        this.draining = false;
+        this.sequence = 0;
+
+        this.stats = {
+            published: {},
+            delivered: {},
+            deliveryMs: {},              // Per type: all subscribers of one event
+            maxDeliveryMs: {},
+            rejected: 0,
+            handlerErrors: 0
+        };
+        Object.values(EVENTS).forEach(type => {
+            this.stats.published[type] = 0;
+            this.stats.delivered[type] = 0;
+            this.stats.deliveryMs[type] = 0;
+            this.stats.maxDeliveryMs[type] = 0;
+        });
+    }
+
+    /**
+     * @param {string} type - one of EVENTS
+     * @param {function} handler - (payload, meta: { type, seq, publishedAt })
+     * @param {string} name - shown in the per-subscriber metrics
+     * @returns {function} unsubscribe
+     */
+    subscribe(type, handler, name = 'anonymous') {
+        this.assertType(type);
+
+        const subscriber = {
+            name,
+            handler,
+            calls: 0,
+            errors: 0,
+            lastError: null,
+            totalMs: 0,
+            maxMs: 0,
+            slow: 0,
+            inFlight: 0,
+            maxInFlight: 0
+        };
+        this.subscribers.get(type).push(subscriber);
+
+        return () => {
+            const list = this.subscribers.get(type);
+            const idx = list.indexOf(subscriber);
+            if (idx > -1) list.splice(idx, 1);
+        };
+    }
+
+    /**
+     * BAR_CLOSED for one interval only
+     */
+    onBarClose(interval, handler, name) {
+        return this.subscribe(EVENTS.BAR_CLOSED, (event, meta) => {
+            if (event.interval === interval) return handler(event, meta);
+        }, name);
+    }
+
+    /**
+     * @returns {boolean} false when the payload was rejected
+     * @throws {Error} unknown event type
+     */
+    publish(type, payload) {
+        this.assertType(type);
+
+        const missing = REQUIRED_FIELDS[type].filter(field => payload?.[field] === undefined);
+        if (missing.length > 0) {
+            this.stats.rejected++;
+            console.error(`[EVENT_BUS] ${type} rejected - missing ${missing.join(', ')}`);
+            return false;
+        }
+
+        this.queue.push({ type, payload, seq: ++this.sequence, publishedAt: Date.now() });
+        this.stats.published[type]++;
+
+        if (!this.draining) this.drain();
+        return true;
+    }
+
+    drain() {
+        this.draining = true;
+        try {
+            while (this.queue.length > 0) {
+                this.deliver(this.queue.shift());
+            }
+        } finally {
+            this.draining = false;
+        }
+    }
+
+    deliver({ type, payload, seq, publishedAt }) {
+        const delivering = performance.now();
+        const meta = { type, seq, publishedAt };
+
+        // Snapshot - handlers may unsubscribe while the event is going out
+        for (const subscriber of [...this.subscribers.get(type)]) {
+            const started = performance.now();
+            subscriber.calls++;
+
+            try {
+                const result = subscriber.handler(payload, meta);
+                if (result && typeof result.then === 'function') this.track(subscriber, type, result);
+            } catch (error) {
+                this.recordError(subscriber, type, error);
+            }
+
+            const elapsed = performance.now() - started;
+            subscriber.totalMs += elapsed;
+            if (elapsed > subscriber.maxMs) subscriber.maxMs = elapsed;
+            if (elapsed > this.config.slowHandlerMs) subscriber.slow++;
+        }
+
+        const total = performance.now() - delivering;
+        this.stats.deliveryMs[type] += total;
+        if (total > this.stats.maxDeliveryMs[type]) this.stats.maxDeliveryMs[type] = total;
+        this.stats.delivered[type]++;
+    }
+
+    /**
+     * Async handlers are not awaited (delivery order is about the synchronous
+     * part) - their backlog shows up as inFlight
+     */
+    track(subscriber, type, promise) {
+        subscriber.inFlight++;
+        if (subscriber.inFlight > subscriber.maxInFlight) subscriber.maxInFlight = subscriber.inFlight;
+
+        promise.then(
+            () => { subscriber.inFlight--; },
+            (error) => {
+                subscriber.inFlight--;
+                this.recordError(subscriber, type, error);
+            }
+        );
+    }
+
+    recordError(subscriber, type, error) {
+        subscriber.errors++;
+        subscriber.lastError = error?.message || String(error);
+        this.stats.handlerErrors++;
+
+        if (subscriber.errors === 1 || subscriber.errors % this.config.errorLogEvery === 0) {
+            console.error(`[EVENT_BUS] ${type} handler ${subscriber.name} failed (${subscriber.errors}x):`, subscriber.lastError);
+        }
+    }
+
+    assertType(type) {
+        if (!this.subscribers.has(type)) throw new Error(`Unknown event type: ${type}`);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // TEST HARNESS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Record events as they are delivered
+     * @param {string[]} types - defaults to every type
+     * @returns {{ events: Array, ofType: function, clear: function, stop: function }}
+     */
+    capture(types = Object.values(EVENTS)) {
+        const events = [];
+        const unsubscribers = types.map(type =>
+            this.subscribe(type, (payload, meta) => { events.push({ ...meta, payload }); }, 'CAPTURE'));
+
+        return {
+            events,
+            ofType: (type) => events.filter(e => e.type === type).map(e => e.payload),
+            clear: () => { events.length = 0; },
+            stop: () => unsubscribers.forEach(unsubscribe => unsubscribe())
+        };
+    }
+
+    getStats() {
+        const subscribers = {};
+        this.subscribers.forEach((list, type) => {
+            subscribers[type] = list.map(s => ({
+                name: s.name,
+                calls: s.calls,
+                errors: s.errors,
+                lastError: s.lastError,
+                avgMs: s.calls > 0 ? Math.round((s.totalMs / s.calls) * 1000) / 1000 : 0,
+                maxMs: Math.round(s.maxMs * 1000) / 1000,
+                slow: s.slow,
+                inFlight: s.inFlight,
+                maxInFlight: s.maxInFlight
+            }));
+        });
+
+        const round = (ms) => Math.round(ms * 1000) / 1000;
+        const delivery = {};
+        Object.values(EVENTS).forEach(type => {
+            const count = this.stats.delivered[type];
+            delivery[type] = {
+                avgMs: count > 0 ? round(this.stats.deliveryMs[type] / count) : 0,
+                maxMs: round(this.stats.maxDeliveryMs[type])
+            };
+        });
+
+        return {
+            published: this.stats.published,
+            delivered: this.stats.delivered,
+            delivery,
+            rejected: this.stats.rejected,
+            handlerErrors: this.stats.handlerErrors,
+            subscribers
+        };
+    }
+}
+
+module.exports = new EventBus();
+module.exports.EventBus = EventBus;
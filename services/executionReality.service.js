@@ -16,9 +16,16 @@
  * 
  * MUST be HARD BLOCK inside masterSignalGuard BEFORE EMIT
  * 
+ * LIVE FEED: start() tracks spread + top-5 depth from SnapQuote frames;
+ * signals without their own spread/depth fields are checked against it
+ * 
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
+const wsService = require('./websocket.service');
+const universeLoader = require('./universeLoader.service');
+const clock = require('./clock.service');
+
 class ExecutionRealityService {
     constructor() {
         this.config = {
@@ -54,16 +61,63 @@ class ExecutionRealityService {
             rangeHistory: new Map(),          // token -> [candle ranges]
             avgRanges: new Map(),             // token -> avg range
             
+            // Latest live quote (SnapQuote feed)
+            liveQuotes: new Map(),            // token -> { spreadPercent, bidDepth, askDepth }
+            
             // Block log
             blockLog: []
         };
 
+        this.unsubscribeFeed = null;
+
         console.log('[EXECUTION_REALITY] Initializing execution reality guard...');
         console.log('[EXECUTION_REALITY] Spread threshold: ' + this.config.spreadWideningThreshold + '%');
         console.log('[EXECUTION_REALITY] Parabolic multiplier: ' + this.config.parabolicMultiplier + 'x');
         console.log('[EXECUTION_REALITY] Initialized');
     }
 
+    /**
+     * Start tracking live spread/depth from SnapQuote frames
+     */
+    start() {
+        if (this.unsubscribeFeed) {
+            console.log('[EXECUTION_REALITY] Already running');
+            return;
+        }
+
+        this.unsubscribeFeed = wsService.onPrice((data) => {
+            if (data.depth) this.registerLiveDepth(data.token, data.depth);
+        }, 'EXECUTION_REALITY');
+
+        console.log('[EXECUTION_REALITY] Started live spread/depth tracking');
+    }
+
+    stop() {
+        if (this.unsubscribeFeed) {
+            this.unsubscribeFeed();
+            this.unsubscribeFeed = null;
+            console.log('[EXECUTION_REALITY] Stopped');
+        }
+    }
+
+    /**
+     * Feed one best-five snapshot into spread + depth baselines
+     */
+    registerLiveDepth(token, depth) {
+        const bestBid = depth.bids[0]?.price || 0;
+        const bestAsk = depth.asks[0]?.price || 0;
+        if (!bestBid || !bestAsk) return;
+
+        const midPrice = (bestBid + bestAsk) / 2;
+        const spreadPercent = ((bestAsk - bestBid) / midPrice) * 100;
+        const bidDepth = depth.bids.reduce((sum, level) => sum + level.qty, 0);
+        const askDepth = depth.asks.reduce((sum, level) => sum + level.qty, 0);
+
+        this.registerSpread(token, spreadPercent);
+        this.registerDepth(token, bidDepth, askDepth);
+        this.state.liveQuotes.set(token, { spreadPercent, bidDepth, askDepth, timestamp: clock.now() });
+    }
+
     /**
      * MAIN: Check execution feasibility
      * Called BEFORE final emit in masterSignalGuard
@@ -78,12 +132,13 @@ class ExecutionRealityService {
         };
 
         const token = signal.token || signal.instrument?.token;
-        const isOption = signal.isOption || false;
+        const isOption = signal.isOption || !!universeLoader.getByToken(token)?.optionType;
+        const liveQuote = this.state.liveQuotes.get(token);
 
         // ─────────────────────────────────────────────────────────────────────────
         // CHECK 1: Spread widening
         // ─────────────────────────────────────────────────────────────────────────
-        const spreadCheck = this.checkSpreadWidening(token, signal.spreadPercent, isOption);
+        const spreadCheck = this.checkSpreadWidening(token, signal.spreadPercent || liveQuote?.spreadPercent, isOption);
         result.checks.push({ name: 'SPREAD_CHECK', ...spreadCheck });
         
         if (spreadCheck.blocked) {
@@ -101,7 +156,11 @@ class ExecutionRealityService {
         // ─────────────────────────────────────────────────────────────────────────
         // CHECK 2: Orderbook depth
         // ─────────────────────────────────────────────────────────────────────────
-        const depthCheck = this.checkOrderbookDepth(token, signal.bidDepth, signal.askDepth);
+        const depthCheck = this.checkOrderbookDepth(
+            token,
+            signal.bidDepth ?? liveQuote?.bidDepth,
+            signal.askDepth ?? liveQuote?.askDepth
+        );
         result.checks.push({ name: 'DEPTH_CHECK', ...depthCheck });
         
         if (depthCheck.blocked) {
@@ -180,7 +239,7 @@ class ExecutionRealityService {
         const history = this.state.spreadHistory.get(token);
         
         if (currentSpread !== undefined && currentSpread !== null) {
-            history.push({ spread: currentSpread, timestamp: Date.now() });
+            history.push({ spread: currentSpread, timestamp: clock.now() });
             
             // Keep last 100
             if (history.length > 100) history.shift();
@@ -244,7 +303,7 @@ class ExecutionRealityService {
         const history = this.state.depthHistory.get(token);
         
         if (currentDepth > 0) {
-            history.push({ depth: currentDepth, timestamp: Date.now() });
+            history.push({ depth: currentDepth, timestamp: clock.now() });
             
             // Keep last 100
             if (history.length > 100) history.shift();
@@ -309,7 +368,7 @@ class ExecutionRealityService {
         const history = this.state.rangeHistory.get(token);
         
         if (currentRange > 0) {
-            history.push({ range: currentRange, timestamp: Date.now() });
+            history.push({ range: currentRange, timestamp: clock.now() });
             
             // Keep last 100
             if (history.length > 100) history.shift();
@@ -369,7 +428,7 @@ class ExecutionRealityService {
         }
 
         // Time of day (end of day = higher risk)
-        const hour = new Date().getHours();
+        const hour = clock.date().getHours();
         if (hour >= 14) {
             score += 10;
         }
@@ -389,7 +448,7 @@ class ExecutionRealityService {
         }
         
         const history = this.state.spreadHistory.get(token);
-        history.push({ spread: spreadPercent, timestamp: Date.now() });
+        history.push({ spread: spreadPercent, timestamp: clock.now() });
         
         if (history.length > 100) history.shift();
         
@@ -410,7 +469,7 @@ class ExecutionRealityService {
         
         const depth = bidDepth + askDepth;
         const history = this.state.depthHistory.get(token);
-        history.push({ depth, timestamp: Date.now() });
+        history.push({ depth, timestamp: clock.now() });
         
         if (history.length > 100) history.shift();
         
@@ -431,7 +490,7 @@ class ExecutionRealityService {
         
         const range = candle.high - candle.low;
         const history = this.state.rangeHistory.get(token);
-        history.push({ range, timestamp: Date.now() });
+        history.push({ range, timestamp: clock.now() });
         
         if (history.length > 100) history.shift();
         
@@ -451,7 +510,7 @@ class ExecutionRealityService {
             token,
             type,
             reason,
-            timestamp: Date.now()
+            timestamp: clock.now()
         });
 
         // Keep last 100 blocks
@@ -20,6 +20,11 @@
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
+const signalJournalService = require('./signalJournal.service');
+const greeksService = require('./greeks.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
+
 class ExitCommanderService {
     constructor() {
         this.config = {
@@ -74,7 +79,7 @@ class ExitCommanderService {
             token,
             symbol: positionData.symbol,
             entryPrice: positionData.entryPrice,
-            entryTime: positionData.entryTime || Date.now(),
+            entryTime: positionData.entryTime || clock.now(),
             direction: positionData.direction, // 'LONG' or 'SHORT'
             isOption: positionData.isOption || false,
             quantity: positionData.quantity || 1,
@@ -91,6 +96,8 @@ class ExitCommanderService {
             entryOI: positionData.oi || 0,
             strikePrice: positionData.strikePrice || 0,
             optionType: positionData.optionType || null, // 'CE' or 'PE'
+            underlying: positionData.underlying || null,
+            expiry: positionData.expiry || null,
             
             // V6: Gamma collapse detection
             entryGamma: positionData.gamma || 0,
@@ -107,6 +114,17 @@ class ExitCommanderService {
             exitSignal: null
         };
 
+        // Entry greeks from the entry premium for anything the caller did not supply
+        if (position.isOption) {
+            const entryGreeks = this.resolveLiveGreeks(position, position.entryPrice);
+            if (entryGreeks) {
+                position.entryIV = position.entryIV || entryGreeks.iv;
+                position.entryTheta = position.entryTheta || entryGreeks.theta;
+                position.entryGamma = position.entryGamma || entryGreeks.gamma;
+                position.entryDelta = position.entryDelta || entryGreeks.delta;
+            }
+        }
+
         this.activePositions.set(token, position);
         
         // Initialize trailing stop
@@ -226,14 +244,23 @@ class ExitCommanderService {
         // ════════════════════════════════════════════════════════════════════════
         
         if (position.isOption) {
+            // Live greeks fill whatever the caller's market data lacks
+            const liveGreeks = this.resolveLiveGreeks(position, ltp);
+            const optionData = {
+                ...marketData,
+                gamma: marketData.gamma ?? liveGreeks?.gamma,
+                delta: marketData.delta ?? liveGreeks?.delta,
+                underlyingPrice: marketData.underlyingPrice ?? liveGreeks?.underlyingPrice
+            };
+
             // D1: Theta Acceleration
-            const thetaExit = this.checkThetaAcceleration(token, position, theta);
+            const thetaExit = this.checkThetaAcceleration(token, position, theta || liveGreeks?.theta);
             if (thetaExit.exit) {
                 exitChecks.push({ type: 'OPTION', subtype: 'THETA_ACCEL', ...thetaExit });
             }
 
             // D2: IV Crush
-            const ivExit = this.checkIVCrush(token, position, iv);
+            const ivExit = this.checkIVCrush(token, position, iv || liveGreeks?.iv);
             if (ivExit.exit) {
                 exitChecks.push({ type: 'OPTION', subtype: 'IV_CRUSH', ...ivExit });
             }
@@ -245,7 +272,7 @@ class ExitCommanderService {
             }
 
             // D4: V6 Gamma Collapse Detection
-            const gammaExit = this.checkGammaCollapse(token, position, marketData);
+            const gammaExit = this.checkGammaCollapse(token, position, optionData);
             if (gammaExit.exit) {
                 exitChecks.push({ type: 'OPTION', subtype: 'GAMMA_COLLAPSE', ...gammaExit });
             }
@@ -289,13 +316,19 @@ class ExitCommanderService {
             exitReason: primaryExit.reason,
             exitPriority: this.getExitPriority(primaryExit),
             allExitConditions: exitChecks.map(e => `${e.type}:${e.subtype}`),
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
 
         // Store exit signal
+        const previousExit = this.exitSignals.get(token);
         this.exitSignals.set(token, exitSignal);
         position.exitSignal = exitSignal;
 
+        // Notify once per exit condition, not on every tick that repeats it
+        if (!previousExit || previousExit.exitType !== exitSignal.exitType || previousExit.exitSubtype !== exitSignal.exitSubtype) {
+            this.notifyExitSignal(exitSignal);
+        }
+
         console.log(`[EXIT_COMMANDER] 🚪 EXIT_SIGNAL: ${position.symbol} | Type: ${exitSignal.exitType}:${exitSignal.exitSubtype} | PnL: ${position.currentPnL.toFixed(2)}%`);
 
         return exitSignal;
@@ -698,6 +731,22 @@ class ExitCommanderService {
         return { exit: false };
     }
 
+    /**
+     * IV + greeks of an option position at a given premium
+     */
+    resolveLiveGreeks(position, premium) {
+        if (!position.underlying || !position.expiry || !position.strikePrice || !position.optionType) {
+            return null;
+        }
+
+        return greeksService.computeForOption({
+            underlying: position.underlying,
+            strikePrice: position.strikePrice,
+            optionType: position.optionType,
+            expiry: position.expiry
+        }, { premium });
+    }
+
     /**
      * D3: Check OI reversal exit
      */
@@ -872,6 +921,18 @@ class ExitCommanderService {
         return priorityMap[exitCheck.type] || 'LOW';
     }
 
+    /**
+     * Subscribe to new exit signals (EXIT on the event bus)
+     * @returns {function} unsubscribe
+     */
+    onExitSignal(callback, name = 'EXIT_LISTENER') {
+        return eventBus.subscribe(eventBus.EVENTS.EXIT, callback, name);
+    }
+
+    notifyExitSignal(exitSignal) {
+        eventBus.publish(eventBus.EVENTS.EXIT, exitSignal);
+    }
+
     /**
      * Close position and record exit
      */
@@ -881,16 +942,18 @@ class ExitCommanderService {
 
         position.status = 'CLOSED';
         position.exitPrice = exitPrice;
-        position.exitTime = Date.now();
+        position.exitTime = clock.now();
         position.finalPnL = position.direction === 'LONG'
             ? ((exitPrice - position.entryPrice) / position.entryPrice) * 100
             : ((position.entryPrice - exitPrice) / position.entryPrice) * 100;
 
         // Record for history
-        this.exitHistory.push({
+        const exitRecord = {
             ...position,
             exitSignal: this.exitSignals.get(token)
-        });
+        };
+        this.exitHistory.push(exitRecord);
+        signalJournalService.record(signalJournalService.EVENTS.EXITED, 'EXIT_COMMANDER', exitRecord);
 
         console.log(`[EXIT_COMMANDER] ✅ Position closed: ${position.symbol} | PnL: ${position.finalPnL.toFixed(2)}%`);
 
@@ -948,6 +1011,20 @@ class ExitCommanderService {
         };
     }
 
+    /**
+     * Rebuild exit history from journal (called by signalJournal on boot)
+     */
+    restoreFromJournal(entries) {
+        const exits = entries
+            .filter(e => e.type === signalJournalService.EVENTS.EXITED)
+            .map(e => e.data);
+
+        this.exitHistory.push(...exits);
+
+        console.log(`[EXIT_COMMANDER] Restored ${exits.length} exits from journal`);
+        return exits.length;
+    }
+
     /**
      * Count exits by type
      */
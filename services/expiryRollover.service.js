@@ -5,6 +5,7 @@
  */
 
 const wsService = require('./websocket.service');
+const clock = require('./clock.service');
 
 class ExpiryRolloverService {
     constructor() {
@@ -40,7 +41,7 @@ class ExpiryRolloverService {
     /**
      * Get next Thursday (weekly expiry)
      */
-    getNextThursday(fromDate = new Date()) {
+    getNextThursday(fromDate = clock.date()) {
         const date = new Date(fromDate);
         const day = date.getDay();
         const daysUntilThursday = (4 - day + 7) % 7 || 7;
@@ -51,7 +52,7 @@ class ExpiryRolloverService {
     /**
      * Get this week's Thursday
      */
-    getThisThursday(fromDate = new Date()) {
+    getThisThursday(fromDate = clock.date()) {
         const date = new Date(fromDate);
         const day = date.getDay();
         
@@ -75,7 +76,7 @@ class ExpiryRolloverService {
      * Check if rollover is needed
      */
     checkRolloverNeeded() {
-        const now = new Date();
+        const now = clock.date();
         const dayOfWeek = now.getDay();
         
         // Only check on Thursday
@@ -133,7 +134,7 @@ class ExpiryRolloverService {
 
             // Step 6: Log rollover
             const rolloverRecord = {
-                timestamp: Date.now(),
+                timestamp: clock.now(),
                 oldExpiry,
                 newExpiry,
                 unsubscribedCount: tokensToUnsubscribe.length,
@@ -142,7 +143,7 @@ class ExpiryRolloverService {
                 success: true
             };
             this.rolloverHistory.push(rolloverRecord);
-            this.state.lastRollover = Date.now();
+            this.state.lastRollover = clock.now();
 
             console.log(`[EXPIRY_ROLLOVER] ✓ EXPIRY_ROLLOVER_SUCCESS`);
             console.log(`[EXPIRY_ROLLOVER] Old: ${oldExpiry} → New: ${newExpiry}`);
@@ -219,7 +220,7 @@ class ExpiryRolloverService {
         const nextThursday = this.getNextThursday(new Date(thisThursday + 'T00:00:00'));
         
         // Check if today is after this Thursday
-        const now = new Date();
+        const now = clock.date();
         const thursday = new Date(thisThursday + 'T15:30:00');
         
         if (now > thursday) {
@@ -237,6 +238,42 @@ class ExpiryRolloverService {
         return this.getStatus();
     }
 
+    /**
+     * Expiry close (15:30 IST) as epoch ms
+     * Accepts YYYY-MM-DD (rollover state) or DDMMMYYYY (Angel master)
+     */
+    getExpiryCloseTime(expiry) {
+        if (!expiry) return null;
+
+        const str = expiry instanceof Date ? this.formatDate(expiry) : String(expiry).toUpperCase();
+        const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+        let year, month, day;
+        let match = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (match) {
+            [year, month, day] = [parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])];
+        } else if ((match = str.match(/^(\d{1,2})([A-Z]{3})(\d{4})$/)) && months.includes(match[2])) {
+            [year, month, day] = [parseInt(match[3]), months.indexOf(match[2]), parseInt(match[1])];
+        } else {
+            return null;
+        }
+
+        // 15:30 IST = 10:00 UTC
+        return Date.UTC(year, month, day, 10, 0, 0);
+    }
+
+    /**
+     * Time to expiry in years (for option pricing)
+     * Null once expired; floors at one minute so pricing never divides by zero
+     */
+    getTimeToExpiry(expiry = this.state.currentExpiry, now = clock.now()) {
+        const closeTime = this.getExpiryCloseTime(expiry);
+        if (!closeTime || now >= closeTime) return null;
+
+        const msLeft = Math.max(closeTime - now, 60 * 1000);
+        return msLeft / (365 * 24 * 60 * 60 * 1000);
+    }
+
     /**
      * Format date as YYYY-MM-DD
      */
@@ -1,5 +1,6 @@
 const settings = require('../config/settings.config');
 const premiumMomentumService = require('./premiumMomentum.service');
+const clock = require('./clock.service');
 
 class ExplosionService {
     constructor() {
@@ -19,7 +20,7 @@ class ExplosionService {
         this.maxExplosionHistory = 500;     // Global explosion history limit
     }
 
-    recordPrice(token, price, volume, oi = null, timestamp = Date.now()) {
+    recordPrice(token, price, volume, oi = null, timestamp = clock.now()) {
         const snapshots = this.priceSnapshots.get(token) || [];
         
         snapshots.push({ 
@@ -43,7 +44,7 @@ class ExplosionService {
         this.checkRunnerStatus(token, snapshots);
     }
 
-    recordOI(token, oi, price, timestamp = Date.now()) {
+    recordOI(token, oi, price, timestamp = clock.now()) {
         const snapshots = this.oiSnapshots.get(token) || [];
         
         snapshots.push({
@@ -73,7 +74,7 @@ class ExplosionService {
                 movePercent,
                 startPrice: first.price,
                 currentPrice: last.price,
-                timestamp: Date.now()
+                timestamp: clock.now()
             });
         } else if (Math.abs(movePercent) >= 20) {
             this.topRunners.set(token, {
@@ -81,7 +82,7 @@ class ExplosionService {
                 movePercent,
                 startPrice: first.price,
                 currentPrice: last.price,
-                timestamp: Date.now()
+                timestamp: clock.now()
             });
         }
     }
@@ -145,7 +146,7 @@ class ExplosionService {
             liquidityCheck: this.checkLiquidity(avgVolume, currentVolume),
             actionable: this.isActionable(detectedExplosions, avgVolume),
             rank: this.calculateExplosionRank(detectedExplosions),
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
 
         this.recordExplosion(explosion);
@@ -156,7 +157,7 @@ class ExplosionService {
     }
 
     detectEarlyIntradayExpansion(snapshots, currentPrice, config) {
-        const now = new Date();
+        const now = clock.date();
         const marketConfig = settings.market || {};
         const marketOpen = new Date(now);
         marketOpen.setHours(marketConfig.openHour || 9, marketConfig.openMinute || 15, 0, 0);
@@ -409,7 +410,7 @@ class ExplosionService {
                 gammaScore,
                 delta5m: deltas.delta5mPercent,
                 delta15m: deltas.delta15mPercent,
-                timestamp: Date.now()
+                timestamp: clock.now()
             });
 
             return {
@@ -602,7 +603,7 @@ class ExplosionService {
     }
 
     getRecentExplosions(minutes = 30) {
-        const cutoff = Date.now() - (minutes * 60 * 1000);
+        const cutoff = clock.now() - (minutes * 60 * 1000);
         return this.explosionHistory
             .filter(e => e.timestamp >= cutoff)
             .reverse();
@@ -613,7 +614,7 @@ class ExplosionService {
     }
 
     getStats() {
-        const last24h = Date.now() - 24 * 60 * 60 * 1000;
+        const last24h = clock.now() - 24 * 60 * 60 * 1000;
         const recent = this.explosionHistory.filter(e => e.timestamp >= last24h);
 
         return {
@@ -0,0 +1,360 @@
+/**
+ * FUTURES ANALYTICS SERVICE - BASIS, COST OF CARRY & ROLLOVER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Read positioning from the futures curve. For every F&O underlying in
+ * the scan universe (stocks + NIFTY / BANKNIFTY / FINNIFTY / MIDCPNIFTY) the near
+ * and next month futures (universeLoader.getFuturesChain) are quoted with spot.
+ *
+ * METRICS:
+ * - Basis        : near future - spot (points and % of spot)
+ * - Cost of carry: basis % annualised over calendar days to near expiry
+ * - Rollover %   : next month OI / (near + next OI)
+ * - OI shift     : near / next OI change since the first snapshot of the day
+ *
+ * ROLLOVER SIGNALS (last rolloverWindowDays before near expiry only):
+ * - LONG_ROLLOVER  : Strong rollover, next OI rising, basis rising    → BULLISH
+ * - SHORT_ROLLOVER : Strong rollover, next OI rising, basis falling   → BEARISH
+ * - LONG_UNWINDING : Near OI closed (not rolled), price falling       → BEARISH
+ * - SHORT_COVERING : Near OI closed (not rolled), price rising        → BULLISH
+ *
+ * GUARD: checkSignal() upgrades aligned / downgrades opposing signals - context
+ * only, never a block and never a threshold change.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const instruments = require('../config/instruments.config');
+const calendarService = require('./calendar.service');
+const universeLoader = require('./universeLoader.service');
+const marketDataService = require('./marketData.service');
+const clock = require('./clock.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SIGNALS = {
+    LONG_ROLLOVER: { label: 'Long rollover with rising basis', bias: 'BULLISH' },
+    SHORT_ROLLOVER: { label: 'Short rollover with falling basis', bias: 'BEARISH' },
+    LONG_UNWINDING: { label: 'Long unwinding into expiry', bias: 'BEARISH' },
+    SHORT_COVERING: { label: 'Short covering into expiry', bias: 'BULLISH' }
+};
+
+class FuturesAnalyticsService {
+    constructor() {
+        this.config = {
+            refreshIntervalMs: 60000,
+            rolloverWindowDays: 7,           // Last week before near expiry
+            strongRolloverPercent: 60,       // Next-month share of OI for a "strong" rollover
+            basisTrendThreshold: 0.05,       // Basis % change since day start = RISING / FALLING
+            unwindOIPercent: 3,              // Near OI drop (%) that counts as positions closing
+            staleAfterMs: 5 * 60 * 1000,     // Guard ignores analytics older than this
+            historySize: 120,
+            indexUnderlyings: ['NIFTY', 'BANKNIFTY', 'FINNIFTY', 'MIDCPNIFTY']
+        };
+
+        this.state = {
+            analytics: new Map(),            // underlying -> latest analytics
+            lastUpdate: null,
+            lastError: null
+        };
+
+        this.baselines = new Map();          // underlying -> first snapshot of the IST day
+        this.history = new Map();            // underlying -> [{ timestamp, basisPercent, rolloverPercent, nearOI, nextOI }]
+        this.refreshInterval = null;
+        this.refreshing = false;
+
+        console.log('[FUTURES] Initializing futures analytics...');
+        console.log('[FUTURES] Initialized');
+    }
+
+    start() {
+        if (this.refreshInterval) {
+            console.log('[FUTURES] Already running');
+            return;
+        }
+
+        this.refresh();
+        this.refreshInterval = setInterval(() => {
+            // Quotes are static outside NSE hours - one snapshot is enough
+            if (calendarService.isValidTradingTime().valid || this.state.analytics.size === 0) {
+                this.refresh();
+            }
+        }, this.config.refreshIntervalMs);
+
+        console.log(`[FUTURES] Started - basis / rollover every ${this.config.refreshIntervalMs / 1000} seconds`);
+    }
+
+    stop() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+            console.log('[FUTURES] Stopped');
+        }
+    }
+
+    /**
+     * Underlyings with a spot token and at least a near-month future
+     */
+    getTargets() {
+        const symbols = [
+            ...this.config.indexUnderlyings,
+            ...instruments.getFNOStocks().map(s => s.symbol)
+        ];
+
+        return symbols
+            .map(symbol => {
+                const spot = instruments.getBySymbol(symbol);
+                const [near, next] = universeLoader.getFuturesChain(symbol);
+                return spot && near ? { underlying: symbol, spotToken: spot.token, near, next: next || null } : null;
+            })
+            .filter(Boolean);
+    }
+
+    async refresh() {
+        if (this.refreshing) return;
+        this.refreshing = true;
+
+        try {
+            const targets = this.getTargets();
+            if (targets.length === 0) return;
+
+            const spotQuotes = await marketDataService.getQuotes({
+                exchange: 1,
+                tokens: targets.map(t => t.spotToken)
+            });
+            const futureQuotes = await marketDataService.getQuotes({
+                exchange: 2,
+                tokens: targets.flatMap(t => [t.near.token, t.next?.token]).filter(Boolean)
+            });
+
+            const quotes = new Map([...spotQuotes, ...futureQuotes].map(q => [q.token, q]));
+            const now = clock.now();
+
+            for (const target of targets) {
+                const analytics = this.analyse(target, {
+                    spot: quotes.get(target.spotToken),
+                    near: quotes.get(target.near.token),
+                    next: target.next ? quotes.get(target.next.token) : null
+                }, now);
+
+                if (analytics) {
+                    this.state.analytics.set(target.underlying, analytics);
+                }
+            }
+
+            this.state.lastUpdate = now;
+            this.state.lastError = null;
+        } catch (error) {
+            this.state.lastError = error.message;
+            console.error('[FUTURES] Refresh error:', error.message);
+        } finally {
+            this.refreshing = false;
+        }
+    }
+
+    /**
+     * Basis / carry / rollover for one underlying from its quotes
+     */
+    analyse(target, quotes, now = clock.now()) {
+        const { spot, near, next } = quotes;
+        if (!spot?.ltp || !near?.ltp) return null;
+
+        const daysToExpiry = Math.max(0, (this.getExpiryTime(target.near.expiry) - now) / DAY_MS);
+        const basis = near.ltp - spot.ltp;
+        const basisPercent = (basis / spot.ltp) * 100;
+        const costOfCarry = daysToExpiry > 0 ? basisPercent * 365 / daysToExpiry : null;
+
+        const nearOI = near.oi || 0;
+        const nextOI = next?.oi || 0;
+        const rolloverPercent = nearOI + nextOI > 0 ? (nextOI / (nearOI + nextOI)) * 100 : null;
+
+        const baseline = this.getBaseline(target.underlying, { basisPercent, nearOI, nextOI, rolloverPercent }, now);
+        const basisChange = basisPercent - baseline.basisPercent;
+        const oiShift = {
+            nearOIChange: nearOI - baseline.nearOI,
+            nextOIChange: nextOI - baseline.nextOI,
+            nearOIChangePercent: baseline.nearOI > 0 ? ((nearOI - baseline.nearOI) / baseline.nearOI) * 100 : 0,
+            rolloverChange: rolloverPercent !== null && baseline.rolloverPercent !== null
+                ? rolloverPercent - baseline.rolloverPercent
+                : 0
+        };
+
+        const metrics = {
+            underlying: target.underlying,
+            spot: spot.ltp,
+            near: { symbol: target.near.symbol, token: target.near.token, expiry: target.near.expiry, ltp: near.ltp, oi: nearOI },
+            next: target.next && next
+                ? { symbol: target.next.symbol, token: target.next.token, expiry: target.next.expiry, ltp: next.ltp, oi: nextOI }
+                : null,
+            daysToExpiry: this.round(daysToExpiry),
+            basis: this.round(basis),
+            basisPercent: this.round(basisPercent, 3),
+            basisChange: this.round(basisChange, 3),
+            basisTrend: this.getBasisTrend(basisChange),
+            basisState: basis >= 0 ? 'PREMIUM' : 'DISCOUNT',
+            costOfCarry: costOfCarry !== null ? this.round(costOfCarry) : null,
+            calendarSpread: next?.ltp ? this.round(next.ltp - near.ltp) : null,
+            rolloverPercent: rolloverPercent !== null ? this.round(rolloverPercent) : null,
+            oiShift: {
+                nearOIChange: oiShift.nearOIChange,
+                nextOIChange: oiShift.nextOIChange,
+                nearOIChangePercent: this.round(oiShift.nearOIChangePercent),
+                rolloverChange: this.round(oiShift.rolloverChange)
+            },
+            priceChangePercent: near.close ? this.round(((near.ltp - near.close) / near.close) * 100) : 0,
+            inRolloverWindow: daysToExpiry <= this.config.rolloverWindowDays,
+            signal: null,
+            timestamp: now
+        };
+
+        metrics.signal = this.classify(metrics);
+        this.recordHistory(metrics);
+
+        return metrics;
+    }
+
+    /**
+     * Rollover signal - only inside the expiry week, when rollover carries information
+     */
+    classify(metrics) {
+        if (!metrics.inRolloverWindow || metrics.rolloverPercent === null) return null;
+
+        const { oiShift, basisTrend, rolloverPercent, priceChangePercent } = metrics;
+        let type = null;
+
+        if (rolloverPercent >= this.config.strongRolloverPercent && oiShift.nextOIChange > 0) {
+            if (basisTrend === 'RISING') type = 'LONG_ROLLOVER';
+            else if (basisTrend === 'FALLING') type = 'SHORT_ROLLOVER';
+        }
+
+        // Near OI closing without reappearing in the next month = positions exiting, not rolling
+        const closing = oiShift.nearOIChangePercent <= -this.config.unwindOIPercent &&
+            oiShift.nextOIChange < -oiShift.nearOIChange / 2;
+        if (!type && closing) {
+            if (priceChangePercent < 0) type = 'LONG_UNWINDING';
+            else if (priceChangePercent > 0) type = 'SHORT_COVERING';
+        }
+
+        return type ? { type, ...SIGNALS[type] } : null;
+    }
+
+    getBasisTrend(basisChange) {
+        if (basisChange >= this.config.basisTrendThreshold) return 'RISING';
+        if (basisChange <= -this.config.basisTrendThreshold) return 'FALLING';
+        return 'FLAT';
+    }
+
+    /**
+     * First snapshot of the IST day - basis trend and OI shift are measured from it
+     */
+    getBaseline(underlying, snapshot, now) {
+        const day = calendarService.formatDate(calendarService.toIST(new Date(now)));
+        const baseline = this.baselines.get(underlying);
+        if (baseline && baseline.day === day) return baseline;
+
+        const fresh = { day, ...snapshot };
+        this.baselines.set(underlying, fresh);
+        return fresh;
+    }
+
+    recordHistory(metrics) {
+        const history = this.history.get(metrics.underlying) || [];
+        history.push({
+            timestamp: metrics.timestamp,
+            basisPercent: metrics.basisPercent,
+            rolloverPercent: metrics.rolloverPercent,
+            nearOI: metrics.near.oi,
+            nextOI: metrics.next?.oi || 0
+        });
+        if (history.length > this.config.historySize) history.shift();
+        this.history.set(metrics.underlying, history);
+    }
+
+    /**
+     * Angel expiry 'DDMMMYYYY' parses as UTC midnight; contracts expire 15:30 IST (10:00 UTC)
+     */
+    getExpiryTime(expiry) {
+        return new Date(expiry).getTime() + 10 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Guard hook - UPGRADE when the rollover signal agrees with the trade, DOWNGRADE when it opposes
+     */
+    checkSignal(underlying, signalType) {
+        const analytics = this.state.analytics.get(underlying);
+
+        if (!analytics || clock.now() - analytics.timestamp > this.config.staleAfterMs) {
+            return { allowed: true, adjustment: null, reason: 'No fresh futures data' };
+        }
+        if (!analytics.signal) {
+            return {
+                allowed: true,
+                adjustment: null,
+                reason: analytics.inRolloverWindow ? 'No rollover signal' : 'Outside rollover window',
+                basisPercent: analytics.basisPercent,
+                rolloverPercent: analytics.rolloverPercent
+            };
+        }
+
+        const isLong = signalType === 'BUY' || signalType === 'STRONG_BUY';
+        const isShort = signalType === 'SELL' || signalType === 'STRONG_SELL';
+        if (!isLong && !isShort) {
+            return { allowed: true, adjustment: null, reason: `${analytics.signal.label} - no direction to compare` };
+        }
+
+        const aligned = (analytics.signal.bias === 'BULLISH') === isLong;
+        return {
+            allowed: true,
+            adjustment: aligned ? 'UPGRADE' : 'DOWNGRADE',
+            reason: `${analytics.signal.label} ${aligned ? 'supports' : 'opposes'} ${signalType}`,
+            signal: analytics.signal.type,
+            basisPercent: analytics.basisPercent,
+            rolloverPercent: analytics.rolloverPercent
+        };
+    }
+
+    getAnalytics(underlying) {
+        const analytics = this.state.analytics.get(underlying);
+        if (!analytics) return null;
+        return { ...analytics, history: this.history.get(underlying) || [] };
+    }
+
+    getAll() {
+        return Array.from(this.state.analytics.values());
+    }
+
+    getSignals() {
+        return this.getAll()
+            .filter(a => a.signal)
+            .map(a => ({
+                underlying: a.underlying,
+                signal: a.signal.type,
+                label: a.signal.label,
+                bias: a.signal.bias,
+                rolloverPercent: a.rolloverPercent,
+                basisPercent: a.basisPercent,
+                basisTrend: a.basisTrend,
+                daysToExpiry: a.daysToExpiry
+            }));
+    }
+
+    getStats() {
+        const all = this.getAll();
+        return {
+            running: !!this.refreshInterval,
+            underlyingsTracked: all.length,
+            inRolloverWindow: all.filter(a => a.inRolloverWindow).length,
+            signals: this.getSignals(),
+            lastUpdate: this.state.lastUpdate,
+            lastError: this.state.lastError,
+            config: this.config
+        };
+    }
+
+    round(value, digits = 2) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+module.exports = new FuturesAnalyticsService();
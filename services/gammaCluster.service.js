@@ -1,11 +1,14 @@
 /**
  * GAMMA CLUSTER DETECTION SERVICE
  * Detects near-ATM gamma clusters, IV surges, OI concentration
+ * Concentration uses real gamma exposure (gamma x OI) when greeks resolve
  * Upgrade signal only if cluster confirmed
  */
 
-const marketStateService = require('./marketState.service');
 const oiIntelligenceService = require('./oiIntelligence.service');
+const greeksService = require('./greeks.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
 
 class GammaClusterService {
     constructor() {
@@ -15,7 +18,7 @@ class GammaClusterService {
         };
 
         this.config = {
-            updateIntervalMs: 10000,     // Update every 10 seconds
+            barInterval: 'ONE_MINUTE',   // Recalculated on every 1m bar close
             atmWindow: 3,                // +/- 3 strikes from ATM
             oiConcentrationThreshold: 30, // % of total OI in ATM zone
             ivSurgeThreshold: 10,        // 10% IV increase = surge
@@ -23,7 +26,7 @@ class GammaClusterService {
         };
 
         this.ivHistory = new Map();      // strike -> IV history
-        this.updateInterval = null;
+        this.unsubscribeBars = null;
 
         console.log('[GAMMA_CLUSTER] Initializing gamma cluster detection...');
         console.log('[GAMMA_CLUSTER] Initialized');
@@ -33,26 +36,26 @@ class GammaClusterService {
      * Start periodic cluster detection
      */
     start() {
-        if (this.updateInterval) {
+        if (this.unsubscribeBars) {
             console.log('[GAMMA_CLUSTER] Already running');
             return;
         }
 
         this.detect();
-        this.updateInterval = setInterval(() => {
+        this.unsubscribeBars = eventBus.onBarClose(this.config.barInterval, () => {
             this.detect();
-        }, this.config.updateIntervalMs);
+        }, 'GAMMA_CLUSTER');
 
-        console.log('[GAMMA_CLUSTER] Started - detecting every 10 seconds');
+        console.log('[GAMMA_CLUSTER] Started - detecting on every 1m bar close');
     }
 
     /**
      * Stop cluster detection
      */
     stop() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+        if (this.unsubscribeBars) {
+            this.unsubscribeBars();
+            this.unsubscribeBars = null;
             console.log('[GAMMA_CLUSTER] Stopped');
         }
     }
@@ -70,7 +73,7 @@ class GammaClusterService {
             }
         }
 
-        this.state.lastUpdate = Date.now();
+        this.state.lastUpdate = clock.now();
     }
 
     /**
@@ -80,18 +83,12 @@ class GammaClusterService {
         const oiData = oiIntelligenceService.getOIData(underlying);
         if (!oiData) return null;
 
-        // Get spot price for ATM calculation
-        const spotToken = underlying === 'NIFTY' ? '99926000' 
-            : underlying === 'BANKNIFTY' ? '99926009' 
-            : '99926037'; // FINNIFTY
-        const spotState = marketStateService.getState(spotToken);
-        const spotPrice = spotState?.ltp || 0;
-
+        // Spot + strike grid come with the chain (live IV solved per strike)
+        const spotPrice = oiData.spotPrice;
         if (!spotPrice) return null;
 
-        // Determine strike interval
-        const strikeInterval = underlying === 'BANKNIFTY' ? 100 : 50;
-        const atmStrike = Math.round(spotPrice / strikeInterval) * strikeInterval;
+        const strikeInterval = oiData.strikeGap;
+        const atmStrike = oiData.atmStrike;
 
         // Calculate ATM zone strikes
         const atmStrikes = [];
@@ -106,6 +103,8 @@ class GammaClusterService {
         let totalPutOI = 0;
         let atmIVSum = 0;
         let atmIVCount = 0;
+        let atmGammaExposure = 0;
+        let totalGammaExposure = 0;
 
         const strikeData = oiData.strikeData || new Map();
         
@@ -114,9 +113,13 @@ class GammaClusterService {
             totalCallOI += data.callOI || 0;
             totalPutOI += data.putOI || 0;
 
+            const gammaExposure = this.getStrikeGammaExposure(oiData, strikeNum, data);
+            totalGammaExposure += gammaExposure;
+
             if (atmStrikes.includes(strikeNum)) {
                 atmCallOI += data.callOI || 0;
                 atmPutOI += data.putOI || 0;
+                atmGammaExposure += gammaExposure;
                 
                 if (data.callIV) {
                     atmIVSum += data.callIV;
@@ -132,12 +135,14 @@ class GammaClusterService {
         const totalOI = totalCallOI + totalPutOI;
         const atmOI = atmCallOI + atmPutOI;
         const oiConcentration = totalOI > 0 ? (atmOI / totalOI) * 100 : 0;
+        const gammaConcentration = totalGammaExposure > 0 ? (atmGammaExposure / totalGammaExposure) * 100 : null;
+        const concentration = gammaConcentration !== null ? gammaConcentration : oiConcentration;
         const avgATMIV = atmIVCount > 0 ? atmIVSum / atmIVCount : 0;
 
         // Check for IV surge
         const ivHistoryKey = `${underlying}_ATM`;
         const ivHistory = this.ivHistory.get(ivHistoryKey) || [];
-        ivHistory.push({ timestamp: Date.now(), iv: avgATMIV });
+        ivHistory.push({ timestamp: clock.now(), iv: avgATMIV });
         if (ivHistory.length > 30) ivHistory.shift();
         this.ivHistory.set(ivHistoryKey, ivHistory);
 
@@ -152,8 +157,8 @@ class GammaClusterService {
         // Calculate cluster strength (0-100)
         let clusterStrength = 0;
         
-        // OI concentration component (0-40)
-        clusterStrength += Math.min(40, oiConcentration * 1.3);
+        // Gamma (or OI fallback) concentration component (0-40)
+        clusterStrength += Math.min(40, concentration * 1.3);
         
         // IV surge component (0-30)
         if (ivSurge) {
@@ -180,6 +185,8 @@ class GammaClusterService {
             atmStrike,
             atmStrikes,
             oiConcentration: Math.round(oiConcentration * 100) / 100,
+            gammaConcentration: gammaConcentration !== null ? Math.round(gammaConcentration * 100) / 100 : null,
+            atmGammaExposure: Math.round(atmGammaExposure * 100) / 100,
             atmCallOI,
             atmPutOI,
             atmPCR: Math.round(atmPCR * 100) / 100,
@@ -187,19 +194,37 @@ class GammaClusterService {
             ivSurge,
             clusterStrength: Math.round(clusterStrength),
             clusterDetected,
-            clusterType: this.classifyCluster(oiConcentration, ivSurge, atmPCR),
-            timestamp: Date.now()
+            clusterType: this.classifyCluster(concentration, ivSurge, atmPCR),
+            timestamp: clock.now()
         };
     }
 
+    /**
+     * Gamma exposure at a strike: sum of gamma x OI for call and put
+     */
+    getStrikeGammaExposure(oiData, strike, data) {
+        let exposure = 0;
+
+        for (const [optionType, iv, oi] of [['CE', data.callIV, data.callOI], ['PE', data.putIV, data.putOI]]) {
+            if (!iv || !oi) continue;
+            const greeks = greeksService.computeForOption(
+                { underlying: oiData.underlying, strikePrice: strike, optionType, expiry: oiData.expiry },
+                { iv, underlyingPrice: oiData.spotPrice }
+            );
+            if (greeks) exposure += greeks.gamma * oi;
+        }
+
+        return exposure;
+    }
+
     /**
      * Classify cluster type
      */
-    classifyCluster(oiConcentration, ivSurge, pcr) {
-        if (oiConcentration > 40 && ivSurge) {
+    classifyCluster(concentration, ivSurge, pcr) {
+        if (concentration > 40 && ivSurge) {
             return 'STRONG_GAMMA_PIN';
         }
-        if (oiConcentration > 30) {
+        if (concentration > 30) {
             return 'GAMMA_MAGNET';
         }
         if (ivSurge) {
@@ -4,6 +4,7 @@
  */
 
 const marketStateService = require('./marketState.service');
+const clock = require('./clock.service');
 
 class GapDayService {
     constructor() {
@@ -49,17 +50,17 @@ class GapDayService {
             this.state.gapType = gapPercent > 0 ? 'GAP_UP' : 'GAP_DOWN';
             this.state.gapPercent = this.state.niftyGap;
             this.state.adjustmentsActive = true;
-            this.state.detectedAt = Date.now();
+            this.state.detectedAt = clock.now();
 
             // Determine gap size
             const isLargeGap = Math.abs(gapPercent) >= this.config.largeGapThresholdPercent;
 
             this.gapHistory.push({
-                date: new Date().toISOString().split('T')[0],
+                date: clock.date().toISOString().split('T')[0],
                 gapPercent: this.state.niftyGap,
                 gapType: this.state.gapType,
                 isLargeGap,
-                timestamp: Date.now()
+                timestamp: clock.now()
             });
 
             console.log(`[GAP_DAY] 📊 GAP ${this.state.gapType} detected: ${this.state.niftyGap}%${isLargeGap ? ' (LARGE GAP)' : ''}`);
@@ -4,6 +4,7 @@
  */
 
 const marketStateService = require('./marketState.service');
+const clock = require('./clock.service');
 
 class GlobalRankingService {
     constructor() {
@@ -111,7 +112,7 @@ class GlobalRankingService {
         // Top Premium Growth (options)
         this.updatePremiumRankings();
 
-        this.lastUpdate = Date.now();
+        this.lastUpdate = clock.now();
     }
 
     calculateMomentumScore(state) {
@@ -154,14 +155,14 @@ class GlobalRankingService {
                 currentPremium: premium,
                 maxPremium: premium,
                 percentGrowth: 0,
-                lastUpdate: Date.now()
+                lastUpdate: clock.now()
             };
             this.premiumSnapshots.set(token, snapshot);
         } else {
             snapshot.currentPremium = premium;
             if (premium > snapshot.maxPremium) snapshot.maxPremium = premium;
             snapshot.percentGrowth = ((premium - snapshot.startPremium) / snapshot.startPremium) * 100;
-            snapshot.lastUpdate = Date.now();
+            snapshot.lastUpdate = clock.now();
         }
     }
 
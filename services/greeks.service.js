@@ -0,0 +1,147 @@
+/**
+ * GREEKS SERVICE
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Per-option delta, gamma, theta, vega from live market inputs
+ *
+ * INPUTS (per option token):
+ * - Premium        : WebSocket LTP (or caller override)
+ * - Underlying     : Index spot LTP (or caller override)
+ * - Strike / type  : Universe loader instrument
+ * - Expiry         : expiryRolloverService time to expiry (15:30 IST close)
+ * - IV             : Solved from premium by optionPricingService
+ *
+ * CONSUMERS: Theta engine (expected decay), gamma cluster (gamma exposure),
+ * exit commander (theta acceleration, gamma collapse)
+ *
+ * UNITS: theta = premium per calendar day, vega = premium per 1 vol point,
+ * thetaPercent = theta as % of premium per day
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const optionPricingService = require('./optionPricing.service');
+const expiryRolloverService = require('./expiryRollover.service');
+const universeLoader = require('./universeLoader.service');
+const wsService = require('./websocket.service');
+const clock = require('./clock.service');
+
+class GreeksService {
+    constructor() {
+        this.config = {
+            cacheTtlMs: 1000          // Reuse a token's greeks within 1 second
+        };
+
+        this.cache = new Map();       // token -> greeks
+        this.stats = {
+            computed: 0,
+            cacheHits: 0,
+            unresolved: 0
+        };
+    }
+
+    /**
+     * Greeks for a listed option token
+     * @param {string} token - Option token
+     * @param {object} overrides - { premium, underlyingPrice, iv, now }
+     * @returns {object|null} null if instrument, prices or IV are unavailable
+     */
+    getGreeks(token, overrides = {}) {
+        const hasOverrides = Object.keys(overrides).length > 0;
+        const cached = this.cache.get(token);
+        if (!hasOverrides && cached && clock.now() - cached.timestamp < this.config.cacheTtlMs) {
+            this.stats.cacheHits++;
+            return cached;
+        }
+
+        const instrument = universeLoader.getByToken(token);
+        if (!instrument || !instrument.optionType) {
+            this.stats.unresolved++;
+            return null;
+        }
+
+        const greeks = this.computeForOption(instrument, {
+            premium: overrides.premium || wsService.getLivePrice(token)?.ltp,
+            underlyingPrice: overrides.underlyingPrice,
+            iv: overrides.iv,
+            now: overrides.now
+        });
+
+        if (greeks) {
+            greeks.token = token;
+            greeks.symbol = instrument.symbol;
+            if (!hasOverrides) this.cache.set(token, greeks);
+        }
+
+        return greeks;
+    }
+
+    /**
+     * Greeks for an option description (no universe lookup)
+     * @param {object} option - { underlying, strikePrice, optionType, expiry }
+     * @param {object} inputs - { premium, underlyingPrice, iv, now }
+     */
+    computeForOption(option, inputs = {}) {
+        const now = inputs.now || clock.now();
+        const underlyingPrice = inputs.underlyingPrice || optionPricingService.getUnderlyingPrice(option.underlying);
+        const timeToExpiry = expiryRolloverService.getTimeToExpiry(option.expiry, now);
+
+        if (!underlyingPrice || !timeToExpiry) {
+            this.stats.unresolved++;
+            return null;
+        }
+
+        const iv = inputs.iv || (inputs.premium > 0
+            ? optionPricingService.impliedVolForOption(option, inputs.premium, { underlyingPrice, now })
+            : null);
+
+        if (!iv) {
+            this.stats.unresolved++;
+            return null;
+        }
+
+        const greeks = optionPricingService.greeks({
+            underlyingPrice,
+            strike: option.strikePrice,
+            optionType: option.optionType,
+            timeToExpiry,
+            volatility: iv,
+            dividendYield: optionPricingService.getDividendYield(option.underlying)
+        });
+
+        if (!greeks) {
+            this.stats.unresolved++;
+            return null;
+        }
+
+        this.stats.computed++;
+        const premium = inputs.premium || null;
+
+        return {
+            underlying: option.underlying,
+            strikePrice: option.strikePrice,
+            optionType: option.optionType,
+            expiry: option.expiry,
+            premium,
+            underlyingPrice,
+            timeToExpiry,
+            daysToExpiry: Math.round(timeToExpiry * 365 * 100) / 100,
+            iv: Math.round(iv * 100) / 100,
+            delta: Math.round(greeks.delta * 10000) / 10000,
+            gamma: Math.round(greeks.gamma * 1000000) / 1000000,
+            theta: Math.round(greeks.theta * 100) / 100,
+            vega: Math.round(greeks.vega * 100) / 100,
+            thetaPercent: premium ? Math.round((greeks.theta / premium) * 10000) / 100 : null,
+            timestamp: now
+        };
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            cachedTokens: this.cache.size
+        };
+    }
+}
+
+module.exports = new GreeksService();
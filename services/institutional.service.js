@@ -1,4 +1,5 @@
 const settings = require('../config/settings.config');
+const clock = require('./clock.service');
 
 class InstitutionalService {
     constructor() {
@@ -24,8 +25,8 @@ class InstitutionalService {
                 previous: currentOI,
                 change: 0,
                 changePercent: 0,
-                history: [{ oi: currentOI, timestamp: Date.now() }],
-                lastUpdate: Date.now()
+                history: [{ oi: currentOI, timestamp: clock.now() }],
+                lastUpdate: clock.now()
             });
             return;
         }
@@ -35,7 +36,7 @@ class InstitutionalService {
         const changePercent = prev > 0 ? (change / prev) * 100 : 0;
 
         const history = existing?.history || [];
-        history.push({ oi: currentOI, timestamp: Date.now() });
+        history.push({ oi: currentOI, timestamp: clock.now() });
         
         if (history.length > 100) {
             history.shift();
@@ -47,7 +48,7 @@ class InstitutionalService {
             change,
             changePercent,
             history,
-            lastUpdate: Date.now()
+            lastUpdate: clock.now()
         });
 
         const tokenHistory = this.oiHistory.get(token) || [];
@@ -55,7 +56,7 @@ class InstitutionalService {
             oi: currentOI,
             change,
             changePercent,
-            timestamp: Date.now()
+            timestamp: clock.now()
         });
         
         if (tokenHistory.length > 500) {
@@ -130,7 +131,7 @@ class InstitutionalService {
             pcr,
             callOI,
             putOI,
-            timestamp: Date.now()
+            timestamp: clock.now()
         });
 
         if (this.pcrHistory.length > 500) {
@@ -190,7 +191,7 @@ class InstitutionalService {
             advanceDeclineLine: advancing - declining,
             percentAdvancing: (advancing / (advancing + declining + unchanged)) * 100,
             percentDeclining: (declining / (advancing + declining + unchanged)) * 100,
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
     }
 
@@ -216,7 +217,7 @@ class InstitutionalService {
         const existing = this.sectorStrength.get(sector) || { history: [] };
         
         existing.current = data;
-        existing.history.push({ ...data, timestamp: Date.now() });
+        existing.history.push({ ...data, timestamp: clock.now() });
         
         if (existing.history.length > 100) {
             existing.history.shift();
@@ -261,7 +262,7 @@ class InstitutionalService {
             breadth: this.getBreadthAnalysis(),
             sectorRotation: this.getSectorRotation(),
             oiDataCount: this.oiData.size,
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
     }
 
@@ -2,9 +2,12 @@
  * IV SKEW CURVE ENGINE
  * Tracks Call IV vs Put IV skew
  * Monitors skew acceleration for signal context
+ * IVs are solved from live premiums (optionPricing) on OTM strikes either side of ATM
  */
 
 const oiIntelligenceService = require('./oiIntelligence.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
 
 class IVSkewService {
     constructor() {
@@ -16,11 +19,12 @@ class IVSkewService {
         this.config = {
             extremeSkewThreshold: 30,    // 30% IV difference = extreme
             skewAccelerationThreshold: 10, // 10% change in skew
-            updateIntervalMs: 30000
+            skewStrikeWindow: 3,         // OTM strikes 1..N each side of ATM
+            barInterval: 'ONE_MINUTE'
         };
 
         this.skewHistory = new Map();    // underlying -> skew history
-        this.updateInterval = null;
+        this.unsubscribeBars = null;
 
         console.log('[IV_SKEW] Initializing IV skew engine...');
         console.log('[IV_SKEW] Initialized');
@@ -30,26 +34,26 @@ class IVSkewService {
      * Start skew tracking
      */
     start() {
-        if (this.updateInterval) {
+        if (this.unsubscribeBars) {
             console.log('[IV_SKEW] Already running');
             return;
         }
 
         this.calculate();
-        this.updateInterval = setInterval(() => {
+        this.unsubscribeBars = eventBus.onBarClose(this.config.barInterval, () => {
             this.calculate();
-        }, this.config.updateIntervalMs);
+        }, 'IV_SKEW');
 
-        console.log('[IV_SKEW] Started - tracking every 30 seconds');
+        console.log('[IV_SKEW] Started - tracking on every 1m bar close');
     }
 
     /**
      * Stop skew tracking
      */
     stop() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+        if (this.unsubscribeBars) {
+            this.unsubscribeBars();
+            this.unsubscribeBars = null;
             console.log('[IV_SKEW] Stopped');
         }
     }
@@ -67,33 +71,41 @@ class IVSkewService {
             }
         }
 
-        this.state.lastUpdate = Date.now();
+        this.state.lastUpdate = clock.now();
     }
 
     /**
      * Calculate IV skew for specific underlying
      */
     calculateForUnderlying(underlying) {
-        // This would get actual IV data from options chain
-        // For now, using OI intelligence data as proxy
         const oiData = oiIntelligenceService.getOIData(underlying);
         if (!oiData) return null;
 
-        // Simulate IV calculation from OI patterns
-        // In production, this would use actual option IV data
-        const callWeight = oiData.totalCallOI || 0;
-        const putWeight = oiData.totalPutOI || 0;
-        
-        // Simulated IV values
-        const baseIV = 15; // Base IV
-        const callIV = baseIV + (putWeight > callWeight ? 2 : -1);
-        const putIV = baseIV + (callWeight > putWeight ? 3 : -1);
+        // Pair OTM puts below ATM with OTM calls above ATM at equal distance
+        const callIVs = [];
+        const putIVs = [];
+        for (let i = 1; i <= this.config.skewStrikeWindow; i++) {
+            const callIV = oiData.strikeData.get(oiData.atmStrike + i * oiData.strikeGap)?.callIV;
+            const putIV = oiData.strikeData.get(oiData.atmStrike - i * oiData.strikeGap)?.putIV;
+            if (callIV && putIV) {
+                callIVs.push(callIV);
+                putIVs.push(putIV);
+            }
+        }
+
+        if (callIVs.length === 0) return null;
+
+        const callIV = callIVs.reduce((sum, iv) => sum + iv, 0) / callIVs.length;
+        const putIV = putIVs.reduce((sum, iv) => sum + iv, 0) / putIVs.length;
+        const atmRow = oiData.strikeData.get(oiData.atmStrike);
+        const atmIVs = [atmRow?.callIV, atmRow?.putIV].filter(Boolean);
+        const atmIV = atmIVs.length > 0 ? atmIVs.reduce((sum, iv) => sum + iv, 0) / atmIVs.length : null;
         
         const skew = putIV - callIV; // Positive = put skew, Negative = call skew
 
         // Track history
         const history = this.skewHistory.get(underlying) || [];
-        history.push({ timestamp: Date.now(), skew, callIV, putIV });
+        history.push({ timestamp: clock.now(), skew, callIV, putIV });
         if (history.length > 60) history.shift();
         this.skewHistory.set(underlying, history);
 
@@ -102,14 +114,17 @@ class IVSkewService {
 
         return {
             underlying,
+            expiry: oiData.expiry,
+            atmIV: atmIV !== null ? Math.round(atmIV * 100) / 100 : null,
             callIV: Math.round(callIV * 100) / 100,
             putIV: Math.round(putIV * 100) / 100,
+            strikePairs: callIVs.length,
             skew: Math.round(skew * 100) / 100,
             skewType: this.classifySkew(skew),
             acceleration: Math.round(acceleration * 100) / 100,
             isExtreme: Math.abs(skew) >= this.config.extremeSkewThreshold,
             isAccelerating: Math.abs(acceleration) >= this.config.skewAccelerationThreshold,
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
     }
 
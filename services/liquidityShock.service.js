@@ -5,6 +5,7 @@
  */
 
 const marketStateService = require('./marketState.service');
+const clock = require('./clock.service');
 
 class LiquidityShockService {
     constructor() {
@@ -66,7 +67,7 @@ class LiquidityShockService {
 
             // Track volume
             const volHistory = this.volumeHistory.get(token) || [];
-            volHistory.push({ timestamp: Date.now(), volume: state.volume || 0 });
+            volHistory.push({ timestamp: clock.now(), volume: state.volume || 0 });
             if (volHistory.length > 30) volHistory.shift();
             this.volumeHistory.set(token, volHistory);
 
@@ -78,14 +79,14 @@ class LiquidityShockService {
                     token,
                     symbol: state.symbol,
                     ...shock,
-                    timestamp: Date.now()
+                    timestamp: clock.now()
                 });
             } else {
                 this.state.shockAlerts.delete(token);
             }
         }
 
-        this.state.lastUpdate = Date.now();
+        this.state.lastUpdate = clock.now();
     }
 
     /**
@@ -5,6 +5,8 @@
  */
 
 const marketStateService = require('./marketState.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
 
 class LiquidityTierService {
     constructor() {
@@ -15,7 +17,7 @@ class LiquidityTierService {
         };
 
         this.config = {
-            updateIntervalMs: 30000,     // Update every 30 seconds
+            barInterval: 'ONE_MINUTE',   // Recalculated on every 1m bar close
             tier1Threshold: 50,          // > 50 Cr = Tier 1
             tier2Threshold: 10,          // 10-50 Cr = Tier 2
             // < 10 Cr = Tier 3 (blocked)
@@ -24,7 +26,7 @@ class LiquidityTierService {
         };
 
         this.turnoverHistory = new Map(); // token -> [{ timestamp, turnover }]
-        this.updateInterval = null;
+        this.unsubscribeBars = null;
 
         console.log('[LIQUIDITY_TIER] Initializing liquidity tier engine...');
         console.log('[LIQUIDITY_TIER] Tier thresholds: T1 > 50Cr, T2 10-50Cr, T3 < 10Cr');
@@ -35,26 +37,26 @@ class LiquidityTierService {
      * Start periodic tier calculation
      */
     start() {
-        if (this.updateInterval) {
+        if (this.unsubscribeBars) {
             console.log('[LIQUIDITY_TIER] Already running');
             return;
         }
 
         this.calculate();
-        this.updateInterval = setInterval(() => {
+        this.unsubscribeBars = eventBus.onBarClose(this.config.barInterval, () => {
             this.calculate();
-        }, this.config.updateIntervalMs);
+        }, 'LIQUIDITY_TIER');
 
-        console.log('[LIQUIDITY_TIER] Started - updating every 30 seconds');
+        console.log('[LIQUIDITY_TIER] Started - updating on every 1m bar close');
     }
 
     /**
      * Stop tier calculation
      */
     stop() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+        if (this.unsubscribeBars) {
+            this.unsubscribeBars();
+            this.unsubscribeBars = null;
             console.log('[LIQUIDITY_TIER] Stopped');
         }
     }
@@ -91,7 +93,7 @@ class LiquidityTierService {
 
             // Track turnover history
             const history = this.turnoverHistory.get(token) || [];
-            history.push({ timestamp: Date.now(), turnover });
+            history.push({ timestamp: clock.now(), turnover });
             if (history.length > 20) {
                 history.shift();
             }
@@ -110,13 +112,13 @@ class LiquidityTierService {
                 volume: state.volume,
                 ltp: state.ltp,
                 isBlocked: tier === 3 && this.config.tier3BlockEnabled,
-                timestamp: Date.now()
+                timestamp: clock.now()
             };
 
             this.state.tiers.set(token, tierData);
         }
 
-        this.state.lastUpdate = Date.now();
+        this.state.lastUpdate = clock.now();
     }
 
     /**
@@ -3,6 +3,11 @@ const orchestratorService = require('./orchestrator.service');
 const explosionService = require('./explosion.service');
 const premiumMomentumService = require('./premiumMomentum.service');
 const marketScannerLoopService = require('./marketScannerLoop.service');
+const universeLoader = require('./universeLoader.service');
+const wsService = require('./websocket.service');
+const calendarService = require('./calendar.service');
+const dataQualityService = require('./dataQuality.service');
+const clock = require('./clock.service');
 
 class MarketAggregatorService {
     constructor() {
@@ -13,11 +18,12 @@ class MarketAggregatorService {
     }
 
     getScreen1Data() {
-        if (this.screen1Cache && Date.now() - this.lastUpdate < this.cacheExpiry) {
+        if (this.screen1Cache && clock.now() - this.lastUpdate < this.cacheExpiry) {
             return this.screen1Cache;
         }
 
         const allSignals = orchestratorService.getActiveSignals();
+        const isCommodity = (s) => instruments.getSegment(s.instrument) === instruments.SEGMENTS.COMMODITY;
         
         const indicesSignals = allSignals.filter(s => {
             const inst = instruments.getByToken(s.instrument.token);
@@ -26,7 +32,7 @@ class MarketAggregatorService {
 
         const stockSignals = allSignals.filter(s => {
             const inst = instruments.getByToken(s.instrument.token);
-            if (!inst) return false;
+            if (!inst || isCommodity(s)) return false;
             const isIndex = instruments.getIndices().some(idx => idx.token === inst.token);
             const isOption = s.instrument.symbol?.includes('CE') || s.instrument.symbol?.includes('PE');
             return !isIndex && !isOption;
@@ -34,23 +40,35 @@ class MarketAggregatorService {
 
         const optionSignals = allSignals.filter(s => {
             const symbol = s.instrument.symbol || '';
-            return symbol.includes('CE') || symbol.includes('PE');
+            return !isCommodity(s) && (symbol.includes('CE') || symbol.includes('PE'));
         }).map(s => this.formatSignalForScreen(s));
 
+        // MCX futures + options
+        const commoditySignals = allSignals
+            .filter(isCommodity)
+            .map(s => this.formatSignalForScreen(s));
+
         this.screen1Cache = {
             indices: indicesSignals.sort((a, b) => b.strength - a.strength),
             stocks: stockSignals.sort((a, b) => b.strength - a.strength).slice(0, 20),
             options: optionSignals.sort((a, b) => b.strength - a.strength).slice(0, 20),
+            commodities: commoditySignals.sort((a, b) => b.strength - a.strength).slice(0, 20),
             totalSignals: allSignals.length,
-            timestamp: new Date().toISOString()
+            timestamp: clock.date().toISOString()
         };
-
-        this.lastUpdate = Date.now();
+        this.screen1Cache.freshness = dataQualityService.summarize([
+            ...this.screen1Cache.indices,
+            ...this.screen1Cache.stocks,
+            ...this.screen1Cache.options,
+            ...this.screen1Cache.commodities
+        ]);
+
+        this.lastUpdate = clock.now();
         return this.screen1Cache;
     }
 
     getScreen2Data() {
-        if (this.screen2Cache && Date.now() - this.lastUpdate < this.cacheExpiry) {
+        if (this.screen2Cache && clock.now() - this.lastUpdate < this.cacheExpiry) {
             return this.screen2Cache;
         }
 
@@ -140,18 +158,83 @@ class MarketAggregatorService {
             .sort((a, b) => (b.accelerationScore || 0) - (a.accelerationScore || 0))
             .slice(0, 20);
 
+        const withFreshness = (rows) => rows.map(row => ({ ...row, ...this.getFreshness(row.token) }));
+
         this.screen2Cache = {
-            explosionStocks,
-            explosionOptions,
-            gammaAccelerators,
-            activeExplosions: activeExplosions.slice(0, 20),
+            explosionStocks: withFreshness(explosionStocks),
+            explosionOptions: withFreshness(explosionOptions),
+            gammaAccelerators: withFreshness(gammaAccelerators),
+            activeExplosions: withFreshness(activeExplosions.slice(0, 20)),
             stats: explosionService.getStats(),
-            timestamp: new Date().toISOString()
+            timestamp: clock.date().toISOString()
         };
+        this.screen2Cache.freshness = dataQualityService.summarize([
+            ...this.screen2Cache.explosionStocks,
+            ...this.screen2Cache.explosionOptions,
+            ...this.screen2Cache.gammaAccelerators,
+            ...this.screen2Cache.activeExplosions
+        ]);
 
         return this.screen2Cache;
     }
 
+    /**
+     * MCX board: front-month future per configured commodity with session,
+     * price limits and lot size - live through the evening session
+     */
+    getCommodityScreen() {
+        const session = calendarService.isValidTradingTime(clock.now(), instruments.SEGMENTS.COMMODITY);
+
+        const commodities = instruments.getCommodities().map(c => {
+            const contract = universeLoader.getCommodityFuture(c.symbol);
+            const live = wsService.getLivePrice(c.token);
+            const scan = marketScannerLoopService.getScanResult(c.token);
+            const prevClose = live?.close || null;
+            const ltp = live?.ltp || null;
+
+            // Exchange-published band when the feed carries it, else the configured rule
+            let circuit = null;
+            if (live?.upperCircuit && live?.lowerCircuit) {
+                circuit = { upper: live.upperCircuit, lower: live.lowerCircuit, source: 'EXCHANGE' };
+            } else {
+                const limits = instruments.getCircuitLimits(c, prevClose);
+                if (limits) circuit = { ...limits, source: 'RULE' };
+            }
+
+            return {
+                symbol: c.symbol,
+                name: c.name,
+                contract: contract?.symbol || null,
+                token: c.token,
+                expiry: c.expiry,
+                lotSize: c.lotSize,
+                lotUnit: c.lotUnit,
+                ltp,
+                changePercent: ltp && prevClose ? parseFloat((((ltp - prevClose) / prevClose) * 100).toFixed(2)) : null,
+                movePercent: scan ? parseFloat((scan.priceChangePercent || 0).toFixed(2)) : null,
+                momentumScore: scan?.momentumScore || 0,
+                volumeRatio: scan?.volumeRatio || 0,
+                circuit,
+                circuitRule: c.circuit,
+                optionsCount: universeLoader.getCommodityOptions(c.symbol).length,
+                lastTick: live ? new Date(wsService.lastUpdateTime.get(c.token) || clock.now()).toISOString() : null,
+                ...this.getFreshness(c.token)
+            };
+        });
+
+        return {
+            session: {
+                open: session.valid,
+                session: session.session,
+                detail: session.detail,
+                minutesUntilClose: session.valid ? calendarService.getMinutesUntilClose(clock.date(), instruments.SEGMENTS.COMMODITY) : null
+            },
+            commodities: commodities.sort((a, b) => b.momentumScore - a.momentumScore),
+            freshness: dataQualityService.summarize(commodities),
+            timestamp: clock.date().toISOString()
+        };
+    }
+
     formatSignalForScreen(signal) {
         return {
             symbol: signal.instrument.symbol,
@@ -167,10 +250,23 @@ class MarketAggregatorService {
             target1: signal.target1,
             target2: signal.target2,
             riskReward: signal.riskReward,
+            ...this.getFreshness(signal.instrument.token, signal.dataAsOf),
             timestamp: new Date(signal.timestamp).toISOString()
         };
     }
 
+    /**
+     * Provenance + age of the row's price right now (last tick, else when it was observed)
+     */
+    getFreshness(token, fallbackAsOf = null) {
+        const quality = dataQualityService.forToken(token, fallbackAsOf);
+        return {
+            provenance: quality.provenance,
+            dataAsOf: quality.dataAsOf ? new Date(quality.dataAsOf).toISOString() : null,
+            ageSeconds: quality.ageSeconds
+        };
+    }
+
     formatRunnerForScreen(runner, type) {
         return {
             symbol: runner.instrument?.symbol || 'UNKNOWN',
@@ -180,14 +276,15 @@ class MarketAggregatorService {
             momentumScore: runner.momentumScore || 0,
             volumeRatio: runner.volumeRatio || 0,
             direction: (runner.priceChangePercent || 0) > 0 ? 'UP' : 'DOWN',
-            timestamp: new Date(runner.timestamp || Date.now()).toISOString()
+            timestamp: new Date(runner.timestamp || clock.now()).toISOString()
         };
     }
 
     getCombinedData() {
         return {
             screen1: this.getScreen1Data(),
-            screen2: this.getScreen2Data()
+            screen2: this.getScreen2Data(),
+            commodities: this.getCommodityScreen()
         };
     }
 
@@ -196,7 +293,8 @@ class MarketAggregatorService {
         const allSignals = [
             ...screen1.indices,
             ...screen1.stocks,
-            ...screen1.options
+            ...screen1.options,
+            ...screen1.commodities
         ];
 
         return allSignals
@@ -230,7 +328,8 @@ class MarketAggregatorService {
                 indicesCount: screen1.indices.length,
                 stocksCount: screen1.stocks.length,
                 optionsCount: screen1.options.length,
-                strongSignals: [...screen1.indices, ...screen1.stocks, ...screen1.options]
+                commoditiesCount: screen1.commodities.length,
+                strongSignals: [...screen1.indices, ...screen1.stocks, ...screen1.options, ...screen1.commodities]
                     .filter(s => s.signal === 'STRONG_BUY' || s.signal === 'STRONG_SELL').length
             },
             explosionSummary: {
@@ -240,7 +339,11 @@ class MarketAggregatorService {
                 activeExplosions: screen2.activeExplosions.length
             },
             marketHealth: this.calculateMarketHealth(screen1, screen2),
-            timestamp: new Date().toISOString()
+            dataFreshness: {
+                signals: screen1.freshness,
+                explosions: screen2.freshness
+            },
+            timestamp: clock.date().toISOString()
         };
     }
 
@@ -0,0 +1,224 @@
+/**
+ * MARKET DATA SERVICE - BROKER PROVIDER SELECTION & FAILOVER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Single entry point for broker access (auth, historical candles,
+ * option chain, quotes, tick stream, instrument master). Analytics services talk to
+ * candle / strikeSweep / websocket / universeLoader (or getQuotes for snapshots),
+ * never to a broker directly.
+ *
+ * PROVIDERS (services/providers):
+ * - angel: Angel One SmartAPI (default)
+ * - local: files under data/local + tick recordings
+ * - register(name, provider) adds another broker at boot
+ *
+ * FAILOVER (MARKET_DATA_FALLBACK):
+ * - Each call goes to the primary; if it throws, the fallback serves it
+ * - Tick stream: the fallback is connected when the primary cannot connect
+ * - Empty results are answers, not failures - only errors fail over
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const settings = require('../config/settings.config');
+const MarketDataProvider = require('./providers/marketDataProvider');
+const AngelProvider = require('./providers/angel.provider');
+const LocalProvider = require('./providers/local.provider');
+
+class MarketDataService {
+    constructor() {
+        this.config = {
+            provider: 'angel',
+            fallback: null,
+            local: {}
+        };
+
+        this.providers = new Map();
+        this.sessionProvider = null;
+        this.streamProvider = null;
+
+        this.stats = {
+            requests: 0,
+            failovers: 0,
+            errors: 0,
+            byProvider: {},
+            lastFailover: null
+        };
+
+        this.loadConfig();
+        this.register('angel', new AngelProvider());
+        this.register('local', new LocalProvider(this.config.local));
+    }
+
+    loadConfig() {
+        const marketDataConfig = settings.marketData || {};
+        this.config = {
+            ...this.config,
+            ...marketDataConfig
+        };
+    }
+
+    /**
+     * Add (or replace) a provider - it must implement the MarketDataProvider interface
+     */
+    register(name, provider) {
+        const missing = MarketDataProvider.METHODS.filter(method => typeof provider[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Market data provider ${name} is missing ${missing.join(', ')}`);
+        }
+
+        this.providers.set(name, provider);
+        return provider;
+    }
+
+    getProvider(name) {
+        const provider = this.providers.get(name);
+        if (!provider) {
+            throw new Error(`Unknown market data provider: ${name} (registered: ${[...this.providers.keys()].join(', ')})`);
+        }
+        return provider;
+    }
+
+    /**
+     * Primary first, then the fallback (if configured and different)
+     */
+    getChain() {
+        const names = [this.config.provider];
+        if (this.config.fallback && this.config.fallback !== this.config.provider) {
+            names.push(this.config.fallback);
+        }
+        return names.map(name => this.getProvider(name));
+    }
+
+    async request(method, ...args) {
+        const chain = this.getChain();
+        let lastError = null;
+
+        this.stats.requests++;
+
+        for (let i = 0; i < chain.length; i++) {
+            const provider = chain[i];
+
+            try {
+                const result = await provider[method](...args);
+                this.stats.byProvider[provider.name] = (this.stats.byProvider[provider.name] || 0) + 1;
+
+                if (i > 0) {
+                    this.recordFailover(method, chain[0], provider, lastError);
+                }
+                return { result, provider };
+            } catch (error) {
+                lastError = error;
+                if (i + 1 < chain.length) {
+                    console.log(`[MARKET_DATA] ${provider.name}.${method} failed: ${error.message} - trying ${chain[i + 1].name}`);
+                }
+            }
+        }
+
+        this.stats.errors++;
+        throw lastError;
+    }
+
+    recordFailover(method, from, to, error) {
+        this.stats.failovers++;
+        this.stats.lastFailover = {
+            method,
+            from: from.name,
+            to: to.name,
+            error: error?.message || null,
+            timestamp: Date.now()
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // AUTH
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    async login() {
+        const { result, provider } = await this.request('login');
+        this.sessionProvider = provider;
+        return { ...result, provider: provider.name };
+    }
+
+    async ensureAuthenticated() {
+        const { result, provider } = await this.request('ensureAuthenticated');
+        this.sessionProvider = provider;
+        return result;
+    }
+
+    getAuthStatus() {
+        const provider = this.sessionProvider || this.getChain()[0];
+        return {
+            provider: provider.name,
+            ...provider.getAuthStatus()
+        };
+    }
+
+    invalidate() {
+        this.providers.forEach(provider => provider.invalidate());
+        this.sessionProvider = null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // DATA
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    async getCandles(params) {
+        return (await this.request('getCandles', params)).result;
+    }
+
+    async getOptionChain(params) {
+        return (await this.request('getOptionChain', params)).result;
+    }
+
+    /**
+     * Option chain plus whether the provider that answered is live (the local
+     * fallback serves stored files)
+     * @returns {object} { rows, provider, live }
+     */
+    async getOptionChainWithSource(params) {
+        const { result, provider } = await this.request('getOptionChain', params);
+        return { rows: result, provider: provider.name, live: provider.live !== false };
+    }
+
+    /**
+     * @param {object} params - { exchange (angel.config code or name), tokens }
+     */
+    async getQuotes(params) {
+        return (await this.request('getQuotes', params)).result;
+    }
+
+    async getInstrumentMaster() {
+        return (await this.request('getInstrumentMaster')).result;
+    }
+
+    /**
+     * @param {object} handlers - { onOpen(), onFrame(frame), onClose(code), onError(error) }
+     * @returns stream { provider, subscribe, unsubscribe, ping, terminate }
+     */
+    async connectTickStream(handlers) {
+        const { result, provider } = await this.request('connectTickStream', handlers);
+        this.streamProvider = provider;
+        return result;
+    }
+
+    /**
+     * Decode a frame with the provider that is streaming (primary before the first connect)
+     */
+    parseTickFrame(frame) {
+        return (this.streamProvider || this.getChain()[0]).parseTickFrame(frame);
+    }
+
+    getStatus() {
+        return {
+            provider: this.config.provider,
+            fallback: this.config.fallback,
+            registered: [...this.providers.keys()],
+            session: this.sessionProvider?.name || null,
+            stream: this.streamProvider?.name || null,
+            stats: { ...this.stats, byProvider: { ...this.stats.byProvider } }
+        };
+    }
+}
+
+module.exports = new MarketDataService();
@@ -3,6 +3,8 @@ const settings = require('../config/settings.config');
 const candleService = require('./candle.service');
 const indicatorService = require('./indicator.service');
 const wsService = require('./websocket.service');
+const calendarService = require('./calendar.service');
+const clock = require('./clock.service');
 
 class MarketScannerLoopService {
     constructor() {
@@ -94,9 +96,46 @@ class MarketScannerLoopService {
         console.log('[SCANNER_LOOP] Initial scan complete');
     }
 
+    /**
+     * Segments whose session is open now (EQUITY = NSE hours, COMMODITY = MCX incl. evening)
+     */
+    getOpenSegments() {
+        return Object.values(instruments.SEGMENTS)
+            .filter(segment => calendarService.isValidTradingTime(clock.now(), segment).valid);
+    }
+
+    /**
+     * Instruments of the open segments - after 15:30 only MCX keeps scanning.
+     * With every segment closed the full list is kept warm as before.
+     */
+    getScanUniverse() {
+        const openSegments = this.getOpenSegments();
+        const all = instruments.getAll();
+        if (openSegments.length === 0) return all;
+        return all.filter(inst => openSegments.includes(instruments.getSegment(inst)));
+    }
+
+    getExchangeType(token) {
+        const instrument = this.scanResults.get(token)?.instrument || instruments.getByToken(token);
+        return typeof instrument?.exchange === 'number' ? instrument.exchange : 1;
+    }
+
+    /**
+     * Subscribe per exchange so MCX tokens go out as MCX_FO, not NSE_CM
+     */
+    subscribeByExchange(tokens, priority) {
+        const groups = new Map();
+        tokens.forEach(token => {
+            const exchange = this.getExchangeType(token);
+            if (!groups.has(exchange)) groups.set(exchange, []);
+            groups.get(exchange).push(token);
+        });
+        groups.forEach((group, exchange) => wsService.subscribeWithPriority(group, priority, exchange));
+    }
+
     async runBatchScan() {
         // 🔴 CONFIRMATION: Scanner processes ONLY dynamic bucket, NOT all 7,965 instruments
-        const allInstruments = instruments.getAll();
+        const allInstruments = this.getScanUniverse();
         const batchSize = settings.scanner.batchSize || 20;
         
         // In CORE_ONLY mode, skip full scanning
@@ -120,7 +159,7 @@ class MarketScannerLoopService {
         
         this.currentBatchIndex++;
         this.scanStats.batchesProcessed++;
-        this.lastScanTime = Date.now();
+        this.lastScanTime = clock.now();
     }
 
     async processBatch(batch) {
@@ -134,7 +173,7 @@ class MarketScannerLoopService {
                     this.momentumScores.set(instrument.token, {
                         score: result.momentumScore,
                         instrument,
-                        timestamp: Date.now()
+                        timestamp: clock.now()
                     });
                 }
 
@@ -142,7 +181,7 @@ class MarketScannerLoopService {
                     this.volumeSpikes.set(instrument.token, {
                         ratio: result.volumeRatio,
                         instrument,
-                        timestamp: Date.now()
+                        timestamp: clock.now()
                     });
                     this.scanStats.spikesDetected++;
                     
@@ -200,7 +239,7 @@ class MarketScannerLoopService {
             priceChangePercent: priceChange.percent,
             isRunner: Math.abs(priceChange.percent) >= 5,
             isBigRunner: Math.abs(priceChange.percent) >= 15,
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
     }
 
@@ -253,7 +292,10 @@ class MarketScannerLoopService {
     }
 
     promoteTopMomentum() {
+        // Rank only segments in session - stale NSE scores must not hold slots during the MCX evening
+        const openSegments = this.getOpenSegments();
         const sortedMomentum = Array.from(this.momentumScores.entries())
+            .filter(([token, data]) => openSegments.length === 0 || openSegments.includes(instruments.getSegment(data.instrument)))
             .sort((a, b) => b[1].score - a[1].score)
             .slice(0, 30);
 
@@ -284,13 +326,13 @@ class MarketScannerLoopService {
         const coreTokens = Array.from(this.priorityBuckets.CORE);
 
         wsService.subscribeWithPriority(coreTokens, 'CORE');
-        wsService.subscribeWithPriority(activeTokens, 'ACTIVE');
+        this.subscribeByExchange(activeTokens, 'ACTIVE_EQUITY');
 
         if (rotationTokens.length > 0) {
             const rotationSlots = 50 - coreTokens.length - activeTokens.length;
             if (rotationSlots > 0) {
                 const toSubscribe = rotationTokens.slice(0, rotationSlots);
-                wsService.subscribeWithPriority(toSubscribe, 'ROTATION');
+                this.subscribeByExchange(toSubscribe, 'ROTATION');
             }
         }
 
@@ -377,6 +419,7 @@ class MarketScannerLoopService {
             momentumCount: this.momentumScores.size,
             volumeSpikeCount: this.volumeSpikes.size,
             strikeDiscoveryQueueLength: this.strikeDiscoveryQueue.length,
+            openSegments: this.getOpenSegments(),
             protectionMode: {
                 reducedMode: this.reducedMode,
                 coreOnlyMode: this.coreOnlyMode
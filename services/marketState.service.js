@@ -1,9 +1,12 @@
 /**
  * 🔴 MARKET STATE SERVICE - Centralized Real-Time State Store
  * Maintains REAL-TIME state for EVERY active instrument
- * Updated on every WebSocket tick, reset daily at 9:15
+ * Updated on every WebSocket tick (TICK on the event bus, from start()), reset daily at 9:15
  */
 
+const wsService = require('./websocket.service');
+const clock = require('./clock.service');
+
 class MarketStateService {
     constructor() {
         // 🔴 CENTRALIZED STATE STORE - No recalculation in signal engine
@@ -37,6 +40,8 @@ class MarketStateService {
             vwapWindowSize: 100
         };
         
+        this.unsubscribeTicks = null;
+
         // Stats
         this.stats = {
             totalInstruments: 0,
@@ -51,8 +56,29 @@ class MarketStateService {
         console.log('[MARKET_STATE] Initialized');
     }
 
+    /**
+     * Follow the tick stream
+     */
+    start() {
+        if (this.unsubscribeTicks) {
+            console.log('[MARKET_STATE] Already running');
+            return;
+        }
+
+        this.unsubscribeTicks = wsService.onPrice(tick => this.updateFromTick(tick), 'MARKET_STATE');
+        console.log('[MARKET_STATE] Started - updating on every tick');
+    }
+
+    stop() {
+        if (this.unsubscribeTicks) {
+            this.unsubscribeTicks();
+            this.unsubscribeTicks = null;
+            console.log('[MARKET_STATE] Stopped');
+        }
+    }
+
     checkMarketTime() {
-        const now = new Date();
+        const now = clock.date();
         const hours = now.getHours();
         const minutes = now.getMinutes();
         
@@ -114,8 +140,9 @@ class MarketStateService {
         // Update core prices
         state.ltp = ltp;
         state.lastVolume = volume || 0;
+        if (volume > 0) state.volume = volume;
         state.lastOI = oi || 0;
-        state.lastUpdate = timestamp || Date.now();
+        state.lastUpdate = timestamp || clock.now();
         
         // Lock today's open at first tick (9:15)
         if (!state.openLocked && open && open > 0) {
@@ -146,7 +173,7 @@ class MarketStateService {
         
         state.tickCount++;
         this.stats.ticksProcessed++;
-        this.stats.lastUpdate = Date.now();
+        this.stats.lastUpdate = clock.now();
         this.stats.totalInstruments = this.instrumentState.size;
     }
 
@@ -161,6 +188,7 @@ class MarketStateService {
             low: Infinity,
             ltp: 0,
             lastVolume: 0,
+            volume: 0,              // Cumulative day volume (liquidity tier / shock)
             lastOI: 0,
             avgVolume: 0,
             
@@ -244,13 +272,16 @@ class MarketStateService {
         return this.instrumentState.get(token);
     }
 
+    /**
+     * token -> state (copy) - circuit, liquidity, breadth, RS and correlation iterate it as a Map
+     */
     getAllStates() {
-        return Array.from(this.instrumentState.values());
+        return new Map(this.instrumentState);
     }
 
     getActiveStates() {
-        const fiveMinAgo = Date.now() - 5 * 60 * 1000;
-        return this.getAllStates().filter(s => s.lastUpdate && s.lastUpdate > fiveMinAgo);
+        const fiveMinAgo = clock.now() - 5 * 60 * 1000;
+        return Array.from(this.instrumentState.values()).filter(s => s.lastUpdate && s.lastUpdate > fiveMinAgo);
     }
 
     getPercentChangeFromOpen(token) {
@@ -61,8 +61,10 @@ try {
 
 // Phase 1: Data Integrity
 const calendarService = require('./calendar.service');
+const instruments = require('../config/instruments.config');
 const clockSyncService = require('./clockSync.service');
 const candleIntegrityService = require('./candleIntegrity.service');
+const dataQualityService = require('./dataQuality.service');
 
 // Phase 1.5: IGNITION DETECTION (V5 - Early Move Detection)
 const microIgnitionStockService = require('./microIgnitionStock.service');
@@ -109,9 +111,11 @@ const gapDayService = require('./gapDay.service');
 const breadthService = require('./breadth.service');
 const crowdingDetectorService = require('./crowdingDetector.service');
 const correlationEngineService = require('./correlationEngine.service');
+const futuresAnalyticsService = require('./futuresAnalytics.service');
 
 // Confidence Scoring V6
 const confidenceScoringService = require('./confidenceScoring.service');
+const clock = require('./clock.service');
 
 // V6: Signal Lifecycle Tracking
 let signalLifecycleService = null;
@@ -133,10 +137,14 @@ class MasterSignalGuardService {
     constructor() {
         this.config = {
             strictMode: true,            // ALWAYS TRUE - No soft mode
-            minConfidenceScore: 52,      // V6.1: Adjusted from 60 to 52
+            minConfidenceScore: null,    // Override only - default is the confidence scorer's
+                                         // (calibrated) minimum, 52 uncalibrated
             logAllBlocks: true
         };
 
+        // The only settings validateSignalSync reads from options.config
+        this.OVERRIDABLE = ['minConfidenceScore'];
+
         this.stats = {
             signalsChecked: 0,
             signalsBlocked: 0,
@@ -153,16 +161,30 @@ class MasterSignalGuardService {
         console.log('[MASTER_GUARD] Initializing Master Signal Guard V7 ELITE...');
         console.log('[MASTER_GUARD] STRICT MODE: ENABLED - All guards are HARD BLOCKS');
         console.log('[MASTER_GUARD] V7: Elite Runner Detection ENABLED');
-        console.log('[MASTER_GUARD] V7: Minimum confidence = 52');
+        console.log(`[MASTER_GUARD] V7: Minimum confidence = ${this.getMinConfidence()}`);
         console.log('[MASTER_GUARD] Initialized');
     }
 
+    /**
+     * Emit minimum - a config override (shadow challenger) or the confidence
+     * scorer's, which an approved calibration sets
+     */
+    getMinConfidence(config = this.config) {
+        return config.minConfidenceScore ?? confidenceScoringService.minimumThreshold;
+    }
+
     /**
      * SYNCHRONOUS VALIDATION - Called from orchestrator
      * MUST return immediately (no async)
+     * @param {object} options - { shadow, config } - shadow: evaluate only (no stats,
+     *   lifecycle, ignition promotion or guard logs); config: overrides of the
+     *   OVERRIDABLE settings
      */
-    validateSignalSync(signal, candles = []) {
-        this.stats.signalsChecked++;
+    validateSignalSync(signal, candles = [], options = {}) {
+        const shadow = options.shadow === true;
+        const overrides = Object.entries(options.config || {}).filter(([key]) => this.OVERRIDABLE.includes(key));
+        const config = overrides.length > 0 ? { ...this.config, ...Object.fromEntries(overrides) } : this.config;
+        if (!shadow) this.stats.signalsChecked++;
         
         const result = {
             allowed: true,
@@ -172,13 +194,17 @@ class MasterSignalGuardService {
             warnings: [],
             adjustments: [],
             confidenceScore: null,
-            timestamp: Date.now()
+            shadow,
+            timestamp: clock.now()
         };
 
         const token = signal?.instrument?.token || signal?.token;
         const signalType = signal?.type || signal?.signal;
         const underlying = signal?.underlying || this.getUnderlying(signal);
         const isOption = signal?.isOption || this.isOptionInstrument(signal);
+        // EQUITY (NSE/NFO) or COMMODITY (MCX) - drives session hours and circuit rules
+        const segment = signal?.segment || instruments.getSegment(signal?.instrument || token);
+        result.signal.segment = segment;
         const ltp = signal?.price || 0;
         const spreadPercent = signal?.spreadPercent || 0;
 
@@ -228,7 +254,7 @@ class MasterSignalGuardService {
         };
         
         // If ignition detected, trigger CORE promotion
-        if (ignitionResult.detected && websocketService) {
+        if (ignitionResult.detected && websocketService && !shadow) {
             try {
                 websocketService.promoteOnIgnition(token, ignitionResult.type, ignitionResult.strength);
             } catch (e) {
@@ -245,8 +271,8 @@ class MasterSignalGuardService {
         if (runnerProbabilityStockService && !isOption && candles && candles.length >= 20) {
             // Stock Elite Runner check
             const openPrice = signal?.openPrice || candles[0]?.open || ltp * 0.99;
-            const circuitLimits = signal?.circuitLimits || { upper: openPrice * 1.10, lower: openPrice * 0.90 };
-            const niftyChange = signal?.niftyChange || 0;
+            const circuitLimits = this.getCircuitLimits(signal, segment, openPrice);
+            const niftyChange = segment === 'COMMODITY' ? 0 : (signal?.niftyChange || 0);
             const vwap = signal?.vwap || ltp;
             const structuralSL = signal?.structuralSL?.riskPercent || 4;
             const confidence = signal?.confidence || 55;
@@ -264,7 +290,8 @@ class MasterSignalGuardService {
                 structuralSL,
                 vwap,
                 candles,
-                blockOrderScore
+                blockOrderScore,
+                segment
             });
             
             result.checks.push({ 
@@ -398,8 +425,8 @@ class MasterSignalGuardService {
             if (!isOption && candles && candles.length >= 20) {
                 // Stock Collapse check
                 const openPrice = signal?.openPrice || candles[0]?.open || ltp * 1.01;
-                const circuitLimits = signal?.circuitLimits || { upper: openPrice * 1.10, lower: openPrice * 0.90 };
-                const niftyChange = signal?.niftyChange || 0;
+                const circuitLimits = this.getCircuitLimits(signal, segment, openPrice);
+                const niftyChange = segment === 'COMMODITY' ? 0 : (signal?.niftyChange || 0);
                 const vwap = signal?.vwap || ltp;
                 const structuralSL = signal?.structuralSL?.riskPercent || 4;
                 const confidence = signal?.confidence || 55;
@@ -543,8 +570,8 @@ class MasterSignalGuardService {
         // ──────────────────────────────────────────────────────────────
         // 1️⃣ TRADING HOURS BLOCK (HARD)
         // ──────────────────────────────────────────────────────────────
-        const tradingHours = calendarService.isValidTradingTime();
-        result.checks.push({ name: 'TRADING_HOURS', ...tradingHours });
+        const tradingHours = calendarService.isValidTradingTime(clock.now(), segment);
+        result.checks.push({ name: 'TRADING_HOURS', segment, ...tradingHours });
         if (!tradingHours.valid) {
             return this.blockSignal(result, `TRADING_HOURS_BLOCKED: ${tradingHours.detail}`);
         }
@@ -552,9 +579,9 @@ class MasterSignalGuardService {
         // ──────────────────────────────────────────────────────────────
         // 2️⃣ HOLIDAY BLOCK (HARD)
         // ──────────────────────────────────────────────────────────────
-        if (calendarService.isHoliday()) {
+        if (calendarService.isHoliday(clock.date(), segment)) {
             result.checks.push({ name: 'HOLIDAY_CHECK', blocked: true });
-            return this.blockSignal(result, 'MARKET_HOLIDAY_BLOCKED: NSE Holiday');
+            return this.blockSignal(result, `MARKET_HOLIDAY_BLOCKED: ${segment === 'COMMODITY' ? 'MCX' : 'NSE'} Holiday`);
         }
         result.checks.push({ name: 'HOLIDAY_CHECK', blocked: false });
 
@@ -567,6 +594,22 @@ class MasterSignalGuardService {
             return this.blockSignal(result, `CLOCK_DRIFT_BLOCKED: ${clockSync.detail || 'Drift exceeded threshold'}`);
         }
 
+        // ──────────────────────────────────────────────────────────────
+        // DATA PROVENANCE (HARD - never emit on ESTIMATED inputs)
+        // ──────────────────────────────────────────────────────────────
+        const quality = signal?.provenance
+            ? dataQualityService.describe(signal.provenance, signal.dataAsOf || null)
+            : dataQualityService.forToken(token, signal?.dataAsOf || candles?.[candles.length - 1]?.timestamp || null);
+        result.signal.provenance = quality.provenance;
+        result.signal.dataAsOf = quality.dataAsOf;
+        result.checks.push({ name: 'DATA_PROVENANCE', ...quality });
+        if (quality.provenance === dataQualityService.PROVENANCE.ESTIMATED) {
+            return this.blockSignal(result, 'DATA_PROVENANCE_BLOCKED: Signal built on ESTIMATED data');
+        }
+        if (quality.provenance === dataQualityService.PROVENANCE.CACHED) {
+            result.warnings.push(`Cached data: last observed ${quality.ageSeconds !== null ? `${quality.ageSeconds}s ago` : 'at an unknown time'}`);
+        }
+
         // ──────────────────────────────────────────────────────────────
         // 4️⃣ PANIC KILL SWITCH (CRITICAL - HARD)
         // ──────────────────────────────────────────────────────────────
@@ -705,6 +748,7 @@ class MasterSignalGuardService {
         // ──────────────────────────────────────────────────────────────
         const todCheck = timeOfDayService.checkSignal({
             ...signal,
+            segment,
             volumeMultiple: signal?.volume?.ratio || signal?.volumeConfirm?.ratio || 1,
             strength: signal?.strength || 0,
             rr: signal?.riskReward?.primaryRR || 1.5
@@ -832,6 +876,18 @@ class MasterSignalGuardService {
             result.adjustments.push({ type: 'BREADTH_UPGRADE', reason: breadthCheck.reason });
         }
 
+        // Futures basis / rollover (adjustment, NSE F&O underlyings only)
+        if (segment === 'EQUITY') {
+            const futuresUnderlying = signal?.instrument?.underlying || (isOption ? underlying : signal?.instrument?.symbol);
+            const futuresCheck = futuresAnalyticsService.checkSignal(futuresUnderlying, signalType);
+            result.checks.push({ name: 'FUTURES_ROLLOVER', underlying: futuresUnderlying, ...futuresCheck });
+            if (futuresCheck.adjustment === 'DOWNGRADE') {
+                result.adjustments.push({ type: 'FUTURES_DOWNGRADE', reason: futuresCheck.reason });
+            } else if (futuresCheck.adjustment === 'UPGRADE') {
+                result.adjustments.push({ type: 'FUTURES_UPGRADE', reason: futuresCheck.reason });
+            }
+        }
+
         // Crowding trap warning + V6 Full Crowd Check
         const crowdingCheck = crowdingDetectorService.checkTrapRisk(underlying, signalType);
         result.checks.push({ name: 'CROWDING_DETECTOR', ...crowdingCheck });
@@ -907,14 +963,14 @@ class MasterSignalGuardService {
             const ignitionBoost = Math.round(result.signal.ignition.strength * 0.15);  // Up to 15 point boost
             confidenceResult.score = Math.min(100, confidenceResult.score + ignitionBoost);
             confidenceResult.ignitionBoost = ignitionBoost;
-            console.log(`[MASTER_GUARD] 🚀 IGNITION_BOOST: +${ignitionBoost} points | Final: ${confidenceResult.score}`);
+            if (!shadow) console.log(`[MASTER_GUARD] 🚀 IGNITION_BOOST: +${ignitionBoost} points | Final: ${confidenceResult.score}`);
         }
 
         // V6: Apply crowd downgrade
         if (v6CrowdCheck.confidenceAdjustment < 0) {
             confidenceResult.score = Math.max(0, confidenceResult.score + v6CrowdCheck.confidenceAdjustment);
             confidenceResult.crowdAdjustment = v6CrowdCheck.confidenceAdjustment;
-            console.log(`[MASTER_GUARD] ⚠️ CROWD_DOWNGRADE: ${v6CrowdCheck.confidenceAdjustment} points | Final: ${confidenceResult.score}`);
+            if (!shadow) console.log(`[MASTER_GUARD] ⚠️ CROWD_DOWNGRADE: ${v6CrowdCheck.confidenceAdjustment} points | Final: ${confidenceResult.score}`);
         }
 
         // V6: Apply portfolio downgrade
@@ -930,16 +986,17 @@ class MasterSignalGuardService {
         result.checks.push({ name: 'CONFIDENCE_SCORE', ...confidenceResult });
 
         // ──────────────────────────────────────────────────────────────
-        // MINIMUM CONFIDENCE CHECK (HARD) - V6: 60 minimum
+        // MINIMUM CONFIDENCE CHECK (HARD) - approved calibration moves it
         // ──────────────────────────────────────────────────────────────
-        if (confidenceResult.score < this.config.minConfidenceScore) {
-            return this.blockSignal(result, `CONFIDENCE_BLOCKED: Score ${confidenceResult.score} < ${this.config.minConfidenceScore} minimum`);
+        const minConfidence = this.getMinConfidence(config);
+        if (confidenceResult.score < minConfidence) {
+            return this.blockSignal(result, `CONFIDENCE_BLOCKED: Score ${confidenceResult.score} < ${minConfidence} minimum`);
         }
 
         // ════════════════════════════════════════════════════════════════
         // V6: RECORD TO SIGNAL LIFECYCLE
         // ════════════════════════════════════════════════════════════════
-        if (signalLifecycleService) {
+        if (signalLifecycleService && !shadow) {
             try {
                 const signalId = signalLifecycleService.registerGeneration({
                     token,
@@ -963,10 +1020,10 @@ class MasterSignalGuardService {
         // ════════════════════════════════════════════════════════════════
         // ALL CHECKS PASSED - APPLY ADJUSTMENTS
         // ════════════════════════════════════════════════════════════════
-        result.signal = this.applyAdjustments(signal, result.adjustments);
+        result.signal = this.applyAdjustments(result.signal, result.adjustments);
         result.allowed = true;
         
-        this.stats.signalsPassed++;
+        if (!shadow) this.stats.signalsPassed++;
 
         return result;
     }
@@ -977,6 +1034,8 @@ class MasterSignalGuardService {
     blockSignal(result, reason) {
         result.allowed = false;
         result.blockReasons.push(reason);
+        if (result.shadow) return result;
+
         this.stats.signalsBlocked++;
         
         const reasonKey = reason.split(':')[0];
@@ -1042,6 +1101,7 @@ class MasterSignalGuardService {
      */
     isOptionInstrument(signal) {
         if (!signal || !signal.instrument) return false;
+        if (signal.instrument.instrumentType === 'OPTFUT') return true;
         const symbol = signal.instrument.symbol || '';
         
         // Option pattern: ends with strike + CE/PE (e.g., 25000CE, 52000PE)
@@ -1050,11 +1110,25 @@ class MasterSignalGuardService {
         return optionPattern.test(symbol);
     }
 
+    /**
+     * Price band for the runner/collapse zones: the signal's own limits, the MCX
+     * daily limit for commodities, else the NSE 10% default
+     */
+    getCircuitLimits(signal, segment, openPrice) {
+        if (signal?.circuitLimits) return signal.circuitLimits;
+        if (segment === 'COMMODITY') {
+            const limits = instruments.getCircuitLimits(signal?.instrument, openPrice);
+            if (limits) return limits;
+        }
+        return { upper: openPrice * 1.10, lower: openPrice * 0.90 };
+    }
+
     /**
      * Get underlying from option
      */
     getUnderlying(signal) {
         if (!signal || !signal.instrument) return 'NIFTY';
+        if (signal.instrument.segment === 'COMMODITY') return signal.instrument.underlying || signal.instrument.symbol;
         const symbol = signal.instrument.symbol || '';
         if (symbol.includes('BANKNIFTY')) return 'BANKNIFTY';
         if (symbol.includes('FINNIFTY')) return 'FINNIFTY';
@@ -1141,6 +1215,7 @@ class MasterSignalGuardService {
                 tradingHours: 'HARD_BLOCK',
                 holiday: 'HARD_BLOCK',
                 clockSync: 'HARD_BLOCK',
+                dataProvenance: 'HARD_BLOCK (ESTIMATED)',
                 panicKillSwitch: 'HARD_BLOCK',
                 circuitBreaker: 'HARD_BLOCK',
                 liquidityTier: 'HARD_BLOCK',
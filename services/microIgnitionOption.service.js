@@ -21,6 +21,8 @@
  * ═══════════════════════════════════════════════════════════════════════════════════════════════
  */
 
+const clock = require('./clock.service');
+
 class MicroIgnitionOptionService {
     constructor() {
         this.config = {
@@ -56,7 +58,7 @@ class MicroIgnitionOptionService {
     /**
      * Update premium history for velocity calculation
      */
-    updatePremiumHistory(token, price, timestamp = Date.now()) {
+    updatePremiumHistory(token, price, timestamp = clock.now()) {
         if (!this.state.premiumHistory.has(token)) {
             this.state.premiumHistory.set(token, []);
         }
@@ -73,7 +75,7 @@ class MicroIgnitionOptionService {
     /**
      * Update OI history
      */
-    updateOIHistory(token, oi, timestamp = Date.now()) {
+    updateOIHistory(token, oi, timestamp = clock.now()) {
         if (!this.state.oiHistory.has(token)) {
             this.state.oiHistory.set(token, []);
         }
@@ -232,7 +234,7 @@ class MicroIgnitionOptionService {
                 strength: result.strength,
                 accelerationScore: result.accelerationScore,
                 velocityGrade: result.velocityGrade,
-                detectedAt: Date.now(),
+                detectedAt: clock.now(),
                 conditions: result.conditions
             });
             
@@ -294,7 +296,7 @@ class MicroIgnitionOptionService {
         if (!ignition) return false;
         
         // Ignition valid for 3 minutes (options move fast)
-        const age = Date.now() - ignition.detectedAt;
+        const age = clock.now() - ignition.detectedAt;
         if (age > 3 * 60 * 1000) {
             this.state.ignitions.delete(token);
             return false;
@@ -317,7 +319,7 @@ class MicroIgnitionOptionService {
      * Get all active ignitions
      */
     getActiveIgnitions() {
-        const now = Date.now();
+        const now = clock.now();
         const active = [];
         
         for (const [token, ignition] of this.state.ignitions) {
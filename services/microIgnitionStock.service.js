@@ -19,6 +19,8 @@
  * ═══════════════════════════════════════════════════════════════════════════════════════════════
  */
 
+const clock = require('./clock.service');
+
 class MicroIgnitionStockService {
     constructor() {
         this.config = {
@@ -184,7 +186,7 @@ class MicroIgnitionStockService {
             this.state.ignitions.set(token, {
                 token,
                 strength: result.strength,
-                detectedAt: Date.now(),
+                detectedAt: clock.now(),
                 conditions: result.conditions
             });
             
@@ -245,7 +247,7 @@ class MicroIgnitionStockService {
         if (!ignition) return false;
         
         // Ignition valid for 5 minutes
-        const age = Date.now() - ignition.detectedAt;
+        const age = clock.now() - ignition.detectedAt;
         if (age > 5 * 60 * 1000) {
             this.state.ignitions.delete(token);
             return false;
@@ -268,7 +270,7 @@ class MicroIgnitionStockService {
      * Get all active ignitions
      */
     getActiveIgnitions() {
-        const now = Date.now();
+        const now = clock.now();
         const active = [];
         
         for (const [token, ignition] of this.state.ignitions) {
@@ -1,5 +1,8 @@
 const wsService = require('./websocket.service');
 const universeLoader = require('./universeLoader.service');
+const optionPricingService = require('./optionPricing.service');
+const expiryRolloverService = require('./expiryRollover.service');
+const clock = require('./clock.service');
 
 class OIIntelligenceService {
     constructor() {
@@ -22,6 +25,7 @@ class OIIntelligenceService {
             pcrHistorySize: 100,
             oiHistorySize: 30,             // 🔴 MEMORY CAP: Max 30 intervals
             buildupStrengthMin: 3,
+            chainStrikeWindow: 10,         // +/- strikes around ATM for getOIData
             indices: ['NIFTY', 'BANKNIFTY', 'FINNIFTY']
         };
         
@@ -42,13 +46,13 @@ class OIIntelligenceService {
             if (data.oi !== undefined && data.oi > 0) {
                 this.processOIUpdate(data.token, data.oi, data.ltp, data.timestamp);
             }
-        });
+        }, 'OI_INTELLIGENCE');
         
         console.log('[OI_INTELLIGENCE] Initialized');
     }
 
     // 🔴 PROCESS OI UPDATE FROM WEBSOCKET
-    processOIUpdate(token, currentOI, ltp, timestamp = Date.now()) {
+    processOIUpdate(token, currentOI, ltp, timestamp = clock.now()) {
         const existing = this.oiSnapshots.get(token);
         
         if (existing) {
@@ -149,7 +153,7 @@ class OIIntelligenceService {
                 strength,
                 bullish: buildupType === 'LONG_BUILDUP' || buildupType === 'SHORT_COVERING',
                 bearish: buildupType === 'SHORT_BUILDUP' || buildupType === 'LONG_UNWINDING',
-                timestamp: Date.now()
+                timestamp: clock.now()
             };
             
             this.buildupSignals.set(token, signal);
@@ -251,7 +255,7 @@ class OIIntelligenceService {
             trend,
             callOI: totalCallOI,
             putOI: totalPutOI,
-            timestamp: Date.now()
+            timestamp: clock.now()
         });
         
         // Record PCR history
@@ -265,7 +269,7 @@ class OIIntelligenceService {
         
         history.push({
             pcr,
-            timestamp: Date.now()
+            timestamp: clock.now()
         });
         
         if (history.length > this.config.pcrHistorySize) {
@@ -307,7 +311,7 @@ class OIIntelligenceService {
             olderPCR: parseFloat(olderAvg.toFixed(3)),
             shift: parseFloat(shift.toFixed(4)),
             shiftPercent: parseFloat(shiftPercent.toFixed(2)),
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
     }
 
@@ -325,6 +329,93 @@ class OIIntelligenceService {
         };
     }
 
+    // 🔴 GET LIVE OPTION CHAIN (OI + premium + real IV per strike)
+    // Used by IV skew and gamma cluster. Window = ATM +/- chainStrikeWindow.
+    getOIData(underlying) {
+        const spotPrice = optionPricingService.getUnderlyingPrice(underlying);
+        if (!spotPrice) return null;
+
+        const options = universeLoader.getIndexOptions(underlying);
+        const expiry = this.resolveChainExpiry(options);
+        if (!expiry) return null;
+
+        const strikeGap = universeLoader.getStrikeGap(underlying, spotPrice);
+        const atmStrike = Math.round(spotPrice / strikeGap) * strikeGap;
+        const maxDistance = this.config.chainStrikeWindow * strikeGap;
+
+        const strikeData = new Map();
+        let totalCallOI = 0;
+        let totalPutOI = 0;
+        let ivSolved = 0;
+
+        for (const opt of options) {
+            if (opt.expiry !== expiry) continue;
+            if (Math.abs(opt.strikePrice - atmStrike) > maxDistance) continue;
+
+            const live = wsService.getLivePrice(opt.token);
+            const ltp = live?.ltp || 0;
+            const oi = this.oiSnapshots.get(opt.token)?.oi || live?.oi || 0;
+            const iv = ltp > 0
+                ? optionPricingService.impliedVolForOption(opt, ltp, { underlyingPrice: spotPrice })
+                : null;
+            if (iv) ivSolved++;
+
+            const row = strikeData.get(opt.strikePrice) || {
+                callOI: 0, putOI: 0, callLTP: 0, putLTP: 0, callIV: null, putIV: null
+            };
+
+            if (opt.optionType === 'CE') {
+                row.callOI = oi;
+                row.callLTP = ltp;
+                row.callIV = iv;
+                row.callToken = opt.token;
+                totalCallOI += oi;
+            } else {
+                row.putOI = oi;
+                row.putLTP = ltp;
+                row.putIV = iv;
+                row.putToken = opt.token;
+                totalPutOI += oi;
+            }
+
+            strikeData.set(opt.strikePrice, row);
+        }
+
+        if (strikeData.size === 0) return null;
+
+        return {
+            underlying,
+            expiry,
+            spotPrice,
+            atmStrike,
+            strikeGap,
+            timeToExpiry: expiryRolloverService.getTimeToExpiry(expiry),
+            totalCallOI,
+            totalPutOI,
+            ivSolved,
+            strikeData: new Map([...strikeData.entries()].sort((a, b) => a[0] - b[0])),
+            timestamp: clock.now()
+        };
+    }
+
+    // Rollover's current expiry if listed, else nearest unexpired listed expiry
+    resolveChainExpiry(options) {
+        const listed = new Map();
+        for (const opt of options) {
+            if (!opt.expiry || listed.has(opt.expiry)) continue;
+            const closeTime = expiryRolloverService.getExpiryCloseTime(opt.expiry);
+            if (closeTime && closeTime > clock.now()) listed.set(opt.expiry, closeTime);
+        }
+        if (listed.size === 0) return null;
+
+        const preferred = expiryRolloverService.getExpiryCloseTime(expiryRolloverService.state.currentExpiry);
+        for (const [expiry, closeTime] of listed) {
+            if (closeTime === preferred) return expiry;
+        }
+
+        return [...listed.entries()].sort((a, b) => a[1] - b[1])[0][0];
+    }
+
     // 🔴 GET PCR DATA
     getPCR(indexName) {
         const data = this.pcrData.get(indexName);
@@ -385,7 +476,7 @@ class OIIntelligenceService {
 
     // 🔴 MANUAL OI INPUT (for testing or batch updates)
     recordOI(token, oi, ltp) {
-        this.processOIUpdate(token, oi, ltp, Date.now());
+        this.processOIUpdate(token, oi, ltp, clock.now());
     }
 
     getStats() {
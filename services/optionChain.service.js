@@ -0,0 +1,391 @@
+/**
+ * OPTION CHAIN SERVICE - FULL CHAIN SNAPSHOT, MAX PAIN & OI WALLS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: One coherent chain per underlying + expiry. Strikes come from the
+ * listed contracts (universeLoader index / MCX options), so the chain never
+ * mixes expiries; each contract is filled from:
+ * - Broker chain (strikeSweepService.fetchOptionChain) : OI change, volume, IV, greeks
+ * - WebSocket live tick                                : LTP, OI, volume (fresher)
+ * - greeksService model                                : IV / greeks the broker left out
+ *   (index options only - the model prices off spot with a 15:30 IST expiry)
+ * Without a broker row, OI change is measured from the first OI sampled that IST day.
+ * Each leg carries its provenance (dataQualityService) - a leg nobody quoted
+ * stays at zero with provenance null, never a made-up premium. IV / greeks
+ * carry their own greeksProvenance: the broker row's, or ESTIMATED when the
+ * model filled them in.
+ *
+ * DERIVED:
+ * - Max Pain : strike where option writers pay the least at expiry
+ * - OI walls : highest call OI (resistance) and highest put OI (support)
+ * - Migration: max pain / walls vs the first sample of the IST day, plus
+ *   every change seen since (wall shifting up = writers rolling higher)
+ *
+ * SAMPLING: start() snapshots the front expiry of each sampled index on every
+ * 5m bar close - that is what builds the migration history and the day's
+ * opening OI. getChain() for clients only reads it, so the history does not
+ * depend on anyone polling the route.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const calendarService = require('./calendar.service');
+const universeLoader = require('./universeLoader.service');
+const wsService = require('./websocket.service');
+const strikeSweepService = require('./strikeSweep.service');
+const oiIntelligenceService = require('./oiIntelligence.service');
+const optionPricingService = require('./optionPricing.service');
+const expiryRolloverService = require('./expiryRollover.service');
+const greeksService = require('./greeks.service');
+const dataQualityService = require('./dataQuality.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
+
+class OptionChainService {
+    constructor() {
+        this.config = {
+            historySize: 120,            // Migration points kept per underlying + expiry
+            bseIndices: ['SENSEX'],
+            sampleUnderlyings: ['NIFTY', 'BANKNIFTY', 'FINNIFTY'],
+            barInterval: 'FIVE_MINUTE'   // Migration sampled on every 5m bar close
+        };
+
+        this.migrations = new Map();     // `${underlying}_${expiry}` -> { day, open, history }
+        this.openOI = new Map();         // token -> { day, oi } first OI sampled in the IST day
+        this.unsubscribeBars = null;
+        this.sampling = false;
+        this.stats = {
+            snapshots: 0,
+            samples: 0,
+            sampleErrors: 0,
+            brokerRows: 0,
+            modelGreeks: 0,
+            lastSnapshot: null,
+            lastSample: null
+        };
+    }
+
+    /**
+     * Start sampling the front-expiry chains for migration
+     */
+    start() {
+        if (this.unsubscribeBars) {
+            console.log('[OPTION_CHAIN] Already running');
+            return;
+        }
+
+        this.unsubscribeBars = eventBus.onBarClose(this.config.barInterval, () => {
+            this.sample();
+        }, 'OPTION_CHAIN');
+
+        console.log(`[OPTION_CHAIN] Started - sampling ${this.config.sampleUnderlyings.join(', ')} on every 5m bar close`);
+    }
+
+    stop() {
+        if (this.unsubscribeBars) {
+            this.unsubscribeBars();
+            this.unsubscribeBars = null;
+            console.log('[OPTION_CHAIN] Stopped');
+        }
+    }
+
+    /**
+     * One migration sample per underlying (front expiry) - skipped while the
+     * previous round is still waiting on the broker
+     */
+    async sample(now = clock.now()) {
+        if (this.sampling) return;
+        this.sampling = true;
+
+        try {
+            for (const underlying of this.config.sampleUnderlyings) {
+                const expiry = oiIntelligenceService.resolveChainExpiry(universeLoader.getIndexOptions(underlying));
+                if (!expiry) continue;
+
+                try {
+                    if (await this.getChain(underlying, expiry, now, { record: true })) this.stats.samples++;
+                } catch (error) {
+                    this.stats.sampleErrors++;
+                    console.error(`[OPTION_CHAIN] Sample failed for ${underlying}:`, error.message);
+                }
+            }
+            this.stats.lastSample = now;
+        } finally {
+            this.sampling = false;
+        }
+    }
+
+    /**
+     * Listed contracts of one expiry - accepts DDMMMYYYY (Angel) or YYYY-MM-DD
+     */
+    getContracts(underlying, expiry) {
+        const closeTime = expiryRolloverService.getExpiryCloseTime(expiry);
+        if (!closeTime) return [];
+
+        const options = universeLoader.getOptionsMap(underlying)
+            ? universeLoader.getIndexOptions(underlying)
+            : universeLoader.getCommodityOptions(underlying);
+
+        return options.filter(opt => expiryRolloverService.getExpiryCloseTime(opt.expiry) === closeTime);
+    }
+
+    getExchange(underlying, contracts) {
+        if (contracts[0]?.segment === 'COMMODITY') return 'MCX';
+        return this.config.bseIndices.includes(underlying) ? 'BFO' : 'NFO';
+    }
+
+    /**
+     * Index spot, or the front-month future for MCX (options there settle on the future)
+     */
+    getUnderlyingPrice(underlying) {
+        const spot = optionPricingService.getUnderlyingPrice(underlying);
+        if (spot) return spot;
+
+        const future = universeLoader.getCommodityFuture(underlying);
+        return future ? wsService.getLivePrice(future.token)?.ltp || null : null;
+    }
+
+    /**
+     * @param {string} underlying - NIFTY, BANKNIFTY, ..., or an MCX commodity
+     * @param {string} expiry - DDMMMYYYY or YYYY-MM-DD
+     * @param {object} options - { record } - record: store the migration point and
+     *   the day's opening OI (the sampler); reads leave that state alone
+     * @returns {object|null} null when no contract is listed for the expiry
+     */
+    async getChain(underlying, expiry, now = clock.now(), { record = false } = {}) {
+        underlying = String(underlying).toUpperCase();
+        const contracts = this.getContracts(underlying, expiry);
+        if (contracts.length === 0) return null;
+
+        const exchange = this.getExchange(underlying, contracts);
+        const brokerRows = await strikeSweepService.fetchOptionChain(underlying, exchange) || [];
+        const broker = new Map(brokerRows.map(row => [String(row.token), row]));
+        const underlyingPrice = this.getUnderlyingPrice(underlying);
+        const day = calendarService.formatDate(calendarService.toIST(new Date(now)));
+
+        const strikes = new Map();
+        for (const contract of contracts) {
+            const leg = this.buildLeg(contract, broker.get(String(contract.token)), underlyingPrice, now);
+            if (leg.oiChange === null) leg.oiChange = this.getOIChangeSinceOpen(contract.token, leg.oi, day, record);
+            const row = strikes.get(contract.strikePrice) || { strikePrice: contract.strikePrice, call: null, put: null };
+            row[contract.optionType === 'CE' ? 'call' : 'put'] = leg;
+            strikes.set(contract.strikePrice, row);
+        }
+
+        const rows = [...strikes.values()].sort((a, b) => a.strikePrice - b.strikePrice);
+        const totalCallOI = rows.reduce((sum, r) => sum + (r.call?.oi || 0), 0);
+        const totalPutOI = rows.reduce((sum, r) => sum + (r.put?.oi || 0), 0);
+
+        const maxPain = this.calculateMaxPain(rows);
+        const walls = this.findWalls(rows);
+        const expiryLabel = contracts[0].expiry;
+        const key = `${underlying}_${expiryLabel}`;
+        const point = {
+            timestamp: now,
+            maxPain: maxPain?.strike ?? null,
+            callWall: walls.call?.strike ?? null,
+            putWall: walls.put?.strike ?? null
+        };
+        if (record) this.recordMigration(key, point, day);
+        const migration = this.describeMigration(key, point, day);
+
+        this.stats.snapshots++;
+        this.stats.brokerRows += broker.size;
+        this.stats.lastSnapshot = now;
+
+        return {
+            underlying,
+            expiry: expiryLabel,
+            exchange,
+            underlyingPrice,
+            atmStrike: this.findATM(rows, underlyingPrice),
+            daysToExpiry: this.round((expiryRolloverService.getTimeToExpiry(expiryLabel, now) || 0) * 365),
+            source: broker.size > 0 ? 'BROKER+LIVE' : 'LIVE',
+            provenance: dataQualityService.worst(...rows.flatMap(r => [r.call?.provenance, r.put?.provenance])),
+            freshness: dataQualityService.summarize(rows.flatMap(r => [r.call, r.put]).filter(Boolean), now),
+            totalCallOI,
+            totalPutOI,
+            pcr: totalCallOI > 0 ? this.round(totalPutOI / totalCallOI, 3) : null,
+            maxPain,
+            walls,
+            migration,
+            strikes: rows,
+            timestamp: now
+        };
+    }
+
+    /**
+     * One contract - live tick beats the (up to a minute old) broker row for price / OI
+     */
+    buildLeg(contract, brokerRow, underlyingPrice, now) {
+        const live = wsService.getLivePrice(contract.token);
+        const ltp = live?.ltp || brokerRow?.ltp || 0;
+        const oi = live?.oi || brokerRow?.oi || oiIntelligenceService.oiSnapshots.get(contract.token)?.oi || 0;
+
+        const quality = live
+            ? dataQualityService.forToken(contract.token, null, now)
+            : { provenance: brokerRow?.provenance || null, dataAsOf: brokerRow?.dataAsOf || null };
+
+        const leg = {
+            token: contract.token,
+            symbol: contract.symbol,
+            lotSize: contract.lotSize || null,
+            provenance: quality.provenance,
+            dataAsOf: quality.dataAsOf,
+            ltp,
+            oi,
+            oiChange: brokerRow ? brokerRow.oiChange : null,
+            volume: live?.volume || brokerRow?.volume || 0,
+            iv: null,
+            delta: null,
+            gamma: null,
+            theta: null,
+            vega: null,
+            greeksSource: null,
+            greeksProvenance: null
+        };
+
+        if (brokerRow?.iv > 0) {
+            Object.assign(leg, {
+                iv: brokerRow.iv,
+                delta: brokerRow.delta,
+                gamma: brokerRow.gamma,
+                theta: brokerRow.theta,
+                vega: brokerRow.vega,
+                greeksSource: 'BROKER',
+                greeksProvenance: brokerRow.provenance || null
+            });
+        } else if (ltp > 0 && underlyingPrice && contract.segment !== 'COMMODITY') {
+            const greeks = greeksService.computeForOption(contract, { premium: ltp, underlyingPrice, now });
+            if (greeks) {
+                Object.assign(leg, {
+                    iv: greeks.iv,
+                    delta: greeks.delta,
+                    gamma: greeks.gamma,
+                    theta: greeks.theta,
+                    vega: greeks.vega,
+                    greeksSource: 'MODEL',
+                    greeksProvenance: dataQualityService.PROVENANCE.ESTIMATED
+                });
+                this.stats.modelGreeks++;
+            }
+        }
+
+        return leg;
+    }
+
+    /**
+     * Writer payout at expiry for every listed strike - the cheapest one is Max Pain
+     */
+    calculateMaxPain(rows) {
+        let best = null;
+
+        for (const { strikePrice: settle } of rows) {
+            let payout = 0;
+            for (const row of rows) {
+                if (row.call && settle > row.strikePrice) payout += (settle - row.strikePrice) * row.call.oi;
+                if (row.put && settle < row.strikePrice) payout += (row.strikePrice - settle) * row.put.oi;
+            }
+            if (!best || payout < best.payout) best = { strike: settle, payout };
+        }
+
+        return best && rows.some(r => r.call?.oi || r.put?.oi) ? best : null;
+    }
+
+    findWalls(rows) {
+        const highest = (side) => rows.reduce((top, row) => {
+            const oi = row[side]?.oi || 0;
+            return oi > 0 && (!top || oi > top.oi) ? { strike: row.strikePrice, oi } : top;
+        }, null);
+
+        return {
+            call: highest('call'),
+            put: highest('put')
+        };
+    }
+
+    /**
+     * Without a broker row the OI change is measured from the first OI sampled today
+     */
+    getOIChangeSinceOpen(token, oi, day, record = false) {
+        if (!oi) return null;
+
+        const open = this.openOI.get(token);
+        if (!open || open.day !== day) {
+            if (!record) return null;
+            this.openOI.set(token, { day, oi });
+            return 0;
+        }
+        return oi - open.oi;
+    }
+
+    findATM(rows, underlyingPrice) {
+        if (!underlyingPrice || rows.length === 0) return null;
+        return rows.reduce((atm, row) =>
+            Math.abs(row.strikePrice - underlyingPrice) < Math.abs(atm - underlyingPrice) ? row.strikePrice : atm,
+        rows[0].strikePrice);
+    }
+
+    /**
+     * Intraday migration - the first sample of the IST day is the reference, and
+     * a history point is kept whenever max pain or a wall moves to another strike
+     */
+    recordMigration(key, point, day) {
+        let migration = this.migrations.get(key);
+        if (!migration || migration.day !== day) {
+            // New session - yesterday's chains (expired ones included) are dropped
+            this.migrations.forEach((m, k) => {
+                if (m.day !== day) this.migrations.delete(k);
+            });
+            this.openOI.forEach((o, token) => {
+                if (o.day !== day) this.openOI.delete(token);
+            });
+            migration = { day, open: point, history: [point] };
+            this.migrations.set(key, migration);
+        }
+
+        const last = migration.history[migration.history.length - 1];
+        if (last.maxPain !== point.maxPain || last.callWall !== point.callWall || last.putWall !== point.putWall) {
+            migration.history.push(point);
+            if (migration.history.length > this.config.historySize) migration.history.shift();
+        }
+    }
+
+    /**
+     * Current max pain / walls against the day's sampled history (null before the
+     * first sample of the day)
+     */
+    describeMigration(key, point, day) {
+        const migration = this.migrations.get(key);
+        if (!migration || migration.day !== day) return null;
+
+        const shift = (field) => ({
+            open: migration.open[field],
+            current: point[field],
+            change: migration.open[field] !== null && point[field] !== null ? point[field] - migration.open[field] : null,
+            moves: migration.history.slice(1).filter((p, i) => p[field] !== migration.history[i][field]).length
+        });
+
+        return {
+            since: migration.open.timestamp,
+            maxPain: shift('maxPain'),
+            callWall: shift('callWall'),
+            putWall: shift('putWall'),
+            history: migration.history
+        };
+    }
+
+    round(value, decimals = 2) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            trackedChains: this.migrations.size
+        };
+    }
+}
+
+module.exports = new OptionChainService();
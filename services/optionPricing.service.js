@@ -0,0 +1,331 @@
+/**
+ * OPTION PRICING SERVICE - BLACK-SCHOLES / BLACK-76 + IV SOLVER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Real implied volatility from live option premiums
+ *
+ * MODELS:
+ * - BLACK_SCHOLES : Spot underlying with rate + continuous dividend yield
+ * - BLACK_76      : Futures / forward underlying (rate only discounts)
+ *
+ * IV SOLVER:
+ * - Newton-Raphson on vega, bisection fallback when vega is flat
+ * - Rejects premiums outside no-arbitrage bounds (below intrinsic, above cap)
+ *
+ * TIME TO EXPIRY: expiryRolloverService (expiry close 15:30 IST)
+ *
+ * All volatilities in and out are in PERCENT (15 = 15% annualised)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const settings = require('../config/settings.config');
+const expiryRolloverService = require('./expiryRollover.service');
+const wsService = require('./websocket.service');
+
+const MODELS = {
+    BLACK_SCHOLES: 'BLACK_SCHOLES',
+    BLACK_76: 'BLACK_76'
+};
+
+class OptionPricingService {
+    constructor() {
+        this.config = {
+            riskFreeRate: 0.065,          // Annualised, continuous
+            dividendYields: {             // Index dividend yield (continuous)
+                NIFTY: 0.012,
+                BANKNIFTY: 0.008,
+                FINNIFTY: 0.009,
+                MIDCPNIFTY: 0.008,
+                SENSEX: 0.012
+            },
+            minVolatility: 0.5,           // % - solver lower bound
+            maxVolatility: 300,           // % - solver upper bound
+            tolerance: 1e-6,              // Premium error tolerance
+            maxIterations: 100,
+            spotTokens: {
+                NIFTY: '99926000',
+                BANKNIFTY: '99926009',
+                FINNIFTY: '99926037',
+                MIDCPNIFTY: '99926074',
+                SENSEX: '99919000'
+            }
+        };
+
+        this.stats = {
+            solves: 0,
+            failures: 0,
+            lastFailure: null
+        };
+
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        const pricingConfig = settings.optionPricing || {};
+        this.config = {
+            ...this.config,
+            ...pricingConfig,
+            dividendYields: {
+                ...this.config.dividendYields,
+                ...(pricingConfig.dividendYields || {})
+            }
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // MATH
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    normPdf(x) {
+        return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+    }
+
+    /**
+     * Standard normal CDF (Hart / West double-precision approximation)
+     */
+    normCdf(x) {
+        const z = Math.abs(x);
+        let c;
+
+        if (z > 37) {
+            c = 0;
+        } else {
+            const e = Math.exp(-z * z / 2);
+            if (z < 7.07106781186547) {
+                let n = 3.52624965998911e-02 * z + 0.700383064443688;
+                n = n * z + 6.37396220353165;
+                n = n * z + 33.912866078383;
+                n = n * z + 112.079291497871;
+                n = n * z + 221.213596169931;
+                n = n * z + 220.206867912376;
+                let d = 8.83883476483184e-02 * z + 1.75566716318264;
+                d = d * z + 16.064177579207;
+                d = d * z + 86.7807322029461;
+                d = d * z + 296.564248779674;
+                d = d * z + 637.333633378831;
+                d = d * z + 793.826512519948;
+                d = d * z + 440.413735824752;
+                c = e * n / d;
+            } else {
+                let d = z + 0.65;
+                d = z + 4 / d;
+                d = z + 3 / d;
+                d = z + 2 / d;
+                d = z + 1 / d;
+                c = e / d / 2.506628274631;
+            }
+        }
+
+        return x <= 0 ? c : 1 - c;
+    }
+
+    /**
+     * Normalise inputs for either model into a common forward form:
+     * price = df * [F·N(d1) - K·N(d2)] (call)
+     */
+    toForward({ model = MODELS.BLACK_SCHOLES, underlyingPrice, timeToExpiry, rate, dividendYield = 0 }) {
+        const r = rate !== undefined ? rate : this.config.riskFreeRate;
+        const df = Math.exp(-r * timeToExpiry);
+        const forward = model === MODELS.BLACK_76
+            ? underlyingPrice
+            : underlyingPrice * Math.exp((r - dividendYield) * timeToExpiry);
+
+        return { forward, df };
+    }
+
+    /**
+     * Theoretical price
+     * @param {object} p - { model, underlyingPrice, strike, timeToExpiry (years),
+     *                       volatility (%), optionType 'CE'|'PE', rate, dividendYield }
+     */
+    price(p) {
+        const { strike, timeToExpiry, optionType } = p;
+        const { forward, df } = this.toForward(p);
+        const sigma = p.volatility / 100;
+
+        if (timeToExpiry <= 0 || sigma <= 0) {
+            const intrinsic = optionType === 'PE' ? strike - forward : forward - strike;
+            return df * Math.max(intrinsic, 0);
+        }
+
+        const sqrtT = Math.sqrt(timeToExpiry);
+        const d1 = (Math.log(forward / strike) + 0.5 * sigma * sigma * timeToExpiry) / (sigma * sqrtT);
+        const d2 = d1 - sigma * sqrtT;
+
+        if (optionType === 'PE') {
+            return df * (strike * this.normCdf(-d2) - forward * this.normCdf(-d1));
+        }
+        return df * (forward * this.normCdf(d1) - strike * this.normCdf(d2));
+    }
+
+    /**
+     * Vega per 1.00 (100 vol points) change in volatility
+     */
+    vega(p) {
+        const { strike, timeToExpiry } = p;
+        const { forward, df } = this.toForward(p);
+        const sigma = p.volatility / 100;
+        if (timeToExpiry <= 0 || sigma <= 0) return 0;
+
+        const sqrtT = Math.sqrt(timeToExpiry);
+        const d1 = (Math.log(forward / strike) + 0.5 * sigma * sigma * timeToExpiry) / (sigma * sqrtT);
+        return df * forward * this.normPdf(d1) * sqrtT;
+    }
+
+    /**
+     * Greeks (generalised Black-Scholes, cost of carry b = r - q; Black-76: b = 0)
+     * delta, gamma per 1 point of underlying; theta per calendar day; vega per 1 vol point
+     */
+    greeks(p) {
+        const { underlyingPrice, strike, timeToExpiry, optionType, model = MODELS.BLACK_SCHOLES } = p;
+        const r = p.rate !== undefined ? p.rate : this.config.riskFreeRate;
+        const b = model === MODELS.BLACK_76 ? 0 : r - (p.dividendYield || 0);
+        const sigma = p.volatility / 100;
+
+        if (!underlyingPrice || !strike || timeToExpiry <= 0 || sigma <= 0) return null;
+
+        const sqrtT = Math.sqrt(timeToExpiry);
+        const d1 = (Math.log(underlyingPrice / strike) + (b + 0.5 * sigma * sigma) * timeToExpiry) / (sigma * sqrtT);
+        const d2 = d1 - sigma * sqrtT;
+        const carryDf = Math.exp((b - r) * timeToExpiry);
+        const df = Math.exp(-r * timeToExpiry);
+        const pdf = this.normPdf(d1);
+
+        const gamma = carryDf * pdf / (underlyingPrice * sigma * sqrtT);
+        const vega = underlyingPrice * carryDf * pdf * sqrtT / 100;
+        const decay = -underlyingPrice * carryDf * pdf * sigma / (2 * sqrtT);
+
+        let delta, theta;
+        if (optionType === 'PE') {
+            delta = carryDf * (this.normCdf(d1) - 1);
+            theta = decay + (b - r) * underlyingPrice * carryDf * this.normCdf(-d1) + r * strike * df * this.normCdf(-d2);
+        } else {
+            delta = carryDf * this.normCdf(d1);
+            theta = decay - (b - r) * underlyingPrice * carryDf * this.normCdf(d1) - r * strike * df * this.normCdf(d2);
+        }
+
+        return {
+            delta,
+            gamma,
+            theta: theta / 365,
+            vega
+        };
+    }
+
+    /**
+     * Solve implied volatility (%) from a premium
+     * Returns null when the premium violates no-arbitrage bounds or no convergence
+     */
+    impliedVolatility(p) {
+        const { premium, strike, optionType, timeToExpiry } = p;
+        this.stats.solves++;
+
+        if (!premium || premium <= 0 || !strike || !timeToExpiry || timeToExpiry <= 0 || !p.underlyingPrice) {
+            return this.fail('INVALID_INPUT');
+        }
+
+        const { forward, df } = this.toForward(p);
+        const intrinsic = df * Math.max(optionType === 'PE' ? strike - forward : forward - strike, 0);
+        const upperBound = optionType === 'PE' ? df * strike : df * forward;
+
+        if (premium < intrinsic - this.config.tolerance) return this.fail('BELOW_INTRINSIC');
+        if (premium >= upperBound) return this.fail('ABOVE_UPPER_BOUND');
+
+        let low = this.config.minVolatility;
+        let high = this.config.maxVolatility;
+
+        if (premium < this.price({ ...p, volatility: low })) return this.fail('BELOW_MIN_VOL');
+        if (premium > this.price({ ...p, volatility: high })) return this.fail('ABOVE_MAX_VOL');
+
+        // Brenner-Subrahmanyam ATM seed, clamped into the bracket
+        let vol = Math.sqrt(2 * Math.PI / timeToExpiry) * (premium / (df * forward)) * 100;
+        if (!isFinite(vol) || vol <= low || vol >= high) vol = 20;
+
+        for (let i = 0; i < this.config.maxIterations; i++) {
+            const diff = this.price({ ...p, volatility: vol }) - premium;
+            if (Math.abs(diff) < this.config.tolerance) {
+                return vol;
+            }
+
+            // Keep the bracket tight for the bisection fallback
+            if (diff > 0) high = vol; else low = vol;
+
+            const vega = this.vega({ ...p, volatility: vol });
+            let next = vega > 1e-8 ? vol - (diff / vega) * 100 : NaN;
+            if (!isFinite(next) || next <= low || next >= high) {
+                next = (low + high) / 2;
+            }
+
+            if (Math.abs(next - vol) < 1e-8) return next;
+            vol = next;
+        }
+
+        return this.fail('NO_CONVERGENCE');
+    }
+
+    fail(reason) {
+        this.stats.failures++;
+        this.stats.lastFailure = reason;
+        return null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // MARKET HELPERS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    getDividendYield(underlying) {
+        return this.config.dividendYields[String(underlying || '').toUpperCase()] || 0;
+    }
+
+    /**
+     * Live spot for an index underlying (WebSocket LTP)
+     */
+    getUnderlyingPrice(underlying) {
+        const token = this.config.spotTokens[String(underlying || '').toUpperCase()];
+        if (!token) return null;
+        return wsService.getLivePrice(token)?.ltp || null;
+    }
+
+    /**
+     * IV (%) for a listed option from its live premium
+     * @param {object} option - { underlying, strikePrice, optionType, expiry }
+     * @param {number} premium - Option LTP
+     * @param {object} overrides - { underlyingPrice, futuresPrice, now }
+     */
+    impliedVolForOption(option, premium, overrides = {}) {
+        const timeToExpiry = expiryRolloverService.getTimeToExpiry(option.expiry, overrides.now);
+        if (!timeToExpiry) return this.fail('NO_EXPIRY');
+
+        const useFutures = overrides.futuresPrice > 0;
+        const underlyingPrice = useFutures
+            ? overrides.futuresPrice
+            : (overrides.underlyingPrice || this.getUnderlyingPrice(option.underlying));
+
+        return this.impliedVolatility({
+            model: useFutures ? MODELS.BLACK_76 : MODELS.BLACK_SCHOLES,
+            premium,
+            underlyingPrice,
+            strike: option.strikePrice,
+            optionType: option.optionType,
+            timeToExpiry,
+            dividendYield: this.getDividendYield(option.underlying)
+        });
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            config: {
+                riskFreeRate: this.config.riskFreeRate,
+                dividendYields: this.config.dividendYields,
+                volatilityBounds: [this.config.minVolatility, this.config.maxVolatility]
+            }
+        };
+    }
+}
+
+const optionPricingService = new OptionPricingService();
+optionPricingService.MODELS = MODELS;
+
+module.exports = optionPricingService;
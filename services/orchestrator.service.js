@@ -6,11 +6,16 @@ const riskRewardService = require('./riskReward.service');
 const safetyService = require('./safety.service');
 const signalCooldownService = require('./signalCooldown.service');
 const adaptiveFilterService = require('./adaptiveFilter.service');
+const signalJournalService = require('./signalJournal.service');
+const signalLifecycleService = require('./signalLifecycle.service');
+const eventBus = require('./eventBus.service');
+const shadowEvaluationService = require('./shadowEvaluation.service');
 
 // ============================================================
 // 🔴 INSTITUTIONAL GUARDS - HARD ENFORCEMENT (NOT OPTIONAL)
 // ============================================================
 const masterSignalGuardService = require('./masterSignalGuard.service');
+const clock = require('./clock.service');
 
 class OrchestratorService {
     constructor() {
@@ -34,7 +39,7 @@ class OrchestratorService {
                 instrument,
                 signal: null, 
                 reason: indicators5m.error,
-                timestamp: Date.now()
+                timestamp: clock.now()
             };
         }
 
@@ -80,7 +85,7 @@ class OrchestratorService {
                 signal: null,
                 reason: `Safety check failed: ${safetyCheck.criticalFails.join(', ')}`,
                 analysis: analysisData,
-                timestamp: Date.now()
+                timestamp: clock.now()
             };
         }
 
@@ -95,13 +100,23 @@ class OrchestratorService {
                 );
 
                 if (!cooldownCheck.allowed) {
+                    signalJournalService.record(signalJournalService.EVENTS.BLOCKED, 'ORCHESTRATOR', {
+                        stage: 'COOLDOWN',
+                        token: instrument.token,
+                        symbol: instrument.symbol,
+                        signal: signal.signal,
+                        price: signal.price,
+                        blockReason: cooldownCheck.reason,
+                        guardValidation: signal.guardValidation
+                    });
+
                     return {
                         instrument,
                         signal: null,
                         reason: `Signal blocked: ${cooldownCheck.reason}`,
                         cooldownRemainingMs: cooldownCheck.remainingMs,
                         analysis: analysisData,
-                        timestamp: Date.now()
+                        timestamp: clock.now()
                     };
                 }
 
@@ -120,7 +135,7 @@ class OrchestratorService {
             instrument,
             signal,
             analysis: analysisData,
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
     }
 
@@ -536,7 +551,7 @@ class OrchestratorService {
                 score: safety.score,
                 warnings: safety.warnings
             },
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
 
         this.signalRankScores.set(instrument.token, rankScore);
@@ -549,6 +564,9 @@ class OrchestratorService {
         this.guardStats.signalsGenerated++;
         
         const guardResult = masterSignalGuardService.validateSignalSync(signal, analysisData.candles || []);
+
+        // Shadow A/B: challenger guard config on the same candidate (never emits)
+        shadowEvaluationService.evaluate(signal, analysisData.candles || [], guardResult);
         
         if (!guardResult.allowed) {
             this.guardStats.signalsBlocked++;
@@ -559,6 +577,19 @@ class OrchestratorService {
             );
             
             console.log(`[ORCHESTRATOR] 🚫 SIGNAL_BLOCKED | ${instrument.symbol} | ${signalType} | Reason: ${blockReason}`);
+
+            signalJournalService.record(signalJournalService.EVENTS.BLOCKED, 'ORCHESTRATOR', {
+                stage: 'GUARD',
+                token: instrument.token,
+                symbol: instrument.symbol,
+                signal: signalType,
+                price: signal.price,
+                blockReason,
+                blockReasons: guardResult.blockReasons,
+                checks: guardResult.checks,
+                warnings: guardResult.warnings,
+                adjustments: guardResult.adjustments
+            });
             return null;
         }
 
@@ -569,6 +600,9 @@ class OrchestratorService {
             signal.guardAdjusted = true;
         }
 
+        signal.lifecycleId = guardResult.signal?.lifecycleId || null;
+        signal.provenance = guardResult.signal?.provenance || null;
+        signal.dataAsOf = guardResult.signal?.dataAsOf || null;
         signal.guardValidation = {
             passed: true,
             checksRun: guardResult.checks?.length || 0,
@@ -621,6 +655,36 @@ class OrchestratorService {
         }
 
         console.log(`[ORCHESTRATOR] ${signal.signal} | ${signal.instrument.symbol} @ ${signal.price} | Strength: ${signal.strength} | Rank: ${signal.rankScore}`);
+
+        if (signal.lifecycleId) {
+            signalLifecycleService.recordEmission(signal.lifecycleId);
+        }
+        signalJournalService.record(signalJournalService.EVENTS.EMITTED, 'ORCHESTRATOR', signal);
+        // Paper broker, push feed and alert dispatcher subscribe to SIGNAL_EMITTED
+        eventBus.publish(eventBus.EVENTS.SIGNAL_EMITTED, signal);
+    }
+
+    /**
+     * Rebuild per-token signal history from journal (called by signalJournal on boot)
+     */
+    restoreFromJournal(entries) {
+        let restored = 0;
+
+        for (const entry of entries) {
+            if (entry.type !== signalJournalService.EVENTS.EMITTED || !entry.data?.instrument) continue;
+
+            const token = entry.data.instrument.token;
+            const history = this.signalHistory.get(token) || [];
+            history.push(entry.data);
+            if (history.length > 100) {
+                history.shift();
+            }
+            this.signalHistory.set(token, history);
+            restored++;
+        }
+
+        console.log(`[ORCHESTRATOR] Restored ${restored} signals from journal`);
+        return restored;
     }
 
     getActiveSignals(filters = {}) {
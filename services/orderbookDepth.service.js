@@ -2,8 +2,13 @@
  * ORDERBOOK DEPTH IMBALANCE SERVICE
  * Analyzes bid-ask spread and depth imbalance
  * Blocks signals on extreme spread or imbalance
+ * Fed live from SnapQuote best-five depth once started
  */
 
+const wsService = require('./websocket.service');
+const universeLoader = require('./universeLoader.service');
+const clock = require('./clock.service');
+
 class OrderbookDepthService {
     constructor() {
         this.state = {
@@ -21,6 +26,7 @@ class OrderbookDepthService {
 
         this.depthHistory = new Map();   // token -> depth history
         this.updateInterval = null;
+        this.unsubscribeFeed = null;
 
         console.log('[ORDERBOOK_DEPTH] Initializing orderbook depth engine...');
         console.log('[ORDERBOOK_DEPTH] Initialized');
@@ -30,23 +36,33 @@ class OrderbookDepthService {
      * Start periodic depth analysis
      */
     start() {
-        if (this.updateInterval) {
+        if (this.unsubscribeFeed) {
             console.log('[ORDERBOOK_DEPTH] Already running');
             return;
         }
 
-        console.log('[ORDERBOOK_DEPTH] Started depth monitoring');
+        this.unsubscribeFeed = wsService.onPrice((data) => {
+            if (!data.depth) return;
+            const symbol = universeLoader.getByToken(data.token)?.symbol || data.token;
+            this.registerDepth(data.token, symbol, { ...data.depth, ltp: data.ltp });
+        }, 'ORDERBOOK_DEPTH');
+
+        console.log('[ORDERBOOK_DEPTH] Started depth monitoring (SnapQuote feed)');
     }
 
     /**
      * Stop depth analysis
      */
     stop() {
+        if (this.unsubscribeFeed) {
+            this.unsubscribeFeed();
+            this.unsubscribeFeed = null;
+        }
         if (this.updateInterval) {
             clearInterval(this.updateInterval);
             this.updateInterval = null;
-            console.log('[ORDERBOOK_DEPTH] Stopped');
         }
+        console.log('[ORDERBOOK_DEPTH] Stopped');
     }
 
     /**
@@ -65,7 +81,7 @@ class OrderbookDepthService {
             token,
             symbol,
             ...analysis,
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
 
         this.state.depthData.set(token, depthData);
@@ -73,7 +89,7 @@ class OrderbookDepthService {
         // Track history
         const history = this.depthHistory.get(token) || [];
         history.push({
-            timestamp: Date.now(),
+            timestamp: clock.now(),
             spread: analysis.spreadPercent,
             imbalance: analysis.imbalanceRatio
         });
@@ -85,13 +101,13 @@ class OrderbookDepthService {
             this.state.spreadAlerts.set(token, {
                 symbol,
                 spreadPercent: analysis.spreadPercent,
-                timestamp: Date.now()
+                timestamp: clock.now()
             });
         } else {
             this.state.spreadAlerts.delete(token);
         }
 
-        this.state.lastUpdate = Date.now();
+        this.state.lastUpdate = clock.now();
         return depthData;
     }
 
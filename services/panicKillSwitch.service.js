@@ -6,6 +6,8 @@
 
 const marketStateService = require('./marketState.service');
 const safetyService = require('./safety.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
 
 class PanicKillSwitchService {
     constructor() {
@@ -67,7 +69,7 @@ class PanicKillSwitchService {
      * Main panic check
      */
     check() {
-        const now = Date.now();
+        const now = clock.now();
 
         // Check cooldown
         if (this.state.cooldownUntil && now < this.state.cooldownUntil) {
@@ -134,7 +136,7 @@ class PanicKillSwitchService {
      */
     checkNiftyDrop() {
         const windowMs = this.config.niftyDropWindowMinutes * 60 * 1000;
-        const cutoff = Date.now() - windowMs;
+        const cutoff = clock.now() - windowMs;
         const recentHistory = this.state.niftyHistory.filter(h => h.timestamp > cutoff);
 
         if (recentHistory.length < 2) {
@@ -160,7 +162,7 @@ class PanicKillSwitchService {
      */
     checkVIXSpike() {
         const windowMs = this.config.vixSpikeWindowMinutes * 60 * 1000;
-        const cutoff = Date.now() - windowMs;
+        const cutoff = clock.now() - windowMs;
         const recentHistory = this.state.vixHistory.filter(h => h.timestamp > cutoff);
 
         if (recentHistory.length < 2) {
@@ -209,24 +211,43 @@ class PanicKillSwitchService {
     triggerPanic(reason) {
         this.state.panicMode = true;
         this.state.panicReason = reason;
-        this.state.panicTriggeredAt = Date.now();
-        this.state.cooldownUntil = Date.now() + (this.config.panicCooldownMinutes * 60 * 1000);
+        this.state.panicTriggeredAt = clock.now();
+        this.state.cooldownUntil = clock.now() + (this.config.panicCooldownMinutes * 60 * 1000);
 
         console.log(`[PANIC_KILL] 🚨 GLOBAL_SIGNAL_BLOCKED: PANIC_MODE`);
         console.log(`[PANIC_KILL] Reason: ${reason}`);
         console.log(`[PANIC_KILL] Cooldown until: ${new Date(this.state.cooldownUntil).toLocaleTimeString()}`);
+
+        this.notifyPanic({ event: 'TRIGGERED', reason, cooldownUntil: this.state.cooldownUntil });
     }
 
     /**
      * Release panic mode
      */
     releasePanic() {
-        console.log(`[PANIC_KILL] ✓ Panic mode released after ${Math.round((Date.now() - this.state.panicTriggeredAt) / 60000)} minutes`);
+        const wasPanic = this.state.panicMode;
+        console.log(`[PANIC_KILL] ✓ Panic mode released after ${Math.round((clock.now() - this.state.panicTriggeredAt) / 60000)} minutes`);
         
         this.state.panicMode = false;
         this.state.panicReason = null;
         this.state.panicTriggeredAt = null;
         this.state.cooldownUntil = null;
+
+        if (wasPanic) {
+            this.notifyPanic({ event: 'RELEASED', reason: null });
+        }
+    }
+
+    /**
+     * Subscribe to panic trigger / release (PANIC on the event bus)
+     * @returns {function} unsubscribe
+     */
+    onPanic(callback, name = 'PANIC_LISTENER') {
+        return eventBus.subscribe(eventBus.EVENTS.PANIC, callback, name);
+    }
+
+    notifyPanic(change) {
+        eventBus.publish(eventBus.EVENTS.PANIC, { ...change, timestamp: clock.now() });
     }
 
     /**
@@ -240,7 +261,7 @@ class PanicKillSwitchService {
                 reason: `GLOBAL_SIGNAL_BLOCKED: PANIC_MODE`,
                 detail: this.state.panicReason,
                 panicTriggeredAt: this.state.panicTriggeredAt,
-                cooldownRemaining: Math.round((this.state.cooldownUntil - Date.now()) / 60000)
+                cooldownRemaining: Math.round((this.state.cooldownUntil - clock.now()) / 60000)
             };
         }
 
@@ -277,7 +298,7 @@ class PanicKillSwitchService {
             panicTriggeredAt: this.state.panicTriggeredAt,
             cooldownUntil: this.state.cooldownUntil,
             cooldownRemaining: this.state.cooldownUntil 
-                ? Math.max(0, Math.round((this.state.cooldownUntil - Date.now()) / 60000))
+                ? Math.max(0, Math.round((this.state.cooldownUntil - clock.now()) / 60000))
                 : 0,
             niftyHistoryCount: this.state.niftyHistory.length,
             vixHistoryCount: this.state.vixHistory.length,
@@ -0,0 +1,491 @@
+/**
+ * PAPER BROKER SERVICE - SIMULATED EXECUTION FOR EMITTED SIGNALS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Turn every emitted signal into a simulated order, fill it against the
+ * live book, track it to exit and feed the realised result back into risk
+ *
+ * ENTRY (orchestrator.recordSignal → onSignalEmitted):
+ * - Quantity : F&O lot size × lotsPerTrade (universe loader), equity by capital
+ * - Fill     : VWAP walk of the SnapQuote best five (asks for BUY, bids for SELL),
+ *              LTP / signal price when no depth, then adverse slippage from
+ *              executionRealityService.calculateSlippageRisk
+ *
+ * EXIT (first to trigger, filled the same way):
+ * - Exit commander exit signal for the token
+ * - Stop loss / target1 crossed by LTP
+ * - EOD square-off (15:20 IST)
+ * - Manual close (API)
+ *
+ * OUTCOME: portfolioCommanderService.recordClose + drawdownGuardService.registerOutcome,
+ * and the signal's lifecycle (active → exited) for calibration / adaptive stats
+ *
+ * Opt-in via PAPER_BROKER_ENABLED=true
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const settings = require('../config/settings.config');
+const calendarService = require('./calendar.service');
+const wsService = require('./websocket.service');
+const universeLoader = require('./universeLoader.service');
+const executionRealityService = require('./executionReality.service');
+const portfolioCommanderService = require('./portfolioCommander.service');
+const drawdownGuardService = require('./drawdownGuard.service');
+const exitCommanderService = require('./exitCommander.service');
+const signalLifecycleService = require('./signalLifecycle.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
+
+class PaperBrokerService {
+    constructor() {
+        this.config = {
+            enabled: false,
+            lotsPerTrade: 1,                // F&O lots per signal
+            capitalPerTrade: 100000,        // ₹ notional per equity signal
+            slippageBpsPerRiskPoint: 1,     // 1 slippage risk point = 1 bps adverse
+            maxOpenPositions: 10,
+            squareOffTimeIST: { hour: 15, minute: 20 },
+            commoditySquareOffMinutes: 10,  // MCX: minutes before the (DST-dependent) close
+            squareOffCheckMs: 30000,
+            maxTradeHistory: 500
+        };
+
+        this.running = false;
+        this.unsubscribeFeed = null;
+        this.unsubscribeSignals = null;
+        this.squareOffInterval = null;
+        this.orderSeq = 0;
+
+        this.positions = new Map();     // token -> open paper position
+        this.orders = [];               // fills (entry + exit)
+        this.trades = [];               // closed round trips
+
+        this.stats = {
+            signalsReceived: 0,
+            ordersFilled: 0,
+            ordersRejected: 0,
+            tradesClosed: 0,
+            wins: 0,
+            losses: 0,
+            realisedPnL: 0,
+            slippageCost: 0,
+            lastRejectReason: null
+        };
+    }
+
+    loadConfig() {
+        const brokerConfig = settings.paperBroker || {};
+        this.config = {
+            ...this.config,
+            ...brokerConfig
+        };
+    }
+
+    /**
+     * Subscribe to live prices and start the square-off timer
+     * @returns {boolean} true if the broker is running
+     */
+    start() {
+        this.loadConfig();
+        if (!this.config.enabled) {
+            console.log('[PAPER_BROKER] Disabled (PAPER_BROKER_ENABLED != true)');
+            return false;
+        }
+        if (this.running) return true;
+
+        this.unsubscribeFeed = wsService.onPrice((data) => this.onTick(data), 'PAPER_BROKER');
+        this.unsubscribeSignals = eventBus.subscribe(eventBus.EVENTS.SIGNAL_EMITTED, signal => this.onSignalEmitted(signal), 'PAPER_BROKER');
+        this.squareOffInterval = setInterval(() => this.checkSquareOff(), this.config.squareOffCheckMs);
+        this.running = true;
+
+        console.log(`[PAPER_BROKER] Started - ${this.config.lotsPerTrade} lot(s) F&O | ₹${this.config.capitalPerTrade} equity`);
+        return true;
+    }
+
+    stop() {
+        if (this.unsubscribeFeed) {
+            this.unsubscribeFeed();
+            this.unsubscribeFeed = null;
+        }
+        if (this.unsubscribeSignals) {
+            this.unsubscribeSignals();
+            this.unsubscribeSignals = null;
+        }
+        if (this.squareOffInterval) {
+            clearInterval(this.squareOffInterval);
+            this.squareOffInterval = null;
+        }
+        if (this.running) {
+            this.running = false;
+            console.log('[PAPER_BROKER] Stopped');
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ENTRY
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Orchestrator hook - one paper order per emitted signal
+     * @returns {object|null} Opened position, or null if not traded
+     */
+    onSignalEmitted(signal) {
+        if (!this.running || !signal?.instrument?.token) return null;
+        this.stats.signalsReceived++;
+
+        const token = signal.instrument.token;
+
+        if (this.positions.has(token)) {
+            return this.reject(signal, 'POSITION_ALREADY_OPEN');
+        }
+        if (this.positions.size >= this.config.maxOpenPositions) {
+            return this.reject(signal, `MAX_OPEN_POSITIONS: ${this.config.maxOpenPositions}`);
+        }
+
+        const live = wsService.getLivePrice(token);
+        const refPrice = live?.ltp || signal.price;
+        if (!refPrice || refPrice <= 0) {
+            return this.reject(signal, 'NO_PRICE');
+        }
+
+        const sizing = this.getOrderSize(token, refPrice);
+        if (sizing.quantity <= 0) {
+            return this.reject(signal, 'ZERO_QUANTITY');
+        }
+
+        const direction = signal.direction === 'SHORT' ? 'SHORT' : 'LONG';
+        const volatility = signal.analysis?.indicators?.atr && signal.price
+            ? (signal.analysis.indicators.atr / signal.price) * 100
+            : 0;
+
+        const fill = this.simulateFill(token, direction === 'LONG' ? 'BUY' : 'SELL', sizing.quantity, refPrice, volatility);
+        this.recordOrder(token, signal.instrument.symbol, fill, 'ENTRY');
+
+        const instrument = universeLoader.getByToken(token) || {};
+        const position = {
+            token,
+            symbol: signal.instrument.symbol,
+            sector: signal.instrument.sector,
+            underlying: instrument.underlying || instrument.name || null,
+            segment: signal.segment || signal.instrument.segment || instrument.segment || 'EQUITY',
+            signalType: signal.signal,
+            lifecycleId: signal.lifecycleId || null,
+            direction,
+            quantity: sizing.quantity,
+            lotSize: sizing.lotSize,
+            lots: sizing.lots,
+            volatility,
+            signalPrice: signal.price,
+            entryPrice: fill.price,
+            entrySlippage: fill.slippage,
+            stopLoss: signal.stopLoss || null,
+            target: signal.target1 || null,
+            entryTime: clock.now(),
+            ltp: refPrice,
+            unrealisedPnL: 0
+        };
+
+        this.positions.set(token, position);
+
+        if (position.lifecycleId) {
+            signalLifecycleService.recordActive(position.lifecycleId, fill.price);
+        }
+
+        portfolioCommanderService.registerPosition(token, {
+            symbol: position.symbol,
+            sector: position.sector,
+            underlying: position.underlying,
+            direction,
+            entryPrice: position.entryPrice,
+            quantity: position.quantity,
+            riskAmount: position.stopLoss ? Math.abs(position.entryPrice - position.stopLoss) * position.quantity : 0
+        });
+
+        exitCommanderService.registerPosition(token, {
+            symbol: position.symbol,
+            entryPrice: position.entryPrice,
+            direction,
+            quantity: position.quantity,
+            isOption: !!instrument.optionType,
+            strikePrice: instrument.strikePrice,
+            optionType: instrument.optionType,
+            underlying: instrument.underlying,
+            expiry: instrument.expiry,
+            vwap: live?.avgPrice,
+            atr: signal.analysis?.indicators?.atr,
+            volatility
+        });
+
+        console.log(`[PAPER_BROKER] ${fill.side} ${position.quantity} ${position.symbol} @ ${fill.price} (ref ${refPrice}, slip ${fill.slippage}) | ${fill.source}`);
+        return position;
+    }
+
+    /**
+     * Quantity for a token: lot-based for F&O, capital-based for equity
+     */
+    getOrderSize(token, price) {
+        const instrument = universeLoader.getByToken(token);
+        const lotSize = instrument?.lotSize || 1;
+
+        if (lotSize > 1) {
+            const lots = Math.max(1, this.config.lotsPerTrade);
+            return { quantity: lotSize * lots, lotSize, lots };
+        }
+
+        const quantity = Math.floor(this.config.capitalPerTrade / price);
+        return { quantity, lotSize: 1, lots: quantity };
+    }
+
+    reject(signal, reason) {
+        this.stats.ordersRejected++;
+        this.stats.lastRejectReason = reason;
+        console.log(`[PAPER_BROKER] Order rejected: ${signal.instrument?.symbol} | ${reason}`);
+        return null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // FILL SIMULATION
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Fill price for a market order
+     * @param {string} side - 'BUY' | 'SELL'
+     * @param {number} refPrice - Last seen price, used when the book is unavailable
+     * @returns {object} { side, quantity, price, bookPrice, slippage, slippageScore, source }
+     */
+    simulateFill(token, side, quantity, refPrice, volatility = 0) {
+        const live = wsService.getLivePrice(token);
+        const levels = side === 'BUY' ? live?.depth?.asks : live?.depth?.bids;
+
+        let bookPrice = this.walkBook(levels, quantity);
+        const source = bookPrice ? 'DEPTH' : 'LTP';
+        if (!bookPrice) bookPrice = refPrice || live?.ltp;
+
+        const slippageRisk = executionRealityService.calculateSlippageRisk({
+            price: bookPrice,
+            quantity,
+            avgVolume: live?.volume || 0,
+            volatility
+        });
+
+        const slippagePerUnit = bookPrice * (slippageRisk.score * this.config.slippageBpsPerRiskPoint) / 10000;
+        const price = side === 'BUY' ? bookPrice + slippagePerUnit : bookPrice - slippagePerUnit;
+
+        return {
+            side,
+            quantity,
+            price: this.round(price),
+            bookPrice: this.round(bookPrice),
+            slippage: this.round(slippagePerUnit),
+            slippageScore: slippageRisk.score,
+            source
+        };
+    }
+
+    /**
+     * VWAP of walking the book for a quantity; unfilled remainder at the last level
+     */
+    walkBook(levels, quantity) {
+        if (!levels || levels.length === 0) return null;
+
+        let remaining = quantity;
+        let notional = 0;
+
+        for (const level of levels) {
+            if (remaining <= 0) break;
+            const take = Math.min(remaining, level.qty);
+            notional += take * level.price;
+            remaining -= take;
+        }
+
+        if (remaining > 0) {
+            notional += remaining * levels[levels.length - 1].price;
+        }
+
+        return notional / quantity;
+    }
+
+    recordOrder(token, symbol, fill, purpose) {
+        this.orderSeq++;
+        this.stats.ordersFilled++;
+        this.stats.slippageCost += fill.slippage * fill.quantity;
+
+        this.orders.push({
+            orderId: `PB${this.orderSeq}`,
+            token,
+            symbol,
+            purpose,
+            ...fill,
+            timestamp: clock.now()
+        });
+
+        if (this.orders.length > this.config.maxTradeHistory * 2) {
+            this.orders.shift();
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // POSITION TRACKING & EXIT
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Live tick - mark to market and check exits for an open paper position
+     */
+    onTick(data) {
+        const position = this.positions.get(data.token);
+        if (!position || !data.ltp) return;
+
+        const ltp = data.ltp;
+        position.ltp = ltp;
+        position.unrealisedPnL = this.round(this.calculatePnL(position, ltp));
+        if (position.lifecycleId) {
+            signalLifecycleService.updatePrice(position.lifecycleId, ltp);
+        }
+
+        const exitReason = this.getExitReason(position, ltp);
+        if (exitReason) {
+            this.closePosition(data.token, exitReason);
+        }
+    }
+
+    getExitReason(position, ltp) {
+        const exitSignal = exitCommanderService.exitSignals.get(position.token);
+        if (exitSignal) {
+            return `EXIT_COMMANDER:${exitSignal.exitType}:${exitSignal.exitSubtype}`;
+        }
+
+        const isLong = position.direction === 'LONG';
+        if (position.stopLoss && (isLong ? ltp <= position.stopLoss : ltp >= position.stopLoss)) {
+            return 'STOP_LOSS';
+        }
+        if (position.target && (isLong ? ltp >= position.target : ltp <= position.target)) {
+            return 'TARGET';
+        }
+
+        return null;
+    }
+
+    /**
+     * Square off after the configured IST time - MCX positions ride the evening
+     * session and square off shortly before the MCX close instead
+     */
+    checkSquareOff(now = clock.date()) {
+        if (this.positions.size === 0) return 0;
+
+        const ist = calendarService.toIST(now);
+        const minutes = ist.getHours() * 60 + ist.getMinutes();
+
+        const { hour, minute } = this.config.squareOffTimeIST;
+        const mcxClose = calendarService.getSessionBounds('COMMODITY', ist).close;
+        const squareOffAt = {
+            EQUITY: hour * 60 + minute,
+            COMMODITY: mcxClose.hour * 60 + mcxClose.minute - this.config.commoditySquareOffMinutes
+        };
+
+        let closed = 0;
+        for (const [token, position] of Array.from(this.positions.entries())) {
+            const cutoff = squareOffAt[position.segment] ?? squareOffAt.EQUITY;
+            if (minutes >= cutoff && this.closePosition(token, 'EOD_SQUARE_OFF')) closed++;
+        }
+        return closed;
+    }
+
+    /**
+     * Close a paper position at the simulated exit fill and feed the outcome to risk
+     * @returns {object|null} Closed trade
+     */
+    closePosition(token, reason = 'MANUAL') {
+        const position = this.positions.get(token);
+        if (!position) return null;
+
+        const side = position.direction === 'LONG' ? 'SELL' : 'BUY';
+        const fill = this.simulateFill(token, side, position.quantity, position.ltp || position.entryPrice, position.volatility);
+        this.recordOrder(token, position.symbol, fill, 'EXIT');
+
+        const pnl = this.round(this.calculatePnL(position, fill.price));
+        const pnlPercent = this.round((pnl / (position.entryPrice * position.quantity)) * 100);
+        const outcome = pnl >= 0 ? 'WIN' : 'LOSS';
+
+        this.positions.delete(token);
+
+        const trade = {
+            ...position,
+            exitPrice: fill.price,
+            exitSlippage: fill.slippage,
+            exitReason: reason,
+            exitTime: clock.now(),
+            pnl,
+            pnlPercent,
+            outcome
+        };
+        delete trade.ltp;
+        delete trade.unrealisedPnL;
+
+        this.trades.push(trade);
+        if (this.trades.length > this.config.maxTradeHistory) {
+            this.trades.shift();
+        }
+
+        this.stats.tradesClosed++;
+        this.stats.realisedPnL = this.round(this.stats.realisedPnL + pnl);
+        if (outcome === 'WIN') this.stats.wins++; else this.stats.losses++;
+
+        if (exitCommanderService.activePositions.has(token)) {
+            exitCommanderService.closePosition(token, fill.price);
+        }
+        portfolioCommanderService.recordClose(token, pnl, pnlPercent);
+        drawdownGuardService.registerOutcome({ symbol: position.symbol, type: position.signalType }, outcome, pnlPercent);
+        if (position.lifecycleId) {
+            signalLifecycleService.recordExit(position.lifecycleId, { price: fill.price, reason, type: 'PAPER' });
+        }
+
+        console.log(`[PAPER_BROKER] Closed ${position.symbol} @ ${fill.price} | ${reason} | PnL: ₹${pnl} (${pnlPercent}%)`);
+        return trade;
+    }
+
+    calculatePnL(position, price) {
+        const perUnit = position.direction === 'LONG'
+            ? price - position.entryPrice
+            : position.entryPrice - price;
+        return perUnit * position.quantity;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // QUERIES
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    getPositions() {
+        return Array.from(this.positions.values());
+    }
+
+    getTrades(limit = 50) {
+        return this.trades.slice(-limit);
+    }
+
+    getOrders(limit = 100) {
+        return this.orders.slice(-limit);
+    }
+
+    getStatus() {
+        const unrealisedPnL = this.getPositions().reduce((sum, p) => sum + p.unrealisedPnL, 0);
+
+        return {
+            running: this.running,
+            openPositions: this.positions.size,
+            unrealisedPnL: this.round(unrealisedPnL),
+            ...this.stats,
+            slippageCost: this.round(this.stats.slippageCost),
+            winRate: this.stats.tradesClosed > 0
+                ? this.round((this.stats.wins / this.stats.tradesClosed) * 100)
+                : null,
+            config: this.config
+        };
+    }
+}
+
+module.exports = new PaperBrokerService();
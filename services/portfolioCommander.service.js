@@ -17,6 +17,9 @@
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
+const sectorTaxonomyService = require('./sectorTaxonomy.service');
+const clock = require('./clock.service');
+
 class PortfolioCommanderService {
     constructor() {
         this.config = {
@@ -74,7 +77,7 @@ class PortfolioCommanderService {
 
         // Sector correlations (hardcoded for speed)
         this.sectorCorrelations = {
-            'BANKING': { 'FINANCIALS': 0.85, 'NBFC': 0.75 },
+            'BANKING': { 'FINANCE': 0.85 },
             'IT': { 'TECH': 0.9 },
             'AUTO': { 'METAL': 0.6 },
             'PHARMA': { 'HEALTHCARE': 0.8 }
@@ -228,7 +231,7 @@ class PortfolioCommanderService {
             return { allowed: true };
         }
 
-        if (this.state.lockUntil && Date.now() > this.state.lockUntil) {
+        if (this.state.lockUntil && clock.now() > this.state.lockUntil) {
             // Lock expired
             this.state.isLocked = false;
             this.state.lockUntil = null;
@@ -240,7 +243,7 @@ class PortfolioCommanderService {
         return {
             allowed: false,
             reason: `PORTFOLIO_LOCKED: ${this.state.lockReason}`,
-            lockRemaining: Math.round((this.state.lockUntil - Date.now()) / 60000)
+            lockRemaining: Math.round((this.state.lockUntil - clock.now()) / 60000)
         };
     }
 
@@ -415,7 +418,7 @@ class PortfolioCommanderService {
             entryPrice: positionData.entryPrice,
             quantity: positionData.quantity,
             riskAmount: positionData.riskAmount || 0,
-            entryTime: Date.now()
+            entryTime: clock.now()
         });
 
         // Update total exposure
@@ -460,7 +463,7 @@ class PortfolioCommanderService {
             ...position,
             pnl,
             pnlPercent,
-            closeTime: Date.now()
+            closeTime: clock.now()
         });
 
         // Remove from active
@@ -474,7 +477,7 @@ class PortfolioCommanderService {
      */
     triggerLock(reason) {
         this.state.isLocked = true;
-        this.state.lockUntil = Date.now() + (this.config.lockDurationMinutes * 60 * 1000);
+        this.state.lockUntil = clock.now() + (this.config.lockDurationMinutes * 60 * 1000);
         this.state.lockReason = reason;
 
         console.log(`[PORTFOLIO_COMMANDER] 🔒 PORTFOLIO_LOCKED: ${reason} | Until: ${new Date(this.state.lockUntil).toLocaleTimeString()}`);
@@ -512,26 +515,11 @@ class PortfolioCommanderService {
     }
 
     /**
-     * Get sector from symbol (simplified)
+     * Get sector from symbol (sector taxonomy registry)
      */
     getSector(symbol) {
         if (!symbol) return null;
-        
-        const sectorMap = {
-            'RELIANCE': 'OIL_GAS',
-            'HDFCBANK': 'BANKING',
-            'ICICIBANK': 'BANKING',
-            'SBIN': 'BANKING',
-            'INFY': 'IT',
-            'TCS': 'IT',
-            'WIPRO': 'IT',
-            'TATAMOTORS': 'AUTO',
-            'MARUTI': 'AUTO',
-            'SUNPHARMA': 'PHARMA',
-            'DRREDDY': 'PHARMA'
-        };
-
-        return sectorMap[symbol] || 'OTHER';
+        return sectorTaxonomyService.getSector(symbol) || sectorTaxonomyService.UNKNOWN_SECTOR;
     }
 
     /**
@@ -581,7 +569,7 @@ class PortfolioCommanderService {
             isLocked: this.state.isLocked,
             lockReason: this.state.lockReason,
             lockRemaining: this.state.lockUntil 
-                ? Math.max(0, Math.round((this.state.lockUntil - Date.now()) / 60000)) + ' min'
+                ? Math.max(0, Math.round((this.state.lockUntil - clock.now()) / 60000)) + ' min'
                 : null,
             closedToday: this.state.closedToday.length,
             config: {
@@ -1,4 +1,5 @@
 const settings = require('../config/settings.config');
+const clock = require('./clock.service');
 
 class PremiumMomentumService {
     constructor() {
@@ -10,7 +11,7 @@ class PremiumMomentumService {
 
     recordPremium(token, data) {
         const existing = this.premiumData.get(token);
-        const now = Date.now();
+        const now = clock.now();
 
         if (!existing) {
             this.premiumData.set(token, {
@@ -67,7 +68,7 @@ class PremiumMomentumService {
             return null;
         }
 
-        const now = Date.now();
+        const now = clock.now();
         const history = data.history;
         const current = history[history.length - 1];
 
@@ -101,7 +102,7 @@ class PremiumMomentumService {
     calculateDeltaForPeriod(history, periodMs) {
         if (history.length < 2) return 0;
 
-        const now = Date.now();
+        const now = clock.now();
         const cutoff = now - periodMs;
 
         const oldEntry = history.find(h => h.timestamp <= cutoff) || history[0];
@@ -171,7 +172,7 @@ class PremiumMomentumService {
         if (isExplosionCandidate) {
             this.explosionCandidates.set(token, {
                 ...deltas,
-                detectedAt: Date.now(),
+                detectedAt: clock.now(),
                 direction: deltas.delta5mPercent > 0 ? 'UP' : 'DOWN'
             });
             console.log(`[PREMIUM_MOMENTUM] Explosion candidate: ${data.symbol} | 5m: ${deltas.delta5mPercent.toFixed(2)}% | 15m: ${deltas.delta15mPercent.toFixed(2)}%`);
@@ -182,7 +183,7 @@ class PremiumMomentumService {
         if (Math.abs(deltas.deltaFromOpenPercent) >= 15) {
             this.bigMovers.set(token, {
                 ...deltas,
-                detectedAt: Date.now()
+                detectedAt: clock.now()
             });
         }
 
@@ -279,9 +280,9 @@ class PremiumMomentumService {
                 premium: data.currentPremium,
                 volume: data.currentVolume,
                 oi: data.currentOI,
-                timestamp: Date.now()
+                timestamp: clock.now()
             }];
-            data.firstRecordTime = Date.now();
+            data.firstRecordTime = clock.now();
         });
 
         this.explosionCandidates.clear();
@@ -104,8 +104,23 @@ function canModifyThresholds() {
     return !PRODUCTION_CONFIG.ELITE_LOCKED && PRODUCTION_CONFIG.ALLOW_THRESHOLD_CHANGE;
 }
 
+/**
+ * Throw unless the given change flag is open - guards live mutators on locked services
+ * @param {string} target - What is being changed (e.g. 'RUNNER_STOCK.updateConfig')
+ * @param {string} flag - ALLOW_THRESHOLD_CHANGE | ALLOW_FILTER_MODIFICATION | ALLOW_SCORING_ADJUSTMENT
+ */
+function assertUnlocked(target, flag = 'ALLOW_THRESHOLD_CHANGE') {
+    if (!PRODUCTION_CONFIG.ELITE_LOCKED && PRODUCTION_CONFIG[flag]) {
+        return;
+    }
+
+    console.log(`[ELITE_LOCK] ⚠️ Rejected live change: ${target}`);
+    throw new Error(`ELITE LOCKED: ${target} rejected - promote a validated threshold profile instead (node thresholds.js promote)`);
+}
+
 module.exports = {
     ...PRODUCTION_CONFIG,
     validateEliteLock,
-    canModifyThresholds
+    canModifyThresholds,
+    assertUnlocked
 };
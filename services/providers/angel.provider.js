@@ -0,0 +1,446 @@
+/**
+ * ANGEL ONE SMARTAPI PROVIDER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * - Session: password + TOTP login → JWT (REST) + feed token (SmartStream)
+ * - Candles: getCandleData rows [ts, o, h, l, c, v]
+ * - Option chain: market/v1/optionchain
+ * - Quotes: market/v1/quote FULL mode, 50 tokens per request
+ * - Ticks: SmartStream WebSocket 2.0 binary frames
+ * - Instruments: OpenAPI scrip master JSON
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const axios = require('axios');
+const WebSocket = require('ws');
+const { authenticator } = require('otplib');
+const config = require('../../config/angel.config');
+const MarketDataProvider = require('./marketDataProvider');
+
+class AngelProvider extends MarketDataProvider {
+    constructor() {
+        super('angel');
+
+        this.jwtToken = null;
+        this.refreshToken = null;
+        this.feedToken = null;
+        this.isAuthenticated = false;
+        this.lastLoginTime = null;
+        this.loginInProgress = false;
+        this.tokenExpiryMs = 6 * 60 * 60 * 1000;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // AUTH
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    generateTOTP() {
+        if (!config.totpSecret) {
+            throw new Error('TOTP secret not configured in environment');
+        }
+        return authenticator.generate(config.totpSecret);
+    }
+
+    async login() {
+        if (this.loginInProgress) {
+            console.log('[AUTH] Login already in progress, waiting...');
+            await this.waitForLogin();
+            return { success: true, jwtToken: this.jwtToken, feedToken: this.feedToken };
+        }
+
+        this.loginInProgress = true;
+
+        try {
+            const totp = this.generateTOTP();
+
+            const response = await axios.post(
+                `${config.endpoints.base}${config.endpoints.login}`,
+                {
+                    clientcode: config.clientId,
+                    password: config.password,
+                    totp: totp
+                },
+                {
+                    headers: this.getPublicHeaders(),
+                    timeout: 30000
+                }
+            );
+
+            if (response.data.status && response.data.data) {
+                this.jwtToken = response.data.data.jwtToken;
+                this.refreshToken = response.data.data.refreshToken;
+                this.feedToken = response.data.data.feedToken;
+                this.isAuthenticated = true;
+                this.lastLoginTime = Date.now();
+
+                console.log('[AUTH] Login successful');
+                console.log('[AUTH] JWT Token obtained');
+                console.log('[AUTH] Feed Token obtained');
+
+                return {
+                    success: true,
+                    jwtToken: this.jwtToken,
+                    feedToken: this.feedToken
+                };
+            }
+
+            throw new Error(response.data.message || 'Login failed - no data returned');
+        } catch (error) {
+            console.error('[AUTH] Login error:', error.message);
+            this.isAuthenticated = false;
+            throw error;
+        } finally {
+            this.loginInProgress = false;
+        }
+    }
+
+    async waitForLogin() {
+        const maxWait = 30000;
+        const checkInterval = 100;
+        let waited = 0;
+
+        while (this.loginInProgress && waited < maxWait) {
+            await new Promise(resolve => setTimeout(resolve, checkInterval));
+            waited += checkInterval;
+        }
+    }
+
+    async ensureAuthenticated() {
+        const tokenAge = Date.now() - (this.lastLoginTime || 0);
+
+        if (!this.isAuthenticated || tokenAge > this.tokenExpiryMs) {
+            console.log('[AUTH] Token expired or not authenticated, logging in...');
+            await this.login();
+        }
+
+        return this.jwtToken;
+    }
+
+    getPublicHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'X-UserType': 'USER',
+            'X-SourceID': 'WEB',
+            'X-ClientLocalIP': '127.0.0.1',
+            'X-ClientPublicIP': '127.0.0.1',
+            'X-MACAddress': '00:00:00:00:00:00',
+            'X-PrivateKey': config.apiKey
+        };
+    }
+
+    getAuthHeaders() {
+        return {
+            ...this.getPublicHeaders(),
+            'Authorization': `Bearer ${this.jwtToken}`
+        };
+    }
+
+    getAuthStatus() {
+        return {
+            isAuthenticated: this.isAuthenticated,
+            hasJwtToken: !!this.jwtToken,
+            hasFeedToken: !!this.feedToken,
+            tokenAgeSeconds: this.lastLoginTime ? Math.floor((Date.now() - this.lastLoginTime) / 1000) : null,
+            tokenExpiresIn: this.lastLoginTime ? Math.max(0, Math.floor((this.tokenExpiryMs - (Date.now() - this.lastLoginTime)) / 1000)) : null
+        };
+    }
+
+    invalidate() {
+        this.jwtToken = null;
+        this.refreshToken = null;
+        this.feedToken = null;
+        this.isAuthenticated = false;
+        this.lastLoginTime = null;
+        console.log('[AUTH] Session invalidated');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // REST
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    async post(endpoint, body, timeout = 15000) {
+        await this.ensureAuthenticated();
+
+        const response = await axios.post(`${config.endpoints.base}${endpoint}`, body, {
+            headers: this.getAuthHeaders(),
+            timeout
+        });
+
+        if (!response.data.status) {
+            throw new Error(response.data.message || `${endpoint} returned status false`);
+        }
+
+        return response.data.data;
+    }
+
+    async getCandles({ token, exchange, interval, fromDate, toDate }) {
+        const rows = await this.post(config.endpoints.candle, {
+            exchange: config.exchangeNames[exchange] || 'NSE',
+            symboltoken: token,
+            interval: interval,
+            fromdate: fromDate,
+            todate: toDate
+        });
+
+        if (!Array.isArray(rows)) return [];
+
+        return rows.map(c => ({
+            timestamp: new Date(c[0]).getTime(),
+            open: parseFloat(c[1]),
+            high: parseFloat(c[2]),
+            low: parseFloat(c[3]),
+            close: parseFloat(c[4]),
+            volume: parseInt(c[5])
+        }));
+    }
+
+    async getOptionChain({ symbol, exchange = 'NFO' }) {
+        const rows = await this.post(config.endpoints.optionChain, { symbol, exchange });
+        return this.parseOptionChain(rows);
+    }
+
+    parseOptionChain(rawData) {
+        if (!Array.isArray(rawData)) return [];
+
+        return rawData.map(item => ({
+            symbol: item.symbol,
+            token: item.token,
+            strikePrice: parseFloat(item.strikePrice) || 0,
+            optionType: item.optionType,
+            ltp: parseFloat(item.ltp) || 0,
+            volume: parseInt(item.volume) || 0,
+            oi: parseInt(item.openInterest) || 0,
+            oiChange: parseInt(item.changeInOI) || 0,
+            iv: parseFloat(item.impliedVolatility) || 0,
+            delta: parseFloat(item.delta) || 0,
+            gamma: parseFloat(item.gamma) || 0,
+            theta: parseFloat(item.theta) || 0,
+            vega: parseFloat(item.vega) || 0,
+            bidPrice: parseFloat(item.bidPrice) || 0,
+            askPrice: parseFloat(item.askPrice) || 0,
+            bidQty: parseInt(item.bidQty) || 0,
+            askQty: parseInt(item.askQty) || 0
+        }));
+    }
+
+    async getQuotes({ exchange, tokens }) {
+        const exchangeName = config.exchangeNames[exchange] || exchange;
+        const quotes = [];
+
+        for (let i = 0; i < tokens.length; i += 50) {
+            const data = await this.post(config.endpoints.quote, {
+                mode: 'FULL',
+                exchangeTokens: { [exchangeName]: tokens.slice(i, i + 50).map(String) }
+            });
+
+            (data?.fetched || []).forEach(item => quotes.push({
+                token: String(item.symbolToken),
+                symbol: item.tradingSymbol,
+                ltp: parseFloat(item.ltp) || 0,
+                open: parseFloat(item.open) || 0,
+                high: parseFloat(item.high) || 0,
+                low: parseFloat(item.low) || 0,
+                close: parseFloat(item.close) || 0,
+                volume: parseInt(item.tradeVolume) || 0,
+                oi: parseInt(item.opnInterest) || 0,
+                upperCircuit: parseFloat(item.upperCircuit) || 0,
+                lowerCircuit: parseFloat(item.lowerCircuit) || 0
+            }));
+        }
+
+        return quotes;
+    }
+
+    async getInstrumentMaster() {
+        const response = await axios.get(config.endpoints.scripMaster, {
+            timeout: 60000,
+            headers: {
+                'Accept': 'application/json',
+                'Accept-Encoding': 'gzip, deflate'
+            }
+        });
+
+        if (!response.data || !Array.isArray(response.data)) {
+            throw new Error('Invalid master JSON response');
+        }
+
+        return response.data;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // SMARTSTREAM
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    async connectTickStream({ onOpen, onFrame, onClose, onError }) {
+        await this.ensureAuthenticated();
+
+        const feedToken = this.feedToken;
+        const clientId = config.clientId;
+
+        if (!feedToken) {
+            throw new Error('No feed token available');
+        }
+
+        const wsUrl = `${config.endpoints.wsUrl}?clientCode=${clientId}&feedToken=${feedToken}&apiKey=${config.apiKey}`;
+
+        const ws = new WebSocket(wsUrl, {
+            headers: {
+                'Authorization': `Bearer ${this.jwtToken}`,
+                'x-api-key': config.apiKey,
+                'x-client-code': clientId,
+                'x-feed-token': feedToken
+            }
+        });
+
+        ws.binaryType = 'arraybuffer';
+        ws.on('open', () => onOpen());
+        ws.on('message', (data) => onFrame(data));
+        ws.on('close', (code) => onClose(code));
+        ws.on('error', (error) => onError(error));
+
+        const send = (action, tokens, exchangeType, mode) => {
+            ws.send(JSON.stringify({
+                correlationID: `${action === 1 ? 'sub' : 'unsub'}_${Date.now()}`,
+                action,
+                params: {
+                    mode,
+                    tokenList: [{ exchangeType, tokens }]
+                }
+            }));
+        };
+
+        return {
+            provider: this.name,
+            subscribe: (tokens, exchangeType, mode) => send(1, tokens, exchangeType, mode),
+            unsubscribe: (tokens, exchangeType) => send(0, tokens, exchangeType, 3),
+            ping: () => ws.ping(),
+            terminate: () => ws.terminate()
+        };
+    }
+
+    parseTickFrame(buffer) {
+        return AngelProvider.decodeFrame(buffer);
+    }
+
+    /**
+     * Decode an Angel SmartAPI WebSocket 2.0 binary frame (little endian)
+     *
+     *   0   mode (1=LTP, 2=QUOTE, 3=SNAP_QUOTE)    1  exchange type
+     *   2   token (25 byte null-padded string)     27 sequence number
+     *   35  exchange timestamp                     43 LTP                 → 51 bytes (LTP)
+     *   51  last traded qty   59 avg price   67 volume
+     *   75  total buy qty (double)   83 total sell qty (double)
+     *   91  open   99 high   107 low   115 close                          → 123 bytes (QUOTE)
+     *   123 last traded timestamp   131 OI   139 OI change % (double)
+     *   147 best five: 10 x 20 bytes { flag int16 (1=buy), qty int64, price int64, orders int16 }
+     *   347 upper circuit   355 lower circuit   363 52w high   371 52w low → 379 bytes (SNAP_QUOTE)
+     *
+     * Prices are in paise (currency derivatives: 1e7 units)
+     */
+    static decodeFrame(buffer) {
+        if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < 51) return null;
+
+        const view = new DataView(buffer);
+
+        try {
+            const subscriptionMode = view.getInt8(0);
+            const exchangeType = view.getInt8(1);
+            const divisor = exchangeType === 13 ? 10000000 : 100;
+            const price = (offset) => Number(view.getBigInt64(offset, true)) / divisor;
+
+            const token = Buffer.from(buffer, 2, 25).toString('utf8').replace(/\0/g, '').trim();
+            const sequenceNumber = Number(view.getBigInt64(27, true));
+            const exchangeTimestamp = Number(view.getBigInt64(35, true));
+            const ltp = price(43);
+
+            let volume = 0;
+            let open = 0;
+            let high = 0;
+            let low = 0;
+            let close = ltp;
+            let avgPrice = 0;
+            let oi = 0;
+
+            const parsed = {
+                token,
+                exchange: exchangeType,
+                mode: subscriptionMode,
+                sequenceNumber
+            };
+
+            if (buffer.byteLength >= 123) {
+                parsed.lastTradedQty = Number(view.getBigInt64(51, true));
+                avgPrice = price(59);
+                volume = Number(view.getBigInt64(67, true));
+                parsed.totalBuyQty = view.getFloat64(75, true);
+                parsed.totalSellQty = view.getFloat64(83, true);
+                open = price(91);
+                high = price(99);
+                low = price(107);
+                close = price(115);
+            }
+
+            if (buffer.byteLength >= 147) {
+                parsed.lastTradedTimestamp = Number(view.getBigInt64(123, true));
+                oi = Number(view.getBigInt64(131, true));
+            }
+
+            if (buffer.byteLength >= 379) {
+                parsed.depth = AngelProvider.decodeBestFive(view, 147, price);
+                parsed.upperCircuit = price(347);
+                parsed.lowerCircuit = price(355);
+                parsed.high52w = price(363);
+                parsed.low52w = price(371);
+            }
+
+            return {
+                ...parsed,
+                ltp,
+                open: open || ltp,
+                high: high || ltp,
+                low: low || ltp,
+                close: close || ltp,
+                volume,
+                avgPrice,
+                oi,
+                timestamp: Date.now(),
+                exchangeTimestamp
+            };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * SnapQuote best-five block → { bids, asks } sorted best first
+     */
+    static decodeBestFive(view, offset, price) {
+        const bids = [];
+        const asks = [];
+
+        for (let i = 0; i < 10; i++) {
+            const base = offset + i * 20;
+            const level = {
+                price: price(base + 10),
+                qty: Number(view.getBigInt64(base + 2, true)),
+                orders: view.getInt16(base + 18, true)
+            };
+            if (level.price <= 0) continue;
+
+            if (view.getInt16(base, true) === 1) {
+                bids.push(level);
+            } else {
+                asks.push(level);
+            }
+        }
+
+        bids.sort((a, b) => b.price - a.price);
+        asks.sort((a, b) => a.price - b.price);
+
+        return { bids, asks };
+    }
+}
+
+module.exports = AngelProvider;
@@ -0,0 +1,221 @@
+/**
+ * LOCAL FILE PROVIDER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Serves market data from disk - offline development, demos and a last-resort
+ * fallback when the broker is down. No session, always authenticated.
+ *
+ * LAYOUT (dir = MARKET_DATA_LOCAL_DIR, default ./data/local):
+ * - candles/<token>_<INTERVAL>.json  → [[ts, o, h, l, c, v]] or [{ timestamp, open, ... }]
+ * - optionchain/<SYMBOL>.json        → normalized strikes (see marketDataProvider)
+ * - quotes/<EXCHANGE>.json           → normalized quotes, array or keyed by token
+ * - instruments.json                 → Angel OpenAPI scrip master array
+ * - ticks: tick recorder files (ticks_YYYY-MM-DD.jsonl), replayed as a live
+ *   stream at recorded pace × speed, filtered to subscribed tokens
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { exchangeNames } = require('../../config/angel.config');
+const MarketDataProvider = require('./marketDataProvider');
+const AngelProvider = require('./angel.provider');
+
+class LocalProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super('local');
+        this.live = false;              // Stored data - never a live market
+
+        this.config = {
+            dir: './data/local',
+            tickDir: './data/ticks',
+            tickDay: null,
+            tickSpeed: 1,
+            ...options
+        };
+    }
+
+    resolve(...parts) {
+        return path.resolve(this.config.dir, ...parts);
+    }
+
+    readJson(file, what) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`No local ${what} (${file})`);
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // AUTH
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    async login() {
+        return { success: true };
+    }
+
+    async ensureAuthenticated() {
+        return null;
+    }
+
+    getAuthStatus() {
+        return {
+            isAuthenticated: true,
+            hasJwtToken: false,
+            hasFeedToken: false,
+            tokenAgeSeconds: null,
+            tokenExpiresIn: null
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // FILES
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    async getCandles({ token, interval, fromDate, toDate }) {
+        const rows = this.readJson(this.resolve('candles', `${token}_${interval}.json`), `candles for ${token} ${interval}`);
+        const from = fromDate ? this.parseIST(fromDate) : -Infinity;
+        const to = toDate ? this.parseIST(toDate) : Infinity;
+
+        return rows
+            .map(c => Array.isArray(c)
+                ? {
+                    timestamp: new Date(c[0]).getTime(),
+                    open: parseFloat(c[1]),
+                    high: parseFloat(c[2]),
+                    low: parseFloat(c[3]),
+                    close: parseFloat(c[4]),
+                    volume: parseInt(c[5])
+                }
+                : { ...c, timestamp: new Date(c.timestamp).getTime() })
+            .filter(c => c.timestamp >= from && c.timestamp <= to)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * 'YYYY-MM-DD HH:mm' is exchange (IST) time, whatever the host timezone
+     */
+    parseIST(value) {
+        return new Date(`${value.replace(' ', 'T')}:00+05:30`).getTime();
+    }
+
+    async getOptionChain({ symbol }) {
+        return this.readJson(this.resolve('optionchain', `${symbol}.json`), `option chain for ${symbol}`);
+    }
+
+    async getQuotes({ exchange, tokens }) {
+        const exchangeName = exchangeNames[exchange] || exchange;
+        const stored = this.readJson(this.resolve('quotes', `${exchangeName}.json`), `quotes for ${exchangeName}`);
+        const byToken = new Map((Array.isArray(stored) ? stored : Object.values(stored)).map(q => [String(q.token), q]));
+
+        return tokens.map(String).filter(token => byToken.has(token)).map(token => byToken.get(token));
+    }
+
+    async getInstrumentMaster() {
+        const master = this.readJson(this.resolve('instruments.json'), 'instrument master');
+        if (!Array.isArray(master)) {
+            throw new Error('Invalid local instrument master (expected an array)');
+        }
+        return master;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // TICK STREAM (recorded SmartStream frames)
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    getTickFile() {
+        const dir = path.resolve(this.config.tickDir);
+
+        if (this.config.tickDay) {
+            return path.join(dir, `ticks_${this.config.tickDay}.jsonl`);
+        }
+
+        const latest = fs.existsSync(dir)
+            ? fs.readdirSync(dir).filter(name => /^ticks_\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop()
+            : null;
+
+        return latest ? path.join(dir, latest) : null;
+    }
+
+    readTickFrames(file) {
+        const frames = [];
+
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const record = JSON.parse(line);
+                const buf = Buffer.from(record.raw, 'base64');
+                frames.push({
+                    receivedAt: record.r,
+                    token: record.p?.token || null,
+                    data: buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength)
+                });
+            } catch (e) {
+                // Torn line - skip it
+            }
+        }
+
+        return frames;
+    }
+
+    async connectTickStream({ onOpen, onFrame, onError }) {
+        const file = this.getTickFile();
+        if (!file || !fs.existsSync(file)) {
+            throw new Error(`No local tick recording${this.config.tickDay ? ` for ${this.config.tickDay}` : ''} in ${path.resolve(this.config.tickDir)}`);
+        }
+
+        const frames = this.readTickFrames(file);
+        const subscribed = new Set();
+        const speed = this.config.tickSpeed;
+        let timer = null;
+        let closed = false;
+
+        console.log(`[MARKET_DATA] Local tick stream: ${frames.length} frames from ${path.basename(file)} (speed ${speed || 'max'})`);
+
+        // After the last frame the stream stays open and quiet, like a closed market
+        const next = (index) => {
+            if (closed || index >= frames.length) return;
+
+            const frame = frames[index];
+            if (!frame.token || subscribed.has(frame.token)) {
+                try {
+                    onFrame(frame.data);
+                } catch (error) {
+                    onError(error);
+                }
+            }
+
+            const gap = index + 1 < frames.length ? frames[index + 1].receivedAt - frame.receivedAt : 0;
+            timer = setTimeout(() => next(index + 1), speed > 0 ? Math.max(0, gap / speed) : 0);
+        };
+
+        timer = setTimeout(() => onOpen(), 0);
+
+        // Playback starts with the first subscription, so early frames aren't lost
+        let started = false;
+
+        return {
+            provider: this.name,
+            subscribe: (tokens) => {
+                tokens.forEach(t => subscribed.add(String(t)));
+                if (!started && !closed) {
+                    started = true;
+                    timer = setTimeout(() => next(0), 0);
+                }
+            },
+            unsubscribe: (tokens) => tokens.forEach(t => subscribed.delete(String(t))),
+            ping: () => {},
+            terminate: () => {
+                closed = true;
+                clearTimeout(timer);
+            }
+        };
+    }
+
+    parseTickFrame(frame) {
+        return AngelProvider.decodeFrame(frame);
+    }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,104 @@
+/**
+ * MARKET DATA PROVIDER - BROKER INTERFACE
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Everything the engine needs from a broker, in the engine's own shapes.
+ * Providers THROW when they cannot serve a request - marketData.service uses
+ * that to fail over to the fallback provider.
+ *
+ * AUTH:
+ * - login() / ensureAuthenticated() / getAuthStatus() / invalidate()
+ *
+ * HISTORICAL CANDLES:
+ * - getCandles({ token, exchange, interval, fromDate, toDate })
+ *   → [{ timestamp, open, high, low, close, volume }]
+ *   exchange = angel.config exchange code, interval = angel.config interval name,
+ *   dates = 'YYYY-MM-DD HH:mm' local time
+ *
+ * OPTION CHAIN:
+ * - getOptionChain({ symbol, exchange })
+ *   → [{ symbol, token, strikePrice, optionType, ltp, volume, oi, oiChange, iv,
+ *        delta, gamma, theta, vega, bidPrice, askPrice, bidQty, askQty }]
+ *
+ * QUOTES (snapshot, incl. OI):
+ * - getQuotes({ exchange, tokens }) → [{ token, symbol, ltp, open, high, low,
+ *   close, volume, oi, upperCircuit, lowerCircuit }]  (close = previous close)
+ *
+ * TICK STREAM:
+ * - connectTickStream({ onOpen, onFrame, onClose, onError })
+ *   → { provider, subscribe(tokens, exchangeType, mode), unsubscribe(tokens, exchangeType), ping(), terminate() }
+ * - parseTickFrame(frame) → tick (websocket.service shape) or null
+ *
+ * INSTRUMENT MASTER:
+ * - getInstrumentMaster() → [{ token, symbol, name, expiry, strike, lotsize,
+ *   instrumenttype, exch_seg, tick_size }] (Angel OpenAPI scrip master fields)
+ *
+ * live: false for providers that answer from stored data - what they serve is
+ * stamped CACHED, never LIVE (dataQualityService)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+class MarketDataProvider {
+    constructor(name) {
+        this.name = name;
+        this.live = true;
+    }
+
+    notImplemented(method) {
+        return new Error(`Market data provider ${this.name} does not implement ${method}()`);
+    }
+
+    async login() {
+        throw this.notImplemented('login');
+    }
+
+    async ensureAuthenticated() {
+        throw this.notImplemented('ensureAuthenticated');
+    }
+
+    getAuthStatus() {
+        return { isAuthenticated: false };
+    }
+
+    invalidate() {}
+
+    async getCandles(params) {
+        throw this.notImplemented('getCandles');
+    }
+
+    async getOptionChain(params) {
+        throw this.notImplemented('getOptionChain');
+    }
+
+    async getQuotes(params) {
+        throw this.notImplemented('getQuotes');
+    }
+
+    async connectTickStream(handlers) {
+        throw this.notImplemented('connectTickStream');
+    }
+
+    parseTickFrame(frame) {
+        return null;
+    }
+
+    async getInstrumentMaster() {
+        throw this.notImplemented('getInstrumentMaster');
+    }
+}
+
+MarketDataProvider.METHODS = [
+    'login',
+    'ensureAuthenticated',
+    'getAuthStatus',
+    'invalidate',
+    'getCandles',
+    'getOptionChain',
+    'getQuotes',
+    'connectTickStream',
+    'parseTickFrame',
+    'getInstrumentMaster'
+];
+
+module.exports = MarketDataProvider;
@@ -0,0 +1,434 @@
+/**
+ * PUSH FEED SERVICE - SSE + WEBSOCKET STREAM FOR DASHBOARDS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Push signals, exits, panic and regime changes to clients instead of
+ * dashboards polling /api/aggregator/top-signals and /api/signal/active
+ *
+ * TOPICS:
+ * - signals : Emitted signals (SIGNAL_EMITTED on the event bus)
+ * - exits   : New exit signals (exitCommander.onExitSignal)
+ * - panic   : Panic trigger / release (panicKillSwitch.onPanic)
+ * - regime  : Volatility regime change (volatilityRegime.onRegimeChange)
+ *
+ * TRANSPORTS:
+ * - SSE       : GET /api/stream?topics=signals,exits&since=<seq>
+ *               (Last-Event-ID honoured on browser reconnect)
+ * - WebSocket : ws://host/api/stream/ws?topics=...&since=<seq>
+ *               client → { action: 'subscribe'|'unsubscribe', topics, since }
+ *
+ * Unknown topics are refused, not dropped: SSE answers 400, WebSocket sends an
+ * 'error' frame and closes
+ *
+ * AUTH: Same API key / JWT as the REST API (read role is enough)
+ *
+ * RESUME: Every event carries a global sequence number. Reconnecting with the
+ * last seen sequence replays the buffered events after it; if the buffer has
+ * already rolled past it the client gets a 'reset' event and should refetch.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const WebSocket = require('ws');
+const settings = require('../config/settings.config');
+const apiAuthService = require('./apiAuth.service');
+const exitCommanderService = require('./exitCommander.service');
+const panicKillSwitchService = require('./panicKillSwitch.service');
+const volatilityRegimeService = require('./volatilityRegime.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
+
+const TOPICS = {
+    SIGNALS: 'signals',
+    EXITS: 'exits',
+    PANIC: 'panic',
+    REGIME: 'regime'
+};
+
+class PushFeedService {
+    constructor() {
+        this.config = {
+            bufferSize: 1000,         // Events kept for resume
+            heartbeatMs: 15000,       // SSE comment / WS ping interval
+            maxClients: 100,
+            retryMs: 3000,            // SSE client reconnect hint
+            wsPath: '/api/stream/ws'
+        };
+
+        this.sequence = 0;
+        this.buffer = [];
+        this.clients = new Map();     // clientId -> { transport, topics, send, close }
+        this.clientSeq = 0;
+
+        this.wss = null;
+        this.heartbeatInterval = null;
+        this.unsubscribers = [];
+        this.running = false;
+
+        this.stats = {
+            published: 0,
+            delivered: 0,
+            replayed: 0,
+            resets: 0,
+            connectionsTotal: 0,
+            rejectedConnections: 0
+        };
+    }
+
+    loadConfig() {
+        const feedConfig = settings.pushFeed || {};
+        this.config = {
+            ...this.config,
+            ...feedConfig
+        };
+    }
+
+    /**
+     * Subscribe to event sources and start heartbeats
+     */
+    start() {
+        if (this.running) return;
+        this.loadConfig();
+
+        this.unsubscribers = [
+            eventBus.subscribe(eventBus.EVENTS.SIGNAL_EMITTED, signal => this.publish(TOPICS.SIGNALS, signal), 'PUSH_FEED'),
+            exitCommanderService.onExitSignal(exit => this.publish(TOPICS.EXITS, exit), 'PUSH_FEED'),
+            panicKillSwitchService.onPanic(change => this.publish(TOPICS.PANIC, change), 'PUSH_FEED'),
+            volatilityRegimeService.onRegimeChange(change => this.publish(TOPICS.REGIME, change), 'PUSH_FEED')
+        ];
+
+        this.heartbeatInterval = setInterval(() => this.heartbeat(), this.config.heartbeatMs);
+        this.running = true;
+
+        console.log(`[PUSH_FEED] Started - topics: ${Object.values(TOPICS).join(', ')} | buffer ${this.config.bufferSize}`);
+    }
+
+    stop() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
+        if (this.heartbeatInterval) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
+        }
+
+        for (const client of this.clients.values()) {
+            client.close();
+        }
+        this.clients.clear();
+
+        if (this.wss) {
+            this.wss.close();
+            this.wss = null;
+        }
+
+        if (this.running) {
+            this.running = false;
+            console.log('[PUSH_FEED] Stopped');
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // PUBLISH / REPLAY
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Sequence, buffer and fan out an event
+     * @returns {object} The buffered event
+     */
+    publish(topic, data) {
+        const event = {
+            seq: ++this.sequence,
+            topic,
+            data,
+            timestamp: clock.now()
+        };
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.config.bufferSize) {
+            this.buffer.shift();
+        }
+        this.stats.published++;
+
+        for (const client of this.clients.values()) {
+            if (client.topics.has(topic)) {
+                this.deliver(client, event);
+            }
+        }
+
+        return event;
+    }
+
+    /**
+     * Buffered events after a sequence for the given topics
+     * @returns {object} { events, reset } - reset when the buffer no longer reaches `since`
+     */
+    getEventsSince(since, topics = new Set(Object.values(TOPICS))) {
+        const oldestSeq = this.buffer.length > 0 ? this.buffer[0].seq : this.sequence + 1;
+        const reset = since < oldestSeq - 1;
+
+        return {
+            events: this.buffer.filter(e => e.seq > since && topics.has(e.topic)),
+            reset,
+            oldestSeq,
+            latestSeq: this.sequence
+        };
+    }
+
+    deliver(client, event) {
+        try {
+            client.send(event);
+            this.stats.delivered++;
+        } catch (e) {
+            console.error(`[PUSH_FEED] Delivery failed (${client.id}):`, e.message);
+            this.removeClient(client.id);
+        }
+    }
+
+    /**
+     * Send buffered events after `since`, or a reset marker if they are gone
+     */
+    replay(client, since) {
+        if (since === null || since === undefined || isNaN(since)) return;
+
+        const { events, reset, oldestSeq, latestSeq } = this.getEventsSince(since, client.topics);
+        if (reset) {
+            this.stats.resets++;
+            client.send({ seq: latestSeq, topic: 'reset', data: { requestedSince: since, oldestSeq, latestSeq }, timestamp: clock.now() });
+        }
+
+        for (const event of events) {
+            this.deliver(client, event);
+            this.stats.replayed++;
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // CLIENTS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Parse a topics list ('signals,exits' or array); none given = every topic
+     * @throws {Error} on an unknown topic
+     */
+    parseTopics(value) {
+        const valid = Object.values(TOPICS);
+        if (!value || (Array.isArray(value) && value.length === 0)) return new Set(valid);
+
+        const list = (Array.isArray(value) ? value : String(value).split(','))
+            .map(t => String(t).trim().toLowerCase())
+            .filter(Boolean);
+        const unknown = list.filter(t => !valid.includes(t));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown topic${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} - valid: ${valid.join(', ')}`);
+        }
+
+        return new Set(list);
+    }
+
+    parseSince(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const since = parseInt(value);
+        return isNaN(since) ? null : since;
+    }
+
+    addClient(transport, topics, send, close) {
+        if (this.clients.size >= this.config.maxClients) {
+            this.stats.rejectedConnections++;
+            return null;
+        }
+
+        const client = {
+            id: `${transport}-${++this.clientSeq}`,
+            transport,
+            topics,
+            send,
+            close,
+            connectedAt: clock.now()
+        };
+
+        this.clients.set(client.id, client);
+        this.stats.connectionsTotal++;
+        return client;
+    }
+
+    removeClient(id) {
+        this.clients.delete(id);
+    }
+
+    /**
+     * Express handler for the SSE stream
+     */
+    handleSSE(req, res) {
+        let topics;
+        try {
+            topics = this.parseTopics(req.query.topics);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        const since = this.parseSince(req.query.since ?? req.get('Last-Event-ID'));
+
+        const client = this.addClient(
+            'sse',
+            topics,
+            event => res.write(`id: ${event.seq}\nevent: ${event.topic}\ndata: ${JSON.stringify(event)}\n\n`),
+            () => res.end()
+        );
+
+        if (!client) {
+            return res.status(503).json({ success: false, error: 'Push feed at client capacity' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${this.config.retryMs}\n\n`);
+        client.ping = () => res.write(': ping\n\n');
+
+        this.replay(client, since);
+
+        req.on('close', () => this.removeClient(client.id));
+    }
+
+    /**
+     * Attach the WebSocket endpoint to the HTTP server returned by app.listen
+     */
+    attach(server) {
+        if (this.wss) return;
+
+        this.wss = new WebSocket.Server({
+            server,
+            path: this.config.wsPath,
+            verifyClient: (info) => this.verifyClient(info)
+        });
+        this.wss.on('connection', (socket, req) => this.handleSocket(socket, req));
+
+        console.log(`[PUSH_FEED] WebSocket endpoint on ${this.config.wsPath}`);
+    }
+
+    /**
+     * Same credentials as the REST API (headers or ?api_key= / ?access_token=)
+     */
+    verifyClient(info) {
+        if (!apiAuthService.config.enabled) return true;
+
+        const url = new URL(info.req.url, 'http://localhost');
+        const { principal } = apiAuthService.authenticate(info.req.headers, Object.fromEntries(url.searchParams));
+        return Boolean(principal) && apiAuthService.consumeRateLimit(principal).allowed;
+    }
+
+    handleSocket(socket, req) {
+        const url = new URL(req.url, 'http://localhost');
+
+        let topics;
+        try {
+            topics = this.parseTopics(url.searchParams.get('topics'));
+        } catch (error) {
+            this.rejectSocket(socket, error.message);
+            return;
+        }
+
+        const client = this.addClient(
+            'ws',
+            topics,
+            event => socket.send(JSON.stringify(event)),
+            () => socket.close()
+        );
+
+        if (!client) {
+            socket.close(1013, 'Push feed at client capacity');
+            return;
+        }
+
+        client.ping = () => socket.ping();
+
+        socket.on('message', raw => this.handleSocketMessage(client, raw, socket));
+        socket.on('close', () => this.removeClient(client.id));
+        socket.on('error', () => this.removeClient(client.id));
+
+        socket.send(JSON.stringify({
+            seq: this.sequence,
+            topic: 'welcome',
+            data: { clientId: client.id, topics: Array.from(client.topics) },
+            timestamp: clock.now()
+        }));
+
+        this.replay(client, this.parseSince(url.searchParams.get('since')));
+    }
+
+    /**
+     * { action: 'subscribe'|'unsubscribe', topics, since }
+     */
+    handleSocketMessage(client, raw, socket) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (e) {
+            return;
+        }
+
+        let topics;
+        try {
+            topics = this.parseTopics(message.topics);
+        } catch (error) {
+            this.rejectSocket(socket, error.message);
+            return;
+        }
+
+        if (message.action === 'subscribe') {
+            topics.forEach(t => client.topics.add(t));
+            this.replay({ ...client, topics }, this.parseSince(message.since));
+        } else if (message.action === 'unsubscribe') {
+            topics.forEach(t => client.topics.delete(t));
+        }
+    }
+
+    /**
+     * 'error' frame, then close (1008 policy violation)
+     */
+    rejectSocket(socket, error) {
+        socket.send(JSON.stringify({
+            seq: this.sequence,
+            topic: 'error',
+            data: { error },
+            timestamp: clock.now()
+        }));
+        socket.close(1008, error.slice(0, 120));
+    }
+
+    heartbeat() {
+        for (const client of this.clients.values()) {
+            try {
+                if (client.ping) client.ping();
+            } catch (e) {
+                this.removeClient(client.id);
+            }
+        }
+    }
+
+    getStatus() {
+        const byTransport = { sse: 0, ws: 0 };
+        for (const client of this.clients.values()) {
+            byTransport[client.transport]++;
+        }
+
+        return {
+            running: this.running,
+            latestSeq: this.sequence,
+            oldestSeq: this.buffer.length > 0 ? this.buffer[0].seq : null,
+            buffered: this.buffer.length,
+            clients: this.clients.size,
+            byTransport,
+            topics: Object.values(TOPICS),
+            ...this.stats
+        };
+    }
+}
+
+const pushFeedService = new PushFeedService();
+pushFeedService.TOPICS = TOPICS;
+
+module.exports = pushFeedService;
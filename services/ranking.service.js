@@ -1,4 +1,5 @@
 const settings = require('../config/settings.config');
+const clock = require('./clock.service');
 
 class RankingService {
     constructor() {
@@ -31,7 +32,7 @@ class RankingService {
                     atrPercent: data.indicators.atrPercent
                 },
                 signal: data.signal,
-                timestamp: Date.now()
+                timestamp: clock.now()
             });
         });
 
@@ -48,7 +49,7 @@ class RankingService {
                 rank: r.rank,
                 score: r.totalScore
             })),
-            timestamp: Date.now()
+            timestamp: clock.now()
         });
 
         if (this.rankHistory.length > 100) {
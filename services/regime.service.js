@@ -1,5 +1,6 @@
 const settings = require('../config/settings.config');
 const safetyService = require('./safety.service');
+const clock = require('./clock.service');
 
 class RegimeService {
     constructor() {
@@ -37,7 +38,7 @@ class RegimeService {
         const regime = this.determineRegime(volatility, trend, momentum, structure);
         
         this.currentRegime = regime;
-        this.regimeHistory.push({ ...regime, timestamp: Date.now() });
+        this.regimeHistory.push({ ...regime, timestamp: clock.now() });
         
         if (this.regimeHistory.length > 500) {
             this.regimeHistory.shift();
@@ -78,7 +79,7 @@ class RegimeService {
             atrPercent,
             bbBandwidth,
             bbVolatility,
-            timestamp: Date.now()
+            timestamp: clock.now()
         });
 
         if (this.volatilityHistory.length > 100) {
@@ -175,7 +176,7 @@ class RegimeService {
             strength,
             quality,
             adx,
-            timestamp: Date.now()
+            timestamp: clock.now()
         });
 
         if (this.trendHistory.length > 100) {
@@ -473,7 +474,7 @@ class RegimeService {
         const intradayRange = ((high - low) / low) * 100;
         const vixData = safetyService.getVIXData();
         const vix = vixData.vix;
-        const dayOfWeek = new Date().getDay();
+        const dayOfWeek = clock.date().getDay();
         
         // Store gap info
         this.gapInfo = {
@@ -548,7 +549,7 @@ class RegimeService {
                 intradayRange: parseFloat(intradayRange.toFixed(2)),
                 vix
             },
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
         
         // Record history
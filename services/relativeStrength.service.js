@@ -5,6 +5,8 @@
  */
 
 const marketStateService = require('./marketState.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
 
 class RelativeStrengthService {
     constructor() {
@@ -15,7 +17,7 @@ class RelativeStrengthService {
         };
 
         this.config = {
-            updateIntervalMs: 5000,
+            barInterval: 'ONE_MINUTE',
             underperformThreshold: -1,   // Block if RS < -1%
             strongOutperformThreshold: 2, // Upgrade if RS > 2%
             lookbackCandles15m: 12,       // 3 hours of 15m candles
@@ -29,7 +31,7 @@ class RelativeStrengthService {
         };
 
         this.rsHistory = new Map();  // token -> [{ timestamp, rs }]
-        this.updateInterval = null;
+        this.unsubscribeBars = null;
 
         console.log('[RELATIVE_STRENGTH] Initializing RS engine...');
         console.log('[RELATIVE_STRENGTH] Initialized');
@@ -39,26 +41,26 @@ class RelativeStrengthService {
      * Start periodic RS calculation
      */
     start() {
-        if (this.updateInterval) {
+        if (this.unsubscribeBars) {
             console.log('[RELATIVE_STRENGTH] Already running');
             return;
         }
 
         this.calculate();
-        this.updateInterval = setInterval(() => {
+        this.unsubscribeBars = eventBus.onBarClose(this.config.barInterval, () => {
             this.calculate();
-        }, this.config.updateIntervalMs);
+        }, 'RELATIVE_STRENGTH');
 
-        console.log('[RELATIVE_STRENGTH] Started - updating every 5 seconds');
+        console.log('[RELATIVE_STRENGTH] Started - updating on every 1m bar close');
     }
 
     /**
      * Stop RS calculation
      */
     stop() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+        if (this.unsubscribeBars) {
+            this.unsubscribeBars();
+            this.unsubscribeBars = null;
             console.log('[RELATIVE_STRENGTH] Stopped');
         }
     }
@@ -87,7 +89,7 @@ class RelativeStrengthService {
 
             // Calculate RS slope (rate of change)
             const history = this.rsHistory.get(token) || [];
-            history.push({ timestamp: Date.now(), rs, stockChange, indexChange: niftyChange });
+            history.push({ timestamp: clock.now(), rs, stockChange, indexChange: niftyChange });
             
             // Keep last 60 readings (5 min of 5-sec updates)
             if (history.length > 60) {
@@ -109,7 +111,7 @@ class RelativeStrengthService {
                 rs1hSlope: Math.round(rs1hSlope * 100) / 100,
                 trend: rs > 0 ? 'OUTPERFORM' : rs < 0 ? 'UNDERPERFORM' : 'INLINE',
                 strength: Math.abs(rs) > 2 ? 'STRONG' : Math.abs(rs) > 1 ? 'MODERATE' : 'WEAK',
-                timestamp: Date.now()
+                timestamp: clock.now()
             };
 
             this.state.rsScores.set(token, rsData);
@@ -124,7 +126,7 @@ class RelativeStrengthService {
             data.percentile = Math.round(percentile);
         });
 
-        this.state.lastUpdate = Date.now();
+        this.state.lastUpdate = clock.now();
     }
 
     /**
@@ -0,0 +1,532 @@
+/**
+ * REPLAY ENGINE SERVICE - HISTORICAL BACKTEST THROUGH THE LIVE PIPELINE
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Verify Elite Lock claims (+1% hit, fake break, MAE) off-hours
+ *
+ * FLOW (per bar close, simulated clock):
+ * RECORDED CANDLES/TICKS → masterSignalGuard.validateSignalSync
+ *   (ignition → runner UP / collapse DOWN → regime → hard guards → confidence)
+ *   → exitCommander.checkExit on every later bar / tick → OUTCOME
+ *
+ * NOTHING IS RE-IMPLEMENTED: the locked services run exactly as in production.
+ * Only the clock and the market feed are simulated.
+ *
+ * SESSION FILE (JSON):
+ * {
+ *   name, interval: 'FIVE_MINUTE',
+ *   benchmark: { symbol: 'NIFTY', candles: [...] },          // optional
+ *   instruments: [{ token, symbol, exchange, isOption, spreadPercent,
+ *                   candles: [{ timestamp, open, high, low, close, volume }],
+ *                   ticks:   [{ timestamp, ltp, volume }] }]  // optional
+ * }
+ *
+ * OUTCOME DEFINITIONS (same as shadow-mode tables):
+ * - +1% HIT    : Favourable excursion reaches +1% before exit
+ * - FAKE BREAK : Adverse excursion reaches fakeBreakPercent before +1% hit
+ * - MAE / MFE  : Max adverse / favourable excursion from entry (%)
+ *
+ * OFFLINE TOOL: Run via replay.js - it drives the process-wide service singletons.
+ *
+ * THRESHOLDS: Each report carries a runId and the threshold profile { id, hash }
+ * it ran under - the evidence thresholdProfiles.promote() asks for.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const masterSignalGuardService = require('./masterSignalGuard.service');
+const exitCommanderService = require('./exitCommander.service');
+const signalJournalService = require('./signalJournal.service');
+const productionConfig = require('./production.config');
+const thresholdProfilesService = require('./thresholdProfiles.service');
+const clock = require('./clock.service');
+
+let adaptiveRegimeService = null;
+try {
+    adaptiveRegimeService = require('./adaptiveRegime.service');
+} catch (e) {
+    console.log('[REPLAY] Adaptive Regime not available - regime stays UNKNOWN');
+}
+
+const INTERVAL_MS = {
+    ONE_MINUTE: 60000,
+    THREE_MINUTE: 180000,
+    FIVE_MINUTE: 300000,
+    FIFTEEN_MINUTE: 900000
+};
+
+class ReplayEngineService {
+    constructor() {
+        this.config = {
+            warmupBars: 120,             // Candle integrity needs 120 bars
+            plusOnePercent: 1.0,         // +1% hit threshold
+            fakeBreakPercent: 0.5,       // Adverse move that marks a fake break
+            defaultSpreadPercent: 0.05,
+            reentryCooldownBars: 3,
+            quiet: true                  // Silence pipeline console noise during run
+        };
+
+        this.lastReport = null;
+    }
+
+    /**
+     * Load a session file from disk
+     */
+    loadSession(filePath) {
+        const raw = fs.readFileSync(path.resolve(filePath), 'utf8');
+        const session = JSON.parse(raw);
+
+        if (!Array.isArray(session.instruments) || session.instruments.length === 0) {
+            throw new Error('Replay session has no instruments');
+        }
+
+        session.name = session.name || path.basename(filePath, '.json');
+        session.interval = session.interval || 'FIVE_MINUTE';
+
+        return session;
+    }
+
+    /**
+     * MAIN: Replay a session and return the outcome report
+     */
+    run(session, options = {}) {
+        const config = { ...this.config, ...options };
+        const intervalMs = INTERVAL_MS[session.interval] || INTERVAL_MS.FIVE_MINUTE;
+        const timeline = this.buildTimeline(session, intervalMs);
+
+        if (timeline.length === 0) {
+            throw new Error('Replay session has no candles');
+        }
+
+        const state = {
+            instruments: new Map(),      // token -> { meta, candles, tickIdx, position, cooldownUntil }
+            trades: [],
+            evaluated: 0,
+            passed: 0,
+            blockReasons: new Map()
+        };
+
+        for (const inst of session.instruments) {
+            state.instruments.set(String(inst.token), {
+                meta: inst,
+                candles: [],
+                ticks: (inst.ticks || []).slice().sort((a, b) => a.timestamp - b.timestamp),
+                tickIdx: 0,
+                intervalMs,
+                position: null,
+                cooldownUntil: 0
+            });
+        }
+
+        const benchmark = (session.benchmark?.candles || []).slice().sort((a, b) => a.timestamp - b.timestamp);
+        let benchmarkIdx = 0;
+
+        const previousStore = signalJournalService.store;
+        const originalLog = console.log;
+        const logBlocks = masterSignalGuardService.config.logAllBlocks;
+
+        signalJournalService.setStore(new signalJournalService.MemoryJournalStore());
+        masterSignalGuardService.config.logAllBlocks = !config.quiet;
+        if (config.quiet) console.log = () => {};
+
+        // Every service reads replay time from the shared clock for the run
+        clock.useFake(timeline[0].closeTime);
+
+        try {
+            for (const event of timeline) {
+                clock.set(event.closeTime);
+
+                // Benchmark first so regime / niftyChange see the same bar
+                while (benchmarkIdx < benchmark.length && benchmark[benchmarkIdx].timestamp + intervalMs <= event.closeTime) {
+                    benchmarkIdx++;
+                }
+                const benchmarkBars = benchmark.slice(0, benchmarkIdx);
+                if (adaptiveRegimeService && benchmarkBars.length > 0 && event.first) {
+                    this.feedBenchmark(benchmarkBars);
+                }
+
+                const inst = state.instruments.get(event.token);
+                this.processTicks(inst, event.closeTime, config, state);
+                inst.candles.push(event.candle);
+
+                if (inst.position) {
+                    this.trackBar(inst, event.candle, config, state);
+                } else if (inst.candles.length >= config.warmupBars && event.closeTime >= inst.cooldownUntil) {
+                    this.evaluateEntry(inst, event, benchmarkBars, config, state);
+                }
+            }
+
+            // Close anything still open at the last price
+            for (const inst of state.instruments.values()) {
+                if (inst.position) {
+                    const last = inst.candles[inst.candles.length - 1];
+                    this.closeTrade(inst, last.close, 'SESSION_END', null, state);
+                }
+            }
+        } finally {
+            clock.useReal();
+            console.log = originalLog;
+            masterSignalGuardService.config.logAllBlocks = logBlocks;
+            signalJournalService.setStore(previousStore);
+        }
+
+        const report = this.buildReport(session, state, config);
+        this.lastReport = report;
+
+        console.log(`[REPLAY] ${session.name}: ${report.summary.signals} signals | +1% ${report.summary.plusOneHitRate}% | Fake ${report.summary.fakeBreakRate}% | MAE ${report.summary.avgMAE}%`);
+
+        return report;
+    }
+
+    /**
+     * Merge all instrument candles into one time-ordered bar-close stream
+     */
+    buildTimeline(session, intervalMs) {
+        const events = [];
+
+        for (const inst of session.instruments) {
+            for (const candle of inst.candles || []) {
+                events.push({
+                    token: String(inst.token),
+                    candle,
+                    closeTime: candle.timestamp + intervalMs
+                });
+            }
+        }
+
+        events.sort((a, b) => a.closeTime - b.closeTime);
+
+        // Flag the first event of each bar-close time (benchmark refresh)
+        let lastTime = null;
+        for (const event of events) {
+            event.first = event.closeTime !== lastTime;
+            lastTime = event.closeTime;
+        }
+
+        return events;
+    }
+
+    feedBenchmark(bars) {
+        const dayBars = this.getDayBars(bars);
+        const last = bars[bars.length - 1];
+
+        adaptiveRegimeService.updateNiftyData({
+            open: dayBars[0].open,
+            high: Math.max(...dayBars.map(c => c.high)),
+            low: Math.min(...dayBars.map(c => c.low)),
+            ltp: last.close,
+            vwap: this.calculateVWAP(dayBars),
+            candles5m: bars.slice(-100)
+        });
+    }
+
+    /**
+     * Run the real guard pipeline on a bar close
+     */
+    evaluateEntry(inst, event, benchmarkBars, config, state) {
+        const candle = event.candle;
+        const dayBars = this.getDayBars(inst.candles);
+        const openPrice = dayBars[0].open;
+        const ltp = candle.close;
+
+        const benchmarkDay = benchmarkBars.length > 0 ? this.getDayBars(benchmarkBars) : [];
+        const niftyChange = benchmarkDay.length > 0
+            ? ((benchmarkDay[benchmarkDay.length - 1].close - benchmarkDay[0].open) / benchmarkDay[0].open) * 100
+            : 0;
+
+        const type = ltp >= openPrice ? 'BUY' : 'SELL';
+        const signal = {
+            instrument: {
+                token: inst.meta.token,
+                symbol: inst.meta.symbol,
+                exchange: inst.meta.exchange
+            },
+            token: inst.meta.token,
+            type,
+            signal: type,
+            price: ltp,
+            isOption: inst.meta.isOption || false,
+            underlying: inst.meta.underlying,
+            optionType: inst.meta.optionType,
+            spreadPercent: inst.meta.spreadPercent ?? config.defaultSpreadPercent,
+            openPrice,
+            openPremium: openPrice,
+            niftyChange,
+            underlyingChange: niftyChange,
+            vwap: this.calculateVWAP(dayBars),
+            circuitLimits: inst.meta.circuitLimits
+        };
+
+        state.evaluated++;
+        const result = masterSignalGuardService.validateSignalSync(signal, inst.candles.slice(-200));
+
+        if (!result.allowed) {
+            const reasonKey = (result.blockReasons[0] || 'UNKNOWN').split(':')[0];
+            state.blockReasons.set(reasonKey, (state.blockReasons.get(reasonKey) || 0) + 1);
+            return;
+        }
+
+        state.passed++;
+
+        const finalType = result.signal.eliteCollapse?.signal || result.signal.type || type;
+        const direction = finalType.includes('BUY') ? 'LONG' : 'SHORT';
+        const zone = result.signal.eliteRunner?.zone || result.signal.eliteCollapse?.zone || null;
+
+        exitCommanderService.registerPosition(String(inst.meta.token), {
+            symbol: inst.meta.symbol,
+            entryPrice: ltp,
+            direction,
+            isOption: signal.isOption,
+            vwap: signal.vwap,
+            atr: this.calculateATR(inst.candles),
+            regime: masterSignalGuardService.currentRegime
+        });
+
+        inst.position = {
+            symbol: inst.meta.symbol,
+            token: inst.meta.token,
+            type: finalType,
+            direction,
+            zone,
+            confidence: result.finalConfidence,
+            entryTime: event.closeTime,
+            entryPrice: ltp,
+            mfePercent: 0,
+            maePercent: 0,
+            hitPlusOne: false,
+            fakeBreak: false
+        };
+    }
+
+    /**
+     * Feed recorded ticks up to a bar close (finer exits / excursions)
+     */
+    processTicks(inst, untilTime, config, state) {
+        while (inst.tickIdx < inst.ticks.length && inst.ticks[inst.tickIdx].timestamp <= untilTime) {
+            const tick = inst.ticks[inst.tickIdx++];
+            if (!inst.position || tick.timestamp <= inst.position.entryTime) continue;
+
+            clock.set(tick.timestamp);
+            this.updateExcursion(inst.position, tick.ltp, tick.ltp, config);
+            this.checkExit(inst, tick.ltp, config, state);
+        }
+        clock.set(untilTime);
+    }
+
+    /**
+     * Bar-level tracking for an open trade
+     */
+    trackBar(inst, candle, config, state) {
+        if (inst.ticks.length === 0) {
+            this.updateExcursion(inst.position, candle.high, candle.low, config);
+        }
+        if (inst.position) {
+            this.checkExit(inst, candle.close, config, state);
+        }
+    }
+
+    updateExcursion(position, high, low, config) {
+        const favourable = position.direction === 'LONG'
+            ? ((high - position.entryPrice) / position.entryPrice) * 100
+            : ((position.entryPrice - low) / position.entryPrice) * 100;
+        const adverse = position.direction === 'LONG'
+            ? ((position.entryPrice - low) / position.entryPrice) * 100
+            : ((high - position.entryPrice) / position.entryPrice) * 100;
+
+        // Adverse first: a bar that touches both counts as a fake break
+        position.maePercent = Math.max(position.maePercent, adverse);
+        if (!position.hitPlusOne && position.maePercent >= config.fakeBreakPercent) {
+            position.fakeBreak = true;
+        }
+
+        position.mfePercent = Math.max(position.mfePercent, favourable);
+        if (position.mfePercent >= config.plusOnePercent) {
+            position.hitPlusOne = true;
+        }
+    }
+
+    checkExit(inst, ltp, config, state) {
+        const dayBars = this.getDayBars(inst.candles);
+        const exitResult = exitCommanderService.checkExit(String(inst.meta.token), {
+            ltp,
+            vwap: this.calculateVWAP(dayBars),
+            candles: inst.candles.slice(-50),
+            atr: this.calculateATR(inst.candles),
+            regime: masterSignalGuardService.currentRegime
+        });
+
+        if (exitResult.exitSignal) {
+            this.closeTrade(inst, ltp, `${exitResult.exitType}:${exitResult.exitSubtype}`, exitResult.exitReason, state);
+            inst.cooldownUntil = clock.now() + config.reentryCooldownBars * inst.intervalMs;
+        }
+    }
+
+    closeTrade(inst, exitPrice, exitType, exitReason, state) {
+        const position = inst.position;
+        exitCommanderService.closePosition(String(inst.meta.token), exitPrice);
+        exitCommanderService.exitHistory.pop();   // Replay exits stay out of live history
+
+        const pnlPercent = position.direction === 'LONG'
+            ? ((exitPrice - position.entryPrice) / position.entryPrice) * 100
+            : ((position.entryPrice - exitPrice) / position.entryPrice) * 100;
+
+        state.trades.push({
+            ...position,
+            exitTime: clock.now(),
+            exitPrice,
+            exitType,
+            exitReason,
+            pnlPercent: this.round(pnlPercent),
+            mfePercent: this.round(position.mfePercent),
+            maePercent: this.round(position.maePercent)
+        });
+
+        inst.position = null;
+    }
+
+    /**
+     * Per-signal table + summary comparable to the README shadow tables
+     */
+    buildReport(session, state, config) {
+        const trades = state.trades;
+        const summary = this.summarize(trades);
+
+        const byZone = {};
+        for (const trade of trades) {
+            const zone = trade.zone || 'NONE';
+            if (!byZone[zone]) byZone[zone] = [];
+            byZone[zone].push(trade);
+        }
+
+        const validation = productionConfig.VALIDATION;
+        const generatedAt = clock.date();
+
+        // IST trading days covered - a promotion needs ≥3 across its validation runs
+        const dayKey = ts => new Date(ts + 19800000).toISOString().slice(0, 10);
+        const days = [...new Set(session.instruments.flatMap(inst => (inst.candles || []).map(c => dayKey(c.timestamp))))].sort();
+
+        return {
+            runId: `${session.name}-${generatedAt.getTime().toString(36)}`,
+            session: session.name,
+            interval: session.interval,
+            instruments: session.instruments.length,
+            generatedAt: generatedAt.toISOString(),
+            period: { from: days[0] || null, to: days[days.length - 1] || null, days },
+            thresholdProfile: thresholdProfilesService.describeLive(),
+            config,
+            pipeline: {
+                evaluated: state.evaluated,
+                passed: state.passed,
+                blocked: state.evaluated - state.passed,
+                blockReasons: Object.fromEntries(
+                    [...state.blockReasons.entries()].sort((a, b) => b[1] - a[1])
+                )
+            },
+            summary,
+            byZone: Object.fromEntries(Object.entries(byZone).map(([zone, list]) => [zone, this.summarize(list)])),
+            hardConditions: {
+                fakeBreak: { value: summary.fakeBreakRate, limit: 15, passed: summary.signals > 0 && summary.fakeBreakRate <= 15 },
+                mae: { value: summary.avgMAE, limit: 0.5, passed: summary.signals > 0 && summary.avgMAE <= 0.5 },
+                plusOneHit: { value: summary.plusOneHitRate, limit: 75, passed: summary.signals > 0 && summary.plusOneHitRate >= 75 }
+            },
+            lockedBaseline: {
+                plusOneHit: validation.avgPlusOneHit,
+                fakeBreak: validation.avgFakeBreak,
+                mae: validation.avgMAE
+            },
+            trades: trades.map(t => ({
+                symbol: t.symbol,
+                token: t.token,
+                type: t.type,
+                zone: t.zone,
+                confidence: t.confidence,
+                entryTime: new Date(t.entryTime).toISOString(),
+                entryPrice: t.entryPrice,
+                exitTime: new Date(t.exitTime).toISOString(),
+                exitPrice: t.exitPrice,
+                exitType: t.exitType,
+                exitReason: t.exitReason,
+                pnlPercent: t.pnlPercent,
+                mfePercent: t.mfePercent,
+                maePercent: t.maePercent,
+                hitPlusOne: t.hitPlusOne,
+                fakeBreak: t.fakeBreak
+            }))
+        };
+    }
+
+    summarize(trades) {
+        const n = trades.length;
+        const pct = count => n > 0 ? this.round((count / n) * 100, 1) : 0;
+        const avg = key => n > 0 ? this.round(trades.reduce((s, t) => s + t[key], 0) / n) : 0;
+
+        return {
+            signals: n,
+            plusOneHitRate: pct(trades.filter(t => t.hitPlusOne).length),
+            fakeBreakRate: pct(trades.filter(t => t.fakeBreak).length),
+            avgMAE: avg('maePercent'),
+            avgMFE: avg('mfePercent'),
+            avgPnL: avg('pnlPercent'),
+            winRate: pct(trades.filter(t => t.pnlPercent > 0).length)
+        };
+    }
+
+    /**
+     * Save report next to other runtime data
+     */
+    saveReport(report, outPath) {
+        const target = path.resolve(outPath || `./data/replay/report_${report.session}.json`);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, JSON.stringify(report, null, 2));
+        return target;
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // UTILITY METHODS
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Bars belonging to the same IST day as the last bar
+     */
+    getDayBars(candles) {
+        const dayKey = c => Math.floor((c.timestamp + 19800000) / 86400000);
+        const lastDay = dayKey(candles[candles.length - 1]);
+        let start = candles.length - 1;
+        while (start > 0 && dayKey(candles[start - 1]) === lastDay) start--;
+        return candles.slice(start);
+    }
+
+    calculateVWAP(candles) {
+        let pv = 0;
+        let volume = 0;
+        for (const c of candles) {
+            const typical = (c.high + c.low + c.close) / 3;
+            pv += typical * (c.volume || 0);
+            volume += c.volume || 0;
+        }
+        return volume > 0 ? pv / volume : candles[candles.length - 1]?.close || 0;
+    }
+
+    calculateATR(candles, period = 14) {
+        if (candles.length < period + 1) return 0;
+        let sum = 0;
+        for (let i = candles.length - period; i < candles.length; i++) {
+            const c = candles[i];
+            const prevClose = candles[i - 1].close;
+            sum += Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+        }
+        return sum / period;
+    }
+
+    round(value, decimals = 2) {
+        return parseFloat(value.toFixed(decimals));
+    }
+
+    getLastReport() {
+        return this.lastReport;
+    }
+}
+
+module.exports = new ReplayEngineService();
@@ -1,6 +1,7 @@
 const instruments = require('../config/instruments.config');
 const settings = require('../config/settings.config');
 const wsService = require('./websocket.service');
+const clock = require('./clock.service');
 
 // V6: Exit Commander Integration
 let exitCommander = null;
@@ -56,7 +57,7 @@ class RunnerEngineService {
             if (exitCommander) {
                 this.checkExitConditions(data);
             }
-        });
+        }, 'RUNNER_ENGINE');
         
         console.log('[RUNNER_ENGINE] Initialized');
         if (exitCommander) {
@@ -138,7 +139,7 @@ class RunnerEngineService {
             percentMove: parseFloat(percentMove.toFixed(2)),
             direction: percentMove > 0 ? 'UP' : 'DOWN',
             triggeredTiers: this.tierAlerts.get(token) || [],
-            lastUpdate: Date.now()
+            lastUpdate: clock.now()
         });
     }
 
@@ -167,7 +168,7 @@ class RunnerEngineService {
             currentPremium,
             percentGain: parseFloat(percentGain.toFixed(2)),
             triggeredTiers: this.premiumTierAlerts.get(token) || [],
-            lastUpdate: Date.now()
+            lastUpdate: clock.now()
         });
     }
 
@@ -187,7 +188,7 @@ class RunnerEngineService {
             .sort((a, b) => b.percentGain - a.percentGain);
     }
 
-    recordPrice(token, price, volume, timestamp = Date.now()) {
+    recordPrice(token, price, volume, timestamp = clock.now()) {
         const history = this.priceHistory.get(token) || [];
         
         history.push({ price, volume, timestamp });
@@ -302,7 +303,7 @@ class RunnerEngineService {
             this.earlyMovers.set(history[0].token, {
                 movePercent,
                 direction: movePercent > 0 ? 'UP' : 'DOWN',
-                timestamp: Date.now()
+                timestamp: clock.now()
             });
 
             return {
@@ -363,7 +364,7 @@ class RunnerEngineService {
             this.rangeBreakouts.set(history[0]?.token, {
                 direction: breakoutUp ? 'UP' : 'DOWN',
                 breakoutPercent,
-                timestamp: Date.now()
+                timestamp: clock.now()
             });
 
             return {
@@ -450,7 +451,7 @@ class RunnerEngineService {
             sectorOutperformance: sectorScore,
             isRunner: Math.abs(totalMovePercent) >= this.config.runnerThreshold,
             isBigRunner: Math.abs(totalMovePercent) >= this.config.bigRunnerThreshold,
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
     }
 
@@ -491,7 +492,7 @@ class RunnerEngineService {
                 avgMovePercent: parseFloat(avgMove.toFixed(2)),
                 stockCount: count,
                 outperformance: avgMove > 1 ? Math.min(20, avgMove * 5) : 0,
-                timestamp: Date.now()
+                timestamp: clock.now()
             });
         }
     }
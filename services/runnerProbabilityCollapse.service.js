@@ -18,6 +18,8 @@
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
+const productionConfig = require('./production.config');
+
 class RunnerProbabilityCollapseService {
     constructor() {
         console.log('[COLLAPSE_V7] Initializing Elite Collapse Detection...');
@@ -759,6 +761,16 @@ class RunnerProbabilityCollapseService {
             });
         }
     }
+
+    /**
+     * Rejected under ELITE LOCK - thresholds change only through a promoted
+     * profile (thresholdProfiles.service), applied at boot
+     */
+    updateConfig(newConfig) {
+        productionConfig.assertUnlocked('COLLAPSE.updateConfig');
+        this.config = { ...this.config, ...newConfig };
+        console.log('[COLLAPSE_V7] Config updated:', this.config);
+    }
 }
 
 module.exports = new RunnerProbabilityCollapseService();
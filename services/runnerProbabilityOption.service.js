@@ -22,6 +22,9 @@
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
+const productionConfig = require('./production.config');
+const clock = require('./clock.service');
+
 class RunnerProbabilityOptionService {
     constructor() {
         // Premium move zones
@@ -135,7 +138,7 @@ class RunnerProbabilityOptionService {
         const result = {
             symbol,
             token,
-            timestamp: new Date().toISOString(),
+            timestamp: clock.date().toISOString(),
             passed: false,
             score: 0,
             isElite: false,
@@ -728,6 +731,16 @@ class RunnerProbabilityOptionService {
 
         if (this.signalHistory.length > 100) this.signalHistory.shift();
     }
+
+    /**
+     * Rejected under ELITE LOCK - thresholds change only through a promoted
+     * profile (thresholdProfiles.service), applied at boot
+     */
+    updateConfig(newConfig) {
+        productionConfig.assertUnlocked('RUNNER_OPTION.updateConfig');
+        this.config = { ...this.config, ...newConfig };
+        console.log('[RUNNER_OPTION_V7] Config updated:', this.config);
+    }
 }
 
 module.exports = new RunnerProbabilityOptionService();
@@ -12,10 +12,16 @@
  * 🟠 8-9.5% : Only if circuit 10%, room ≥1.5%
  * 🔴 <1% room: No fresh entry
  * 
+ * COMMODITY (MCX): move, room and RS are rescaled to a 10% band from the
+ * contract's own price limit, so the same zones apply to a 3% GOLDM band
+ * 
  * ELITE_RUNNER: Score ≥ 85 → +8 confidence boost
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
+const productionConfig = require('./production.config');
+const clock = require('./clock.service');
+
 class RunnerProbabilityStockService {
     constructor() {
         // Zone-based thresholds
@@ -125,13 +131,15 @@ class RunnerProbabilityStockService {
             structuralSL,
             vwap,
             candles,
-            blockOrderScore
+            blockOrderScore,
+            segment = 'EQUITY'
         } = data;
 
         const result = {
             symbol,
             token,
-            timestamp: new Date().toISOString(),
+            segment,
+            timestamp: clock.date().toISOString(),
             passed: false,
             score: 0,
             isElite: false,
@@ -149,14 +157,20 @@ class RunnerProbabilityStockService {
         // STEP 1: Calculate move and remaining room
         // ═══════════════════════════════════════════════════════════════
         
-        const movePercent = this.calculateMoveFromOpen(currentPrice, openPrice);
-        const circuitPercent = this.getCircuitPercent(circuitLimits, openPrice);
+        const rawMovePercent = this.calculateMoveFromOpen(currentPrice, openPrice);
+        const rawCircuitPercent = this.getCircuitPercent(circuitLimits, openPrice);
+        const bandScale = this.getBandScale(segment, rawCircuitPercent);
+        const movePercent = rawMovePercent * bandScale;
+        const circuitPercent = rawCircuitPercent * bandScale;
         const remainingRoom = circuitPercent - movePercent;
         
         result.movePercent = movePercent;
         result.remainingRoom = remainingRoom;
         result.circuitPercent = circuitPercent;
         result.breakdown.move = { movePercent, circuitPercent, remainingRoom };
+        if (bandScale !== 1) {
+            result.breakdown.move.band = { rawMovePercent, rawCircuitPercent, bandScale };
+        }
 
         // ═══════════════════════════════════════════════════════════════
         // STEP 2: ABSOLUTE BLOCK - Remaining room < 1%
@@ -208,12 +222,13 @@ class RunnerProbabilityStockService {
         }
 
         // 4b: RS check
-        const rsCheck = this.checkRS(currentPrice, openPrice, niftyChange, zoneReqs.minRS);
+        const minRS = zoneReqs.minRS / bandScale;
+        const rsCheck = this.checkRS(currentPrice, openPrice, niftyChange, minRS);
         result.breakdown.rs = rsCheck;
         if (!rsCheck.passed) {
             result.blockers.push({
                 filter: 'RS',
-                reason: `RS ${rsCheck.rsValue?.toFixed(2)}% < ${zoneReqs.minRS}% (${zone} zone)`,
+                reason: `RS ${rsCheck.rsValue?.toFixed(2)}% < ${parseFloat(minRS.toFixed(2))}% (${zone} zone)`,
                 severity: 'ZONE_BLOCK'
             });
         }
@@ -417,6 +432,14 @@ class RunnerProbabilityStockService {
         return ((circuitLimits.upper - openPrice) / openPrice) * 100;
     }
 
+    /**
+     * MCX limits are 3-5%, not NSE's 10-20% - rescale commodities to a 10% band
+     */
+    getBandScale(segment, circuitPercent) {
+        if (segment !== 'COMMODITY' || !circuitPercent) return 1;
+        return 10 / circuitPercent;
+    }
+
     determineZone(movePercent, circuitPercent) {
         // Determine which zone the current move falls into
         if (movePercent >= this.zones.EARLY.min && movePercent < this.zones.EARLY.max) {
@@ -756,6 +779,16 @@ class RunnerProbabilityStockService {
 
         if (this.signalHistory.length > 100) this.signalHistory.shift();
     }
+
+    /**
+     * Rejected under ELITE LOCK - thresholds change only through a promoted
+     * profile (thresholdProfiles.service), applied at boot
+     */
+    updateConfig(newConfig) {
+        productionConfig.assertUnlocked('RUNNER_STOCK.updateConfig');
+        this.config = { ...this.config, ...newConfig };
+        console.log('[RUNNER_STOCK_V7] Config updated:', this.config);
+    }
 }
 
 module.exports = new RunnerProbabilityStockService();
@@ -1,6 +1,7 @@
 const settings = require('../config/settings.config');
 const axios = require('axios');
 const config = require('../config/angel.config');
+const clock = require('./clock.service');
 
 class SafetyService {
     constructor() {
@@ -54,7 +55,7 @@ class SafetyService {
             if (response.data?.data?.ltp) {
                 this.currentVix = parseFloat(response.data.data.ltp);
                 this.vixLevel = this.getVIXLevel(this.currentVix);
-                this.vixLastUpdate = Date.now();
+                this.vixLastUpdate = clock.now();
                 
                 console.log(`[SAFETY] VIX updated: ${this.currentVix.toFixed(2)} (${this.vixLevel})`);
             }
@@ -152,7 +153,7 @@ class SafetyService {
     setVIX(vixValue) {
         this.currentVix = vixValue;
         this.vixLevel = this.getVIXLevel(vixValue);
-        this.vixLastUpdate = Date.now();
+        this.vixLastUpdate = clock.now();
         console.log(`[SAFETY] VIX manually set: ${vixValue} (${this.vixLevel})`);
     }
 
@@ -504,7 +505,7 @@ class SafetyService {
     }
 
     checkMarketHours() {
-        const now = new Date();
+        const now = clock.date();
         const day = now.getDay();
         const hours = now.getHours();
         const minutes = now.getMinutes();
@@ -7,6 +7,7 @@ const explosionService = require('./explosion.service');
 const institutionalService = require('./institutional.service');
 const rankingService = require('./ranking.service');
 const orchestratorService = require('./orchestrator.service');
+const clock = require('./clock.service');
 
 class ScannerService {
     constructor() {
@@ -29,7 +30,7 @@ class ScannerService {
         
         wsService.onPrice((data) => {
             this.handleLivePrice(data);
-        });
+        }, 'SCANNER');
 
         await wsService.connect();
         
@@ -94,7 +95,7 @@ class ScannerService {
     }
 
     async runFullScan() {
-        const startTime = Date.now();
+        const startTime = clock.now();
         console.log('[SCANNER] Running full market scan...');
         this.lastScanTime = startTime;
         this.scanStats.totalScans++;
@@ -159,7 +160,7 @@ class ScannerService {
 
         this.updateBreadth(analysisResults);
 
-        const duration = Date.now() - startTime;
+        const duration = clock.now() - startTime;
         this.scanStats.lastScanDuration = duration;
         this.scanStats.breakoutCandidates = breakoutCandidates;
 
@@ -201,7 +202,7 @@ class ScannerService {
                 h1Count: mtfCandles.h1?.length || 0,
                 d1Count: mtfCandles.d1?.length || 0
             },
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
     }
 
@@ -0,0 +1,468 @@
+/**
+ * SECTOR TAXONOMY SERVICE - DATA-DRIVEN SECTOR REGISTRY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Single source of truth for symbol → sector / industry / index weight,
+ * replacing the hard-coded sector maps in universeLoader, instruments.config,
+ * breadth and portfolioCommander
+ *
+ * SOURCE: Versioned constituents file (CSV or JSON), one row per index membership
+ *   symbol,sector,industry,index,weight
+ *   CSV metadata comes from leading '# key: value' lines (version, asOf, source);
+ *   JSON is { version, asOf, source, constituents: [{ symbol, sector, ... }] }
+ *
+ * SECTOR INDEX: Each sector's benchmark is the index carrying the most weight of
+ * its members (BANKING → NIFTY BANK, POWER → NIFTY ENERGY); a symbol's sector
+ * weight is its weight in that index
+ *
+ * HOT RELOAD: The file is watched; a bad edit keeps the previous registry
+ *
+ * OVERRIDES: Operator corrections (sector / industry) applied on top of the file,
+ * persisted to data/sectors/overrides.json so they survive restarts and reloads
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const settings = require('../config/settings.config');
+const clock = require('./clock.service');
+
+const UNKNOWN_SECTOR = 'OTHER';
+
+class SectorTaxonomyService {
+    constructor() {
+        this.config = {
+            file: './config/sectors/nse_sector_constituents.csv',
+            overridesFile: './data/sectors/overrides.json',
+            watch: true,
+            watchIntervalMs: 5000
+        };
+
+        this.meta = { version: null, asOf: null, source: null, file: null, checksum: null, loadedAt: null };
+        this.baseRecords = new Map();     // symbol -> record from the file
+        this.records = new Map();         // symbol -> record with overrides applied
+        this.sectors = new Map();         // sector -> [symbol] (heaviest first)
+        this.indices = new Map();         // index -> [{ symbol, weight }] (heaviest first)
+        this.sectorIndex = new Map();     // sector -> benchmark index
+        this.overrides = new Map();       // symbol -> { sector, industry, updatedAt }
+
+        this.reloadCallbacks = [];
+        this.watching = false;
+
+        this.stats = {
+            loads: 0,
+            loadErrors: 0,
+            lastError: null,
+            rowsSkipped: 0
+        };
+
+        this.loadConfig();
+        this.loadOverrides();
+        this.reload();
+    }
+
+    loadConfig() {
+        const taxonomyConfig = settings.sectorTaxonomy || {};
+        this.config = {
+            ...this.config,
+            ...taxonomyConfig
+        };
+    }
+
+    /**
+     * Watch the constituents file for edits
+     */
+    start() {
+        if (this.watching || !this.config.watch) return;
+
+        const file = path.resolve(this.config.file);
+        fs.watchFile(file, { interval: this.config.watchIntervalMs }, (curr, prev) => {
+            if (curr.mtimeMs === prev.mtimeMs) return;
+            console.log('[SECTOR_TAXONOMY] Constituents file changed - reloading');
+            this.reload();
+        });
+        this.watching = true;
+
+        console.log(`[SECTOR_TAXONOMY] Watching ${this.config.file}`);
+    }
+
+    stop() {
+        if (!this.watching) return;
+        fs.unwatchFile(path.resolve(this.config.file));
+        this.watching = false;
+        console.log('[SECTOR_TAXONOMY] Stopped');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // LOADING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * (Re)load the constituents file; on failure the previous registry stays live
+     * @returns {object} { success, version, symbols, error }
+     */
+    reload() {
+        const file = path.resolve(this.config.file);
+
+        try {
+            const raw = fs.readFileSync(file, 'utf8');
+            const parsed = file.endsWith('.json') ? this.parseJSON(raw) : this.parseCSV(raw);
+            const { records, skipped } = this.buildRecords(parsed.rows);
+
+            if (records.size === 0) {
+                throw new Error('No valid constituent rows');
+            }
+
+            this.baseRecords = records;
+            this.meta = {
+                version: parsed.version || null,
+                asOf: parsed.asOf || null,
+                source: parsed.source || null,
+                file: this.config.file,
+                checksum: crypto.createHash('sha1').update(raw).digest('hex').slice(0, 12),
+                loadedAt: clock.now()
+            };
+            this.stats.loads++;
+            this.stats.rowsSkipped = skipped;
+            this.stats.lastError = null;
+
+            this.rebuild();
+
+            console.log(`[SECTOR_TAXONOMY] Loaded v${this.meta.version || '?'} - ${this.records.size} symbols, ${this.sectors.size} sectors, ${this.indices.size} indices${skipped ? ` (${skipped} rows skipped)` : ''}`);
+            return { success: true, version: this.meta.version, symbols: this.records.size };
+
+        } catch (error) {
+            this.stats.loadErrors++;
+            this.stats.lastError = error.message;
+            console.error(`[SECTOR_TAXONOMY] Load failed (${this.config.file}):`, error.message);
+            return { success: false, version: this.meta.version, symbols: this.records.size, error: error.message };
+        }
+    }
+
+    parseCSV(raw) {
+        const result = { rows: [] };
+        let header = null;
+
+        for (const line of raw.split(/\r?\n/)) {
+            const trimmed = line.trim();
+            if (!trimmed) continue;
+
+            if (trimmed.startsWith('#')) {
+                const match = trimmed.match(/^#\s*(version|asOf|source)\s*:\s*(.+)$/);
+                if (match) result[match[1]] = match[2].trim();
+                continue;
+            }
+
+            const cells = trimmed.split(',').map(c => c.trim());
+            if (!header) {
+                header = cells.map(c => c.toLowerCase());
+                continue;
+            }
+
+            const row = {};
+            header.forEach((key, i) => { row[key] = cells[i]; });
+            result.rows.push(row);
+        }
+
+        return result;
+    }
+
+    parseJSON(raw) {
+        const data = JSON.parse(raw);
+        return {
+            version: data.version,
+            asOf: data.asOf,
+            source: data.source,
+            rows: Array.isArray(data.constituents) ? data.constituents : []
+        };
+    }
+
+    /**
+     * Fold membership rows into one record per symbol
+     */
+    buildRecords(rows) {
+        const records = new Map();
+        let skipped = 0;
+
+        for (const row of rows) {
+            const symbol = this.normalizeSymbol(row.symbol);
+            const sector = row.sector ? String(row.sector).trim().toUpperCase() : null;
+            if (!symbol || !sector) {
+                skipped++;
+                continue;
+            }
+
+            let record = records.get(symbol);
+            if (!record) {
+                record = { symbol, sector, industry: row.industry || null, indices: {} };
+                records.set(symbol, record);
+            } else if (record.sector !== sector) {
+                console.warn(`[SECTOR_TAXONOMY] ${symbol} tagged ${sector} after ${record.sector} - keeping ${record.sector}`);
+            }
+
+            if (row.index) {
+                const weight = parseFloat(row.weight);
+                record.indices[String(row.index).trim().toUpperCase()] = isNaN(weight) ? null : weight;
+            }
+        }
+
+        return { records, skipped };
+    }
+
+    /**
+     * Apply overrides and derive the sector / index lookups
+     */
+    rebuild() {
+        const records = new Map();
+        for (const [symbol, base] of this.baseRecords) {
+            records.set(symbol, { ...base, indices: { ...base.indices }, overridden: false });
+        }
+
+        for (const [symbol, override] of this.overrides) {
+            const base = records.get(symbol) || { symbol, sector: UNKNOWN_SECTOR, industry: null, indices: {} };
+            records.set(symbol, {
+                ...base,
+                sector: override.sector || base.sector,
+                industry: override.industry || base.industry,
+                overridden: true
+            });
+        }
+
+        const indices = new Map();
+        const sectorWeights = new Map();   // sector -> index -> summed weight
+
+        for (const record of records.values()) {
+            for (const [index, weight] of Object.entries(record.indices)) {
+                if (!indices.has(index)) indices.set(index, []);
+                indices.get(index).push({ symbol: record.symbol, sector: record.sector, weight });
+
+                if (!sectorWeights.has(record.sector)) sectorWeights.set(record.sector, new Map());
+                const byIndex = sectorWeights.get(record.sector);
+                byIndex.set(index, (byIndex.get(index) || 0) + (weight || 0));
+            }
+        }
+
+        for (const members of indices.values()) {
+            members.sort((a, b) => (b.weight || 0) - (a.weight || 0));
+        }
+
+        const sectorIndex = new Map();
+        for (const [sector, byIndex] of sectorWeights) {
+            const [benchmark] = Array.from(byIndex.entries()).sort((a, b) => b[1] - a[1])[0];
+            sectorIndex.set(sector, benchmark);
+        }
+
+        const sectors = new Map();
+        for (const record of records.values()) {
+            const benchmark = sectorIndex.get(record.sector);
+            record.sectorIndex = benchmark || null;
+            record.weight = benchmark && record.indices[benchmark] !== undefined ? record.indices[benchmark] : null;
+
+            if (!sectors.has(record.sector)) sectors.set(record.sector, []);
+            sectors.get(record.sector).push(record.symbol);
+        }
+
+        for (const symbols of sectors.values()) {
+            symbols.sort((a, b) => (records.get(b).weight || 0) - (records.get(a).weight || 0));
+        }
+
+        this.records = records;
+        this.indices = indices;
+        this.sectorIndex = sectorIndex;
+        this.sectors = sectors;
+
+        this.notifyReload();
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // QUERIES
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * 'RELIANCE-EQ' / 'reliance' → 'RELIANCE'
+     */
+    normalizeSymbol(symbol) {
+        if (!symbol) return null;
+        return String(symbol).trim().toUpperCase().replace(/-(EQ|BE)$/, '');
+    }
+
+    getRecord(symbol) {
+        return this.records.get(this.normalizeSymbol(symbol)) || null;
+    }
+
+    /**
+     * @returns {string|null} Sector, or null when the symbol is not in the registry
+     */
+    getSector(symbol) {
+        const record = this.getRecord(symbol);
+        return record ? record.sector : null;
+    }
+
+    /**
+     * Symbol's weight in its sector's benchmark index (null when not a member)
+     */
+    getSectorWeight(symbol) {
+        const record = this.getRecord(symbol);
+        return record ? record.weight : null;
+    }
+
+    /**
+     * @returns {string[]} Sector names, largest first
+     */
+    getSectors() {
+        return Array.from(this.sectors.entries())
+            .sort((a, b) => b[1].length - a[1].length)
+            .map(([sector]) => sector);
+    }
+
+    getSymbols(sector) {
+        return this.sectors.get(String(sector).toUpperCase()) || [];
+    }
+
+    /**
+     * Plain sector → symbols object (instruments.config shape)
+     */
+    getSectorMap() {
+        const map = {};
+        for (const sector of this.getSectors()) {
+            map[sector] = this.getSymbols(sector);
+        }
+        return map;
+    }
+
+    getIndices() {
+        return Array.from(this.indices.keys());
+    }
+
+    getIndexConstituents(index) {
+        return this.indices.get(String(index).toUpperCase()) || [];
+    }
+
+    getSectorSummary() {
+        return this.getSectors().map(sector => {
+            const benchmark = this.sectorIndex.get(sector) || null;
+            const members = this.getSymbols(sector);
+            return {
+                sector,
+                benchmark,
+                count: members.length,
+                weightInBenchmark: benchmark
+                    ? Math.round(members.reduce((sum, s) => sum + (this.records.get(s).weight || 0), 0) * 100) / 100
+                    : null,
+                topConstituents: members.slice(0, 5)
+            };
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // OVERRIDES
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Re-tag a symbol on top of the file
+     * @param {string} symbol
+     * @param {object} update - { sector, industry }
+     */
+    setOverride(symbol, update = {}) {
+        const normalized = this.normalizeSymbol(symbol);
+        if (!normalized) throw new Error('symbol required');
+        if (!update.sector && !update.industry) throw new Error('sector or industry required');
+
+        const override = {
+            sector: update.sector ? String(update.sector).trim().toUpperCase() : null,
+            industry: update.industry || null,
+            updatedAt: clock.now()
+        };
+
+        this.overrides.set(normalized, override);
+        this.saveOverrides();
+        this.rebuild();
+
+        console.log(`[SECTOR_TAXONOMY] Override ${normalized} → ${override.sector || '(sector unchanged)'}`);
+        return this.getRecord(normalized);
+    }
+
+    removeOverride(symbol) {
+        const normalized = this.normalizeSymbol(symbol);
+        if (!this.overrides.delete(normalized)) return false;
+
+        this.saveOverrides();
+        this.rebuild();
+
+        console.log(`[SECTOR_TAXONOMY] Override removed for ${normalized}`);
+        return true;
+    }
+
+    getOverrides() {
+        return Object.fromEntries(this.overrides);
+    }
+
+    loadOverrides() {
+        try {
+            const file = path.resolve(this.config.overridesFile);
+            if (!fs.existsSync(file)) return;
+
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            for (const [symbol, override] of Object.entries(data)) {
+                this.overrides.set(symbol, override);
+            }
+            console.log(`[SECTOR_TAXONOMY] ${this.overrides.size} overrides restored`);
+        } catch (error) {
+            console.error('[SECTOR_TAXONOMY] Overrides restore failed:', error.message);
+        }
+    }
+
+    saveOverrides() {
+        try {
+            const file = path.resolve(this.config.overridesFile);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(this.getOverrides(), null, 2));
+        } catch (error) {
+            console.error('[SECTOR_TAXONOMY] Overrides save failed:', error.message);
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // LISTENERS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Called after every reload / override so consumers can re-tag cached instruments
+     * @returns {function} unsubscribe
+     */
+    onReload(callback) {
+        this.reloadCallbacks.push(callback);
+        return () => {
+            this.reloadCallbacks = this.reloadCallbacks.filter(cb => cb !== callback);
+        };
+    }
+
+    notifyReload() {
+        for (const callback of this.reloadCallbacks) {
+            try {
+                callback(this.meta);
+            } catch (e) {
+                console.error('[SECTOR_TAXONOMY] Reload callback error:', e.message);
+            }
+        }
+    }
+
+    getStatus() {
+        return {
+            ...this.meta,
+            watching: this.watching,
+            symbols: this.records.size,
+            sectors: this.sectors.size,
+            indices: this.getIndices(),
+            overrides: this.overrides.size,
+            ...this.stats
+        };
+    }
+}
+
+const sectorTaxonomyService = new SectorTaxonomyService();
+sectorTaxonomyService.UNKNOWN_SECTOR = UNKNOWN_SECTOR;
+
+module.exports = sectorTaxonomyService;
@@ -0,0 +1,455 @@
+/**
+ * SHADOW EVALUATION SERVICE - CHAMPION vs CHALLENGER GUARD A/B ON LIVE DATA
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Automate the README shadow sessions. Every candidate signal the
+ * orchestrator sends through masterSignalGuard (champion) is also run through a
+ * challenger configuration; the challenger never emits, but both sides' passes
+ * are tracked to outcome on live ticks and compared.
+ *
+ * CHALLENGER:
+ * - profile : A LOCKED threshold profile (thresholdProfiles) for the runner /
+ *             collapse / option services, installed only for the challenger pass
+ * - guard   : masterSignalGuard overrides - the guard's OVERRIDABLE settings
+ *             (minConfidenceScore); anything else is refused, not ignored
+ *
+ * ISOLATION: The challenger pass runs validateSignalSync in shadow mode (no guard
+ * stats, lifecycle, ignition promotion or guard logs); per-token score / runner
+ * history it appends is rolled back.
+ *
+ * OUTCOMES (same definitions as replayEngine / the shadow-mode tables):
+ * - +1% HIT    : Favourable excursion reaches +1% before exit
+ * - FAKE BREAK : Adverse excursion reaches fakeBreakPercent before +1% hit
+ * - MAE / MFE  : Max adverse / favourable excursion from entry (%)
+ * Exit: signal stop loss / target1 on LTP (dropped when a collapse override flips
+ * the direction), or the paper broker's square-off (15:20 IST; MCX 10 minutes
+ * before its close).
+ * One open shadow position per side per token.
+ *
+ * Opt-in via SHADOW_ENABLED=true; report at /api/institutional/shadow
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const settings = require('../config/settings.config');
+const calendarService = require('./calendar.service');
+const wsService = require('./websocket.service');
+const masterSignalGuardService = require('./masterSignalGuard.service');
+const thresholdProfilesService = require('./thresholdProfiles.service');
+const confidenceScoringService = require('./confidenceScoring.service');
+const runnerProbabilityStockService = require('./runnerProbabilityStock.service');
+const runnerProbabilityOptionService = require('./runnerProbabilityOption.service');
+const clock = require('./clock.service');
+
+const ARMS = {
+    CHAMPION: 'champion',
+    CHALLENGER: 'challenger'
+};
+
+class ShadowEvaluationService {
+    constructor() {
+        this.config = {
+            enabled: false,
+            challenger: {
+                name: 'challenger',
+                profile: null,               // Threshold profile id; null = live thresholds
+                guard: {}                    // masterSignalGuard config overrides
+            },
+            plusOnePercent: 1.0,
+            fakeBreakPercent: 0.5,
+            squareOffTimeIST: { hour: 15, minute: 20 },
+            commoditySquareOffMinutes: 10,   // MCX: minutes before the (DST-dependent) close
+            maxTrades: 2000                  // Closed shadow trades kept per side
+        };
+
+        this.running = false;
+        this.unsubscribeFeed = null;
+        this.startedAt = null;
+
+        this.positions = {
+            [ARMS.CHAMPION]: new Map(),      // token -> open shadow position
+            [ARMS.CHALLENGER]: new Map()
+        };
+        this.trades = {
+            [ARMS.CHAMPION]: [],
+            [ARMS.CHALLENGER]: []
+        };
+
+        this.stats = {
+            evaluated: 0,
+            bothPassed: 0,
+            championOnly: 0,
+            challengerOnly: 0,
+            neitherPassed: 0,
+            challengerErrors: 0,
+            lastError: null
+        };
+    }
+
+    loadConfig() {
+        const shadowConfig = settings.shadow || {};
+        this.config = {
+            ...this.config,
+            ...shadowConfig,
+            challenger: { ...this.config.challenger, ...(shadowConfig.challenger || {}) }
+        };
+    }
+
+    /**
+     * Subscribe to live prices for outcome tracking
+     * @returns {boolean} true if shadow evaluation is running
+     */
+    start() {
+        this.loadConfig();
+        if (!this.config.enabled) {
+            console.log('[SHADOW] Disabled (SHADOW_ENABLED != true)');
+            return false;
+        }
+        if (this.running) return true;
+
+        try {
+            this.validateChallenger(this.config.challenger);
+        } catch (error) {
+            console.error('[SHADOW] Challenger rejected - not started:', error.message);
+            this.stats.lastError = error.message;
+            return false;
+        }
+
+        this.unsubscribeFeed = wsService.onPrice((data) => this.onTick(data), 'SHADOW_EVALUATION');
+        this.running = true;
+        this.startedAt = clock.now();
+
+        console.log(`[SHADOW] Started - challenger "${this.config.challenger.name}" | profile ${this.config.challenger.profile || 'live'} | guard ${JSON.stringify(this.config.challenger.guard)}`);
+        return true;
+    }
+
+    stop() {
+        if (this.unsubscribeFeed) {
+            this.unsubscribeFeed();
+            this.unsubscribeFeed = null;
+        }
+        if (this.running) {
+            this.running = false;
+            console.log('[SHADOW] Stopped');
+        }
+    }
+
+    /**
+     * Swap the challenger (operator) - comparison restarts from zero
+     * @param {object} challenger - { name, profile, guard }
+     */
+    setChallenger(challenger = {}) {
+        const next = {
+            name: challenger.name || 'challenger',
+            profile: challenger.profile || null,
+            guard: challenger.guard || {}
+        };
+        this.validateChallenger(next);
+
+        this.config.challenger = next;
+        this.reset();
+        console.log(`[SHADOW] Challenger set: "${next.name}" | profile ${next.profile || 'live'} | guard ${JSON.stringify(next.guard)}`);
+        return next;
+    }
+
+    validateChallenger(challenger) {
+        if (challenger.profile) {
+            const profile = thresholdProfilesService.getProfile(challenger.profile);
+            if (profile.status === thresholdProfilesService.STATUS.DRAFT) {
+                throw new Error(`${profile.id} is a DRAFT - lock it before shadowing it`);
+            }
+        }
+
+        for (const key of Object.keys(challenger.guard || {})) {
+            if (!masterSignalGuardService.OVERRIDABLE.includes(key)) {
+                throw new Error(`Guard setting ${key} cannot be overridden (allowed: ${masterSignalGuardService.OVERRIDABLE.join(', ')})`);
+            }
+        }
+    }
+
+    reset() {
+        Object.values(ARMS).forEach(arm => {
+            this.positions[arm].clear();
+            this.trades[arm] = [];
+        });
+        Object.keys(this.stats).forEach(key => {
+            this.stats[key] = key === 'lastError' ? null : 0;
+        });
+        this.startedAt = clock.now();
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // EVALUATION
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Orchestrator hook - called with the champion's verdict for every candidate
+     * @param {object} signal - Candidate signal as sent to the guard
+     * @param {array} candles - Candles sent to the guard
+     * @param {object} championResult - masterSignalGuard.validateSignalSync result
+     */
+    evaluate(signal, candles, championResult) {
+        if (!this.running || !signal?.instrument?.token) return null;
+        this.stats.evaluated++;
+
+        let challengerResult = null;
+        try {
+            challengerResult = this.runChallenger(signal, candles);
+        } catch (error) {
+            this.stats.challengerErrors++;
+            this.stats.lastError = error.message;
+            console.error('[SHADOW] Challenger evaluation failed:', error.message);
+        }
+
+        const championPassed = Boolean(championResult?.allowed);
+        const challengerPassed = Boolean(challengerResult?.allowed);
+
+        if (championPassed && challengerPassed) this.stats.bothPassed++;
+        else if (championPassed) this.stats.championOnly++;
+        else if (challengerPassed) this.stats.challengerOnly++;
+        else this.stats.neitherPassed++;
+
+        if (championPassed) this.open(ARMS.CHAMPION, signal, championResult);
+        if (challengerPassed) this.open(ARMS.CHALLENGER, signal, challengerResult);
+
+        return { championPassed, challengerPassed };
+    }
+
+    /**
+     * One side-effect-free guard pass under the challenger configuration
+     */
+    runChallenger(signal, candles) {
+        const token = signal.instrument.token;
+        const { profile, guard } = this.config.challenger;
+
+        // Per-call history the pipeline appends to - rolled back after the pass
+        const scoreHistory = confidenceScoringService.scoreHistory.get(token);
+        const savedScores = scoreHistory ? scoreHistory.slice() : null;
+        const savedStockHistory = runnerProbabilityStockService.signalHistory.slice();
+        const savedOptionHistory = runnerProbabilityOptionService.signalHistory.slice();
+
+        try {
+            const validate = () => masterSignalGuardService.validateSignalSync(signal, candles, { shadow: true, config: guard });
+            return profile ? thresholdProfilesService.runWith(profile, validate) : validate();
+        } finally {
+            if (savedScores) {
+                confidenceScoringService.scoreHistory.set(token, savedScores);
+            } else {
+                confidenceScoringService.scoreHistory.delete(token);
+            }
+            runnerProbabilityStockService.signalHistory = savedStockHistory;
+            runnerProbabilityOptionService.signalHistory = savedOptionHistory;
+        }
+    }
+
+    open(arm, signal, result) {
+        const token = signal.instrument.token;
+        if (this.positions[arm].has(token) || !signal.price) return;
+
+        // Zone / collapse direction from the guard's checks (the adjusted signal drops them)
+        const checks = result.checks || [];
+        const collapse = checks.find(c => c.name.startsWith('ELITE_COLLAPSE') && c.passed && c.signal);
+        const runner = checks.find(c => c.name.startsWith('ELITE_RUNNER'));
+
+        const type = collapse?.signal || result.signal?.signal || signal.signal;
+        const direction = String(type).includes('SELL') ? 'SHORT' : 'LONG';
+
+        // A collapse override flips direction - the candidate's levels no longer apply
+        const entry = signal.price;
+        const levelsValid = direction === 'LONG'
+            ? (!signal.stopLoss || signal.stopLoss < entry) && (!signal.target1 || signal.target1 > entry)
+            : (!signal.stopLoss || signal.stopLoss > entry) && (!signal.target1 || signal.target1 < entry);
+
+        this.positions[arm].set(token, {
+            token,
+            symbol: signal.instrument.symbol,
+            segment: signal.segment || signal.instrument.segment || 'EQUITY',
+            type,
+            direction,
+            zone: collapse?.zone || runner?.zone || 'NONE',
+            confidence: result.finalConfidence ?? null,
+            entryTime: clock.now(),
+            entryPrice: entry,
+            stopLoss: levelsValid ? signal.stopLoss || null : null,
+            target: levelsValid ? signal.target1 || null : null,
+            mfePercent: 0,
+            maePercent: 0,
+            hitPlusOne: false,
+            fakeBreak: false
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // OUTCOMES
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Live tick - excursions and exits for both sides
+     */
+    onTick(data) {
+        if (!data?.ltp) return;
+
+        for (const arm of Object.values(ARMS)) {
+            const position = this.positions[arm].get(data.token);
+            if (!position) continue;
+
+            this.updateExcursion(position, data.ltp);
+
+            const exitReason = this.isSquareOffTime(position.segment) ? 'EOD_SQUARE_OFF' : this.getExitReason(position, data.ltp);
+            if (exitReason) {
+                this.close(arm, position, data.ltp, exitReason);
+            }
+        }
+    }
+
+    updateExcursion(position, ltp) {
+        const move = ((ltp - position.entryPrice) / position.entryPrice) * 100;
+        const favourable = position.direction === 'LONG' ? move : -move;
+
+        // Adverse before favourable, as in replayEngine
+        position.maePercent = Math.max(position.maePercent, -favourable);
+        if (!position.hitPlusOne && position.maePercent >= this.config.fakeBreakPercent) {
+            position.fakeBreak = true;
+        }
+
+        position.mfePercent = Math.max(position.mfePercent, favourable);
+        if (position.mfePercent >= this.config.plusOnePercent) {
+            position.hitPlusOne = true;
+        }
+    }
+
+    getExitReason(position, ltp) {
+        const isLong = position.direction === 'LONG';
+        if (position.stopLoss && (isLong ? ltp <= position.stopLoss : ltp >= position.stopLoss)) {
+            return 'STOP_LOSS';
+        }
+        if (position.target && (isLong ? ltp >= position.target : ltp <= position.target)) {
+            return 'TARGET';
+        }
+        return null;
+    }
+
+    /**
+     * Same cutoffs as paperBroker.checkSquareOff - MCX positions ride the evening session
+     */
+    isSquareOffTime(segment = 'EQUITY', now = clock.date()) {
+        const ist = calendarService.toIST(now);
+        const minutes = ist.getHours() * 60 + ist.getMinutes();
+
+        if (segment === 'COMMODITY') {
+            const { close } = calendarService.getSessionBounds('COMMODITY', ist);
+            return minutes >= close.hour * 60 + close.minute - this.config.commoditySquareOffMinutes;
+        }
+
+        const { hour, minute } = this.config.squareOffTimeIST;
+        return minutes >= hour * 60 + minute;
+    }
+
+    close(arm, position, exitPrice, exitReason) {
+        const pnlPercent = position.direction === 'LONG'
+            ? ((exitPrice - position.entryPrice) / position.entryPrice) * 100
+            : ((position.entryPrice - exitPrice) / position.entryPrice) * 100;
+
+        this.positions[arm].delete(position.token);
+        this.trades[arm].push({
+            ...position,
+            exitTime: clock.now(),
+            exitPrice,
+            exitReason,
+            pnlPercent: this.round(pnlPercent),
+            mfePercent: this.round(position.mfePercent),
+            maePercent: this.round(position.maePercent)
+        });
+
+        if (this.trades[arm].length > this.config.maxTrades) {
+            this.trades[arm].shift();
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // REPORT
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    summarize(trades) {
+        const n = trades.length;
+        const pct = count => n > 0 ? this.round((count / n) * 100, 1) : 0;
+        const avg = key => n > 0 ? this.round(trades.reduce((s, t) => s + t[key], 0) / n) : 0;
+
+        return {
+            signals: n,
+            plusOneHitRate: pct(trades.filter(t => t.hitPlusOne).length),
+            fakeBreakRate: pct(trades.filter(t => t.fakeBreak).length),
+            avgMAE: avg('maePercent'),
+            avgMFE: avg('mfePercent'),
+            avgPnL: avg('pnlPercent'),
+            winRate: pct(trades.filter(t => t.pnlPercent > 0).length)
+        };
+    }
+
+    summarizeArm(arm) {
+        const trades = this.trades[arm];
+        const byZone = {};
+        for (const trade of trades) {
+            if (!byZone[trade.zone]) byZone[trade.zone] = [];
+            byZone[trade.zone].push(trade);
+        }
+
+        return {
+            open: this.positions[arm].size,
+            summary: this.summarize(trades),
+            byZone: Object.fromEntries(Object.entries(byZone).map(([zone, list]) => [zone, this.summarize(list)]))
+        };
+    }
+
+    /**
+     * Champion vs challenger, overall and per zone
+     */
+    getReport() {
+        const champion = this.summarizeArm(ARMS.CHAMPION);
+        const challenger = this.summarizeArm(ARMS.CHALLENGER);
+
+        const delta = {};
+        for (const key of ['plusOneHitRate', 'fakeBreakRate', 'avgMAE', 'avgMFE', 'avgPnL', 'winRate']) {
+            delta[key] = this.round(challenger.summary[key] - champion.summary[key]);
+        }
+
+        return {
+            running: this.running,
+            since: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            champion: {
+                name: 'champion',
+                profile: thresholdProfilesService.registry.active,
+                guard: { minConfidenceScore: masterSignalGuardService.getMinConfidence() },
+                ...champion
+            },
+            challenger: {
+                ...this.config.challenger,
+                ...challenger
+            },
+            delta,
+            agreement: { ...this.stats },
+            definitions: {
+                plusOnePercent: this.config.plusOnePercent,
+                fakeBreakPercent: this.config.fakeBreakPercent
+            }
+        };
+    }
+
+    /**
+     * Closed shadow trades, newest first
+     */
+    getTrades(arm = ARMS.CHALLENGER, limit = 100) {
+        if (!this.trades[arm]) throw new Error(`Unknown arm ${arm} (champion | challenger)`);
+        return this.trades[arm].slice(-limit).reverse();
+    }
+
+    round(value, digits = 2) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+}
+
+const shadowEvaluationService = new ShadowEvaluationService();
+shadowEvaluationService.ARMS = ARMS;
+
+module.exports = shadowEvaluationService;
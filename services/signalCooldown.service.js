@@ -1,4 +1,5 @@
 const settings = require('../config/settings.config');
+const clock = require('./clock.service');
 
 class SignalCooldownService {
     constructor() {
@@ -36,7 +37,7 @@ class SignalCooldownService {
 
     canEmitSignal(token, signalType, direction) {
         const key = `${token}_${signalType}_${direction}`;
-        const now = Date.now();
+        const now = clock.now();
 
         if (this.isInCooldown(key, now)) {
             this.duplicateBlocked.set(key, {
@@ -67,7 +68,7 @@ class SignalCooldownService {
 
     recordSignal(token, signalType, direction, signalData = {}) {
         const key = `${token}_${signalType}_${direction}`;
-        const now = Date.now();
+        const now = clock.now();
 
         const history = this.signalHistory.get(key) || [];
         history.push({
@@ -159,7 +160,7 @@ class SignalCooldownService {
     }
 
     cleanupExpired() {
-        const now = Date.now();
+        const now = clock.now();
         let cleaned = 0;
 
         this.cooldownMap.forEach((cooldownEnd, key) => {
@@ -208,7 +209,7 @@ class SignalCooldownService {
     }
 
     getCooldownStatus(token) {
-        const now = Date.now();
+        const now = clock.now();
         const status = [];
 
         this.cooldownMap.forEach((cooldownEnd, key) => {
@@ -239,7 +240,7 @@ class SignalCooldownService {
     }
 
     getStats() {
-        const now = Date.now();
+        const now = clock.now();
         let activeCooldowns = 0;
         
         this.cooldownMap.forEach((cooldownEnd) => {
@@ -0,0 +1,387 @@
+/**
+ * SIGNAL JOURNAL SERVICE - DURABLE SIGNAL HISTORY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Append-only journal of every signal event so history survives restarts
+ *
+ * RECORDS:
+ * - GENERATED (lifecycle registration)
+ * - BLOCKED   (guard / cooldown block with full guard context)
+ * - EMITTED   (signal released to the book)
+ * - EXITED    (lifecycle exit / exit commander close)
+ *
+ * STORES (pluggable - open / append / readDays, optional flush / close):
+ * - jsonl  : One file per IST day → data/journal/journal_YYYY-MM-DD.jsonl.
+ *            Appends are buffered and written asynchronously every
+ *            flushIntervalMs, off the signal path; stop() flushes what is left
+ * - memory : Process memory only (tests / dry runs)
+ *
+ * ON BOOT: Replays the last N days into orchestrator history,
+ * signal lifecycle stats and exit commander history.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('../config/settings.config');
+const calendarService = require('./calendar.service');
+const clock = require('./clock.service');
+
+const JOURNAL_EVENTS = {
+    GENERATED: 'GENERATED',
+    BLOCKED: 'BLOCKED',
+    EMITTED: 'EMITTED',
+    EXITED: 'EXITED'
+};
+
+/**
+ * JSONL store - one append-only file per IST trading day
+ */
+class JsonlJournalStore {
+    constructor(dir, { flushIntervalMs = 1000, onError = () => {} } = {}) {
+        this.type = 'jsonl';
+        this.dir = path.resolve(dir);
+        this.flushIntervalMs = flushIntervalMs;
+        this.onError = onError;             // Async write failures → journal stats
+
+        this.pending = new Map();           // file -> entries not on disk yet
+        this.flushTimer = null;
+        this.flushing = null;
+    }
+
+    open() {
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    fileFor(day) {
+        return path.join(this.dir, `journal_${day}.jsonl`);
+    }
+
+    append(entry) {
+        const file = this.fileFor(entry.day);
+        const queue = this.pending.get(file) || [];
+        queue.push(entry);
+        this.pending.set(file, queue);
+
+        if (!this.flushTimer && !this.flushing) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushIntervalMs);
+            this.flushTimer.unref();
+        }
+    }
+
+    /**
+     * Append every pending entry - one write per file. Entries stay pending
+     * (visible to readDays) until their write returns.
+     */
+    flush() {
+        if (this.flushing) return this.flushing;
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        this.flushing = (async () => {
+            for (const [file, queue] of [...this.pending]) {
+                const count = queue.length;
+                try {
+                    await fs.promises.appendFile(file, this.serialize(queue.slice(0, count)));
+                } catch (error) {
+                    this.onError(error);
+                }
+                queue.splice(0, count);
+                if (queue.length === 0 && this.pending.get(file) === queue) this.pending.delete(file);
+            }
+        })().finally(() => {
+            this.flushing = null;
+            if (this.pending.size > 0) {
+                this.flushTimer = setTimeout(() => this.flush(), this.flushIntervalMs);
+                this.flushTimer.unref();
+            }
+        });
+
+        return this.flushing;
+    }
+
+    /**
+     * Shutdown - whatever is still buffered goes to disk synchronously
+     */
+    close() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        this.pending.forEach((queue, file) => {
+            try {
+                fs.appendFileSync(file, this.serialize(queue));
+            } catch (error) {
+                this.onError(error);
+            }
+        });
+        this.pending.clear();
+    }
+
+    serialize(entries) {
+        return entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    }
+
+    listDays() {
+        const files = fs.existsSync(this.dir) ? fs.readdirSync(this.dir) : [];
+        const pending = Array.from(this.pending.keys(), file => path.basename(file));
+
+        return [...new Set([...files, ...pending])]
+            .map(f => f.match(/^journal_(\d{4}-\d{2}-\d{2})\.jsonl$/))
+            .filter(Boolean)
+            .map(m => m[1])
+            .sort();
+    }
+
+    readDays(days) {
+        const entries = [];
+
+        for (const day of this.listDays().slice(-days)) {
+            const file = this.fileFor(day);
+            const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n') : [];
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (e) {
+                    // Torn write from a crash - skip the line, keep the rest
+                }
+            }
+            entries.push(...(this.pending.get(file) || []));
+        }
+
+        return entries;
+    }
+}
+
+/**
+ * Memory store - same contract, nothing touches disk
+ */
+class MemoryJournalStore {
+    constructor() {
+        this.type = 'memory';
+        this.entries = [];
+    }
+
+    open() {}
+
+    append(entry) {
+        this.entries.push(entry);
+    }
+
+    readDays(days) {
+        const keep = new Set([...new Set(this.entries.map(e => e.day))].sort().slice(-days));
+        return this.entries.filter(e => keep.has(e.day));
+    }
+}
+
+class SignalJournalService {
+    constructor() {
+        this.config = {
+            enabled: true,
+            store: 'jsonl',
+            dir: './data/journal',
+            rehydrateDays: 5,
+            recentBufferSize: 500,
+            flushIntervalMs: 1000          // jsonl: buffered appends hit disk at most this often
+        };
+
+        this.store = null;
+        this.seq = 0;
+        this.recent = [];          // Last N entries for the API
+        this.initialized = false;
+
+        this.stats = {
+            written: 0,
+            writeErrors: 0,
+            rehydrated: 0,
+            lastError: null
+        };
+    }
+
+    /**
+     * Open store and replay recent history into dependent services
+     */
+    initialize() {
+        console.log('[SIGNAL_JOURNAL] Initializing signal journal...');
+        this.loadConfig();
+
+        if (!this.config.enabled) {
+            console.log('[SIGNAL_JOURNAL] Disabled by config - history will not survive restarts');
+            return { restored: 0 };
+        }
+
+        if (!this.store) {
+            this.store = this.createStore(this.config.store);
+        }
+
+        let entries = [];
+        try {
+            this.store.open();
+            entries = this.store.readDays(this.config.rehydrateDays);
+        } catch (error) {
+            this.stats.lastError = error.message;
+            console.error('[SIGNAL_JOURNAL] Failed to read journal:', error.message);
+        }
+
+        this.seq = entries.reduce((max, e) => Math.max(max, e.seq || 0), 0);
+        this.recent = entries.slice(-this.config.recentBufferSize);
+        this.rehydrate(entries);
+
+        this.initialized = true;
+        console.log(`[SIGNAL_JOURNAL] Initialized | Store: ${this.store.type} | Restored ${entries.length} entries`);
+
+        return { restored: entries.length };
+    }
+
+    loadConfig() {
+        const journalConfig = settings.journal || {};
+        this.config = {
+            ...this.config,
+            ...journalConfig
+        };
+    }
+
+    /**
+     * Build a store by name
+     */
+    createStore(type) {
+        switch (type) {
+            case 'memory':
+                return new MemoryJournalStore();
+            case 'jsonl':
+                return new JsonlJournalStore(this.config.dir, {
+                    flushIntervalMs: this.config.flushIntervalMs,
+                    onError: error => this.recordWriteError(error)
+                });
+            default:
+                throw new Error(`Unknown journal store: ${type}`);
+        }
+    }
+
+    /**
+     * Swap in a custom store (must implement open / append / readDays)
+     */
+    setStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * Append one event - never throws into the signal path
+     */
+    record(type, source, data) {
+        if (!this.config.enabled || !this.store) return null;
+
+        const now = clock.now();
+        const entry = {
+            seq: ++this.seq,
+            day: calendarService.formatDate(calendarService.toIST(new Date(now))),
+            ts: now,
+            type,
+            source,
+            data
+        };
+
+        try {
+            this.store.append(entry);
+            this.stats.written++;
+        } catch (error) {
+            this.recordWriteError(error);
+        }
+
+        this.recent.push(entry);
+        if (this.recent.length > this.config.recentBufferSize) {
+            this.recent.shift();
+        }
+
+        return entry;
+    }
+
+    recordWriteError(error) {
+        this.stats.writeErrors++;
+        this.stats.lastError = error.message;
+        console.error('[SIGNAL_JOURNAL] Write failed:', error.message);
+    }
+
+    /**
+     * Write out buffered entries (stores that buffer)
+     */
+    flush() {
+        return this.store?.flush ? this.store.flush() : Promise.resolve();
+    }
+
+    /**
+     * Shutdown - buffered entries go to disk synchronously
+     */
+    stop() {
+        if (this.store?.close) this.store.close();
+    }
+
+    /**
+     * Replay entries into services that own in-memory history
+     */
+    rehydrate(entries) {
+        if (entries.length === 0) return;
+
+        const today = this.getToday();
+        const targets = [
+            ['./orchestrator.service', 'ORCHESTRATOR'],
+            ['./signalLifecycle.service', 'LIFECYCLE'],
+            ['./exitCommander.service', 'EXIT_COMMANDER']
+        ];
+
+        for (const [modulePath, source] of targets) {
+            try {
+                const service = require(modulePath);
+                const restored = service.restoreFromJournal(entries.filter(e => e.source === source), today);
+                this.stats.rehydrated += restored || 0;
+            } catch (error) {
+                console.error(`[SIGNAL_JOURNAL] Rehydrate failed for ${source}:`, error.message);
+            }
+        }
+    }
+
+    getToday() {
+        return calendarService.formatDate(calendarService.toIST(clock.date()));
+    }
+
+    /**
+     * Query recent entries (newest first)
+     */
+    getRecent({ type, source, token, limit = 100 } = {}) {
+        let entries = this.recent;
+
+        if (type) entries = entries.filter(e => e.type === type);
+        if (source) entries = entries.filter(e => e.source === source);
+        if (token) entries = entries.filter(e => String(this.getEntryToken(e)) === String(token));
+
+        return entries.slice(-limit).reverse();
+    }
+
+    getEntryToken(entry) {
+        const data = entry.data || {};
+        return data.token || data.instrument?.token || data.signal?.instrument?.token;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.config.enabled,
+            initialized: this.initialized,
+            store: this.store?.type || null,
+            dir: this.store?.dir || null,
+            rehydrateDays: this.config.rehydrateDays,
+            lastSeq: this.seq,
+            bufferedEntries: this.recent.length,
+            ...this.stats
+        };
+    }
+}
+
+const signalJournalService = new SignalJournalService();
+signalJournalService.EVENTS = JOURNAL_EVENTS;
+signalJournalService.JsonlJournalStore = JsonlJournalStore;
+signalJournalService.MemoryJournalStore = MemoryJournalStore;
+
+module.exports = signalJournalService;
@@ -16,9 +16,15 @@
  * - Performance analysis
  * - Strategy refinement
  * 
+ * PERSISTENCE: Every transition is journaled (signalJournal) and
+ * replayed on boot via restoreFromJournal()
+ * 
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
+const signalJournalService = require('./signalJournal.service');
+const clock = require('./clock.service');
+
 class SignalLifecycleService {
     constructor() {
         this.state = {
@@ -60,7 +66,7 @@ class SignalLifecycleService {
      */
     generateSignalId() {
         this.signalIdCounter++;
-        return `SIG_${Date.now()}_${this.signalIdCounter}`;
+        return `SIG_${clock.now()}_${this.signalIdCounter}`;
     }
 
     /**
@@ -79,8 +85,8 @@ class SignalLifecycleService {
             
             // Entry context
             entryPrice: signalData.price,
-            entryTime: Date.now(),
-            entryHour: new Date().getHours(),
+            entryTime: clock.now(),
+            entryHour: clock.date().getHours(),
             
             // Market context at entry
             regime: signalData.regime || 'UNKNOWN',
@@ -122,6 +128,8 @@ class SignalLifecycleService {
         this.state.activeSignals.set(signalId, lifecycle);
         this.state.dailyStats.signalsGenerated++;
 
+        signalJournalService.record(signalJournalService.EVENTS.GENERATED, 'LIFECYCLE', { ...lifecycle });
+
         return signalId;
     }
 
@@ -149,6 +157,7 @@ class SignalLifecycleService {
             
             // Move to completed immediately
             this.completeSignal(signalId, 'BLOCKED');
+            signalJournalService.record(signalJournalService.EVENTS.BLOCKED, 'LIFECYCLE', { ...lifecycle });
         }
 
         lifecycle.confidenceScore = validationResult.finalConfidence || lifecycle.confidenceScore;
@@ -162,9 +171,14 @@ class SignalLifecycleService {
         if (!lifecycle) return;
 
         lifecycle.status = 'EMITTED';
-        lifecycle.emissionTime = Date.now();
+        lifecycle.emissionTime = clock.now();
         this.state.dailyStats.signalsEmitted++;
 
+        signalJournalService.record(signalJournalService.EVENTS.EMITTED, 'LIFECYCLE', {
+            signalId,
+            emissionTime: lifecycle.emissionTime
+        });
+
         console.log(`[SIGNAL_LIFECYCLE] 📤 Signal emitted: ${lifecycle.symbol} ${lifecycle.type} | ID: ${signalId}`);
     }
 
@@ -177,7 +191,7 @@ class SignalLifecycleService {
 
         lifecycle.status = 'ACTIVE';
         lifecycle.actualEntryPrice = actualEntryPrice || lifecycle.entryPrice;
-        lifecycle.activeTime = Date.now();
+        lifecycle.activeTime = clock.now();
 
         console.log(`[SIGNAL_LIFECYCLE] ✅ Position active: ${lifecycle.symbol} @ ${lifecycle.actualEntryPrice}`);
     }
@@ -216,7 +230,7 @@ class SignalLifecycleService {
 
         lifecycle.status = 'EXITED';
         lifecycle.exitPrice = exitData.price;
-        lifecycle.exitTime = Date.now();
+        lifecycle.exitTime = clock.now();
         lifecycle.exitReason = exitData.reason;
         lifecycle.exitType = exitData.type;
 
@@ -247,6 +261,7 @@ class SignalLifecycleService {
 
         // Complete signal
         this.completeSignal(signalId, 'EXITED');
+        signalJournalService.record(signalJournalService.EVENTS.EXITED, 'LIFECYCLE', { ...lifecycle });
 
         console.log(`[SIGNAL_LIFECYCLE] 🚪 Signal exited: ${lifecycle.symbol} | PnL: ${lifecycle.pnlPercent.toFixed(2)}% | Reason: ${lifecycle.exitReason}`);
     }
@@ -259,7 +274,7 @@ class SignalLifecycleService {
         if (!lifecycle) return;
 
         lifecycle.finalStatus = finalStatus;
-        lifecycle.completedTime = Date.now();
+        lifecycle.completedTime = clock.now();
 
         // Add to completed list
         this.state.completedSignals.push({ ...lifecycle });
@@ -480,6 +495,71 @@ class SignalLifecycleService {
         console.log('[SIGNAL_LIFECYCLE] Daily reset complete');
     }
 
+    /**
+     * Rebuild state from journal entries (called by signalJournal on boot)
+     * Completed signals + performance maps from the whole window,
+     * daily stats and still-open signals from today only
+     */
+    restoreFromJournal(entries, today) {
+        const { GENERATED, BLOCKED, EMITTED, EXITED } = signalJournalService.EVENTS;
+        const open = new Map();
+
+        for (const entry of entries) {
+            const data = entry.data || {};
+            const isToday = entry.day === today;
+
+            switch (entry.type) {
+                case GENERATED:
+                    if (isToday) {
+                        open.set(data.signalId, { ...data });
+                        this.state.dailyStats.signalsGenerated++;
+                    }
+                    break;
+
+                case BLOCKED:
+                    open.delete(data.signalId);
+                    this.state.completedSignals.push(data);
+                    if (isToday) this.state.dailyStats.signalsBlocked++;
+                    break;
+
+                case EMITTED:
+                    if (open.has(data.signalId)) {
+                        const lifecycle = open.get(data.signalId);
+                        lifecycle.status = 'EMITTED';
+                        lifecycle.emissionTime = data.emissionTime;
+                    }
+                    if (isToday) this.state.dailyStats.signalsEmitted++;
+                    break;
+
+                case EXITED:
+                    open.delete(data.signalId);
+                    this.state.completedSignals.push(data);
+                    if (typeof data.pnlPercent === 'number') {
+                        this.updatePerformanceTracking(data);
+                        if (isToday) {
+                            this.state.dailyStats.signalsExited++;
+                            this.state.dailyStats.totalPnL += data.pnlPercent;
+                            if (data.pnlPercent >= 0) this.state.dailyStats.winCount++;
+                            else this.state.dailyStats.lossCount++;
+                        }
+                    }
+                    break;
+            }
+        }
+
+        if (this.state.completedSignals.length > 500) {
+            this.state.completedSignals = this.state.completedSignals.slice(-500);
+        }
+
+        for (const [signalId, lifecycle] of open) {
+            this.state.activeSignals.set(signalId, lifecycle);
+        }
+
+        console.log(`[SIGNAL_LIFECYCLE] Restored ${this.state.completedSignals.length} completed, ${open.size} open signals from journal`);
+
+        return entries.length;
+    }
+
     /**
      * Full reset (keep historical performance data)
      */
@@ -0,0 +1,472 @@
+/**
+ * STRATEGY BUILDER SERVICE - MULTI-LEG STRUCTURES & PAYOFF ANALYSIS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Turn an emitted index signal into defined-risk option structures
+ * priced off the live chain (optionChainService), instead of a single CE / PE.
+ *
+ * STRUCTURES (strikes stepped through the listed chain from ATM):
+ * - LONG signal      : BULL_CALL_SPREAD, CALL_RATIO_BACKSPREAD (sell 1 ATM, buy 2 OTM)
+ * - SHORT signal     : BEAR_PUT_SPREAD, PUT_RATIO_BACKSPREAD
+ * - Gamma cluster day: IRON_BUTTERFLY on a pin (STRONG_GAMMA_PIN / GAMMA_MAGNET),
+ *                      LONG_STRADDLE on any other confirmed cluster
+ * A structure with unbounded loss is dropped - every proposal is defined-risk.
+ *
+ * ANALYSIS:
+ * - Payoff at expiry (exact, piecewise linear) and at T+n days (legs repriced
+ *   with optionPricingService at their chain IV)
+ * - Max profit / max loss / breakevens from the expiry payoff's kinks
+ * - Margin estimate: premium for long-only structures; hedged max loss plus
+ *   exposure margin on short notional otherwise - an estimate, not SPAN
+ *
+ * Legs only use quoted strikes - no LTP for a leg, no structure.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const instruments = require('../config/instruments.config');
+const universeLoader = require('./universeLoader.service');
+const orchestratorService = require('./orchestrator.service');
+const optionChainService = require('./optionChain.service');
+const oiIntelligenceService = require('./oiIntelligence.service');
+const gammaClusterService = require('./gammaCluster.service');
+const optionPricingService = require('./optionPricing.service');
+const expiryRolloverService = require('./expiryRollover.service');
+const dataQualityService = require('./dataQuality.service');
+const clock = require('./clock.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STRUCTURES = {
+    BULL_CALL_SPREAD: { label: 'Bull call debit spread', bias: 'BULLISH' },
+    BEAR_PUT_SPREAD: { label: 'Bear put debit spread', bias: 'BEARISH' },
+    CALL_RATIO_BACKSPREAD: { label: 'Call ratio backspread 1x2', bias: 'BULLISH' },
+    PUT_RATIO_BACKSPREAD: { label: 'Put ratio backspread 1x2', bias: 'BEARISH' },
+    LONG_STRADDLE: { label: 'Long straddle', bias: 'VOLATILE' },
+    IRON_BUTTERFLY: { label: 'Iron butterfly', bias: 'PINNED' }
+};
+
+const PIN_CLUSTERS = ['STRONG_GAMMA_PIN', 'GAMMA_MAGNET'];
+
+class StrategyBuilderService {
+    constructor() {
+        this.STRUCTURES = STRUCTURES;
+
+        this.config = {
+            lots: 1,
+            spreadWidthStrikes: 2,       // Debit spread short leg, strikes from ATM
+            backspreadOffsetStrikes: 2,  // Backspread long legs, strikes from ATM
+            wingStrikes: 4,              // Iron butterfly wings
+            curveRangePercent: 5,        // Payoff curve spans spot +/- this
+            curvePoints: 41,
+            horizonDays: [1],            // T+n curves
+            maxHorizonDays: 30,
+            exposureMarginPercent: 2     // Of short-leg notional, on top of hedged max loss
+        };
+
+        this.stats = {
+            proposals: 0,
+            structuresBuilt: 0,
+            droppedUnquoted: 0,
+            droppedUndefinedRisk: 0
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // PROPOSALS
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Active signals on an index (NIFTY, BANKNIFTY, ...) with their underlying
+     */
+    getIndexSignals() {
+        const indices = instruments.getIndices();
+
+        return orchestratorService.getActiveSignals()
+            .map(signal => ({ signal, index: indices.find(idx => idx.token === signal.instrument?.token) }))
+            .filter(({ index }) => index)
+            .map(({ signal, index }) => ({ underlying: index.symbol, signal }));
+    }
+
+    async proposeAll(options = {}) {
+        const proposals = [];
+        for (const { underlying, signal } of this.getIndexSignals()) {
+            const proposal = await this.proposeForSignal(underlying, signal, options);
+            if (proposal) proposals.push(proposal);
+        }
+        return proposals;
+    }
+
+    /**
+     * Latest active signal for the underlying, or null when there is none
+     */
+    async proposeForUnderlying(underlying, options = {}) {
+        const match = this.getIndexSignals()
+            .filter(s => s.underlying === underlying)
+            .sort((a, b) => b.signal.timestamp - a.signal.timestamp)[0];
+
+        return match ? this.proposeForSignal(underlying, match.signal, options) : null;
+    }
+
+    /**
+     * @param {object} options - { expiry, days: [n], now }
+     * @returns {object|null} null when no chain / spot is available
+     */
+    async proposeForSignal(underlying, signal, options = {}) {
+        const now = options.now || clock.now();
+        const expiry = options.expiry || oiIntelligenceService.resolveChainExpiry(universeLoader.getIndexOptions(underlying));
+        if (!expiry) return null;
+
+        const chain = await optionChainService.getChain(underlying, expiry, now);
+        if (!chain || !chain.underlyingPrice || chain.atmStrike === null) return null;
+
+        const direction = signal.direction || (String(signal.signal).includes('BUY') ? 'LONG' : 'SHORT');
+        const cluster = gammaClusterService.getCluster(underlying);
+        const structures = [];
+        const skipped = [];
+
+        for (const type of this.selectStructures(direction, cluster)) {
+            const legs = this.buildLegs(type, chain, underlying);
+            if (!legs) {
+                this.stats.droppedUnquoted++;
+                skipped.push({ structure: type, reason: 'A leg strike is not quoted' });
+                continue;
+            }
+
+            const analysis = this.analyse(legs, {
+                underlying,
+                underlyingPrice: chain.underlyingPrice,
+                expiry: chain.expiry,
+                days: options.days,
+                now
+            });
+            if (analysis.maxLoss === null) {
+                this.stats.droppedUndefinedRisk++;
+                skipped.push({ structure: type, reason: 'Unbounded loss' });
+                continue;
+            }
+
+            structures.push({ structure: type, ...STRUCTURES[type], ...analysis });
+            this.stats.structuresBuilt++;
+        }
+
+        this.stats.proposals++;
+
+        return {
+            underlying,
+            expiry: chain.expiry,
+            underlyingPrice: chain.underlyingPrice,
+            atmStrike: chain.atmStrike,
+            daysToExpiry: chain.daysToExpiry,
+            signal: {
+                symbol: signal.instrument?.symbol,
+                signal: signal.signal,
+                direction,
+                price: signal.price,
+                timestamp: signal.timestamp
+            },
+            gammaCluster: cluster
+                ? { type: cluster.clusterType, strength: cluster.clusterStrength, detected: cluster.clusterDetected }
+                : null,
+            structures,
+            skipped,
+            provenance: dataQualityService.worst(...structures.map(s => s.provenance)),
+            timestamp: now
+        };
+    }
+
+    /**
+     * Directional structures for the signal, plus a straddle on a confirmed gamma cluster
+     */
+    selectStructures(direction, cluster) {
+        const types = direction === 'LONG'
+            ? ['BULL_CALL_SPREAD', 'CALL_RATIO_BACKSPREAD']
+            : ['BEAR_PUT_SPREAD', 'PUT_RATIO_BACKSPREAD'];
+
+        if (cluster?.clusterDetected) {
+            types.push(PIN_CLUSTERS.includes(cluster.clusterType) ? 'IRON_BUTTERFLY' : 'LONG_STRADDLE');
+        }
+
+        return types;
+    }
+
+    /**
+     * [action, optionType, strikes from ATM, lots] per leg
+     */
+    getLegSpecs(type) {
+        const { spreadWidthStrikes: w, backspreadOffsetStrikes: o, wingStrikes: wing } = this.config;
+
+        switch (type) {
+            case 'BULL_CALL_SPREAD': return [['BUY', 'CE', 0, 1], ['SELL', 'CE', w, 1]];
+            case 'BEAR_PUT_SPREAD': return [['BUY', 'PE', 0, 1], ['SELL', 'PE', -w, 1]];
+            case 'CALL_RATIO_BACKSPREAD': return [['SELL', 'CE', 0, 1], ['BUY', 'CE', o, 2]];
+            case 'PUT_RATIO_BACKSPREAD': return [['SELL', 'PE', 0, 1], ['BUY', 'PE', -o, 2]];
+            case 'LONG_STRADDLE': return [['BUY', 'CE', 0, 1], ['BUY', 'PE', 0, 1]];
+            case 'IRON_BUTTERFLY': return [['SELL', 'CE', 0, 1], ['SELL', 'PE', 0, 1], ['BUY', 'CE', wing, 1], ['BUY', 'PE', -wing, 1]];
+            default: return [];
+        }
+    }
+
+    buildLegs(type, chain, underlying) {
+        const atmIndex = chain.strikes.findIndex(row => row.strikePrice === chain.atmStrike);
+        const legs = [];
+
+        for (const [action, optionType, offset, lots] of this.getLegSpecs(type)) {
+            const row = chain.strikes[atmIndex + offset];
+            const leg = row ? this.toLeg({ action, optionType, lots: lots * this.config.lots }, row, underlying) : null;
+            if (!leg) return null;
+            legs.push(leg);
+        }
+
+        return legs;
+    }
+
+    /**
+     * Chain row side → priced leg (null when the side has no LTP)
+     */
+    toLeg({ action, optionType, lots }, row, underlying) {
+        const side = row[optionType === 'CE' ? 'call' : 'put'];
+        if (!side || !(side.ltp > 0)) return null;
+
+        const lotSize = side.lotSize || instruments.getBySymbol(underlying)?.lotSize || 1;
+
+        return {
+            action,
+            optionType,
+            strike: row.strikePrice,
+            lots,
+            lotSize,
+            quantity: lots * lotSize,
+            premium: side.ltp,
+            iv: side.iv,
+            delta: side.delta,
+            gamma: side.gamma,
+            theta: side.theta,
+            vega: side.vega,
+            token: side.token,
+            symbol: side.symbol,
+            provenance: side.provenance
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // CUSTOM STRUCTURES
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Analyse caller-supplied legs against the live chain - no defined-risk filter
+     * @param {object} request - { underlying, expiry, legs: [{ action, optionType, strike, lots }], days }
+     */
+    async analyseCustom({ underlying, expiry, legs, days }) {
+        if (!underlying || !expiry || !Array.isArray(legs) || legs.length === 0) {
+            throw new Error('underlying, expiry and at least one leg are required');
+        }
+        underlying = String(underlying).toUpperCase();
+
+        const chain = await optionChainService.getChain(underlying, expiry);
+        if (!chain) throw new Error(`No listed options for ${underlying} expiring ${expiry}`);
+        if (!chain.underlyingPrice) throw new Error(`No live price for ${underlying}`);
+
+        const priced = legs.map(spec => {
+            const action = String(spec.action || '').toUpperCase();
+            const optionType = String(spec.optionType || '').toUpperCase();
+            const lots = parseInt(spec.lots) || 1;
+            if (!['BUY', 'SELL'].includes(action) || !['CE', 'PE'].includes(optionType) || lots <= 0) {
+                throw new Error(`Invalid leg ${JSON.stringify(spec)} - action BUY|SELL, optionType CE|PE, lots > 0`);
+            }
+
+            const row = chain.strikes.find(r => r.strikePrice === Number(spec.strike));
+            const leg = row ? this.toLeg({ action, optionType, lots }, row, underlying) : null;
+            if (!leg) throw new Error(`No quote for ${underlying} ${spec.strike} ${optionType} ${chain.expiry}`);
+            return leg;
+        });
+
+        return {
+            underlying,
+            expiry: chain.expiry,
+            underlyingPrice: chain.underlyingPrice,
+            ...this.analyse(priced, {
+                underlying,
+                underlyingPrice: chain.underlyingPrice,
+                expiry: chain.expiry,
+                days
+            })
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // PAYOFF
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Payoff, risk and margin for priced legs (P&L in rupees for the full quantity)
+     * @param {object} context - { underlying, underlyingPrice, expiry, days, now }
+     */
+    analyse(legs, context) {
+        const now = context.now || clock.now();
+        const signed = (leg) => (leg.action === 'BUY' ? 1 : -1) * leg.quantity;
+        const netPremium = legs.reduce((sum, leg) => sum + signed(leg) * leg.premium, 0);
+
+        const payoffAtExpiry = (price) => legs.reduce((sum, leg) => {
+            const intrinsic = leg.optionType === 'CE' ? Math.max(0, price - leg.strike) : Math.max(0, leg.strike - price);
+            return sum + signed(leg) * (intrinsic - leg.premium);
+        }, 0);
+
+        // Piecewise linear: extremes sit on a kink (0, a strike) or run off to the right
+        const kinks = [0, ...new Set(legs.map(leg => leg.strike))].sort((a, b) => a - b);
+        const values = kinks.map(payoffAtExpiry);
+        const upperSlope = legs.filter(leg => leg.optionType === 'CE').reduce((sum, leg) => sum + signed(leg), 0);
+
+        const worst = Math.min(...values);
+        const best = Math.max(...values);
+        const maxLoss = upperSlope < 0 ? null : Math.max(0, -worst);
+        const maxProfit = upperSlope > 0 ? null : Math.max(0, best);
+
+        const margin = this.estimateMargin(legs, netPremium, maxLoss, context.underlyingPrice);
+        const warnings = [];
+
+        return {
+            legs,
+            netPremium: this.round(Math.abs(netPremium)),
+            premiumType: netPremium >= 0 ? 'DEBIT' : 'CREDIT',
+            maxProfit: maxProfit !== null ? this.round(maxProfit) : null,
+            maxLoss: maxLoss !== null ? this.round(maxLoss) : null,
+            unlimitedProfit: maxProfit === null,
+            riskReward: maxProfit !== null && maxLoss > 0 ? this.round(maxProfit / maxLoss) : null,
+            breakevens: this.findBreakevens(kinks, values, upperSlope),
+            margin,
+            netGreeks: this.sumGreeks(legs, signed),
+            payoff: {
+                atExpiry: this.buildCurve(context.underlyingPrice, payoffAtExpiry),
+                tPlus: this.buildHorizonCurves(legs, signed, context, now, warnings)
+            },
+            warnings,
+            provenance: dataQualityService.worst(...legs.map(leg => leg.provenance))
+        };
+    }
+
+    findBreakevens(kinks, values, upperSlope) {
+        const breakevens = [];
+
+        for (let i = 0; i < kinks.length; i++) {
+            if (values[i] === 0) {
+                breakevens.push(kinks[i]);
+                continue;
+            }
+            if (i + 1 < kinks.length && values[i] * values[i + 1] < 0) {
+                breakevens.push(kinks[i] + (kinks[i + 1] - kinks[i]) * (-values[i] / (values[i + 1] - values[i])));
+            }
+        }
+
+        // Past the last strike the payoff moves by upperSlope per point
+        const last = values[values.length - 1];
+        if (last !== 0 && upperSlope !== 0 && Math.sign(last) !== Math.sign(upperSlope)) {
+            breakevens.push(kinks[kinks.length - 1] - last / upperSlope);
+        }
+
+        return breakevens.map(b => this.round(b));
+    }
+
+    buildCurve(underlyingPrice, pnlAt) {
+        const { curveRangePercent, curvePoints } = this.config;
+        const low = underlyingPrice * (1 - curveRangePercent / 100);
+        const step = (underlyingPrice * 2 * curveRangePercent / 100) / (curvePoints - 1);
+
+        return Array.from({ length: curvePoints }, (_, i) => {
+            const price = low + i * step;
+            return { price: this.round(price), pnl: this.round(pnlAt(price)) };
+        });
+    }
+
+    /**
+     * T+n curves - every leg repriced at its own IV with n fewer days to expiry
+     */
+    buildHorizonCurves(legs, signed, context, now, warnings) {
+        const curves = {};
+        const days = context.days && context.days.length > 0 ? context.days : this.config.horizonDays;
+
+        if (legs.some(leg => !leg.iv)) {
+            warnings.push('T+n curves skipped - a leg has no IV');
+            return curves;
+        }
+
+        for (const n of days) {
+            const timeToExpiry = expiryRolloverService.getTimeToExpiry(context.expiry, now + n * DAY_MS);
+            if (!timeToExpiry) {
+                warnings.push(`T+${n} is past expiry`);
+                continue;
+            }
+
+            const dividendYield = optionPricingService.getDividendYield(context.underlying);
+            curves[n] = this.buildCurve(context.underlyingPrice, (price) => legs.reduce((sum, leg) => {
+                const value = optionPricingService.price({
+                    underlyingPrice: price,
+                    strike: leg.strike,
+                    optionType: leg.optionType,
+                    timeToExpiry,
+                    volatility: leg.iv,
+                    dividendYield
+                });
+                return sum + signed(leg) * (value - leg.premium);
+            }, 0));
+        }
+
+        return curves;
+    }
+
+    /**
+     * Long-only: the premium. With short legs: hedged max loss + exposure margin on short notional
+     */
+    estimateMargin(legs, netPremium, maxLoss, underlyingPrice) {
+        const shorts = legs.filter(leg => leg.action === 'SELL');
+        if (shorts.length === 0) {
+            return { amount: this.round(netPremium), method: 'PREMIUM' };
+        }
+
+        const shortNotional = shorts.reduce((sum, leg) => sum + leg.quantity * underlyingPrice, 0);
+        const exposure = shortNotional * this.config.exposureMarginPercent / 100;
+
+        return {
+            amount: maxLoss !== null ? this.round(maxLoss + exposure) : null,
+            method: 'HEDGED_MAX_LOSS_PLUS_EXPOSURE',
+            exposureMargin: this.round(exposure),
+            estimate: true
+        };
+    }
+
+    sumGreeks(legs, signed) {
+        if (legs.some(leg => leg.delta === null || leg.delta === undefined)) return null;
+
+        const total = (field) => legs.reduce((sum, leg) => sum + signed(leg) * (leg[field] || 0), 0);
+        return {
+            delta: this.round(total('delta')),
+            gamma: this.round(total('gamma'), 4),
+            theta: this.round(total('theta')),
+            vega: this.round(total('vega'))
+        };
+    }
+
+    /**
+     * T+n horizons from a query string ("1,3") - whole days within maxHorizonDays
+     */
+    parseDays(value) {
+        if (!value) return null;
+        return String(value).split(',')
+            .map(d => parseInt(d))
+            .filter(d => d > 0 && d <= this.config.maxHorizonDays);
+    }
+
+    round(value, decimals = 2) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            config: this.config
+        };
+    }
+}
+
+module.exports = new StrategyBuilderService();
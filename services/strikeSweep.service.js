@@ -1,7 +1,7 @@
-const axios = require('axios');
-const config = require('../config/angel.config');
 const settings = require('../config/settings.config');
-const authService = require('./auth.service');
+const marketDataService = require('./marketData.service');
+const dataQualityService = require('./dataQuality.service');
+const clock = require('./clock.service');
 
 class StrikeSweepService {
     constructor() {
@@ -98,11 +98,24 @@ class StrikeSweepService {
         console.log(`[STRIKE_SWEEP] Sweeping strikes for ${symbol} @ ${spotPrice}`);
         
         const atmStrike = this.calculateATM(symbol, spotPrice);
-        this.atmStrikes.set(symbol, { strike: atmStrike, spotPrice, timestamp: Date.now() });
+        this.atmStrikes.set(symbol, { strike: atmStrike, spotPrice, timestamp: clock.now() });
 
         const allStrikes = await this.fetchOptionChain(symbol, exchange);
         if (!allStrikes || allStrikes.length === 0) {
-            return this.generateSyntheticStrikes(symbol, spotPrice);
+            // No chain, no candidates - an old selection must not linger as if current
+            this.selectedStrikes.delete(symbol);
+            return {
+                symbol,
+                spotPrice,
+                atmStrike,
+                atmWindow: 0,
+                premiumFiltered: 0,
+                selectedStrikes: { calls: [], puts: [], ivSpikes: [], oiAccelerated: [], deepOTM: [] },
+                unavailable: true,
+                provenance: null,
+                dataAsOf: null,
+                timestamp: clock.now()
+            };
         }
 
         const atmWindow = this.getATMWindow(allStrikes, atmStrike, this.config.strikesAroundATM);
@@ -125,7 +138,9 @@ class StrikeSweepService {
                 oiAccelerated: oiAccelerated.slice(0, 10),
                 deepOTM: deepOTM.slice(0, 10)
             },
-            timestamp: Date.now()
+            provenance: allStrikes[0].provenance,
+            dataAsOf: allStrikes[0].dataAsOf,
+            timestamp: clock.now()
         };
 
         this.selectedStrikes.set(symbol, result);
@@ -136,59 +151,30 @@ class StrikeSweepService {
         const cacheKey = `${symbol}_${exchange}`;
         const cached = this.optionChainCache.get(cacheKey);
         
-        if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
+        if (cached && clock.now() - cached.timestamp < this.cacheExpiry) {
             return cached.data;
         }
 
-        await authService.ensureAuthenticated();
-
         try {
-            const response = await axios.post(
-                `${config.endpoints.base}/rest/secure/angelbroking/market/v1/optionchain`,
-                { symbol, exchange },
-                {
-                    headers: authService.getAuthHeaders(),
-                    timeout: 15000
-                }
-            );
-
-            if (response.data.status && response.data.data) {
-                const data = this.parseOptionChain(response.data.data);
-                this.optionChainCache.set(cacheKey, { data, timestamp: Date.now() });
-                return data;
-            }
-
-            return null;
+            const { rows, live } = await marketDataService.getOptionChainWithSource({ symbol, exchange });
+            const fetchedAt = clock.now();
+            // Stored chain (local fallback): observed at some unknown time, not now
+            const data = live
+                ? rows.map(row => dataQualityService.stamp(row, dataQualityService.PROVENANCE.LIVE, fetchedAt))
+                : rows.map(row => dataQualityService.stamp(row, dataQualityService.PROVENANCE.CACHED, null));
+            this.optionChainCache.set(cacheKey, { data, timestamp: fetchedAt });
+            return data;
         } catch (error) {
             console.error(`[STRIKE_SWEEP] Error fetching option chain for ${symbol}:`, error.message);
+
+            // Last good chain, flagged as such - strikes are never invented
+            if (cached) {
+                return cached.data.map(row => ({ ...row, provenance: dataQualityService.PROVENANCE.CACHED }));
+            }
             return null;
         }
     }
 
-    parseOptionChain(rawData) {
-        if (!Array.isArray(rawData)) return [];
-        
-        return rawData.map(item => ({
-            symbol: item.symbol,
-            token: item.token,
-            strikePrice: parseFloat(item.strikePrice) || 0,
-            optionType: item.optionType,
-            ltp: parseFloat(item.ltp) || 0,
-            volume: parseInt(item.volume) || 0,
-            oi: parseInt(item.openInterest) || 0,
-            oiChange: parseInt(item.changeInOI) || 0,
-            iv: parseFloat(item.impliedVolatility) || 0,
-            delta: parseFloat(item.delta) || 0,
-            gamma: parseFloat(item.gamma) || 0,
-            theta: parseFloat(item.theta) || 0,
-            vega: parseFloat(item.vega) || 0,
-            bidPrice: parseFloat(item.bidPrice) || 0,
-            askPrice: parseFloat(item.askPrice) || 0,
-            bidQty: parseInt(item.bidQty) || 0,
-            askQty: parseInt(item.askQty) || 0
-        }));
-    }
-
     calculateATM(symbol, spotPrice) {
         const strikeGap = this.getStrikeGap(symbol, spotPrice);
         return Math.round(spotPrice / strikeGap) * strikeGap;
@@ -270,7 +256,7 @@ class StrikeSweepService {
         ivSpikes.forEach(spike => {
             this.ivSpikes.set(spike.token, {
                 ...spike,
-                detectedAt: Date.now()
+                detectedAt: clock.now()
             });
         });
 
@@ -306,7 +292,7 @@ class StrikeSweepService {
         accelerated.forEach(acc => {
             this.oiDeltaAcceleration.set(acc.token, {
                 ...acc,
-                detectedAt: Date.now()
+                detectedAt: clock.now()
             });
         });
 
@@ -338,7 +324,7 @@ class StrikeSweepService {
         deepOTM.forEach(otm => {
             this.deepOTMStrikes.set(otm.token, {
                 ...otm,
-                detectedAt: Date.now()
+                detectedAt: clock.now()
             });
         });
 
@@ -352,71 +338,6 @@ class StrikeSweepService {
         return Math.min(10, baseMultiplier * premiumBonus);
     }
 
-    generateSyntheticStrikes(symbol, spotPrice) {
-        const strikes = [];
-        const strikeGap = this.getStrikeGap(symbol, spotPrice);
-        const atmStrike = this.calculateATM(symbol, spotPrice);
-
-        for (let i = -this.config.strikesAroundATM; i <= this.config.strikesAroundATM; i++) {
-            const strikePrice = atmStrike + (i * strikeGap);
-            const moneyness = (spotPrice - strikePrice) / spotPrice;
-            
-            strikes.push({
-                symbol: `${symbol}${strikePrice}CE`,
-                strikePrice,
-                optionType: 'CE',
-                ltp: this.estimatePremium(spotPrice, strikePrice, 'CE'),
-                volume: 0,
-                oi: 0,
-                oiChange: 0,
-                iv: 15,
-                synthetic: true,
-                moneyness: parseFloat((moneyness * 100).toFixed(2))
-            });
-
-            strikes.push({
-                symbol: `${symbol}${strikePrice}PE`,
-                strikePrice,
-                optionType: 'PE',
-                ltp: this.estimatePremium(spotPrice, strikePrice, 'PE'),
-                volume: 0,
-                oi: 0,
-                oiChange: 0,
-                iv: 15,
-                synthetic: true,
-                moneyness: parseFloat((-(moneyness) * 100).toFixed(2))
-            });
-        }
-
-        return {
-            symbol,
-            spotPrice,
-            atmStrike,
-            atmWindow: strikes.length,
-            premiumFiltered: strikes.filter(s => s.ltp >= 3 && s.ltp <= 650).length,
-            selectedStrikes: {
-                calls: strikes.filter(s => s.optionType === 'CE' && s.ltp >= 3 && s.ltp <= 650),
-                puts: strikes.filter(s => s.optionType === 'PE' && s.ltp >= 3 && s.ltp <= 650),
-                ivSpikes: [],
-                oiAccelerated: [],
-                deepOTM: []
-            },
-            synthetic: true,
-            timestamp: Date.now()
-        };
-    }
-
-    estimatePremium(spotPrice, strikePrice, optionType) {
-        const moneyness = optionType === 'CE'
-            ? (spotPrice - strikePrice) / spotPrice
-            : (strikePrice - spotPrice) / spotPrice;
-        
-        const intrinsic = Math.max(0, moneyness * spotPrice);
-        const timeValue = spotPrice * 0.02;
-        
-        return Math.max(3, intrinsic + timeValue);
-    }
-
     recordPremiumTick(token, data) {
         const history = this.premiumHistory.get(token) || [];
         
@@ -424,7 +345,7 @@ class StrikeSweepService {
             premium: data.ltp,
             volume: data.volume,
             oi: data.oi,
-            timestamp: Date.now()
+            timestamp: clock.now()
         });
 
         if (history.length > 200) {
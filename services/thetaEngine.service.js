@@ -2,8 +2,14 @@
  * THETA ENGINE SERVICE
  * Implements theta decay tracking and TrueMomentum calculation
  * Blocks signals on expiry-day theta crush and deep OTM
+ * Expected decay comes from real theta (greeks service); moneyness table is the fallback
  */
 
+const greeksService = require('./greeks.service');
+const calendarService = require('./calendar.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
+
 class ThetaEngineService {
     constructor() {
         this.state = {
@@ -13,11 +19,11 @@ class ThetaEngineService {
         };
 
         this.config = {
-            updateIntervalMs: 30000,     // Update every 30 seconds
+            barInterval: 'ONE_MINUTE',   // Recalculated on every 1m bar close
             thetaCrushHours: 3,          // Last 3 hours on expiry = crush zone
             deepOTMThresholdPercent: 5,  // > 5% from ATM = deep OTM
             minTrueMomentum: 10,         // Minimum true momentum % for signal
-            expectedDailyDecay: {
+            expectedDailyDecay: {        // Fallback when greeks are unavailable
                 atm: 2,                  // ATM loses ~2% daily to theta
                 otm1: 3,                 // 1 strike OTM loses ~3%
                 otm2: 5,                 // 2 strikes OTM loses ~5%
@@ -26,7 +32,7 @@ class ThetaEngineService {
         };
 
         this.premiumHistory = new Map(); // token -> [{ timestamp, premium }]
-        this.updateInterval = null;
+        this.unsubscribeBars = null;
 
         console.log('[THETA_ENGINE] Initializing theta decay engine...');
         console.log('[THETA_ENGINE] Initialized');
@@ -36,27 +42,27 @@ class ThetaEngineService {
      * Start periodic theta tracking
      */
     start() {
-        if (this.updateInterval) {
+        if (this.unsubscribeBars) {
             console.log('[THETA_ENGINE] Already running');
             return;
         }
 
         this.checkExpiryThetaCrush();
-        this.updateInterval = setInterval(() => {
+        this.unsubscribeBars = eventBus.onBarClose(this.config.barInterval, () => {
             this.calculate();
             this.checkExpiryThetaCrush();
-        }, this.config.updateIntervalMs);
+        }, 'THETA_ENGINE');
 
-        console.log('[THETA_ENGINE] Started - tracking every 30 seconds');
+        console.log('[THETA_ENGINE] Started - tracking on every 1m bar close');
     }
 
     /**
      * Stop theta tracking
      */
     stop() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+        if (this.unsubscribeBars) {
+            this.unsubscribeBars();
+            this.unsubscribeBars = null;
             console.log('[THETA_ENGINE] Stopped');
         }
     }
@@ -65,21 +71,18 @@ class ThetaEngineService {
      * Check if expiry-day theta crush is active
      */
     checkExpiryThetaCrush() {
-        const now = new Date();
-        const dayOfWeek = now.getDay();
-        
+        // IST wall clock - independent of the host time zone
+        const ist = calendarService.toIST(clock.date());
+
         // Thursday = weekly expiry
-        if (dayOfWeek !== 4) {
+        if (ist.getDay() !== 4) {
             this.state.expiryThetaCrushActive = false;
             return;
         }
 
-        // IST time check
-        const hours = now.getHours();
-        const istHours = (hours + 5) % 24 + (now.getMinutes() + 30 >= 60 ? 1 : 0);
-        
         // Crush zone: last 3 hours before market close (12:30 - 3:30 IST)
-        if (istHours >= 12.5) {
+        const istMinutes = ist.getHours() * 60 + ist.getMinutes();
+        if (istMinutes >= 12 * 60 + 30) {
             this.state.expiryThetaCrushActive = true;
             console.log('[THETA_ENGINE] ⚠️ EXPIRY DAY THETA CRUSH ACTIVE');
         } else {
@@ -93,7 +96,7 @@ class ThetaEngineService {
     calculate() {
         // This would be called with actual premium data
         // For now, we track what's been registered
-        this.state.lastUpdate = Date.now();
+        this.state.lastUpdate = clock.now();
     }
 
     /**
@@ -102,7 +105,7 @@ class ThetaEngineService {
     registerPremium(token, symbol, premium, spotPrice, strikePrice, optionType) {
         const history = this.premiumHistory.get(token) || [];
         history.push({
-            timestamp: Date.now(),
+            timestamp: clock.now(),
             premium,
             spotPrice,
             strikePrice
@@ -116,7 +119,8 @@ class ThetaEngineService {
 
         // Calculate metrics
         const moneyness = this.calculateMoneyness(spotPrice, strikePrice, optionType);
-        const expectedDecay = this.getExpectedDecay(moneyness);
+        const greeks = greeksService.getGreeks(token, { premium, underlyingPrice: spotPrice });
+        const expectedDecay = this.getExpectedDecay(moneyness, greeks);
         const actualMove = this.calculateActualMove(history);
         const thetaImpact = this.estimateThetaImpact(history, expectedDecay);
         const trueMomentum = actualMove - thetaImpact;
@@ -132,11 +136,19 @@ class ThetaEngineService {
             moneyness: Math.round(moneyness * 100) / 100,
             moneynessType: this.classifyMoneyness(moneyness),
             expectedDecay: Math.round(expectedDecay * 100) / 100,
+            decaySource: greeks?.thetaPercent != null ? 'GREEKS' : 'TABLE',
+            greeks: greeks ? {
+                iv: greeks.iv,
+                delta: greeks.delta,
+                gamma: greeks.gamma,
+                theta: greeks.theta,
+                vega: greeks.vega
+            } : null,
             actualMove: Math.round(actualMove * 100) / 100,
             thetaImpact: Math.round(thetaImpact * 100) / 100,
             trueMomentum: Math.round(trueMomentum * 100) / 100,
             thetaVelocity: Math.round(thetaVelocity * 100) / 100,
-            timestamp: Date.now()
+            timestamp: clock.now()
         };
 
         this.state.thetaData.set(token, thetaData);
@@ -165,9 +177,14 @@ class ThetaEngineService {
     }
 
     /**
-     * Get expected decay based on moneyness
+     * Expected daily decay (% of premium)
+     * Real theta when greeks resolve, otherwise the moneyness table
      */
-    getExpectedDecay(moneyness) {
+    getExpectedDecay(moneyness, greeks = null) {
+        if (greeks?.thetaPercent != null) {
+            return Math.abs(greeks.thetaPercent);
+        }
+
         const type = this.classifyMoneyness(moneyness);
         switch (type) {
             case 'ATM': return this.config.expectedDailyDecay.atm;
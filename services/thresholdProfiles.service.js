@@ -0,0 +1,663 @@
+/**
+ * THRESHOLD PROFILES SERVICE - VERSIONED, LOCKED THRESHOLD SETS FOR THE ELITE LOCK
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Make "thresholds change only after 3-day validation" enforceable.
+ * The runner (stock), collapse and option services get their zone / global
+ * thresholds from a named, versioned profile instead of whatever is in memory.
+ *
+ * LIFECYCLE:
+ * DRAFT (editable) → LOCKED (immutable, content-hashed) → validated by replay
+ * runs (node replay.js <session> --profile <id>) → PROMOTED by a named approver
+ * citing those runs (passed hard conditions, ≥3 trading days) → ACTIVE.
+ * The previous ACTIVE profile is RETIRED and stays available for rollback.
+ *
+ * ELITE LOCK:
+ * - A promotion / rollback is pending until the next boot - never swapped into
+ *   a running engine (live only when ELITE_LOCKED=false + ALLOW_THRESHOLD_CHANGE)
+ * - At boot the active profile is applied and the service threshold objects are
+ *   frozen; updateConfig on the locked services throws
+ * - First boot seeds the shipped V7.3 values as the baseline profile
+ * - A profile locked before a threshold object was tracked runs that object at
+ *   its shipped values (its hash still covers only what it was locked with)
+ *
+ * STORAGE: data/thresholds/registry.json
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const settings = require('../config/settings.config');
+const productionConfig = require('./production.config');
+const runnerProbabilityStockService = require('./runnerProbabilityStock.service');
+const runnerProbabilityCollapseService = require('./runnerProbabilityCollapse.service');
+const runnerProbabilityOptionService = require('./runnerProbabilityOption.service');
+const clock = require('./clock.service');
+
+const STATUS = {
+    DRAFT: 'DRAFT',
+    LOCKED: 'LOCKED',
+    ACTIVE: 'ACTIVE',
+    RETIRED: 'RETIRED'
+};
+
+// Profile section → service and the threshold objects it owns
+const TARGETS = {
+    stock: { service: runnerProbabilityStockService, fields: ['zones', 'zoneConfig', 'scoreWeights', 'config'] },
+    collapse: { service: runnerProbabilityCollapseService, fields: ['optionZoneConfig', 'stockZoneConfig', 'config'] },
+    option: { service: runnerProbabilityOptionService, fields: ['zoneConfig', 'config'] }
+};
+
+class ThresholdProfilesService {
+    constructor() {
+        this.config = {
+            dir: './data/thresholds',
+            minValidationDays: 3,       // Elite Lock: 3-day data validation
+            baselineName: productionConfig.TAG
+        };
+
+        // Shipped values, captured before anything is applied
+        this.defaults = this.capture();
+
+        this.registry = { seq: {}, active: null, pending: null, profiles: {}, history: [] };
+        this.applied = null;            // { id, hash } in force in this process
+        this.applyError = null;
+        this.initialized = false;
+
+        this.loadConfig();
+    }
+
+    loadConfig() {
+        const profilesConfig = settings.thresholdProfiles || {};
+        this.config = {
+            ...this.config,
+            ...profilesConfig
+        };
+    }
+
+    /**
+     * Load the registry, activate a pending promotion, apply and freeze (boot only)
+     * @returns {object} { active, activatedOnBoot, drift }
+     */
+    initialize() {
+        this.loadRegistry();
+
+        if (Object.keys(this.registry.profiles).length === 0) {
+            this.seedBaseline();
+        }
+
+        let activatedOnBoot = null;
+        if (this.registry.pending) {
+            try {
+                this.activate(this.registry.pending.id);
+                activatedOnBoot = this.registry.active;
+            } catch (error) {
+                this.applyError = error.message;
+                console.error(`[THRESHOLDS] ❌ Pending ${this.registry.pending.id} not activated:`, error.message);
+            }
+        }
+
+        if (!activatedOnBoot && this.registry.active) {
+            try {
+                this.apply(this.getProfile(this.registry.active));
+            } catch (error) {
+                // Fall back to the shipped values rather than boot on unverified thresholds
+                this.applyError = error.message;
+                console.error('[THRESHOLDS] ❌ Active profile not applied - running shipped thresholds:', error.message);
+            }
+        }
+
+        this.seal();
+        this.initialized = true;
+
+        const active = this.registry.profiles[this.registry.active];
+        const drift = !active || this.liveHash() !== active.hash;
+        console.log(`[THRESHOLDS] Initialized | Active: ${this.registry.active} | Profiles: ${Object.keys(this.registry.profiles).length}${drift ? ' | ⚠️ LIVE DRIFT' : ''}`);
+
+        return { active: this.registry.active, activatedOnBoot, drift };
+    }
+
+    /**
+     * Register the shipped thresholds as the locked, active baseline
+     */
+    seedBaseline() {
+        const profile = this.newProfile(this.config.baselineName, this.defaults, {
+            createdBy: 'production.config',
+            note: `${productionConfig.VERSION} ${productionConfig.CODENAME} - frozen ${productionConfig.FREEZE_DATE}`
+        });
+
+        profile.status = STATUS.ACTIVE;
+        profile.lockedAt = profile.createdAt;
+        profile.lockedBy = 'production.config';
+        profile.hash = this.hash(profile.params);
+        profile.approvedBy = 'production.config';
+        profile.activatedAt = profile.createdAt;
+        profile.validations.push({
+            runId: 'shadow-mode',
+            source: 'production.config VALIDATION',
+            sessions: productionConfig.VALIDATION.sessions,
+            summary: {
+                plusOneHitRate: productionConfig.VALIDATION.avgPlusOneHit,
+                fakeBreakRate: productionConfig.VALIDATION.avgFakeBreak,
+                avgMAE: productionConfig.VALIDATION.avgMAE
+            },
+            passed: productionConfig.VALIDATION.hardConditionsPassed,
+            hash: profile.hash,
+            recordedAt: profile.createdAt
+        });
+
+        this.registry.profiles[profile.id] = profile;
+        this.registry.active = profile.id;
+        this.registry.history.push({ type: 'SEED', id: profile.id, by: 'production.config', at: profile.createdAt });
+        this.saveRegistry();
+
+        console.log(`[THRESHOLDS] Seeded baseline profile ${profile.id}`);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // AUTHORING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * New DRAFT version of a profile name
+     * @param {object} options - { name, from (profile id, default active), changes, createdBy, note }
+     */
+    create({ name, from, changes = {}, createdBy, note } = {}) {
+        if (!name || !/^[a-z0-9][a-z0-9._-]*$/i.test(name)) {
+            throw new Error('Profile name required (letters, digits, . _ -)');
+        }
+
+        const base = this.getProfile(from || this.registry.active);
+        const params = this.merge(this.complete(base.params), changes);
+
+        const profile = this.newProfile(name, params, { createdBy, note });
+        profile.basedOn = base.id;
+
+        this.registry.profiles[profile.id] = profile;
+        this.saveRegistry();
+
+        console.log(`[THRESHOLDS] ${profile.id} DRAFT created from ${base.id} (${this.diff(base.id, profile.id).changes.length} changes)`);
+        return profile;
+    }
+
+    /**
+     * Change a DRAFT - locked profiles are immutable
+     */
+    amend(id, changes = {}) {
+        const profile = this.getProfile(id);
+        if (profile.status !== STATUS.DRAFT) {
+            throw new Error(`${id} is ${profile.status} - immutable, create a new version instead`);
+        }
+
+        profile.params = this.merge(profile.params, changes);
+        profile.updatedAt = clock.now();
+        this.saveRegistry();
+        return profile;
+    }
+
+    /**
+     * Freeze a DRAFT: content hash recorded, no further edits
+     */
+    lock(id, { lockedBy } = {}) {
+        const profile = this.getProfile(id);
+        if (profile.status !== STATUS.DRAFT) {
+            throw new Error(`${id} is already ${profile.status}`);
+        }
+
+        profile.status = STATUS.LOCKED;
+        profile.hash = this.hash(profile.params);
+        profile.lockedAt = clock.now();
+        profile.lockedBy = lockedBy || null;
+        this.saveRegistry();
+
+        console.log(`[THRESHOLDS] ${id} LOCKED (${profile.hash.slice(0, 12)})`);
+        return profile;
+    }
+
+    newProfile(name, params, { createdBy, note } = {}) {
+        const version = (this.registry.seq[name] || 0) + 1;
+        this.registry.seq[name] = version;
+
+        return {
+            id: `${name}@v${version}`,
+            name,
+            version,
+            status: STATUS.DRAFT,
+            basedOn: null,
+            params: this.clone(params),
+            hash: null,
+            createdAt: clock.now(),
+            createdBy: createdBy || null,
+            note: note || null,
+            validations: []
+        };
+    }
+
+    /**
+     * Deep-merge changes onto params - only existing threshold keys, same type
+     */
+    merge(params, changes, trail = []) {
+        const result = this.clone(params);
+
+        for (const [key, value] of Object.entries(changes || {})) {
+            const keyPath = [...trail, key].join('.');
+            if (!(key in result)) {
+                throw new Error(`Unknown threshold ${keyPath}`);
+            }
+
+            const current = result[key];
+            if (current !== null && typeof current === 'object') {
+                if (value === null || typeof value !== 'object') {
+                    throw new Error(`${keyPath} is a section - pass an object`);
+                }
+                result[key] = this.merge(current, value, [...trail, key]);
+            } else {
+                if (current !== null && typeof value !== typeof current) {
+                    throw new Error(`${keyPath} must be ${typeof current}`);
+                }
+                result[key] = value;
+            }
+        }
+
+        return result;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // VALIDATION & PROMOTION
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Attach a replay report run under a profile (replay.js --profile)
+     * @param {object} report - replayEngine report with thresholdProfile { id, hash }
+     * @param {string} reportPath - Where the report was saved
+     */
+    recordValidation(report, reportPath = null) {
+        const ref = report.thresholdProfile || {};
+        const profile = this.getProfile(ref.id);
+
+        if (profile.status === STATUS.DRAFT) {
+            throw new Error(`${profile.id} is a DRAFT - lock it before validating`);
+        }
+        if (ref.hash !== profile.hash) {
+            throw new Error(`Report thresholds (${String(ref.hash).slice(0, 12)}) do not match ${profile.id} (${profile.hash.slice(0, 12)})`);
+        }
+
+        const hardConditions = report.hardConditions || {};
+        const validation = {
+            runId: report.runId,
+            session: report.session,
+            days: report.period?.days || [],
+            signals: report.summary.signals,
+            summary: {
+                plusOneHitRate: report.summary.plusOneHitRate,
+                fakeBreakRate: report.summary.fakeBreakRate,
+                avgMAE: report.summary.avgMAE
+            },
+            passed: Object.values(hardConditions).length > 0 && Object.values(hardConditions).every(c => c.passed),
+            hash: ref.hash,
+            reportPath,
+            recordedAt: clock.now()
+        };
+
+        profile.validations = profile.validations.filter(v => v.runId !== validation.runId);
+        profile.validations.push(validation);
+        this.saveRegistry();
+
+        console.log(`[THRESHOLDS] ${profile.id} validation ${validation.runId}: ${validation.passed ? 'PASSED' : 'FAILED'} (${validation.days.length} day(s))`);
+        return validation;
+    }
+
+    /**
+     * Approve a LOCKED profile for activation
+     * @param {string} id - Profile id (name@vN)
+     * @param {object} options - { approvedBy, validationRuns: [runId], note }
+     */
+    promote(id, { approvedBy, validationRuns, note } = {}) {
+        const profile = this.getProfile(id);
+
+        if (profile.status !== STATUS.LOCKED) {
+            throw new Error(`${id} is ${profile.status} - only LOCKED profiles can be promoted`);
+        }
+        if (!approvedBy) {
+            throw new Error('approvedBy is required');
+        }
+
+        const runIds = (Array.isArray(validationRuns) ? validationRuns : String(validationRuns || '').split(','))
+            .map(r => String(r).trim())
+            .filter(Boolean);
+        if (runIds.length === 0) {
+            throw new Error('At least one validation run is required');
+        }
+
+        const runs = runIds.map(runId => {
+            const run = profile.validations.find(v => v.runId === runId);
+            if (!run) throw new Error(`Validation run ${runId} not recorded for ${id}`);
+            if (run.hash !== profile.hash) throw new Error(`Validation run ${runId} ran different thresholds`);
+            if (!run.passed) throw new Error(`Validation run ${runId} failed the hard conditions`);
+            return run;
+        });
+
+        const days = new Set(runs.flatMap(r => r.days));
+        if (days.size < this.config.minValidationDays) {
+            throw new Error(`Elite Lock: ${days.size} trading day(s) validated, ${this.config.minValidationDays} required`);
+        }
+
+        profile.approvedBy = approvedBy;
+        profile.approvedAt = clock.now();
+        profile.validationRuns = runIds;
+        profile.approvalNote = note || null;
+
+        return this.schedule({ type: 'PROMOTE', id, by: approvedBy, validationRuns: runIds, note });
+    }
+
+    /**
+     * Return to a previously active profile (default: the one before the current)
+     * @param {object} options - { to, by, note }
+     */
+    rollback({ to, by, note } = {}) {
+        if (!by) {
+            throw new Error('by is required');
+        }
+
+        const target = to
+            ? this.getProfile(to)
+            : this.getProfile(this.previousActive());
+
+        if (target.id === this.registry.active) {
+            throw new Error(`${target.id} is already active`);
+        }
+        if (target.status !== STATUS.RETIRED) {
+            throw new Error(`${target.id} was never active - promote it instead`);
+        }
+
+        return this.schedule({ type: 'ROLLBACK', id: target.id, by, from: this.registry.active, note });
+    }
+
+    previousActive() {
+        const activations = this.registry.history.filter(h => ['SEED', 'ACTIVATE'].includes(h.type));
+        const previous = activations.slice(0, -1).reverse().find(h => h.id !== this.registry.active);
+        if (!previous) throw new Error('No previous active profile to roll back to');
+        return previous.id;
+    }
+
+    /**
+     * Record a promotion / rollback; applied now only when the lock is open
+     */
+    schedule(entry) {
+        const record = { ...entry, at: clock.now() };
+        if (this.registry.pending && this.registry.pending.id !== entry.id) {
+            this.registry.history.push({ type: 'CANCELLED', id: this.registry.pending.id, by: entry.by, at: record.at });
+        }
+
+        this.registry.pending = record;
+        this.registry.history.push(record);
+        this.saveRegistry();
+
+        if (this.canActivateLive()) {
+            this.activate(entry.id);
+            return { ...record, activation: 'LIVE' };
+        }
+
+        console.log(`[THRESHOLDS] ${entry.type} ${entry.id} by ${entry.by} - takes effect on next boot`);
+        return { ...record, activation: 'NEXT_BOOT' };
+    }
+
+    activate(id) {
+        const profile = this.getProfile(id);
+        this.apply(profile);
+
+        const previous = this.registry.active && this.registry.profiles[this.registry.active];
+        if (previous && previous.id !== id) {
+            previous.status = STATUS.RETIRED;
+            previous.retiredAt = clock.now();
+        }
+
+        profile.status = STATUS.ACTIVE;
+        profile.activatedAt = clock.now();
+        this.registry.active = id;
+        this.registry.pending = null;
+        this.registry.history.push({ type: 'ACTIVATE', id, at: profile.activatedAt });
+        this.saveRegistry();
+
+        console.log(`[THRESHOLDS] ${id} ACTIVE${profile.approvedBy ? ` (approved by ${profile.approvedBy})` : ''}`);
+    }
+
+    canActivateLive() {
+        return productionConfig.canModifyThresholds();
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // SERVICES
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Current thresholds of the locked services
+     */
+    capture() {
+        const params = {};
+        for (const [section, target] of Object.entries(TARGETS)) {
+            params[section] = {};
+            for (const field of target.fields) {
+                params[section][field] = this.clone(target.service[field]);
+            }
+        }
+        return params;
+    }
+
+    /**
+     * Copy of a profile's params with every tracked threshold object - ones it
+     * predates are filled in from the shipped values
+     */
+    complete(params) {
+        const result = {};
+        for (const [section, target] of Object.entries(TARGETS)) {
+            result[section] = {};
+            for (const field of target.fields) {
+                const value = params[section]?.[field] ?? this.defaults[section][field];
+                result[section][field] = this.clone(value);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Install a profile's thresholds (boot, live activation, or offline replay)
+     */
+    apply(profile) {
+        if (profile.hash && this.hash(profile.params) !== profile.hash) {
+            throw new Error(`${profile.id} content does not match its lock hash - registry tampered`);
+        }
+
+        const params = this.complete(profile.params);
+        for (const [section, target] of Object.entries(TARGETS)) {
+            for (const field of target.fields) {
+                target.service[field] = params[section][field];
+            }
+        }
+
+        this.applied = { id: profile.id, hash: profile.hash || this.hash(profile.params) };
+        if (this.initialized) this.seal();
+    }
+
+    /**
+     * Run fn with a locked profile's thresholds installed, then put the live ones
+     * back (synchronous - shadow challenger evaluation, never stored)
+     */
+    runWith(id, fn) {
+        const profile = this.getProfile(id);
+        if (profile.status === STATUS.DRAFT) {
+            throw new Error(`${id} is a DRAFT - lock it before running it`);
+        }
+        // Frozen copy - the registry's profile stays an ordinary object
+        const params = this.deepFreeze(this.complete(profile.params));
+
+        const saved = [];
+        for (const [section, target] of Object.entries(TARGETS)) {
+            for (const field of target.fields) {
+                saved.push([target.service, field, target.service[field]]);
+                target.service[field] = params[section][field];
+            }
+        }
+
+        try {
+            return fn();
+        } finally {
+            saved.forEach(([service, field, value]) => { service[field] = value; });
+        }
+    }
+
+    /**
+     * Freeze the installed threshold objects - direct writes no longer stick
+     */
+    seal() {
+        for (const target of Object.values(TARGETS)) {
+            for (const field of target.fields) {
+                this.deepFreeze(target.service[field]);
+            }
+        }
+    }
+
+    /**
+     * Identity of the thresholds running in this process (stamped on replay reports)
+     */
+    describeLive() {
+        const hash = this.liveHash();
+        const match = this.applied && this.applied.hash === hash
+            ? this.applied
+            : Object.values(this.registry.profiles).find(p => p.hash === hash);
+
+        return { id: match ? match.id : null, hash };
+    }
+
+    liveHash() {
+        return this.hash(this.capture());
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // DIFF
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Threshold-level changes between two profiles ('live' = running values)
+     */
+    diff(fromId, toId) {
+        const resolve = id => id === 'live' ? this.capture() : this.getProfile(id).params;
+        const before = this.flatten(resolve(fromId || this.registry.active));
+        const after = this.flatten(resolve(toId));
+
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        const changes = [];
+        for (const key of keys) {
+            if (before[key] !== after[key]) {
+                changes.push({ path: key, from: before[key] ?? null, to: after[key] ?? null });
+            }
+        }
+
+        return { from: fromId || this.registry.active, to: toId, changes };
+    }
+
+    flatten(obj, prefix = '', out = {}) {
+        for (const [key, value] of Object.entries(obj)) {
+            const keyPath = prefix ? `${prefix}.${key}` : key;
+            if (value !== null && typeof value === 'object') {
+                this.flatten(value, keyPath, out);
+            } else {
+                out[keyPath] = value;
+            }
+        }
+        return out;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // STORAGE
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    getProfile(id) {
+        const profile = this.registry.profiles[id];
+        if (!profile) throw new Error(`Unknown threshold profile ${id}`);
+        return profile;
+    }
+
+    loadRegistry() {
+        const file = path.join(path.resolve(this.config.dir), 'registry.json');
+        try {
+            if (fs.existsSync(file)) {
+                this.registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+            }
+        } catch (error) {
+            console.error('[THRESHOLDS] Registry read failed:', error.message);
+        }
+    }
+
+    saveRegistry() {
+        const dir = path.resolve(this.config.dir);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'registry.json'), JSON.stringify(this.registry, null, 2));
+    }
+
+    /**
+     * sha256 over key-sorted JSON
+     */
+    hash(params) {
+        const stable = value => {
+            if (value === null || typeof value !== 'object') return JSON.stringify(value);
+            const keys = Object.keys(value).sort();
+            return `{${keys.map(k => `${JSON.stringify(k)}:${stable(value[k])}`).join(',')}}`;
+        };
+        return crypto.createHash('sha256').update(stable(params)).digest('hex');
+    }
+
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    deepFreeze(obj) {
+        Object.values(obj).forEach(value => {
+            if (value !== null && typeof value === 'object') this.deepFreeze(value);
+        });
+        return Object.freeze(obj);
+    }
+
+    summarise(profile) {
+        return {
+            id: profile.id,
+            status: profile.status,
+            basedOn: profile.basedOn,
+            hash: profile.hash,
+            createdAt: profile.createdAt,
+            createdBy: profile.createdBy,
+            note: profile.note,
+            validations: profile.validations.map(v => ({ runId: v.runId, days: v.days?.length ?? null, passed: v.passed })),
+            approvedBy: profile.approvedBy || null,
+            validationRuns: profile.validationRuns || [],
+            activatedAt: profile.activatedAt || null
+        };
+    }
+
+    getStatus() {
+        const profiles = Object.values(this.registry.profiles).sort((a, b) => b.createdAt - a.createdAt);
+        const active = this.registry.active && this.registry.profiles[this.registry.active];
+        const liveHash = this.liveHash();
+
+        return {
+            initialized: this.initialized,
+            active: this.registry.active,
+            pending: this.registry.pending,
+            eliteLocked: productionConfig.ELITE_LOCKED,
+            liveActivation: this.canActivateLive(),
+            liveHash,
+            drift: Boolean(active) && active.hash !== liveHash,
+            applyError: this.applyError,
+            minValidationDays: this.config.minValidationDays,
+            profiles: profiles.map(p => this.summarise(p)),
+            history: this.registry.history.slice(-20)
+        };
+    }
+}
+
+const thresholdProfilesService = new ThresholdProfilesService();
+thresholdProfilesService.STATUS = STATUS;
+
+module.exports = thresholdProfilesService;
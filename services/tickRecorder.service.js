@@ -0,0 +1,350 @@
+/**
+ * TICK RECORDER SERVICE - WEBSOCKET STREAM CAPTURE & PLAYBACK
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE: Capture the raw Angel WebSocket stream to disk and play it back
+ * through the same parse path, so live-only behaviour can be reproduced offline
+ *
+ * RECORDS (opt-in via TICK_RECORDER_ENABLED=true):
+ * - Every binary frame as base64, with receive time and the parsed tick
+ * - One file per IST day → data/ticks/ticks_YYYY-MM-DD.jsonl
+ * - Rotates at IST midnight, keeps the newest N files
+ *
+ * PLAYBACK:
+ * - Frames go back through websocketService.handleMessage()
+ * - Offline only: refused while the live tick stream is connected, so a replay
+ *   never overwrites live prices or reaches the guards, broker and alerts of a
+ *   trading session (MARKET_DATA_PROVIDER=local streams a recorded day instead)
+ * - Original inter-frame timing, scaled by speed (0 = as fast as possible)
+ * - Played-back frames are flagged and never re-recorded
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('../config/settings.config');
+const calendarService = require('./calendar.service');
+const websocketService = require('./websocket.service');
+
+class TickRecorderService {
+    constructor() {
+        this.config = {
+            enabled: false,
+            dir: './data/ticks',
+            maxFiles: 10
+        };
+
+        // Recording state
+        this.recording = false;
+        this.unsubscribe = null;
+        this.stream = null;
+        this.currentDay = null;
+        this.nextRotationAt = 0;
+
+        // Playback state
+        this.playback = null;
+        this.playbackTimer = null;
+
+        this.stats = {
+            framesRecorded: 0,
+            bytesRecorded: 0,
+            writeErrors: 0,
+            framesPlayed: 0,
+            lastFrameAt: null,
+            lastError: null
+        };
+    }
+
+    loadConfig() {
+        const recorderConfig = settings.tickRecorder || {};
+        this.config = {
+            ...this.config,
+            ...recorderConfig
+        };
+    }
+
+    getDir() {
+        return path.resolve(this.config.dir);
+    }
+
+    fileFor(day) {
+        return path.join(this.getDir(), `ticks_${day}.jsonl`);
+    }
+
+    /**
+     * Boot hook - start recording only if enabled in config
+     */
+    initialize() {
+        this.loadConfig();
+
+        if (!this.config.enabled) {
+            console.log('[TICK_RECORDER] Disabled (set TICK_RECORDER_ENABLED=true to capture ticks)');
+            return false;
+        }
+
+        return this.startRecording();
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // RECORDING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    startRecording() {
+        if (this.recording) return true;
+        this.loadConfig();
+
+        try {
+            fs.mkdirSync(this.getDir(), { recursive: true });
+        } catch (error) {
+            this.stats.lastError = error.message;
+            console.error('[TICK_RECORDER] Cannot create tick directory:', error.message);
+            return false;
+        }
+
+        this.unsubscribe = websocketService.onFrame((data, parsed, meta) => {
+            if (meta.replayed) return;
+            this.writeFrame(data, parsed, meta.receivedAt);
+        });
+
+        this.recording = true;
+        console.log(`[TICK_RECORDER] Recording started → ${this.getDir()}`);
+        return true;
+    }
+
+    stopRecording() {
+        if (!this.recording) return false;
+
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        this.closeStream();
+        this.recording = false;
+
+        console.log(`[TICK_RECORDER] Recording stopped | Frames: ${this.stats.framesRecorded}`);
+        return true;
+    }
+
+    /**
+     * Append one frame - never throws into the WebSocket message path
+     */
+    writeFrame(data, parsed, receivedAt) {
+        try {
+            if (!this.stream || receivedAt >= this.nextRotationAt) {
+                this.rotate(receivedAt);
+            }
+
+            const line = JSON.stringify({
+                r: receivedAt,
+                raw: Buffer.from(data).toString('base64'),
+                p: parsed || null
+            }) + '\n';
+
+            this.stream.write(line);
+            this.stats.framesRecorded++;
+            this.stats.bytesRecorded += line.length;
+            this.stats.lastFrameAt = receivedAt;
+        } catch (error) {
+            this.stats.writeErrors++;
+            this.stats.lastError = error.message;
+        }
+    }
+
+    /**
+     * Open the file for the IST day of `timestamp` and prune old days
+     */
+    rotate(timestamp) {
+        const istNow = calendarService.toIST(new Date(timestamp));
+        const day = calendarService.formatDate(istNow);
+
+        // Next IST midnight expressed as epoch ms
+        const istMidnight = new Date(istNow);
+        istMidnight.setHours(24, 0, 0, 0);
+        this.nextRotationAt = timestamp + (istMidnight.getTime() - istNow.getTime());
+
+        if (day === this.currentDay && this.stream) return;
+
+        this.closeStream();
+        this.currentDay = day;
+        this.stream = fs.createWriteStream(this.fileFor(day), { flags: 'a' });
+        this.stream.on('error', (error) => {
+            this.stats.writeErrors++;
+            this.stats.lastError = error.message;
+            console.error('[TICK_RECORDER] Stream error:', error.message);
+        });
+
+        console.log(`[TICK_RECORDER] Writing ${path.basename(this.fileFor(day))}`);
+        this.pruneFiles();
+    }
+
+    closeStream() {
+        if (this.stream) {
+            this.stream.end();
+            this.stream = null;
+        }
+        this.currentDay = null;
+        this.nextRotationAt = 0;
+    }
+
+    pruneFiles() {
+        const files = this.listFiles();
+        const excess = files.length - this.config.maxFiles;
+        if (excess <= 0) return;
+
+        for (const file of files.slice(0, excess)) {
+            if (file.day === this.currentDay) continue;
+            try {
+                fs.unlinkSync(path.join(this.getDir(), file.name));
+                console.log(`[TICK_RECORDER] Pruned ${file.name}`);
+            } catch (error) {
+                this.stats.lastError = error.message;
+            }
+        }
+    }
+
+    listFiles() {
+        const dir = this.getDir();
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir)
+            .map(name => ({ name, match: name.match(/^ticks_(\d{4}-\d{2}-\d{2})\.jsonl$/) }))
+            .filter(f => f.match)
+            .map(f => ({
+                name: f.name,
+                day: f.match[1],
+                sizeBytes: fs.statSync(path.join(dir, f.name)).size
+            }))
+            .sort((a, b) => a.day.localeCompare(b.day));
+    }
+
+    /**
+     * Read a recorded day back as frames { receivedAt, data: ArrayBuffer, parsed }
+     */
+    readFrames(day) {
+        const file = this.fileFor(day);
+        if (!fs.existsSync(file)) {
+            throw new Error(`No tick recording for ${day}`);
+        }
+
+        const frames = [];
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const record = JSON.parse(line);
+                const buf = Buffer.from(record.raw, 'base64');
+                frames.push({
+                    receivedAt: record.r,
+                    data: buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength),
+                    parsed: record.p
+                });
+            } catch (e) {
+                // Torn write from a crash - skip the line, keep the rest
+            }
+        }
+
+        return frames;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // PLAYBACK
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Play a recorded day through websocketService.handleMessage()
+     * @param {string} day - YYYY-MM-DD
+     * @param {object} options - { speed: 1 = real time, 0 = no delay; tokens: [] filter }
+     */
+    play(day, { speed = 1, tokens = null } = {}) {
+        if (this.playback && this.playback.active) {
+            throw new Error('Playback already running');
+        }
+        if (websocketService.isConnected) {
+            throw new Error('Live tick stream is connected - playback runs offline only (disconnect the feed or use MARKET_DATA_PROVIDER=local)');
+        }
+
+        let frames = this.readFrames(day);
+        if (Array.isArray(tokens) && tokens.length > 0) {
+            const wanted = new Set(tokens.map(String));
+            frames = frames.filter(f => f.parsed && wanted.has(String(f.parsed.token)));
+        }
+
+        this.playback = {
+            day,
+            speed,
+            total: frames.length,
+            played: 0,
+            active: true,
+            startedAt: Date.now(),
+            finishedAt: null
+        };
+
+        console.log(`[TICK_RECORDER] Playing ${day} | Frames: ${frames.length} | Speed: ${speed || 'max'}`);
+        this.scheduleNext(frames, 0);
+
+        return this.getPlaybackStatus();
+    }
+
+    scheduleNext(frames, index) {
+        const playback = this.playback;
+        if (!playback.active) return;
+
+        if (index >= frames.length) {
+            this.finishPlayback();
+            return;
+        }
+
+        const delay = playback.speed > 0 && index > 0
+            ? Math.max(0, (frames[index].receivedAt - frames[index - 1].receivedAt) / playback.speed)
+            : 0;
+
+        this.playbackTimer = setTimeout(() => {
+            this.playbackTimer = null;
+            if (!playback.active) return;
+
+            websocketService.handleMessage(frames[index].data, { replayed: true });
+            playback.played++;
+            this.stats.framesPlayed++;
+
+            this.scheduleNext(frames, index + 1);
+        }, delay);
+    }
+
+    finishPlayback() {
+        if (!this.playback) return;
+        this.playback.active = false;
+        this.playback.finishedAt = Date.now();
+        console.log(`[TICK_RECORDER] Playback finished | ${this.playback.played}/${this.playback.total} frames`);
+    }
+
+    stopPlayback() {
+        if (!this.playback || !this.playback.active) return false;
+
+        if (this.playbackTimer) {
+            clearTimeout(this.playbackTimer);
+            this.playbackTimer = null;
+        }
+        this.finishPlayback();
+        return true;
+    }
+
+    getPlaybackStatus() {
+        return this.playback ? { ...this.playback } : null;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.config.enabled,
+            recording: this.recording,
+            dir: this.getDir(),
+            currentFile: this.currentDay ? path.basename(this.fileFor(this.currentDay)) : null,
+            maxFiles: this.config.maxFiles,
+            playback: this.getPlaybackStatus(),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = new TickRecorderService();
@@ -2,9 +2,11 @@
  * TIME OF DAY FILTER SERVICE
  * Implements time-based signal filtering
  * First 5 min strict mode, 12-1 PM drift suppression
+ * Session bounds per segment (EQUITY 9:15-15:30, COMMODITY per MCX calendar)
  */
 
 const calendarService = require('./calendar.service');
+const clock = require('./clock.service');
 
 class TimeOfDayService {
     constructor() {
@@ -37,8 +39,8 @@ class TimeOfDayService {
     /**
      * Get current market mode based on time
      */
-    getCurrentMode() {
-        const tradingCheck = calendarService.isValidTradingTime();
+    getCurrentMode(segment = 'EQUITY') {
+        const tradingCheck = calendarService.isValidTradingTime(clock.now(), segment);
         if (!tradingCheck.valid) {
             return {
                 mode: 'MARKET_CLOSED',
@@ -52,9 +54,10 @@ class TimeOfDayService {
         const minutes = istNow.getMinutes();
         const timeMinutes = hours * 60 + minutes;
 
-        // Market timing
-        const marketOpen = 9 * 60 + 15;  // 9:15
-        const marketClose = 15 * 60 + 30; // 15:30
+        // Market timing (EQUITY 9:15 - 15:30)
+        const { open, close } = calendarService.getSessionBounds(segment, istNow);
+        const marketOpen = open.hour * 60 + open.minute;
+        const marketClose = close.hour * 60 + close.minute;
 
         // Check time periods
         const minutesSinceOpen = timeMinutes - marketOpen;
@@ -123,7 +126,7 @@ class TimeOfDayService {
      * @returns {object} { allowed: boolean, adjustedSignal: object }
      */
     checkSignal(signal) {
-        const mode = this.getCurrentMode();
+        const mode = this.getCurrentMode(signal.segment);
         
         if (!mode.allowSignals) {
             return {
@@ -194,7 +197,7 @@ class TimeOfDayService {
      * Get IST time
      */
     getISTTime() {
-        const now = new Date();
+        const now = clock.date();
         const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
         return new Date(utc + (5.5 * 60 * 60 * 1000));
     }
@@ -1,6 +1,7 @@
-const axios = require('axios');
-const config = require('../config/angel.config');
 const settings = require('../config/settings.config');
+const instrumentsConfig = require('../config/instruments.config');
+const sectorTaxonomyService = require('./sectorTaxonomy.service');
+const marketDataService = require('./marketData.service');
 
 class UniverseLoaderService {
     constructor() {
@@ -17,6 +18,13 @@ class UniverseLoaderService {
         this.midcpniftyOptions = new Map();
         this.sensexOptions = new Map();
         
+        // Futures: underlying -> [near, next] (FUTSTK + FUTIDX) for basis / rollover
+        this.futuresChains = new Map();
+        
+        // MCX: front-month future per commodity, options by token
+        this.commodityFutures = new Map();
+        this.commodityOptions = new Map();
+        
         // Expiry tracking
         this.weeklyExpiries = [];
         this.monthlyExpiries = [];
@@ -31,7 +39,6 @@ class UniverseLoaderService {
         
         // Configuration
         this.config = {
-            masterJsonUrl: 'https://margincalculator.angelbroking.com/OpenAPI_File/files/OpenAPIScripMaster.json',
             refreshHour: 8,
             refreshMinute: 30,
             indices: ['NIFTY', 'BANKNIFTY', 'FINNIFTY', 'MIDCPNIFTY', 'SENSEX'],
@@ -63,6 +70,9 @@ class UniverseLoaderService {
             finniftyOptionsCount: 0,
             midcpniftyOptionsCount: 0,
             sensexOptionsCount: 0,
+            futuresChainsCount: 0,
+            commodityFuturesCount: 0,
+            commodityOptionsCount: 0,
             totalInstruments: 0,
             lastRefreshDuration: 0,
             masterJsonSize: 0
@@ -71,13 +81,14 @@ class UniverseLoaderService {
 
     async initialize() {
         console.log('[UNIVERSE] Initializing full market universe loader...');
-        await this.loadFromAngelMaster();
+        await this.loadInstrumentMaster();
         this.scheduleAutoRefresh();
+        sectorTaxonomyService.onReload(() => this.retagSectors());
         console.log('[UNIVERSE] Initialized');
     }
 
-    // 🔴 MAIN LOADER - Angel OpenAPI Master JSON
-    async loadFromAngelMaster() {
+    // 🔴 MAIN LOADER - instrument master (Angel OpenAPI format) from the market data provider
+    async loadInstrumentMaster() {
         if (this.isLoading) {
             console.log('[UNIVERSE] Already loading, skipping...');
             return;
@@ -85,23 +96,11 @@ class UniverseLoaderService {
 
         this.isLoading = true;
         const startTime = Date.now();
-        console.log('[UNIVERSE] Fetching Angel OpenAPI Master JSON...');
+        console.log('[UNIVERSE] Fetching instrument master...');
 
         try {
-            const response = await axios.get(this.config.masterJsonUrl, {
-                timeout: 60000,
-                headers: {
-                    'Accept': 'application/json',
-                    'Accept-Encoding': 'gzip, deflate'
-                }
-            });
-
-            if (!response.data || !Array.isArray(response.data)) {
-                throw new Error('Invalid master JSON response');
-            }
-
-            this.masterData = response.data;
-            this.stats.masterJsonSize = response.data.length;
+            this.masterData = await marketDataService.getInstrumentMaster();
+            this.stats.masterJsonSize = this.masterData.length;
             console.log(`[UNIVERSE] Master JSON loaded: ${this.stats.masterJsonSize} instruments`);
 
             // Clear existing data
@@ -111,6 +110,7 @@ class UniverseLoaderService {
             this.parseNSEEquity();
             this.parseFNOStocks();
             this.parseIndexOptions();
+            this.parseCommodities();
             this.detectExpiries();
             this.buildAllInstruments();
 
@@ -143,6 +143,9 @@ class UniverseLoaderService {
         this.finniftyOptions.clear();
         this.midcpniftyOptions.clear();
         this.sensexOptions.clear();
+        this.futuresChains.clear();
+        this.commodityFutures.clear();
+        this.commodityOptions.clear();
         this.allInstruments.clear();
     }
 
@@ -198,6 +201,11 @@ class UniverseLoaderService {
             item.exch_seg === 'NFO' && 
             item.instrumenttype === 'FUTSTK'
         );
+        const indexFutures = this.masterData.filter(item =>
+            item.exch_seg === 'NFO' &&
+            item.instrumenttype === 'FUTIDX' &&
+            this.config.indices.includes(item.name)
+        );
 
         // Group by underlying and get nearest expiry
         const underlyingMap = new Map();
@@ -235,8 +243,35 @@ class UniverseLoaderService {
             }
         });
 
+        // Near + next month per underlying (stocks and indices) for futures analytics
+        const isLive = (item) => new Date(item.expiry).getTime() + 24 * 60 * 60 * 1000 > Date.now();
+        const chains = new Map(underlyingMap);
+        indexFutures.forEach(item => {
+            if (!chains.has(item.name)) chains.set(item.name, []);
+            chains.get(item.name).push(item);
+        });
+
+        chains.forEach((futures, underlying) => {
+            const live = futures
+                .filter(isLive)
+                .sort((a, b) => new Date(a.expiry) - new Date(b.expiry))
+                .slice(0, 2)
+                .map(item => ({
+                    symbol: item.symbol,
+                    token: item.token,
+                    underlying,
+                    exchange: 'NFO',
+                    exchangeCode: 2,
+                    instrumentType: item.instrumenttype,
+                    lotSize: parseInt(item.lotsize) || 1,
+                    expiry: item.expiry
+                }));
+            if (live.length > 0) this.futuresChains.set(underlying, live);
+        });
+
         this.stats.fnoStocksCount = this.fnoStocks.size;
-        console.log(`[UNIVERSE] F&O Stocks parsed: ${this.stats.fnoStocksCount}`);
+        this.stats.futuresChainsCount = this.futuresChains.size;
+        console.log(`[UNIVERSE] F&O Stocks parsed: ${this.stats.fnoStocksCount} (futures chains: ${this.stats.futuresChainsCount})`);
     }
 
     // 🔴 PARSE INDEX OPTIONS (All weekly + monthly) - MEMORY OPTIMIZED
@@ -315,6 +350,62 @@ class UniverseLoaderService {
         console.log(`   SENSEX: ${this.stats.sensexOptionsCount}`);
     }
 
+    // 🔴 PARSE MCX COMMODITIES (front-month FUTCOM + OPTFUT) for the configured commodities
+    parseCommodities() {
+        if (!this.masterData) return;
+
+        const commodities = new Map(instrumentsConfig.getCommodities().map(c => [c.symbol, c]));
+        const isLive = (item) => new Date(item.expiry).getTime() + 24 * 60 * 60 * 1000 > Date.now();
+
+        const contracts = this.masterData.filter(item =>
+            item.exch_seg === this.config.exchanges.MCX &&
+            (item.instrumenttype === 'FUTCOM' || item.instrumenttype === 'OPTFUT') &&
+            commodities.has(item.name) &&
+            isLive(item)
+        );
+
+        contracts
+            .filter(item => item.instrumenttype === 'FUTCOM')
+            .sort((a, b) => new Date(a.expiry) - new Date(b.expiry))
+            .forEach(item => {
+                if (this.commodityFutures.has(item.name)) return;
+                const commodity = commodities.get(item.name);
+                this.commodityFutures.set(item.name, {
+                    symbol: item.symbol,
+                    token: item.token,
+                    name: commodity.name,
+                    underlying: item.name,
+                    exchange: 'MCX',
+                    exchangeCode: 5,
+                    segment: 'COMMODITY',
+                    instrumentType: 'FUTCOM',
+                    lotSize: commodity.lotSize,
+                    tickSize: parseFloat(item.tick_size) || 1,
+                    expiry: item.expiry
+                });
+            });
+
+        contracts
+            .filter(item => item.instrumenttype === 'OPTFUT')
+            .forEach(item => {
+                this.commodityOptions.set(item.token, {
+                    symbol: item.symbol,
+                    token: item.token,
+                    underlying: item.name,
+                    segment: 'COMMODITY',
+                    instrumentType: 'OPTFUT',
+                    optionType: item.symbol.endsWith('CE') ? 'CE' : 'PE',
+                    strikePrice: parseFloat(item.strike) / 100 || 0,
+                    lotSize: commodities.get(item.name).lotSize,
+                    expiry: item.expiry
+                });
+            });
+
+        this.stats.commodityFuturesCount = this.commodityFutures.size;
+        this.stats.commodityOptionsCount = this.commodityOptions.size;
+        console.log(`[UNIVERSE] MCX parsed: ${this.stats.commodityFuturesCount} futures, ${this.stats.commodityOptionsCount} options`);
+    }
+
     detectExpiryType(expiryStr) {
         if (!expiryStr) return 'UNKNOWN';
         
@@ -386,6 +477,10 @@ class UniverseLoaderService {
         // Add Index Options
         this.indexOptions.forEach((inst, token) => this.allInstruments.set(token, inst));
 
+        // Add MCX futures + options
+        this.commodityFutures.forEach(inst => this.allInstruments.set(inst.token, inst));
+        this.commodityOptions.forEach((inst, token) => this.allInstruments.set(token, inst));
+
         this.stats.totalInstruments = this.allInstruments.size;
     }
 
@@ -455,28 +550,24 @@ class UniverseLoaderService {
         return `${day}${month}${year}`;
     }
 
+    // Sector comes from the taxonomy registry (config/sectors constituents file)
     detectSector(symbol) {
-        const sectors = {
-            'IT': ['TCS', 'INFY', 'WIPRO', 'HCLTECH', 'TECHM', 'LTIM', 'MPHASIS', 'COFORGE', 'PERSISTENT'],
-            'BANKING': ['HDFCBANK', 'ICICIBANK', 'SBIN', 'KOTAKBANK', 'AXISBANK', 'INDUSINDBK', 'PNB', 'BANKBARODA', 'FEDERALBNK', 'IDFCFIRSTB'],
-            'FINANCE': ['BAJFINANCE', 'BAJAJFINSV', 'CHOLAFIN', 'SBILIFE', 'HDFCLIFE', 'ICICIPRULI', 'MUTHOOTFIN', 'MANAPPURAM', 'SHRIRAMFIN'],
-            'AUTO': ['MARUTI', 'TATAMOTORS', 'M&M', 'HEROMOTOCO', 'BAJAJ-AUTO', 'EICHERMOT', 'ASHOKLEY', 'TVSMOTORS', 'MOTHERSON'],
-            'PHARMA': ['SUNPHARMA', 'DRREDDY', 'CIPLA', 'DIVISLAB', 'LUPIN', 'BIOCON', 'AUROPHARMA', 'TORNTPHARM', 'ALKEM', 'ZYDUSLIFE'],
-            'METAL': ['TATASTEEL', 'JSWSTEEL', 'HINDALCO', 'VEDL', 'JINDALSTEL', 'NMDC', 'SAIL', 'NATIONALUM', 'HINDZINC'],
-            'ENERGY': ['RELIANCE', 'ONGC', 'BPCL', 'IOC', 'GAIL', 'PETRONET', 'HINDPETRO', 'OIL', 'MRPL'],
-            'POWER': ['NTPC', 'POWERGRID', 'TATAPOWER', 'ADANIGREEN', 'NHPC', 'PFC', 'RECLTD', 'SJVN', 'TORNTPOWER'],
-            'FMCG': ['HINDUNILVR', 'ITC', 'NESTLEIND', 'BRITANNIA', 'DABUR', 'MARICO', 'COLPAL', 'GODREJCP', 'TATACONSUM'],
-            'INFRA': ['LT', 'ADANIENT', 'ADANIPORTS', 'DLF', 'GRASIM', 'ULTRACEMCO', 'AMBUJACEM', 'ACC', 'SHREECEM'],
-            'TELECOM': ['BHARTIARTL', 'IDEA', 'INDUSTOWER'],
-            'REALTY': ['DLF', 'GODREJPROP', 'OBEROIRLTY', 'PRESTIGE', 'BRIGADE', 'SOBHA'],
-            'MEDIA': ['ZEEL', 'SUNTV', 'PVR', 'NETWORK18'],
-            'CHEMICAL': ['PIDILITIND', 'SRF', 'ATUL', 'DEEPAKNTR', 'NAVINFLUOR', 'PIIND']
-        };
+        return sectorTaxonomyService.getSector(symbol) || sectorTaxonomyService.UNKNOWN_SECTOR;
+    }
 
-        for (const [sector, stocks] of Object.entries(sectors)) {
-            if (stocks.includes(symbol)) return sector;
+    // Re-tag cached equities after a taxonomy reload / override
+    retagSectors() {
+        let changed = 0;
+        for (const instrument of this.nseEquity.values()) {
+            const sector = this.detectSector(instrument.symbol);
+            if (instrument.sector !== sector) {
+                instrument.sector = sector;
+                changed++;
+            }
+        }
+        if (changed > 0) {
+            console.log(`[UNIVERSE] Re-tagged ${changed} instruments after sector taxonomy change`);
         }
-        return 'OTHER';
     }
 
     // Fallback universe when API fails
@@ -559,7 +650,7 @@ class UniverseLoaderService {
         console.log(`[UNIVERSE] Auto-refresh scheduled at ${target.toLocaleTimeString()} (${Math.round(delay / 60000)} min)`);
 
         setTimeout(() => {
-            this.loadFromAngelMaster();
+            this.loadInstrumentMaster();
             this.scheduleAutoRefresh();
         }, delay);
 
@@ -569,7 +660,7 @@ class UniverseLoaderService {
     async manualRefresh() {
         console.log('[UNIVERSE] Manual refresh triggered');
         this.refreshScheduled = false;
-        await this.loadFromAngelMaster();
+        await this.loadInstrumentMaster();
         return this.getStats();
     }
 
@@ -583,6 +674,8 @@ class UniverseLoaderService {
         console.log(`     - FINNIFTY: ${this.stats.finniftyOptionsCount}`);
         console.log(`     - MIDCPNIFTY: ${this.stats.midcpniftyOptionsCount}`);
         console.log(`     - SENSEX: ${this.stats.sensexOptionsCount}`);
+        console.log(`   MCX Futures: ${this.stats.commodityFuturesCount}`);
+        console.log(`   MCX Options: ${this.stats.commodityOptionsCount}`);
         console.log(`   Total Instruments: ${this.stats.totalInstruments}`);
         console.log(`   Master JSON Size: ${this.stats.masterJsonSize}`);
         console.log(`   Duration: ${this.stats.lastRefreshDuration}ms`);
@@ -610,6 +703,29 @@ class UniverseLoaderService {
         return Array.from(this.indexOptions.values());
     }
 
+    /**
+     * Near and next month futures for an underlying (RELIANCE, NIFTY, ...) - [] until loaded
+     */
+    getFuturesChain(underlying) {
+        return this.futuresChains.get(underlying) || [];
+    }
+
+    getFuturesUnderlyings() {
+        return Array.from(this.futuresChains.keys());
+    }
+
+    /**
+     * Front-month MCX future for a commodity (GOLDM, CRUDEOIL, ...) - null until the master is loaded
+     */
+    getCommodityFuture(symbol) {
+        return this.commodityFutures.get(symbol) || null;
+    }
+
+    getCommodityOptions(symbol = null, expiry = null) {
+        return Array.from(this.commodityOptions.values())
+            .filter(opt => (!symbol || opt.underlying === symbol) && (!expiry || opt.expiry === expiry));
+    }
+
     getByToken(token) {
         return this.allInstruments.get(token);
     }
@@ -5,6 +5,8 @@
  */
 
 const marketStateService = require('./marketState.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
 
 class VolatilityRegimeService {
     constructor() {
@@ -77,7 +79,7 @@ class VolatilityRegimeService {
             : 0;
 
         this.rangeHistory.push({
-            timestamp: Date.now(),
+            timestamp: clock.now(),
             range: currentRange,
             high: niftyState.high,
             low: niftyState.low
@@ -124,13 +126,14 @@ class VolatilityRegimeService {
         }
 
         // Update state
+        const previousRegime = this.state.currentRegime;
         this.state.currentRegime = regime;
         this.state.regimeConfidence = Math.round(confidence);
-        this.state.lastUpdate = Date.now();
+        this.state.lastUpdate = clock.now();
 
         // Track regime history
         this.regimeHistory.push({
-            timestamp: Date.now(),
+            timestamp: clock.now(),
             regime,
             confidence,
             atrSlope: this.state.atrSlope,
@@ -141,9 +144,34 @@ class VolatilityRegimeService {
             this.regimeHistory.shift();
         }
 
+        if (regime !== previousRegime) {
+            this.notifyRegimeChange(previousRegime, regime);
+        }
+
         return this.getClassification();
     }
 
+    /**
+     * Subscribe to regime changes (REGIME_CHANGED on the event bus)
+     * @returns {function} unsubscribe
+     */
+    onRegimeChange(callback, name = 'REGIME_LISTENER') {
+        return eventBus.subscribe(eventBus.EVENTS.REGIME_CHANGED, callback, name);
+    }
+
+    notifyRegimeChange(from, to) {
+        const change = {
+            from,
+            to,
+            confidence: this.state.regimeConfidence,
+            atrSlope: this.state.atrSlope,
+            rangeExpansion: this.state.rangeExpansion,
+            timestamp: clock.now()
+        };
+
+        eventBus.publish(eventBus.EVENTS.REGIME_CHANGED, change);
+    }
+
     /**
      * Calculate average range from history
      */
@@ -1,11 +1,11 @@
-const WebSocket = require('ws');
-const config = require('../config/angel.config');
 const settings = require('../config/settings.config');
-const authService = require('./auth.service');
+const marketDataService = require('./marketData.service');
+const eventBus = require('./eventBus.service');
+const clock = require('./clock.service');
 
 class FocusWebSocketService {
     constructor() {
-        this.ws = null;
+        this.stream = null;
         this.isConnected = false;
         this.isConnecting = false;
         
@@ -19,11 +19,13 @@ class FocusWebSocketService {
             HIGH_OI: new Set(),        // High OI acceleration strikes
             ROTATION: new Set()        // Remaining - rotates every 60 sec
         };
+        // SmartStream exchange type per token (1 = NSE_CM, 2 = NSE_FO, 5 = MCX_FO); unlisted tokens use the caller's
+        this.tokenExchanges = new Map();
         this.tokenActivity = new Map();
         this.lastActivityCheck = Date.now();
         
-        this.priceCallbacks = [];
         this.connectionCallbacks = [];
+        this.frameCallbacks = [];
         
         this.reconnectAttempts = 0;
         this.rateLimitHits = 0;
@@ -67,31 +69,9 @@ class FocusWebSocketService {
         this.lastConnectTime = now;
 
         try {
-            await authService.ensureAuthenticated();
-            
-            const feedToken = authService.feedToken;
-            const clientId = config.clientId;
-            
-            if (!feedToken) {
-                throw new Error('No feed token available');
-            }
-
             this.cleanup();
+            this.stream = await marketDataService.connectTickStream(this.getStreamHandlers());
 
-            const wsUrl = `${config.endpoints.wsUrl}?clientCode=${clientId}&feedToken=${feedToken}&apiKey=${config.apiKey}`;
-            
-            this.ws = new WebSocket(wsUrl, {
-                headers: {
-                    'Authorization': `Bearer ${authService.jwtToken}`,
-                    'x-api-key': config.apiKey,
-                    'x-client-code': clientId,
-                    'x-feed-token': feedToken
-                }
-            });
-
-            this.ws.binaryType = 'arraybuffer';
-            this.setupEventHandlers();
-            
             return true;
         } catch (error) {
             console.error('[WS] Connection error:', error.message);
@@ -101,49 +81,51 @@ class FocusWebSocketService {
         }
     }
 
-    setupEventHandlers() {
-        this.ws.on('open', () => {
-            console.log('[WS] Connected successfully');
-            this.isConnected = true;
-            this.isConnecting = false;
-            this.reconnectAttempts = 0;
-            this.rateLimitHits = 0;
-            
-            this.startPing();
-            this.startRotation();
-            this.resubscribeByPriority();
-            
-            this.connectionCallbacks.forEach(cb => {
-                try { cb({ connected: true }); } catch (e) {}
-            });
-        });
+    getStreamHandlers() {
+        return {
+            onOpen: () => {
+                console.log(`[WS] Connected successfully (${this.stream?.provider} feed)`);
+                this.isConnected = true;
+                this.isConnecting = false;
+                this.reconnectAttempts = 0;
+                this.rateLimitHits = 0;
+
+                this.startPing();
+                this.startRotation();
+                this.resubscribeByPriority();
+
+                this.connectionCallbacks.forEach(cb => {
+                    try { cb({ connected: true }); } catch (e) {}
+                });
+            },
+
+            onFrame: (data) => {
+                this.handleMessage(data);
+            },
+
+            onClose: (code) => {
+                console.log(`[WS] Disconnected: code=${code}`);
+                this.isConnected = false;
+                this.isConnecting = false;
+                this.stopPing();
+
+                if (code === 429) {
+                    this.rateLimitHits++;
+                    console.log(`[WS] Rate limit hit #${this.rateLimitHits} - applying extended cooldown`);
+                }
 
-        this.ws.on('message', (data) => {
-            this.handleMessage(data);
-        });
+                this.connectionCallbacks.forEach(cb => {
+                    try { cb({ connected: false, code }); } catch (e) {}
+                });
 
-        this.ws.on('close', (code, reason) => {
-            console.log(`[WS] Disconnected: code=${code}`);
-            this.isConnected = false;
-            this.isConnecting = false;
-            this.stopPing();
-            
-            if (code === 429) {
-                this.rateLimitHits++;
-                console.log(`[WS] Rate limit hit #${this.rateLimitHits} - applying extended cooldown`);
-            }
-            
-            this.connectionCallbacks.forEach(cb => {
-                try { cb({ connected: false, code }); } catch (e) {}
-            });
-            
-            this.scheduleReconnect();
-        });
+                this.scheduleReconnect();
+            },
 
-        this.ws.on('error', (error) => {
-            console.error('[WS] Error:', error.message);
-            this.isConnecting = false;
-        });
+            onError: (error) => {
+                console.error('[WS] Error:', error.message);
+                this.isConnecting = false;
+            }
+        };
     }
 
     cleanup() {
@@ -153,9 +135,9 @@ class FocusWebSocketService {
             clearTimeout(this.reconnectTimeout);
             this.reconnectTimeout = null;
         }
-        if (this.ws) {
-            this.ws.terminate();
-            this.ws = null;
+        if (this.stream) {
+            this.stream.terminate();
+            this.stream = null;
         }
     }
 
@@ -196,9 +178,9 @@ class FocusWebSocketService {
     startPing() {
         this.stopPing();
         this.pingInterval = setInterval(() => {
-            if (this.ws && this.isConnected) {
+            if (this.stream && this.isConnected) {
                 try {
-                    this.ws.ping();
+                    this.stream.ping();
                 } catch (e) {
                     console.error('[WS] Ping error:', e.message);
                 }
@@ -286,21 +268,25 @@ class FocusWebSocketService {
         this.syncSubscriptions();
     }
 
-    handleMessage(data) {
+    handleMessage(data, meta = { replayed: false }) {
         try {
             if (data instanceof ArrayBuffer && data.byteLength > 0) {
-                const parsed = this.parseBinaryMessage(data);
+                const receivedAt = Date.now();
+                const parsed = marketDataService.parseTickFrame(data);
+
+                // Raw frame taps (tick recorder) - see every frame, parsed or not
+                this.frameCallbacks.forEach(cb => {
+                    try {
+                        cb(data, parsed, { ...meta, receivedAt });
+                    } catch (e) {
+                        console.error('[WS] Frame callback error:', e.message);
+                    }
+                });
+
                 if (parsed && parsed.token) {
                     this.livePrices.set(parsed.token, parsed);
-                    this.lastUpdateTime.set(parsed.token, Date.now());
-                    
-                    this.priceCallbacks.forEach(cb => {
-                        try {
-                            cb(parsed);
-                        } catch (e) {
-                            console.error('[WS] Callback error:', e.message);
-                        }
-                    });
+                    this.lastUpdateTime.set(parsed.token, clock.now());
+                    eventBus.publish(eventBus.EVENTS.TICK, parsed);
                 }
             }
         } catch (error) {
@@ -308,69 +294,14 @@ class FocusWebSocketService {
         }
     }
 
-    parseBinaryMessage(buffer) {
-        const view = new DataView(buffer);
-        
-        if (buffer.byteLength < 25) return null;
-
-        try {
-            const subscriptionMode = view.getInt8(0);
-            const exchangeType = view.getInt8(1);
-            const token = view.getBigInt64(2, true).toString();
-            const sequenceNumber = Number(view.getBigInt64(10, true));
-            const exchangeTimestamp = Number(view.getBigInt64(18, true));
-            const ltp = view.getInt32(26, true) / 100;
-            
-            let volume = 0;
-            let open = 0;
-            let high = 0;
-            let low = 0;
-            let close = ltp;
-            let avgPrice = 0;
-            let oi = 0;
-
-            if (buffer.byteLength >= 50) {
-                avgPrice = view.getInt32(38, true) / 100;
-                volume = Number(view.getBigInt64(42, true));
-            }
-
-            if (buffer.byteLength >= 130) {
-                open = view.getInt32(66, true) / 100;
-                high = view.getInt32(70, true) / 100;
-                low = view.getInt32(74, true) / 100;
-                close = view.getInt32(78, true) / 100;
-            }
-
-            if (buffer.byteLength >= 164) {
-                oi = Number(view.getBigInt64(130, true));
-            }
-
-            return {
-                token,
-                exchange: exchangeType,
-                ltp,
-                open: open || ltp,
-                high: high || ltp,
-                low: low || ltp,
-                close: close || ltp,
-                volume,
-                avgPrice,
-                oi,
-                timestamp: Date.now(),
-                exchangeTimestamp
-            };
-        } catch (e) {
-            return null;
-        }
-    }
-
-    subscribeWithPriority(tokens, priority = 'ROTATION') {
+    subscribeWithPriority(tokens, priority = 'ROTATION', exchangeType = null) {
         if (!Array.isArray(tokens)) tokens = [tokens];
         if (tokens.length === 0) return;
 
         tokens.forEach(token => {
             Object.values(this.priorityBuckets).forEach(bucket => bucket.delete(token));
             this.priorityBuckets[priority].add(token);
+            if (exchangeType) this.tokenExchanges.set(token, exchangeType);
         });
 
         this.enforceSubscriptionLimit();
@@ -638,29 +569,34 @@ class FocusWebSocketService {
         }
     }
 
+    /**
+     * Split tokens by their registered exchange type - one stream request per exchange
+     */
+    groupByExchange(tokens, exchangeType) {
+        const groups = new Map();
+        tokens.forEach(t => {
+            const exchange = this.tokenExchanges.get(t) || exchangeType;
+            if (!groups.has(exchange)) groups.set(exchange, []);
+            groups.get(exchange).push(t);
+        });
+        return groups;
+    }
+
     subscribeTokens(tokens, exchangeType = 1, mode = 3) {
         if (!Array.isArray(tokens) || tokens.length === 0) return;
 
-        tokens.forEach(t => {
-            this.subscriptions.set(t, { exchange: exchangeType, mode, subscribedAt: Date.now() });
-            this.subscriptionLeakGuard.add(t);
-        });
+        const groups = this.groupByExchange(tokens, exchangeType);
 
-        if (this.ws && this.isConnected) {
-            const payload = {
-                correlationID: `sub_${Date.now()}`,
-                action: 1,
-                params: {
-                    mode: mode,
-                    tokenList: [{
-                        exchangeType: exchangeType,
-                        tokens: tokens
-                    }]
-                }
-            };
+        groups.forEach((group, exchange) => {
+            group.forEach(t => {
+                this.subscriptions.set(t, { exchange, mode, subscribedAt: Date.now() });
+                this.subscriptionLeakGuard.add(t);
+            });
+        });
 
+        if (this.stream && this.isConnected) {
             try {
-                this.ws.send(JSON.stringify(payload));
+                groups.forEach((group, exchange) => this.stream.subscribe(group, exchange, mode));
                 console.log(`[WS] Subscribed ${tokens.length} tokens (total: ${this.subscriptions.size}/${this.wsSettings.maxSubscriptions})`);
             } catch (e) {
                 console.error('[WS] Subscribe error:', e.message);
@@ -671,26 +607,19 @@ class FocusWebSocketService {
     unsubscribeTokens(tokens, exchangeType = 1) {
         if (!Array.isArray(tokens) || tokens.length === 0) return;
 
+        const groups = new Map();
         tokens.forEach(t => {
+            const exchange = this.subscriptions.get(t)?.exchange || this.tokenExchanges.get(t) || exchangeType;
+            if (!groups.has(exchange)) groups.set(exchange, []);
+            groups.get(exchange).push(t);
+
             this.subscriptions.delete(t);
             this.subscriptionLeakGuard.delete(t);
         });
 
-        if (this.ws && this.isConnected) {
-            const payload = {
-                correlationID: `unsub_${Date.now()}`,
-                action: 0,
-                params: {
-                    mode: 3,
-                    tokenList: [{
-                        exchangeType: exchangeType,
-                        tokens: tokens
-                    }]
-                }
-            };
-
+        if (this.stream && this.isConnected) {
             try {
-                this.ws.send(JSON.stringify(payload));
+                groups.forEach((group, exchange) => this.stream.unsubscribe(group, exchange));
                 console.log(`[WS] Unsubscribed ${tokens.length} tokens`);
             } catch (e) {
                 console.error('[WS] Unsubscribe error:', e.message);
@@ -713,17 +642,16 @@ class FocusWebSocketService {
     }
 
     resubscribeByPriority() {
-        if (this.subscriptions.size === 0 && 
-            this.priorityBuckets.CORE.size === 0 && 
-            this.priorityBuckets.ACTIVE.size === 0) {
+        const bucketed = Object.values(this.priorityBuckets).reduce((sum, bucket) => sum + bucket.size, 0);
+        if (this.subscriptions.size === 0 && bucketed === 0) {
             return;
         }
 
         this.subscriptions.clear();
 
         const coreTokens = Array.from(this.priorityBuckets.CORE);
-        const activeTokens = Array.from(this.priorityBuckets.ACTIVE).slice(0, 20);
-        const explosionTokens = Array.from(this.priorityBuckets.EXPLOSION).slice(0, 10);
+        const activeTokens = [...this.priorityBuckets.ACTIVE_EQUITY, ...this.priorityBuckets.ACTIVE_OPTIONS].slice(0, 20);
+        const explosionTokens = [...this.priorityBuckets.HIGH_RS, ...this.priorityBuckets.HIGH_OI].slice(0, 10);
         
         // Calculate remaining slots for rotation
         const usedSlots = coreTokens.length + activeTokens.length + explosionTokens.length;
@@ -812,11 +740,19 @@ class FocusWebSocketService {
         return leaks;
     }
 
-    onPrice(callback) {
-        this.priceCallbacks.push(callback);
+    /**
+     * Tick subscription - a TICK subscriber on the event bus
+     * @returns {function} unsubscribe
+     */
+    onPrice(callback, name = 'WS_PRICE') {
+        return eventBus.subscribe(eventBus.EVENTS.TICK, callback, name);
+    }
+
+    onFrame(callback) {
+        this.frameCallbacks.push(callback);
         return () => {
-            const idx = this.priceCallbacks.indexOf(callback);
-            if (idx > -1) this.priceCallbacks.splice(idx, 1);
+            const idx = this.frameCallbacks.indexOf(callback);
+            if (idx > -1) this.frameCallbacks.splice(idx, 1);
         };
     }
 
@@ -853,6 +789,7 @@ class FocusWebSocketService {
         return {
             connected: this.isConnected,
             connecting: this.isConnecting,
+            provider: this.stream?.provider || null,
             subscriptionCount: this.subscriptions.size,
             maxSubscriptions: this.wsSettings.maxSubscriptions,
             availableSlots: this.wsSettings.maxSubscriptions - this.subscriptions.size,
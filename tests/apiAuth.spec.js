@@ -0,0 +1,133 @@
+/**
+ * Audit trail never stores the caller's credentials; tokens must expire,
+ * rate windows do not pile up, operator routes fail closed without credentials
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers/harness');
+const apiAuthService = require('../services/apiAuth.service');
+
+describe('audit redaction', () => {
+    const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    let entry;
+
+    before(() => {
+        apiAuthService.config.auditDir = auditDir;
+
+        const req = {
+            method: 'POST',
+            query: { api_key: 'live-key-123', limit: '5' },
+            body: { symbol: 'NIFTY', credentials: { clientSecret: 's3cret', totp: '123456' }, accessToken: 'jwt' },
+            principal: { id: 'key_ops', role: 'operator', method: 'api_key' }
+        };
+        const res = new EventEmitter();
+        res.statusCode = 200;
+
+        apiAuthService.attachAudit(req, res, '/scanner/start');
+        res.emit('finish');
+        entry = apiAuthService.getAuditTrail(1)[0];
+    });
+
+    after(() => fs.rmSync(auditDir, { recursive: true, force: true }));
+
+    it('masks api_key in the query and keeps the rest', () => {
+        assert.strictEqual(entry.params.api_key, '[REDACTED]');
+        assert.strictEqual(entry.params.limit, '5');
+    });
+
+    it('masks token and secret fields anywhere in the body', () => {
+        assert.strictEqual(entry.body.symbol, 'NIFTY');
+        assert.strictEqual(entry.body.accessToken, '[REDACTED]');
+        assert.strictEqual(entry.body.credentials.clientSecret, '[REDACTED]');
+        assert.strictEqual(entry.body.credentials.totp, '[REDACTED]');
+    });
+
+    it('writes the masked entry to the JSONL file', async () => {
+        await apiAuthService.flush();
+        const written = fs.readdirSync(auditDir)
+            .map(file => fs.readFileSync(path.join(auditDir, file), 'utf8'))
+            .join('');
+        assert.ok(!written.includes('live-key-123'));
+        assert.ok(!written.includes('s3cret'));
+    });
+});
+
+describe('credentials', () => {
+    before(() => {
+        apiAuthService.config.jwtSecret = 'test-secret';
+    });
+
+    after(() => {
+        apiAuthService.config.jwtSecret = null;
+    });
+
+    it('rejects a correctly signed token without exp', () => {
+        const header = apiAuthService.base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const payload = apiAuthService.base64url(JSON.stringify({ sub: 'ops', role: 'operator' }));
+        const token = `${header}.${payload}.${apiAuthService.sign(`${header}.${payload}`)}`;
+
+        assert.deepStrictEqual(apiAuthService.verifyToken(token), { error: 'Token missing expiry' });
+    });
+
+    it('accepts an issued token', () => {
+        const { principal } = apiAuthService.verifyToken(apiAuthService.issueToken('ops', 'operator', 60));
+        assert.strictEqual(principal.id, 'jwt:ops');
+    });
+});
+
+describe('rate windows', () => {
+    it('drops expired windows', () => {
+        const start = 1_700_000_000_000;
+        for (let i = 0; i < 50; i++) {
+            apiAuthService.consumeRateLimit({ id: `jwt:user${i}`, rateLimitPerMinute: 10 }, start);
+        }
+        assert.strictEqual(apiAuthService.rateWindows.size, 50);
+
+        apiAuthService.consumeRateLimit({ id: 'jwt:late', rateLimitPerMinute: 10 }, start + 61000);
+        assert.deepStrictEqual([...apiAuthService.rateWindows.keys()], ['jwt:late']);
+    });
+});
+
+describe('no credentials configured', () => {
+    function request(method, routePath) {
+        const req = { method, path: routePath, headers: {}, query: {}, body: {} };
+        const res = new EventEmitter();
+        res.statusCode = 200;
+        res.status = code => { res.statusCode = code; return res; };
+        res.json = body => { res.body = body; return res; };
+
+        let passed = false;
+        apiAuthService.middleware()(req, res, () => { passed = true; });
+        return { passed, res };
+    }
+
+    after(() => {
+        apiAuthService.config.openOperatorRoutes = false;
+        apiAuthService.stop();
+    });
+
+    it('refuses operator routes and keeps read routes open', () => {
+        apiAuthService.config.enabled = false;
+
+        const operator = request('POST', '/scanner/start');
+        assert.strictEqual(operator.passed, false);
+        assert.strictEqual(operator.res.statusCode, 403);
+        assert.match(operator.res.body.error, /no API credentials configured/);
+
+        assert.strictEqual(request('GET', '/scanner/status').passed, true);
+        assert.strictEqual(request('POST', '/institutional/guard/validate').passed, true);
+        assert.match(apiAuthService.getBootWarning(), /operator routes refuse every request/);
+    });
+
+    it('opens operator routes only when auth is disabled explicitly', () => {
+        apiAuthService.config.openOperatorRoutes = true;
+
+        assert.strictEqual(request('POST', '/scanner/start').passed, true);
+        assert.match(apiAuthService.getBootWarning(), /open to anyone/);
+    });
+});
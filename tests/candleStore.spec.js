@@ -0,0 +1,61 @@
+/**
+ * CANDLE STORE WRITE-THROUGH - the scan path stays in memory, disk writes are
+ * buffered and asynchronous
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'candles-'));
+process.env.CANDLE_STORE_DIR = dir;
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Harness } = require('./helpers/harness');
+const candleStoreService = require('../services/candleStore.service');
+
+const TOKEN = '2885';
+const harness = new Harness('2025-11-20');
+const file = path.join(dir, `${TOKEN}_ONE_MINUTE.jsonl`);
+let candles;
+
+before(async () => {
+    await harness.open('11:30');
+    candleStoreService.initialize();
+    // Includes the 11:30 candle, still forming at 11:30:00
+    candles = await harness.candles(TOKEN, 1, '11:30');
+});
+
+after(() => {
+    candleStoreService.stop();
+    harness.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('record buffers the closed candles without touching disk', () => {
+    const written = candleStoreService.record(TOKEN, 'ONE_MINUTE', candles);
+
+    assert.equal(written, candles.length - 1);
+    assert.equal(fs.existsSync(file), false);
+    assert.equal(candleStoreService.getStats().pendingWrites, written);
+    assert.equal(candleStoreService.series.size, 0);
+});
+
+test('the next scan with nothing newly closed is skipped', () => {
+    assert.equal(candleStoreService.record(TOKEN, 'ONE_MINUTE', candles), 0);
+    assert.equal(candleStoreService.getStats().pendingWrites, candles.length - 1);
+});
+
+test('load sees buffered records before they reach disk', async () => {
+    const series = await candleStoreService.load(TOKEN, 'ONE_MINUTE');
+    assert.equal(series.candles.length, candles.length - 1);
+});
+
+test('flush appends the buffer in one write', async () => {
+    await candleStoreService.flush();
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    assert.equal(lines.length, candles.length - 1);
+    assert.equal(candleStoreService.getStats().pendingWrites, 0);
+});
@@ -0,0 +1,41 @@
+/**
+ * CIRCUIT HIT - SUZLON freezes at its upper band, read off the SnapQuote feed
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Harness, blockedBy } = require('./helpers/harness');
+const circuitBreakerService = require('../services/circuitBreaker.service');
+const wsService = require('../services/websocket.service');
+
+const SUZLON = { token: '12018', symbol: 'SUZLON', exchange: 'NSE' };
+
+const harness = new Harness('2025-11-20');
+
+before(async () => {
+    await harness.open('10:56');
+    harness.start(circuitBreakerService);
+});
+
+after(() => harness.close());
+
+test('no circuit condition before the band is known', async () => {
+    const candles = await harness.candles(SUZLON.token, 1, '10:55');
+    const result = harness.validate(harness.signal(SUZLON, candles), candles);
+
+    const circuit = result.checks.find(c => c.name === 'CIRCUIT_BREAKER');
+    assert.equal(circuit.allowed, true);
+});
+
+test('upper circuit from the tick band blocks at CIRCUIT_BREAKER', async () => {
+    harness.replayTicks('circuitHit');
+    harness.advanceTo('11:00');
+
+    assert.equal(wsService.getLivePrice(SUZLON.token).upperCircuit, 60);
+
+    const candles = await harness.candles(SUZLON.token, 1, '10:59');
+    const result = harness.validate(harness.signal(SUZLON, candles, { price: 60 }), candles);
+
+    assert.equal(blockedBy(result), 'CIRCUIT_BLOCKED', result.blockReasons[0]);
+    assert.equal(result.checks.find(c => c.name === 'CIRCUIT_BREAKER').circuitType, 'UPPER_CIRCUIT');
+});
@@ -0,0 +1,79 @@
+/**
+ * CONFIDENCE CALIBRATION - an active calibration moves the guard's emit
+ * minimum, and a proposal fitted on other weights cannot be approved
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-'));
+process.env.CALIBRATION_DIR = dir;
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Harness, blockedBy } = require('./helpers/harness');
+const confidenceScoringService = require('../services/confidenceScoring.service');
+const confidenceCalibrationService = require('../services/confidenceCalibration.service');
+
+const RELIANCE = { token: '2885', symbol: 'RELIANCE', exchange: 'NSE' };
+const ALIGNED = { higherTF: { aligned15m: true, alignedDaily: true } };
+
+const harness = new Harness('2025-11-20');
+let candles;
+let signal;
+
+function proposal(version, basedOn, minimumThreshold) {
+    return {
+        version,
+        status: 'PROPOSED',
+        createdAt: harness.at('11:30'),
+        tradingDays: 5,
+        basedOn,
+        weights: { ...confidenceScoringService.weights },
+        minimumThreshold,
+        evaluation: { improves: true, current: { brier: 0.25 }, proposed: { brier: 0.2 } }
+    };
+}
+
+function validate() {
+    return harness.validate(signal, candles, { shadow: true });
+}
+
+before(async () => {
+    await harness.open('11:30');
+    confidenceCalibrationService.loadConfig();
+    candles = await harness.candles(RELIANCE.token, 1, '11:29');
+    signal = harness.signal(RELIANCE, candles, ALIGNED);
+});
+
+after(() => {
+    harness.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('approval refuses a proposal fitted against other weights', () => {
+    confidenceCalibrationService.registry.versions.v1 = proposal('v1', 'v0', 60);
+
+    assert.throws(
+        () => confidenceCalibrationService.approve('v1', { approvedBy: 'ops' }),
+        /fitted against v0, but V6_DEFAULT is live/
+    );
+    assert.equal(confidenceCalibrationService.registry.versions.v1.status, 'PROPOSED');
+});
+
+test('uncalibrated minimum lets the signal through', () => {
+    const result = validate();
+
+    assert.equal(result.allowed, true, result.blockReasons[0]);
+    assert.ok(result.finalConfidence < 60);
+});
+
+test('activating a calibration moves the block boundary', () => {
+    confidenceCalibrationService.registry.versions.v2 = proposal('v2', 'V6_DEFAULT', 60);
+    confidenceCalibrationService.activate('v2');
+
+    const result = validate();
+    assert.equal(blockedBy(result), 'CONFIDENCE_BLOCKED', result.blockReasons[0]);
+    assert.match(result.blockReasons[0], /< 60 minimum/);
+});
@@ -0,0 +1,108 @@
+/**
+ * EVENT BUS - ticks off the stub socket and the bar close they build, as
+ * capture() sees them, plus the bus's own delivery rules on an isolated bus
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Harness } = require('./helpers/harness');
+const barBuilderService = require('../services/barBuilder.service');
+const eventBus = require('../services/eventBus.service');
+const marketStateService = require('../services/marketState.service');
+const { EventBus } = require('../services/eventBus.service');
+
+const RELIANCE = '2885';
+const harness = new Harness('2025-11-20');
+let capture;
+
+before(async () => {
+    await harness.open('11:30');
+    harness.start(barBuilderService);
+    capture = eventBus.capture([eventBus.EVENTS.TICK, eventBus.EVENTS.BAR_CLOSED]);
+
+    harness.push({ time: '11:30:05', token: RELIANCE, exchangeType: 1, ltp: 1510.5, volume: 1000 });
+    harness.push({ time: '11:30:40', token: RELIANCE, exchangeType: 1, ltp: 1512, volume: 1600 });
+    harness.advanceTo('11:31:05');
+});
+
+after(() => {
+    capture.stop();
+    harness.close();
+});
+
+test('each socket frame is published as a decoded TICK', () => {
+    const ticks = capture.ofType(eventBus.EVENTS.TICK);
+
+    assert.equal(ticks.length, 2);
+    assert.equal(ticks[0].token, RELIANCE);
+    assert.equal(ticks[1].ltp, 1512);
+});
+
+test('market state follows the TICK stream', () => {
+    const state = marketStateService.getState(RELIANCE);
+
+    assert.equal(state.ltp, 1512);
+    assert.equal(state.volume, 1600);
+    assert.equal(state.tickCount, 2);
+});
+
+test('the minute boundary publishes the bar the ticks built', () => {
+    const closes = capture.ofType(eventBus.EVENTS.BAR_CLOSED).filter(e => e.interval === 'ONE_MINUTE');
+    assert.equal(closes.length, 1);
+
+    const bar = closes[0].bars.find(b => b.token === RELIANCE);
+    assert.equal(bar.timestamp, harness.at('11:30'));
+    assert.equal(bar.open, 1510.5);
+    assert.equal(bar.close, 1512);
+});
+
+test('events arrive in publish order with rising sequence numbers', () => {
+    const types = capture.events.map(e => e.type);
+    assert.deepEqual(types.slice(0, 3), ['TICK', 'TICK', 'BAR_CLOSED']);
+    capture.events.reduce((previous, e) => {
+        assert.ok(e.seq > previous);
+        return e.seq;
+    }, 0);
+});
+
+test('delivery time is measured per event type', () => {
+    const stats = eventBus.getStats();
+    assert.ok(stats.delivered.TICK >= 2);
+    assert.equal(typeof stats.delivery.TICK.avgMs, 'number');
+    assert.ok(stats.delivery.TICK.maxMs >= stats.delivery.TICK.avgMs);
+});
+
+test('an event published from a handler waits for the current one', () => {
+    const bus = new EventBus();
+    const seen = bus.capture();
+    const order = [];
+
+    bus.subscribe(bus.EVENTS.PANIC, () => {
+        order.push('panic:first');
+        bus.publish(bus.EVENTS.EXIT, { token: RELIANCE, exitType: 'PANIC' });
+    }, 'FIRST');
+    bus.subscribe(bus.EVENTS.PANIC, () => { order.push('panic:second'); }, 'SECOND');
+    bus.subscribe(bus.EVENTS.EXIT, () => { order.push('exit'); }, 'EXIT');
+
+    bus.publish(bus.EVENTS.PANIC, { event: 'TRIGGERED', reason: 'test' });
+
+    assert.deepEqual(order, ['panic:first', 'panic:second', 'exit']);
+    assert.deepEqual(seen.events.map(e => e.type), ['PANIC', 'EXIT']);
+});
+
+test('a throwing handler is isolated and a bad payload is rejected', () => {
+    const bus = new EventBus();
+    const seen = bus.capture([bus.EVENTS.EXIT]);
+    const quiet = console.error;
+    console.error = () => {};
+
+    bus.subscribe(bus.EVENTS.EXIT, () => { throw new Error('boom'); }, 'BROKEN');
+    bus.publish(bus.EVENTS.EXIT, { token: RELIANCE, exitType: 'SL' });
+    const accepted = bus.publish(bus.EVENTS.EXIT, { token: RELIANCE });
+
+    console.error = quiet;
+    assert.equal(seen.ofType(bus.EVENTS.EXIT).length, 1);
+    assert.equal(bus.getStats().handlerErrors, 1);
+    assert.equal(accepted, false);
+    assert.equal(bus.getStats().rejected, 1);
+});
@@ -0,0 +1,184 @@
+/**
+ * GUARD PIPELINE HARNESS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Boots the engine's singletons against the stub Angel provider on a fake clock:
+ *
+ *   fixture ticks → SnapQuote frame → websocketService (decode, TICK bus)
+ *                 → marketState / barBuilder / circuitBreaker / ... → validateSignalSync
+ *
+ * - replayTicks(name) walks the clock to every tick (onAdvance hooks fire on
+ *   the way, so bar closes and pollers run as they would live), then pushes
+ *   the tick down the stub socket
+ * - poll(fn) runs fn on every clock step - for services that poll on a
+ *   wall-clock timer (panic kill switch)
+ * - start(service) starts a service and stops it again in close() - open()
+ *   starts marketState, as the server does
+ *
+ * Each spec file runs in its own process (node --test), so singletons start
+ * clean per scenario. Set TEST_VERBOSE=1 to keep the engine's console output.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// Services log as they load - silence before the first require
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+}
+
+const fs = require('fs');
+const path = require('path');
+const StubAngelProvider = require('./stubAngelProvider');
+const clock = require('../../services/clock.service');
+const marketDataService = require('../../services/marketData.service');
+const wsService = require('../../services/websocket.service');
+const marketStateService = require('../../services/marketState.service');
+const masterSignalGuardService = require('../../services/masterSignalGuard.service');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * @param {string} date - session date YYYY-MM-DD (IST)
+ * @param {string} time - HH:MM[:SS] IST
+ */
+function ist(date, time) {
+    return Date.parse(`${date}T${time.length === 5 ? `${time}:00` : time}+05:30`);
+}
+
+function readTicks(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, 'ticks', `${name}.json`), 'utf8'));
+}
+
+class Harness {
+    constructor(date) {
+        this.date = date;
+        this.provider = new StubAngelProvider(FIXTURES);
+        this.services = [];
+        this.unsubscribers = [];
+        this.sequence = 0;
+    }
+
+    /**
+     * Fake clock at `time`, stub provider registered as angel, tick stream
+     * attached and market state following it
+     */
+    async open(time) {
+        clock.useFake(ist(this.date, time));
+        marketDataService.register('angel', this.provider);
+        await wsService.connect();
+        this.start(marketStateService);
+        return this;
+    }
+
+    at(time) {
+        return ist(this.date, time);
+    }
+
+    start(service) {
+        service.start();
+        this.services.push(service);
+        return service;
+    }
+
+    poll(fn) {
+        this.unsubscribers.push(clock.onAdvance(fn));
+    }
+
+    /**
+     * Replay a ticks fixture in time order
+     * @returns {Array} the ticks pushed
+     */
+    replayTicks(name) {
+        const { date, ticks } = readTicks(name);
+
+        return ticks.map(tick => this.push(tick, date));
+    }
+
+    /**
+     * One tick at its fixture time ({ time, token, ltp, ... })
+     */
+    push(tick, date = this.date) {
+        const timestamp = ist(date, tick.time);
+        if (timestamp > clock.now()) clock.fastForward(timestamp);
+
+        const frame = { ...tick, timestamp, sequence: ++this.sequence };
+        this.provider.emit(frame);
+
+        return frame;
+    }
+
+    /**
+     * Move the clock on (listeners fire at every step)
+     */
+    advanceTo(time) {
+        clock.fastForward(this.at(time));
+    }
+
+    /**
+     * 1m candles of the session up to `to`, through the stub's REST path
+     */
+    async candles(token, exchange, to, from = '09:15') {
+        return marketDataService.getCandles({
+            token,
+            exchange,
+            interval: 'ONE_MINUTE',
+            fromDate: `${this.date} ${from}`,
+            toDate: `${this.date} ${to}`
+        });
+    }
+
+    async optionChain(symbol) {
+        return marketDataService.getOptionChain({ symbol });
+    }
+
+    /**
+     * Signal in the shape the orchestrator / replay engine hand to the guard
+     */
+    signal(instrument, candles, overrides = {}) {
+        const last = candles[candles.length - 1];
+        const price = overrides.price ?? last.close;
+        const openPrice = candles[0].open;
+        const type = overrides.type || (price >= openPrice ? 'BUY' : 'SELL');
+        const volumeSum = candles.reduce((sum, c) => sum + c.volume, 0);
+        const vwap = volumeSum > 0
+            ? candles.reduce((sum, c) => sum + ((c.high + c.low + c.close) / 3) * c.volume, 0) / volumeSum
+            : price;
+
+        return {
+            instrument,
+            token: instrument.token,
+            type,
+            signal: type,
+            price,
+            isOption: false,
+            spreadPercent: 0.1,
+            openPrice,
+            openPremium: openPrice,
+            vwap,
+            ...overrides
+        };
+    }
+
+    validate(signal, candles, options = {}) {
+        return masterSignalGuardService.validateSignalSync(signal, candles.slice(-200), options);
+    }
+
+    /**
+     * Stop everything that holds a timer or a subscription so the process can exit
+     */
+    close() {
+        this.services.reverse().forEach(service => service.stop());
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        wsService.disconnect();
+        clock.useReal();
+    }
+}
+
+/**
+ * Prefix of the first block reason - the guard that stopped the signal
+ */
+function blockedBy(result) {
+    return result.allowed ? null : (result.blockReasons[0] || '').split(':')[0];
+}
+
+module.exports = { Harness, blockedBy };
@@ -0,0 +1,155 @@
+/**
+ * STUB ANGEL PROVIDER - ANGEL ONE WITHOUT THE NETWORK
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * The real AngelProvider with only its transport replaced: REST calls are
+ * answered from tests/fixtures, the SmartStream socket is a handle the test
+ * pushes ticks into. Response parsing (candles, option chain, quotes) and the
+ * binary tick decoder are Angel's own.
+ *
+ * FIXTURES (dir, default tests/fixtures):
+ * - candles/<token>_<INTERVAL>.json → getCandleData rows [[ts, o, h, l, c, v]]
+ * - optionchain/<SYMBOL>.json       → optionchain response rows
+ * - quotes.json                     → quote FULL `fetched` rows (optional)
+ * - ticks/<name>.json               → { date, ticks: [{ time, token, ltp, ... }] }
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/angel.config');
+const AngelProvider = require('../../services/providers/angel.provider');
+
+const SNAP_QUOTE_BYTES = 379;
+
+class StubAngelProvider extends AngelProvider {
+    constructor(dir = path.join(__dirname, '..', 'fixtures')) {
+        super();
+
+        this.dir = dir;
+        this.requests = [];
+        this.handlers = null;
+        this.subscribed = new Set();
+    }
+
+    readJson(...parts) {
+        const file = path.join(this.dir, ...parts);
+        if (!fs.existsSync(file)) {
+            throw new Error(`No fixture ${path.relative(this.dir, file)}`);
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    async login() {
+        this.jwtToken = 'stub-jwt';
+        this.feedToken = 'stub-feed';
+        this.isAuthenticated = true;
+        this.lastLoginTime = Date.now();
+        return { success: true, jwtToken: this.jwtToken, feedToken: this.feedToken };
+    }
+
+    /**
+     * Every REST call of AngelProvider lands here
+     */
+    async post(endpoint, body) {
+        await this.ensureAuthenticated();
+        this.requests.push({ endpoint, body });
+
+        if (endpoint === config.endpoints.candle) {
+            const rows = this.readJson('candles', `${body.symboltoken}_${body.interval}.json`);
+            const from = this.parseIST(body.fromdate);
+            const to = this.parseIST(body.todate);
+            return rows.filter(row => {
+                const ts = new Date(row[0]).getTime();
+                return ts >= from && ts <= to;
+            });
+        }
+
+        if (endpoint === config.endpoints.optionChain) {
+            return this.readJson('optionchain', `${body.symbol}.json`);
+        }
+
+        if (endpoint === config.endpoints.quote) {
+            const wanted = new Set(Object.values(body.exchangeTokens).flat());
+            return { fetched: this.readJson('quotes.json').filter(q => wanted.has(String(q.symbolToken))) };
+        }
+
+        throw new Error(`Stub Angel provider has no fixture for ${endpoint}`);
+    }
+
+    async getInstrumentMaster() {
+        return [];
+    }
+
+    /**
+     * 'YYYY-MM-DD HH:mm' - Angel's historical API takes exchange (IST) time
+     */
+    parseIST(value) {
+        return new Date(`${value.replace(' ', 'T')}:00+05:30`).getTime();
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // SMARTSTREAM
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Frames flow as soon as ticks are pushed; onOpen is never called, so the
+     * socket's ping and rotation timers stay off
+     */
+    async connectTickStream(handlers) {
+        this.handlers = handlers;
+
+        return {
+            provider: this.name,
+            subscribe: (tokens) => tokens.forEach(t => this.subscribed.add(String(t))),
+            unsubscribe: (tokens) => tokens.forEach(t => this.subscribed.delete(String(t))),
+            ping: () => {},
+            terminate: () => { this.handlers = null; }
+        };
+    }
+
+    /**
+     * Push one tick down the socket as a SnapQuote frame
+     */
+    emit(tick) {
+        if (!this.handlers) throw new Error('Tick stream is not connected');
+        this.handlers.onFrame(StubAngelProvider.encodeFrame(tick));
+    }
+
+    /**
+     * Inverse of AngelProvider.decodeFrame (SNAP_QUOTE, NSE prices in paise)
+     * @param {object} tick - { token, exchangeType, timestamp, ltp, volume, open, high, low, close, oi, upperCircuit, lowerCircuit }
+     */
+    static encodeFrame(tick) {
+        const buffer = new ArrayBuffer(SNAP_QUOTE_BYTES);
+        const view = new DataView(buffer);
+        const divisor = tick.exchangeType === 13 ? 10000000 : 100;
+        const price = (offset, value) => view.setBigInt64(offset, BigInt(Math.round((value || 0) * divisor)), true);
+        const int = (offset, value) => view.setBigInt64(offset, BigInt(Math.round(value || 0)), true);
+
+        view.setInt8(0, 3);
+        view.setInt8(1, tick.exchangeType || 1);
+        Buffer.from(buffer, 2, 25).write(String(tick.token), 'utf8');
+        int(27, tick.sequence);
+        int(35, tick.timestamp);
+        price(43, tick.ltp);
+        int(51, tick.lastTradedQty);
+        price(59, tick.avgPrice || tick.ltp);
+        int(67, tick.volume);
+        view.setFloat64(75, tick.totalBuyQty || 0, true);
+        view.setFloat64(83, tick.totalSellQty || 0, true);
+        price(91, tick.open);
+        price(99, tick.high);
+        price(107, tick.low);
+        price(115, tick.close);
+        int(123, tick.timestamp);
+        int(131, tick.oi);
+        price(347, tick.upperCircuit);
+        price(355, tick.lowerCircuit);
+
+        return buffer;
+    }
+}
+
+module.exports = StubAngelProvider;
@@ -0,0 +1,43 @@
+/**
+ * ILLIQUID TIER - a thin small cap classifies T3 on the 1m bar close
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Harness, blockedBy } = require('./helpers/harness');
+const barBuilderService = require('../services/barBuilder.service');
+const liquidityTierService = require('../services/liquidityTier.service');
+
+const KOPRAN = { token: '11658', symbol: 'KOPRAN', exchange: 'NSE' };
+
+const harness = new Harness('2025-11-20');
+
+before(async () => {
+    await harness.open('11:24:30');
+    harness.start(barBuilderService);
+    harness.start(liquidityTierService);
+});
+
+after(() => harness.close());
+
+test('untiered token is not blocked', async () => {
+    const candles = await harness.candles(KOPRAN.token, 1, '11:24');
+    const result = harness.validate(harness.signal(KOPRAN, candles), candles);
+
+    const liquidity = result.checks.find(c => c.name === 'LIQUIDITY_TIER');
+    assert.equal(liquidity.allowed, true);
+});
+
+test('~1 Cr turnover classifies T3 and blocks at LIQUIDITY_TIER', async () => {
+    harness.replayTicks('illiquidTier');
+    harness.advanceTo('11:30:05');
+
+    const tier = liquidityTierService.getTier(KOPRAN.token);
+    assert.equal(tier.tier, 3);
+    assert.ok(tier.turnoverCr < 10, `turnover ${tier.turnoverCr} Cr`);
+
+    const candles = await harness.candles(KOPRAN.token, 1, '11:29');
+    const result = harness.validate(harness.signal(KOPRAN, candles), candles);
+
+    assert.equal(blockedBy(result), 'LIQUIDITY_BLOCKED', result.blockReasons[0]);
+});
@@ -0,0 +1,43 @@
+/**
+ * LATE ZONE - the last 15 minutes only take signals with a closing-size RR
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Harness, blockedBy } = require('./helpers/harness');
+
+const RELIANCE = { token: '2885', symbol: 'RELIANCE', exchange: 'NSE' };
+
+const harness = new Harness('2025-11-20');
+
+before(() => harness.open('14:30'));
+
+after(() => harness.close());
+
+test('mid-afternoon signal passes the time-of-day filter', async () => {
+    const candles = await harness.candles(RELIANCE.token, 1, '14:29');
+    const result = harness.validate(harness.signal(RELIANCE, candles), candles);
+
+    const tod = result.checks.find(c => c.name === 'TIME_OF_DAY');
+    assert.equal(tod.allowed, true);
+});
+
+test('default RR in the closing window blocks at TIME_OF_DAY', async () => {
+    harness.replayTicks('lateZone');
+    harness.advanceTo('15:20:30');
+
+    const candles = await harness.candles(RELIANCE.token, 1, '15:20');
+    const result = harness.validate(harness.signal(RELIANCE, candles), candles);
+
+    assert.equal(blockedBy(result), 'TIME_BLOCKED', result.blockReasons[0]);
+    assert.equal(result.checks.find(c => c.name === 'TIME_OF_DAY').mode, 'CLOSING_CAUTIOUS');
+});
+
+test('closing window lets a wide-RR signal through', async () => {
+    const candles = await harness.candles(RELIANCE.token, 1, '15:20');
+    const result = harness.validate(harness.signal(RELIANCE, candles, { riskReward: { primaryRR: 2.5 } }), candles);
+
+    const tod = result.checks.find(c => c.name === 'TIME_OF_DAY');
+    assert.equal(tod.allowed, true);
+    assert.notEqual(blockedBy(result), 'TIME_BLOCKED');
+});
@@ -0,0 +1,105 @@
+/**
+ * OPTION CHAIN - migration sampled on the 5m bar close (never by a read),
+ * and greeks the model filled in are stamped ESTIMATED
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Harness } = require('./helpers/harness');
+const universeLoader = require('../services/universeLoader.service');
+const optionChainService = require('../services/optionChain.service');
+const eventBus = require('../services/eventBus.service');
+
+const EXPIRY = '20NOV2025';
+const UNQUOTED = { token: '48299', symbol: 'NIFTY20NOV2526400CE', strikePrice: 26400 };   // listed, not in the broker chain
+const harness = new Harness('2025-11-20');
+
+function listNiftyContracts() {
+    const rows = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'optionchain', 'NIFTY.json'), 'utf8'));
+    universeLoader.niftyOptions = new Map(rows.map(row => [row.token, {
+        token: row.token,
+        symbol: row.symbol,
+        name: 'NIFTY',
+        expiry: EXPIRY,
+        strikePrice: parseFloat(row.strikePrice),
+        optionType: row.optionType,
+        lotSize: 75,
+        segment: 'INDEX_OPTIONS'
+    }]));
+    universeLoader.niftyOptions.set(UNQUOTED.token, {
+        ...UNQUOTED,
+        name: 'NIFTY',
+        expiry: EXPIRY,
+        optionType: 'CE',
+        lotSize: 75,
+        segment: 'INDEX_OPTIONS'
+    });
+}
+
+function closeBar(interval) {
+    eventBus.publish(eventBus.EVENTS.BAR_CLOSED, { interval, timestamp: harness.at('11:35'), bars: [] });
+}
+
+async function nextSample(previous) {
+    for (let i = 0; i < 50 && optionChainService.stats.samples === previous; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+before(async () => {
+    await harness.open('11:35');
+    listNiftyContracts();
+    harness.start(optionChainService);
+});
+
+after(() => harness.close());
+
+test('a read before the first sample records nothing', async () => {
+    const chain = await optionChainService.getChain('NIFTY', EXPIRY);
+
+    assert.ok(chain.maxPain);
+    assert.equal(chain.migration, null);
+    assert.equal(optionChainService.migrations.size, 0);
+});
+
+test('1m bar close does not sample', async () => {
+    closeBar('ONE_MINUTE');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(optionChainService.stats.samples, 0);
+});
+
+test('5m bar close samples the front expiry', async () => {
+    closeBar('FIVE_MINUTE');
+    await nextSample(0);
+    assert.equal(optionChainService.stats.samples, 1);
+
+    const chain = await optionChainService.getChain('NIFTY', EXPIRY);
+    assert.equal(chain.migration.since, harness.at('11:35'));
+    assert.equal(chain.migration.maxPain.open, chain.maxPain.strike);
+    assert.equal(chain.migration.history.length, 1);
+});
+
+test('reads leave the sampled history alone', async () => {
+    await optionChainService.getChain('NIFTY', EXPIRY);
+    await optionChainService.getChain('NIFTY', EXPIRY);
+
+    assert.equal(optionChainService.migrations.get(`NIFTY_${EXPIRY}`).history.length, 1);
+    assert.equal(optionChainService.stats.samples, 1);
+});
+
+test('broker greeks keep the row provenance, model greeks are ESTIMATED', async () => {
+    harness.push({ time: '11:35:00', token: '99926000', exchangeType: 1, ltp: 26120 });
+    harness.push({ time: '11:35:00', token: UNQUOTED.token, exchangeType: 2, ltp: 6.5, oi: 1500 });
+
+    const chain = await optionChainService.getChain('NIFTY', EXPIRY);
+    const quoted = chain.strikes.find(row => row.strikePrice === 26100).call;
+    const modelled = chain.strikes.find(row => row.strikePrice === UNQUOTED.strikePrice).call;
+
+    assert.equal(quoted.greeksSource, 'BROKER');
+    assert.equal(quoted.greeksProvenance, 'LIVE');
+    assert.equal(modelled.greeksSource, 'MODEL');
+    assert.equal(modelled.greeksProvenance, 'ESTIMATED');
+    assert.equal(modelled.provenance, 'LIVE');
+});
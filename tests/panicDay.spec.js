@@ -0,0 +1,39 @@
+/**
+ * PANIC DAY - NIFTY -2.2% in 12 minutes trips the panic kill switch
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Harness, blockedBy } = require('./helpers/harness');
+const panicKillSwitchService = require('../services/panicKillSwitch.service');
+
+const RELIANCE = { token: '2885', symbol: 'RELIANCE', exchange: 'NSE' };
+
+const harness = new Harness('2025-11-20');
+
+before(async () => {
+    await harness.open('09:59');
+    harness.start(panicKillSwitchService);
+    harness.poll(() => panicKillSwitchService.check());
+});
+
+after(() => harness.close());
+
+test('signals pass the kill switch before the slide', async () => {
+    harness.advanceTo('10:00');
+    const candles = await harness.candles(RELIANCE.token, 1, '09:59');
+    const result = harness.validate(harness.signal(RELIANCE, candles), candles);
+
+    const panic = result.checks.find(c => c.name === 'PANIC_KILL_SWITCH');
+    assert.equal(panic.allowed, true);
+});
+
+test('NIFTY -2% in 15 minutes blocks at PANIC_KILL_SWITCH', async () => {
+    harness.replayTicks('panicDay');
+    const candles = await harness.candles(RELIANCE.token, 1, '10:11');
+    const result = harness.validate(harness.signal(RELIANCE, candles, { type: 'SELL' }), candles);
+
+    assert.equal(blockedBy(result), 'PANIC_BLOCKED', result.blockReasons[0]);
+    assert.match(result.blockReasons[0], /NIFTY -2\.\d+% in 15min/);
+    assert.equal(panicKillSwitchService.shouldAllowSignals().allowed, false);
+});
@@ -0,0 +1,60 @@
+/**
+ * PUSH FEED - unknown topics are refused on both transports instead of
+ * leaving the client subscribed to nothing
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+require('./helpers/harness');
+const pushFeedService = require('../services/pushFeed.service');
+
+function fakeSocket() {
+    const socket = new EventEmitter();
+    socket.frames = [];
+    socket.send = data => socket.frames.push(JSON.parse(data));
+    socket.close = (code, reason) => { socket.closed = { code, reason }; };
+    socket.ping = () => {};
+    return socket;
+}
+
+after(() => pushFeedService.clients.clear());
+
+test('topics parse case-insensitively and default to all', () => {
+    assert.deepEqual([...pushFeedService.parseTopics('Signals, exits')], ['signals', 'exits']);
+    assert.equal(pushFeedService.parseTopics('').size, Object.keys(pushFeedService.TOPICS).length);
+    assert.throws(() => pushFeedService.parseTopics('signals,sigals'), /Unknown topic sigals - valid: signals/);
+});
+
+test('SSE answers 400 to an unknown topic', () => {
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    pushFeedService.handleSSE({ query: { topics: 'trades' }, get: () => undefined }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /Unknown topic trades/);
+    assert.equal(pushFeedService.clients.size, 0);
+});
+
+test('WebSocket gets an error frame and is closed on an unknown topic', () => {
+    const socket = fakeSocket();
+    pushFeedService.handleSocket(socket, { url: '/api/stream/ws?topics=trades' });
+
+    assert.equal(socket.frames[0].topic, 'error');
+    assert.match(socket.frames[0].data.error, /Unknown topic trades/);
+    assert.equal(socket.closed.code, 1008);
+    assert.equal(pushFeedService.clients.size, 0);
+});
+
+test('an unknown topic in a subscribe message closes the socket', () => {
+    const socket = fakeSocket();
+    pushFeedService.handleSocket(socket, { url: '/api/stream/ws?topics=signals' });
+    assert.equal(socket.frames[0].topic, 'welcome');
+
+    socket.emit('message', JSON.stringify({ action: 'subscribe', topics: ['exitz'] }));
+
+    assert.equal(socket.frames[1].topic, 'error');
+    assert.equal(socket.closed.code, 1008);
+});
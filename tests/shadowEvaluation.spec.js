@@ -0,0 +1,65 @@
+/**
+ * SHADOW EVALUATION - challenger overrides are limited to what the guard
+ * reads, and shadow positions square off on their own segment's cutoff
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Harness, blockedBy } = require('./helpers/harness');
+const shadowEvaluationService = require('../services/shadowEvaluation.service');
+
+const { ARMS } = shadowEvaluationService;
+
+const RELIANCE = { token: '2885', symbol: 'RELIANCE', exchange: 'NSE' };
+const CRUDEOIL = { token: '430106', symbol: 'CRUDEOIL', exchange: 'MCX' };
+const ALIGNED = { higherTF: { aligned15m: true, alignedDaily: true } };
+
+const harness = new Harness('2025-11-20');
+let candles;
+let signal;
+
+before(async () => {
+    await harness.open('11:30');
+    candles = await harness.candles(RELIANCE.token, 1, '11:29');
+    signal = harness.signal(RELIANCE, candles, ALIGNED);
+});
+
+after(() => harness.close());
+
+test('a guard setting the guard does not read from overrides is refused', () => {
+    assert.throws(
+        () => shadowEvaluationService.setChallenger({ guard: { minRiskReward: 3 } }),
+        /minRiskReward cannot be overridden/
+    );
+});
+
+test('the minimum confidence override reaches the challenger pass', () => {
+    assert.equal(harness.validate(signal, candles).allowed, true);
+
+    shadowEvaluationService.setChallenger({ name: 'strict', guard: { minConfidenceScore: 60 } });
+    const result = shadowEvaluationService.runChallenger(signal, candles);
+
+    assert.equal(blockedBy(result), 'CONFIDENCE_BLOCKED', result.blockReasons[0]);
+    assert.match(result.blockReasons[0], /< 60 minimum/);
+});
+
+test('15:20 squares off equity but an MCX position rides the evening session', () => {
+    shadowEvaluationService.reset();
+    const equity = { instrument: RELIANCE, signal: 'BUY', price: 1500 };
+    const commodity = { instrument: CRUDEOIL, segment: 'COMMODITY', signal: 'BUY', price: 5400 };
+    shadowEvaluationService.open(ARMS.CHAMPION, equity, { signal: equity });
+    shadowEvaluationService.open(ARMS.CHAMPION, commodity, { signal: commodity });
+
+    harness.advanceTo('15:25');
+    shadowEvaluationService.onTick({ token: RELIANCE.token, ltp: 1501 });
+    shadowEvaluationService.onTick({ token: CRUDEOIL.token, ltp: 5401 });
+
+    const positions = shadowEvaluationService.positions[ARMS.CHAMPION];
+    assert.equal(positions.has(RELIANCE.token), false);
+    assert.equal(positions.has(CRUDEOIL.token), true);
+    assert.equal(shadowEvaluationService.trades[ARMS.CHAMPION][0].exitReason, 'EOD_SQUARE_OFF');
+
+    harness.advanceTo('23:50');
+    shadowEvaluationService.onTick({ token: CRUDEOIL.token, ltp: 5402 });
+    assert.equal(positions.has(CRUDEOIL.token), false);
+});
@@ -0,0 +1,53 @@
+/**
+ * SIGNAL JOURNAL - record() never writes on the signal path; the jsonl store
+ * flushes asynchronously and stop() puts whatever is left on disk
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Harness } = require('./helpers/harness');
+const signalJournalService = require('../services/signalJournal.service');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+const harness = new Harness('2025-11-20');
+const file = path.join(dir, 'journal_2025-11-20.jsonl');
+
+function lines() {
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line)) : [];
+}
+
+before(async () => {
+    await harness.open('10:00');
+    signalJournalService.config.dir = dir;
+    const store = signalJournalService.createStore('jsonl');
+    store.open();
+    signalJournalService.setStore(store);
+});
+
+after(() => {
+    harness.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('entries are buffered, readable, and appended on flush', async () => {
+    signalJournalService.record('GENERATED', 'LIFECYCLE', { token: '2885' });
+    signalJournalService.record('EMITTED', 'ORCHESTRATOR', { token: '2885' });
+
+    assert.deepEqual(lines(), []);
+    assert.equal(signalJournalService.store.readDays(1).length, 2);
+
+    await signalJournalService.flush();
+    assert.deepEqual(lines().map(entry => entry.type), ['GENERATED', 'EMITTED']);
+    assert.equal(signalJournalService.store.readDays(1).length, 2);
+});
+
+test('stop writes the remaining entries synchronously', () => {
+    signalJournalService.record('EXITED', 'LIFECYCLE', { token: '2885' });
+    signalJournalService.stop();
+
+    assert.deepEqual(lines().map(entry => entry.seq), [1, 2, 3]);
+    assert.equal(signalJournalService.store.pending.size, 0);
+});
@@ -0,0 +1,97 @@
+/**
+ * SIGNAL LIFECYCLE - a signal that clears the guard carries its lifecycle id
+ * out, through emission and a paper trade to EXITED, and the journaled exit
+ * becomes a confidence calibration sample
+ */
+
+process.env.PAPER_BROKER_ENABLED = 'true';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Harness } = require('./helpers/harness');
+const signalLifecycleService = require('../services/signalLifecycle.service');
+const orchestratorService = require('../services/orchestrator.service');
+const paperBrokerService = require('../services/paperBroker.service');
+const signalJournalService = require('../services/signalJournal.service');
+const confidenceCalibrationService = require('../services/confidenceCalibration.service');
+
+const RELIANCE = { token: '2885', symbol: 'RELIANCE', exchange: 'NSE' };
+const ALIGNED = { higherTF: { aligned15m: true, alignedDaily: true } };
+
+const harness = new Harness('2025-11-20');
+const journal = signalJournalService.createStore('memory');
+let result;
+
+before(async () => {
+    signalJournalService.setStore(journal);
+    await harness.open('11:30');
+    harness.start(paperBrokerService);
+    const candles = await harness.candles(RELIANCE.token, 1, '11:29');
+    result = harness.validate(harness.signal(RELIANCE, candles, ALIGNED), candles);
+});
+
+after(() => harness.close());
+
+test('passing signal comes back with its lifecycle id', () => {
+    assert.equal(result.allowed, true, result.blockReasons[0]);
+    assert.match(result.signal.lifecycleId, /^SIG_/);
+
+    const lifecycle = signalLifecycleService.getSignal(result.signal.lifecycleId);
+    assert.equal(lifecycle.status, 'VALIDATED');
+});
+
+test('guard annotations survive the adjustment pass', () => {
+    assert.ok(result.signal.ignition);
+    assert.ok(result.signal.structuralSL);
+    assert.equal(result.signal.segment, 'EQUITY');
+    assert.ok(Array.isArray(result.signal.adjustments));
+});
+
+test('provenance stamp reaches the emitted signal', () => {
+    const check = result.checks.find(c => c.name === 'DATA_PROVENANCE');
+    assert.ok(check);
+    assert.equal(result.signal.provenance, check.provenance);
+    assert.equal(result.signal.dataAsOf, check.dataAsOf);
+    assert.equal(typeof result.signal.dataAsOf, 'number');
+});
+
+test('paper trade walks the lifecycle to EXITED', () => {
+    const id = result.signal.lifecycleId;
+    const short = result.signal.type.includes('SELL');
+    orchestratorService.recordSignal(RELIANCE.token, {
+        instrument: RELIANCE,
+        signal: result.signal.type,
+        direction: short ? 'SHORT' : 'LONG',
+        price: result.signal.price,
+        strength: 0,
+        rankScore: 0,
+        lifecycleId: id
+    });
+
+    const position = paperBrokerService.getPositions().find(p => p.token === RELIANCE.token);
+    assert.equal(position.lifecycleId, id);
+    assert.equal(signalLifecycleService.getSignal(id).status, 'ACTIVE');
+
+    harness.push({ time: '11:31:00', token: RELIANCE.token, exchangeType: 1, ltp: position.entryPrice * (short ? 0.988 : 1.012) });
+    assert.ok(signalLifecycleService.getSignal(id).maxPnL > 1);
+
+    paperBrokerService.closePosition(RELIANCE.token, 'MANUAL');
+    const exited = signalLifecycleService.getCompletedSignals(Infinity).find(s => s.signalId === id);
+    assert.equal(exited.finalStatus, 'EXITED');
+    assert.equal(exited.exitType, 'PAPER');
+    assert.equal(typeof exited.pnlPercent, 'number');
+});
+
+test('journaled exit feeds confidence calibration', () => {
+    const id = result.signal.lifecycleId;
+    const exits = journal.readDays(1)
+        .filter(e => e.source === 'LIFECYCLE' && e.type === signalJournalService.EVENTS.EXITED)
+        .map(e => e.data);
+    assert.equal(exits.length, 1);
+
+    const sample = confidenceCalibrationService.extractSample(exits[0]);
+    assert.ok(sample, 'EXITED record should yield a calibration sample');
+    assert.equal(sample.signalId, id);
+    assert.ok(Object.keys(sample.factors).length > 0);
+    assert.equal(sample.plusOneHit, true);
+});
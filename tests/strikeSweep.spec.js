@@ -0,0 +1,43 @@
+/**
+ * STRIKE SWEEP - a chain served from stored files is CACHED, never LIVE
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { Harness } = require('./helpers/harness');
+const marketDataService = require('../services/marketData.service');
+const strikeSweepService = require('../services/strikeSweep.service');
+const LocalProvider = require('../services/providers/local.provider');
+
+const harness = new Harness('2025-11-20');
+const primary = { ...marketDataService.config };
+
+before(async () => {
+    await harness.open('11:35');
+    marketDataService.register('local', new LocalProvider({ dir: path.join(__dirname, 'fixtures') }));
+});
+
+after(() => {
+    marketDataService.config = primary;
+    harness.close();
+});
+
+test('broker chain rows are LIVE as of the fetch', async () => {
+    const rows = await strikeSweepService.fetchOptionChain('NIFTY', 'NFO');
+
+    assert.ok(rows.length > 0);
+    assert.ok(rows.every(row => row.provenance === 'LIVE' && row.dataAsOf === harness.at('11:35')));
+});
+
+test('local fallback rows are CACHED with no observation time', async () => {
+    strikeSweepService.optionChainCache.clear();
+    harness.provider.getOptionChain = async () => { throw new Error('broker down'); };
+    marketDataService.config = { ...primary, fallback: 'local' };
+
+    const rows = await strikeSweepService.fetchOptionChain('NIFTY', 'NFO');
+
+    assert.equal(marketDataService.stats.lastFailover.to, 'local');
+    assert.ok(rows.length > 0);
+    assert.ok(rows.every(row => row.provenance === 'CACHED' && row.dataAsOf === null));
+});
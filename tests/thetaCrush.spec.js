@@ -0,0 +1,94 @@
+/**
+ * THETA CRUSH - expiry-day afternoon blocks option buying
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Harness, blockedBy } = require('./helpers/harness');
+const barBuilderService = require('../services/barBuilder.service');
+const thetaEngineService = require('../services/thetaEngine.service');
+const clock = require('../services/clock.service');
+
+const NFO = 2;
+const STRIKE_TOKEN = '48215';           // NIFTY 26100 CE, expiring 2025-11-20 (Thursday)
+
+const harness = new Harness('2025-11-20');
+let contract;
+
+before(async () => {
+    await harness.open('12:15');
+    harness.start(barBuilderService);
+    harness.start(thetaEngineService);
+
+    const chain = await harness.optionChain('NIFTY');
+    contract = chain.find(row => row.token === STRIKE_TOKEN);
+});
+
+after(() => harness.close());
+
+function optionSignal(candles) {
+    const spread = contract.askPrice - contract.bidPrice;
+    return harness.signal({
+        token: contract.token,
+        symbol: contract.symbol,
+        exchange: 'NFO',
+        underlying: 'NIFTY'
+    }, candles, {
+        type: 'BUY',
+        isOption: true,
+        underlying: 'NIFTY',
+        optionType: contract.optionType,
+        strike: contract.strikePrice,
+        spreadPercent: (spread / contract.ltp) * 100,
+        oi: contract.oi,
+        iv: contract.iv,
+        delta: contract.delta,
+        theta: contract.theta
+    });
+}
+
+test('option chain fixture parses through the Angel provider', () => {
+    assert.equal(contract.symbol, 'NIFTY20NOV2526100CE');
+    assert.equal(contract.strikePrice, 26100);
+    assert.ok(contract.ltp > 0 && contract.oi > 0);
+});
+
+test('expiry-day morning passes the theta engine', async () => {
+    const candles = await harness.candles(STRIKE_TOKEN, NFO, '12:14');
+    const result = harness.validate(optionSignal(candles), candles);
+
+    const theta = result.checks.find(c => c.name === 'THETA_ENGINE');
+    assert.ok(theta, `pipeline stopped before THETA_ENGINE: ${result.blockReasons[0]}`);
+    assert.equal(theta.allowed, true);
+});
+
+test('expiry-day afternoon blocks at THETA_ENGINE', async () => {
+    harness.replayTicks('thetaCrush');
+    harness.advanceTo('13:44:10');
+
+    const candles = await harness.candles(STRIKE_TOKEN, NFO, '13:44');
+    const result = harness.validate(optionSignal(candles), candles);
+
+    assert.equal(blockedBy(result), 'THETA_BLOCKED', result.blockReasons[0]);
+    assert.equal(result.checks.find(c => c.name === 'THETA_ENGINE').expiryThetaCrush, true);
+});
+
+test('crush window opens at 12:30 IST whatever the host time zone', () => {
+    const hostZone = process.env.TZ;
+    const crushAt = (time) => {
+        clock.set(harness.at(time));
+        thetaEngineService.checkExpiryThetaCrush();
+        return thetaEngineService.state.expiryThetaCrushActive;
+    };
+
+    try {
+        for (const zone of ['UTC', 'Asia/Kolkata', 'America/New_York']) {
+            process.env.TZ = zone;
+            assert.equal(crushAt('12:29'), false, zone);
+            assert.equal(crushAt('12:30'), true, zone);
+        }
+    } finally {
+        if (hostZone === undefined) delete process.env.TZ;
+        else process.env.TZ = hostZone;
+    }
+});
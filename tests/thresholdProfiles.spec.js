@@ -0,0 +1,65 @@
+/**
+ * THRESHOLD PROFILES - every runner threshold object is sealed at boot, and
+ * running a locked profile leaves the registry copy alone
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thresholds-'));
+process.env.THRESHOLD_PROFILES_DIR = dir;
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Harness } = require('./helpers/harness');
+const thresholdProfilesService = require('../services/thresholdProfiles.service');
+const runnerProbabilityStockService = require('../services/runnerProbabilityStock.service');
+
+const harness = new Harness('2025-11-20');
+
+before(async () => {
+    await harness.open('09:00');
+    thresholdProfilesService.initialize();
+});
+
+after(() => {
+    harness.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('stock zones and score weights cannot be changed after the lock', () => {
+    const activeHash = thresholdProfilesService.getProfile(thresholdProfilesService.registry.active).hash;
+
+    runnerProbabilityStockService.zones.EARLY.max = 3;
+    runnerProbabilityStockService.scoreWeights.moveQuality = 40;
+
+    assert.equal(runnerProbabilityStockService.zones.EARLY.max, 2);
+    assert.equal(runnerProbabilityStockService.scoreWeights.moveQuality, 20);
+    assert.equal(thresholdProfilesService.liveHash(), activeHash);
+});
+
+test('running a locked profile installs a frozen copy, not the registry object', () => {
+    const draft = thresholdProfilesService.create({ name: 'wide-early', changes: { stock: { zones: { EARLY: { max: 2.5 } } } } });
+    const profile = thresholdProfilesService.lock(draft.id, { lockedBy: 'ops' });
+
+    const zones = thresholdProfilesService.runWith(profile.id, () => runnerProbabilityStockService.zones);
+
+    assert.equal(zones.EARLY.max, 2.5);
+    assert.ok(Object.isFrozen(zones.EARLY));
+    assert.notEqual(zones, profile.params.stock.zones);
+    assert.equal(Object.isFrozen(profile.params.stock.zones), false);
+    assert.equal(runnerProbabilityStockService.zones.EARLY.max, 2);
+});
+
+test('a profile locked before zones were tracked runs them at the shipped values', () => {
+    const draft = thresholdProfilesService.create({ name: 'legacy' });
+    delete draft.params.stock.zones;
+    delete draft.params.stock.scoreWeights;
+    const profile = thresholdProfilesService.lock(draft.id);
+
+    const weights = thresholdProfilesService.runWith(profile.id, () => runnerProbabilityStockService.scoreWeights);
+
+    assert.equal(weights.moveQuality, 20);
+    assert.equal(thresholdProfilesService.hash(profile.params), profile.hash);
+});
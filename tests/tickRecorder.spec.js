@@ -0,0 +1,18 @@
+/**
+ * TICK RECORDER - playback stays off a live session
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/harness');
+const tickRecorderService = require('../services/tickRecorder.service');
+const wsService = require('../services/websocket.service');
+
+after(() => { wsService.isConnected = false; });
+
+test('playback is refused while the live stream is connected', () => {
+    wsService.isConnected = true;
+
+    assert.throws(() => tickRecorderService.play('2025-11-20', { speed: 0 }), /Live tick stream is connected/);
+    assert.equal(tickRecorderService.getPlaybackStatus(), null);
+});
@@ -0,0 +1,191 @@
+/**
+ * MAHASHAKTI V7 - THRESHOLD PROFILES
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Versioned runner / collapse / option threshold sets under the Elite Lock.
+ * DRAFT → lock → replay with --profile (validation runs) → promote.
+ * Promotions and rollbacks take effect on the next server start.
+ *
+ * USAGE:
+ *   node thresholds.js list
+ *   node thresholds.js show <id>
+ *   node thresholds.js diff <fromId|live> <toId|live>
+ *   node thresholds.js create <name> [--from <id>] --set stock.zoneConfig.EARLY.minVolume=1.8 [--set ...] [--by <name>] [--note "..."]
+ *   node thresholds.js lock <id> [--by <name>]
+ *   node thresholds.js validate <id> <report.json>
+ *   node thresholds.js promote <id> --by <name> --validation <runId,runId,...> [--note "..."]
+ *   node thresholds.js rollback [--to <id>] --by <name> [--note "..."]
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const thresholdProfilesService = require('./services/thresholdProfiles.service');
+
+function parseArgs(argv) {
+    const args = { command: 'list', positional: [], from: null, to: null, by: null, note: null, validation: null, sets: [] };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from') {
+            args.from = argv[++i];
+        } else if (argv[i] === '--to') {
+            args.to = argv[++i];
+        } else if (argv[i] === '--by') {
+            args.by = argv[++i];
+        } else if (argv[i] === '--note') {
+            args.note = argv[++i];
+        } else if (argv[i] === '--validation') {
+            args.validation = argv[++i];
+        } else if (argv[i] === '--set') {
+            args.sets.push(argv[++i]);
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    if (positional[0]) args.command = positional[0];
+    args.positional = positional.slice(1);
+    return args;
+}
+
+/**
+ * ['stock.config.minConfidence=60'] → { stock: { config: { minConfidence: 60 } } }
+ */
+function parseSets(sets) {
+    const changes = {};
+
+    for (const entry of sets) {
+        const eq = entry.indexOf('=');
+        if (eq <= 0) throw new Error(`Bad --set ${entry} (expected path=value)`);
+
+        const keys = entry.slice(0, eq).split('.');
+        const raw = entry.slice(eq + 1);
+        const value = raw === 'true' ? true : raw === 'false' ? false : isNaN(Number(raw)) || raw === '' ? raw : Number(raw);
+
+        let node = changes;
+        keys.slice(0, -1).forEach(key => {
+            node[key] = node[key] || {};
+            node = node[key];
+        });
+        node[keys[keys.length - 1]] = value;
+    }
+
+    return changes;
+}
+
+function printDiff(diff) {
+    console.log(`  ${diff.from} → ${diff.to}: ${diff.changes.length} change(s)`);
+    diff.changes.forEach(c => {
+        console.log(`  ${c.path.padEnd(48)} ${String(c.from).padEnd(8)} → ${c.to}`);
+    });
+}
+
+function printProfile(profile) {
+    console.log('');
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log(`  THRESHOLD PROFILE ${profile.id} (${profile.status})`);
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log(`  Based on: ${profile.basedOn || '-'} | Created by: ${profile.createdBy || '-'}${profile.note ? ` | ${profile.note}` : ''}`);
+    console.log(`  Hash: ${profile.hash || '(draft - not locked)'}`);
+    if (profile.basedOn) {
+        console.log('');
+        printDiff(thresholdProfilesService.diff(profile.basedOn, profile.id));
+    }
+    console.log('');
+    console.log('  VALIDATION RUNS:');
+    profile.validations.forEach(v => {
+        console.log(`  ${v.passed ? '✅' : '❌'} ${v.runId} | days ${(v.days || []).join(', ') || '-'} | +1% ${v.summary.plusOneHitRate}% | Fake ${v.summary.fakeBreakRate}% | MAE ${v.summary.avgMAE}%`);
+    });
+    if (profile.approvedBy) {
+        console.log('');
+        console.log(`  Approved by ${profile.approvedBy} on runs ${(profile.validationRuns || []).join(', ') || '-'}`);
+    }
+    console.log('═══════════════════════════════════════════════════════════════');
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    thresholdProfilesService.loadRegistry();
+
+    try {
+        if (Object.keys(thresholdProfilesService.registry.profiles).length === 0) {
+            thresholdProfilesService.seedBaseline();
+        }
+
+        const [first, second] = args.positional;
+
+        switch (args.command) {
+            case 'list': {
+                const status = thresholdProfilesService.getStatus();
+                status.profiles.forEach(p => {
+                    const marker = p.id === status.active ? '*' : status.pending?.id === p.id ? '+' : ' ';
+                    console.log(`${marker} ${p.id.padEnd(28)} ${p.status.padEnd(8)} ${p.hash ? p.hash.slice(0, 12) : '-'.padEnd(12)} runs=${p.validations.length}${p.approvedBy ? ` | approved by ${p.approvedBy}` : ''}`);
+                });
+                if (status.pending) {
+                    console.log(`+ pending ${status.pending.type} by ${status.pending.by} - applied on next boot`);
+                }
+                break;
+            }
+
+            case 'show':
+                printProfile(thresholdProfilesService.getProfile(first));
+                break;
+
+            case 'diff':
+                printDiff(thresholdProfilesService.diff(first, second));
+                break;
+
+            case 'create': {
+                const profile = thresholdProfilesService.create({
+                    name: first,
+                    from: args.from,
+                    changes: parseSets(args.sets),
+                    createdBy: args.by,
+                    note: args.note
+                });
+                printProfile(profile);
+                console.log(`[THRESHOLDS] Next: node thresholds.js lock ${profile.id}`);
+                break;
+            }
+
+            case 'lock': {
+                const profile = thresholdProfilesService.lock(first, { lockedBy: args.by });
+                console.log(`[THRESHOLDS] Next: node replay.js <session.json> --profile ${profile.id}  (≥${thresholdProfilesService.config.minValidationDays} trading days)`);
+                break;
+            }
+
+            case 'validate': {
+                const report = JSON.parse(fs.readFileSync(second, 'utf8'));
+                if (report.thresholdProfile?.id !== first) {
+                    throw new Error(`${second} ran ${report.thresholdProfile?.id || 'unregistered thresholds'}, not ${first}`);
+                }
+                thresholdProfilesService.recordValidation(report, second);
+                break;
+            }
+
+            case 'promote': {
+                const entry = thresholdProfilesService.promote(first, {
+                    approvedBy: args.by,
+                    validationRuns: args.validation,
+                    note: args.note
+                });
+                console.log(`[THRESHOLDS] ${entry.id} promoted by ${entry.by}${entry.activation === 'NEXT_BOOT' ? ' - takes effect on next server start' : ' - active'}`);
+                break;
+            }
+
+            case 'rollback': {
+                const entry = thresholdProfilesService.rollback({ to: args.to, by: args.by, note: args.note });
+                console.log(`[THRESHOLDS] Rollback ${entry.from} → ${entry.id} by ${entry.by}${entry.activation === 'NEXT_BOOT' ? ' - takes effect on next server start' : ' - active'}`);
+                break;
+            }
+
+            default:
+                console.log('Usage: node thresholds.js [list|show|diff|create|lock|validate|promote|rollback] [id] [--from id] [--set path=value] [--by name] [--validation runIds] [--to id] [--note text]');
+                process.exit(1);
+        }
+    } catch (error) {
+        console.error('[THRESHOLDS] Failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();